@@ -1,4 +1,4 @@
-import React, { createContext, useContext, useState, useEffect, ReactNode } from 'react';
+import React, { createContext, useContext, useState, useEffect, useCallback, ReactNode } from 'react';
 import { toast } from 'sonner';
 
 // Types
@@ -41,6 +41,19 @@ interface AuthContextType {
   updateProfile: (updates: Partial<User>) => Promise<boolean>;
 }
 
+// Refresh the access token this long before it expires
+const REFRESH_MARGIN_MS = 60 * 1000;
+
+// Expiry (ms since epoch) from a JWT's payload, or null if it can't be read
+const getTokenExpiry = (jwtToken: string): number | null => {
+  try {
+    const payload = JSON.parse(atob(jwtToken.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+    return typeof payload.exp === 'number' ? payload.exp * 1000 : null;
+  } catch {
+    return null;
+  }
+};
+
 // Context
 const AuthContext = createContext<AuthContextType | undefined>(undefined);
 
@@ -53,6 +66,60 @@ export const AuthProvider: React.FC<{ children: ReactNode }> = ({ children }) =>
   // Base API URL - adjust based on your backend
   const API_BASE = process.env.REACT_APP_API_URL || 'http://localhost:3000/api/v1';
 
+  const clearAuth = useCallback(() => {
+    setUser(null);
+    setToken(null);
+    localStorage.removeItem('auth_token');
+    localStorage.removeItem('auth_refresh_token');
+    localStorage.removeItem('auth_user');
+  }, []);
+
+  // Exchange the refresh token for a new token pair (each refresh token works once)
+  const refreshSession = useCallback(async (): Promise<string | null> => {
+    const storedToken = localStorage.getItem('auth_token');
+    const storedExpiry = storedToken ? getTokenExpiry(storedToken) : null;
+
+    // Another tab may already have refreshed; adopt its token instead of reusing ours
+    if (storedToken && storedExpiry && storedExpiry - Date.now() > REFRESH_MARGIN_MS) {
+      setToken(storedToken);
+      return storedToken;
+    }
+
+    const storedRefreshToken = localStorage.getItem('auth_refresh_token');
+    if (!storedRefreshToken) {
+      clearAuth();
+      return null;
+    }
+
+    try {
+      const response = await fetch(`${API_BASE}/auth/refresh`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ refreshToken: storedRefreshToken }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        clearAuth();
+        toast.info(data.message || 'Session expired, please log in again');
+        return null;
+      }
+
+      const { token: newToken, refreshToken: newRefreshToken } = data.data;
+      localStorage.setItem('auth_token', newToken);
+      localStorage.setItem('auth_refresh_token', newRefreshToken);
+      setToken(newToken);
+      return newToken;
+    } catch (error) {
+      // Offline: keep the session and try again on the next schedule
+      console.error('Refresh token error:', error);
+      return null;
+    }
+  }, [API_BASE, clearAuth]);
+
   // Check for stored auth on mount
   useEffect(() => {
     const storedToken = localStorage.getItem('auth_token');
@@ -60,16 +127,50 @@ export const AuthProvider: React.FC<{ children: ReactNode }> = ({ children }) =>
     
     if (storedToken && storedUser) {
       try {
-        setToken(storedToken);
         setUser(JSON.parse(storedUser));
+        
+        const expiry = getTokenExpiry(storedToken);
+        if (expiry && expiry - Date.now() <= REFRESH_MARGIN_MS) {
+          refreshSession().finally(() => setLoading(false));
+          return;
+        }
+        setToken(storedToken);
       } catch (error) {
         console.error('Failed to parse stored user data:', error);
-        localStorage.removeItem('auth_token');
-        localStorage.removeItem('auth_user');
+        clearAuth();
       }
     }
     
     setLoading(false);
+  }, [clearAuth, refreshSession]);
+
+  // Refresh shortly before the access token expires
+  useEffect(() => {
+    if (!token) return;
+
+    const expiry = getTokenExpiry(token);
+    if (!expiry) return;
+
+    // Jitter so several open tabs don't refresh with the same token at once
+    const delay = Math.max(expiry - Date.now() - REFRESH_MARGIN_MS - Math.random() * 20 * 1000, 0);
+    const timer = setTimeout(refreshSession, delay);
+    return () => clearTimeout(timer);
+  }, [token, refreshSession]);
+
+  // Pick up tokens refreshed or cleared in other tabs
+  useEffect(() => {
+    const handleStorage = (event: StorageEvent) => {
+      if (event.key !== 'auth_token') return;
+      if (event.newValue) {
+        setToken(event.newValue);
+      } else {
+        setUser(null);
+        setToken(null);
+      }
+    };
+
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
   }, []);
 
   // Send OTP
@@ -137,11 +238,12 @@ export const AuthProvider: React.FC<{ children: ReactNode }> = ({ children }) =>
       }
 
       // Store auth data
-      const { token: authToken, user: userData } = data.data;
+      const { token: authToken, refreshToken: authRefreshToken, user: userData } = data.data;
       setToken(authToken);
       setUser(userData);
       
       localStorage.setItem('auth_token', authToken);
+      localStorage.setItem('auth_refresh_token', authRefreshToken);
       localStorage.setItem('auth_user', JSON.stringify(userData));
 
       toast.success(data.message || 'Login successful!');
@@ -153,12 +255,18 @@ export const AuthProvider: React.FC<{ children: ReactNode }> = ({ children }) =>
     }
   };
 
-  // Logout
+  // Logout (revokes the session on the server so its tokens stop working)
   const logout = () => {
-    setUser(null);
-    setToken(null);
-    localStorage.removeItem('auth_token');
-    localStorage.removeItem('auth_user');
+    if (token) {
+      fetch(`${API_BASE}/auth/logout`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+        },
+      }).catch((error) => console.error('Logout error:', error));
+    }
+
+    clearAuth();
     toast.info('Logged out successfully');
   };
 
@@ -0,0 +1,74 @@
+import { useEffect, useRef } from 'react';
+
+export type AlertStreamEvent = 'alert.created' | 'alert.acknowledged' | 'alert.resolved' | 'alert.updated';
+
+interface LiveStreamHandlers {
+  onLocation?: (location: any) => void;
+  onAlert?: (event: AlertStreamEvent, alert: any) => void;
+}
+
+interface LiveStreamOptions extends LiveStreamHandlers {
+  token: string | null;
+  deviceIds?: string[];
+}
+
+const API_BASE = process.env.REACT_APP_API_URL || 'http://localhost:3000/api/v1';
+
+/**
+ * Subscribe to the server-sent event stream of new location points and alert changes.
+ * EventSource reconnects on its own if the connection drops.
+ */
+export const useLiveStream = ({ token, deviceIds, onLocation, onAlert }: LiveStreamOptions) => {
+  // Keep latest handlers without reopening the stream on every render
+  const handlersRef = useRef<LiveStreamHandlers>({ onLocation, onAlert });
+  handlersRef.current = { onLocation, onAlert };
+
+  const deviceFilter = deviceIds?.filter(Boolean).join(',') || '';
+
+  // Handler presence only decides which event types to request
+  const wantsLocation = !!onLocation;
+  const wantsAlerts = !!onAlert;
+
+  useEffect(() => {
+    if (!token) return;
+
+    const params = new URLSearchParams({ token });
+    if (deviceFilter) params.set('deviceId', deviceFilter);
+
+    const types = [
+      wantsLocation ? 'location' : null,
+      wantsAlerts ? 'alert' : null
+    ].filter(Boolean).join(',');
+    if (types) params.set('types', types);
+
+    const source = new EventSource(`${API_BASE}/stream?${params.toString()}`);
+
+    const handleLocation = (event: MessageEvent) => {
+      try {
+        handlersRef.current.onLocation?.(JSON.parse(event.data));
+      } catch (error) {
+        console.error('Invalid location event:', error);
+      }
+    };
+
+    const handleAlert = (event: MessageEvent) => {
+      try {
+        const { event: alertEvent, alert } = JSON.parse(event.data);
+        handlersRef.current.onAlert?.(alertEvent, alert);
+      } catch (error) {
+        console.error('Invalid alert event:', error);
+      }
+    };
+
+    source.addEventListener('location', handleLocation);
+    source.addEventListener('alert', handleAlert);
+
+    return () => {
+      source.removeEventListener('location', handleLocation);
+      source.removeEventListener('alert', handleAlert);
+      source.close();
+    };
+  }, [token, deviceFilter, wantsLocation, wantsAlerts]);
+};
+
+export default useLiveStream;
@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { Link, useLocation, useNavigate } from 'react-router-dom';
 import { Button } from '../components/ui/button';
 import { useAuth } from '../contexts/AuthContext';
+import { useLiveStream } from '../hooks/useLiveStream';
 import { 
   LayoutDashboard, 
   Car, 
@@ -33,7 +34,7 @@ interface Notification {
 }
 
 const AppLayout: React.FC<AppLayoutProps> = ({ children }) => {
-  const { user, logout } = useAuth();
+  const { user, token, logout } = useAuth();
   const location = useLocation();
   const navigate = useNavigate();
   const [sidebarOpen, setSidebarOpen] = useState(false);
@@ -71,11 +72,25 @@ const AppLayout: React.FC<AppLayoutProps> = ({ children }) => {
     };
 
     fetchNotifications();
-    // Refresh notifications every 30 seconds
-    const interval = setInterval(fetchNotifications, 30000);
-    return () => clearInterval(interval);
   }, []);
 
+  // Keep notifications current from the live alert stream
+  useLiveStream({
+    token,
+    onAlert: (event, alert) => {
+      setNotifications(prev => {
+        const others = prev.filter(notification => notification._id !== alert._id);
+        if (event === 'alert.created' && !alert.isResolved) {
+          return [alert, ...others].slice(0, 10);
+        }
+        if (event === 'alert.resolved') {
+          return others;
+        }
+        return prev.map(notification => notification._id === alert._id ? alert : notification);
+      });
+    }
+  });
+
   // Close notifications dropdown when clicking outside
   useEffect(() => {
     const handleClickOutside = (event: MouseEvent) => {
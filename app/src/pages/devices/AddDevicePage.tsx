@@ -14,65 +14,58 @@ import {
   AlertTriangle
 } from 'lucide-react';
 import { toast } from 'sonner';
+import { useAuth } from '../../contexts/AuthContext';
 
-const deviceSchema = z.object({
+const claimSchema = z.object({
   deviceId: z.string().min(3, 'Device ID must be at least 3 characters').max(50, 'Device ID cannot exceed 50 characters'),
-  name: z.string().min(2, 'Name must be at least 2 characters').max(100, 'Name cannot exceed 100 characters'),
-  description: z.string().max(500, 'Description cannot exceed 500 characters').optional(),
-  batteryThreshold: z.number().min(0, 'Battery threshold must be at least 0%').max(100, 'Battery threshold cannot exceed 100%').optional(),
-  alertSettings: z.object({
-    lowBatteryEnabled: z.boolean().optional(),
-    offlineTimeoutMinutes: z.number().min(1, 'Timeout must be at least 1 minute').max(1440, 'Timeout cannot exceed 24 hours').optional()
-  }).optional()
+  claimCode: z.string().trim().length(8, 'Claim code must be 8 characters'),
+  alias: z.string().max(50, 'Name cannot exceed 50 characters').optional()
 });
 
-type DeviceFormData = z.infer<typeof deviceSchema>;
+type ClaimFormData = z.infer<typeof claimSchema>;
 
 const AddDevicePage: React.FC = () => {
   const navigate = useNavigate();
+  const { token } = useAuth();
   const [loading, setLoading] = useState(false);
 
-  const { register, handleSubmit, formState: { errors } } = useForm<DeviceFormData>({
-    resolver: zodResolver(deviceSchema),
+  const { register, handleSubmit, formState: { errors } } = useForm<ClaimFormData>({
+    resolver: zodResolver(claimSchema),
     defaultValues: {
       deviceId: '',
-      name: '',
-      description: '',
-      batteryThreshold: 20,
-      alertSettings: {
-        lowBatteryEnabled: true,
-        offlineTimeoutMinutes: 10
-      }
+      claimCode: '',
+      alias: ''
     }
   });
 
-  const onSubmit = async (data: DeviceFormData) => {
+  const onSubmit = async (data: ClaimFormData) => {
     setLoading(true);
     try {
-      const token = localStorage.getItem('authToken');
       const API_BASE = process.env.REACT_APP_API_URL || 'http://localhost:3000/api/v1';
 
-      const response = await fetch(`${API_BASE}/device/register`, {
+      const response = await fetch(`${API_BASE}/device/claim`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`,
-          'x-api-key': 'shjdbjbdfbsdsdvhjvsdjfvsdkvfk234234324dvbdfkjd' // Using the API key from your system
+          'Authorization': `Bearer ${token}`
         },
-        body: JSON.stringify(data)
+        body: JSON.stringify({
+          ...data,
+          claimCode: data.claimCode.toUpperCase()
+        })
       });
 
       const result = await response.json();
 
       if (response.ok) {
-        toast.success('Device registered successfully!');
+        toast.success('Device added to your account!');
         navigate('/devices');
       } else {
-        throw new Error(result.message || 'Failed to register device');
+        throw new Error(result.message || 'Failed to add device');
       }
     } catch (error: any) {
-      console.error('Error registering device:', error);
-      toast.error(error.message || 'Failed to register device. Please try again.');
+      console.error('Error claiming device:', error);
+      toast.error(error.message || 'Failed to add device. Please try again.');
     } finally {
       setLoading(false);
     }
@@ -92,7 +85,7 @@ const AddDevicePage: React.FC = () => {
           <div>
             <h1 className="text-3xl font-bold text-gray-900">Add New Device</h1>
             <p className="text-gray-600 mt-1">
-              Register a new tracking device to your account
+              Attach a tracking device to your account
             </p>
           </div>
         </div>
@@ -104,11 +97,11 @@ const AddDevicePage: React.FC = () => {
           <div className="flex items-start space-x-3">
             <AlertTriangle className="h-5 w-5 text-blue-600 mt-0.5" />
             <div className="text-sm text-blue-800">
-              <p className="font-medium mb-1">Device Registration Instructions:</p>
+              <p className="font-medium mb-1">How to add a device:</p>
               <ul className="list-disc list-inside space-y-1 text-blue-700">
-                <li>Choose a unique Device ID that matches your ESP32 configuration</li>
-                <li>The device will appear as "inactive" until it sends its first location update</li>
-                <li>Make sure your ESP32 is programmed with the correct API key and JWT secret</li>
+                <li>Find the Device ID and 8-character claim code on the label or QR code shipped with the device</li>
+                <li>Each claim code works once; a device already on another account must be released by its owner first</li>
+                <li>The device will appear as "offline" until it sends its first location update</li>
               </ul>
             </div>
           </div>
@@ -125,7 +118,6 @@ const AddDevicePage: React.FC = () => {
         </CardHeader>
         <CardContent className="space-y-6">
           <form onSubmit={handleSubmit(onSubmit)} className="space-y-6">
-            {/* Basic Information */}
             <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
               <div className="space-y-2">
                 <Label htmlFor="deviceId">Device ID *</Label>
@@ -138,79 +130,37 @@ const AddDevicePage: React.FC = () => {
                 {errors.deviceId && (
                   <p className="text-red-500 text-sm">{errors.deviceId.message}</p>
                 )}
-                <p className="text-xs text-gray-500">
-                  This must match the Device ID programmed in your ESP32
-                </p>
               </div>
 
               <div className="space-y-2">
-                <Label htmlFor="name">Device Name *</Label>
+                <Label htmlFor="claimCode">Claim Code *</Label>
                 <Input
-                  id="name"
-                  placeholder="e.g., My Car Tracker, Office Vehicle"
-                  {...register('name')}
+                  id="claimCode"
+                  placeholder="e.g., K7QM2XPA"
+                  className="uppercase"
+                  {...register('claimCode')}
                   disabled={loading}
                 />
-                {errors.name && (
-                  <p className="text-red-500 text-sm">{errors.name.message}</p>
+                {errors.claimCode && (
+                  <p className="text-red-500 text-sm">{errors.claimCode.message}</p>
                 )}
               </div>
             </div>
 
             <div className="space-y-2">
-              <Label htmlFor="description">Description (Optional)</Label>
+              <Label htmlFor="alias">Name (Optional)</Label>
               <Input
-                id="description"
-                placeholder="e.g., Primary family car tracker, Company delivery truck"
-                {...register('description')}
+                id="alias"
+                placeholder="e.g., My Car Tracker, Office Vehicle"
+                {...register('alias')}
                 disabled={loading}
               />
-              {errors.description && (
-                <p className="text-red-500 text-sm">{errors.description.message}</p>
+              {errors.alias && (
+                <p className="text-red-500 text-sm">{errors.alias.message}</p>
               )}
-            </div>
-
-            {/* Alert Settings */}
-            <div className="border-t pt-6">
-              <h3 className="text-lg font-medium text-gray-900 mb-4">Alert Settings</h3>
-              
-              <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-                <div className="space-y-2">
-                  <Label htmlFor="batteryThreshold">Low Battery Threshold (%)</Label>
-                  <Input
-                    id="batteryThreshold"
-                    type="number"
-                    min="0"
-                    max="100"
-                    {...register('batteryThreshold', { valueAsNumber: true })}
-                    disabled={loading}
-                  />
-                  {errors.batteryThreshold && (
-                    <p className="text-red-500 text-sm">{errors.batteryThreshold.message}</p>
-                  )}
-                  <p className="text-xs text-gray-500">
-                    Alert when battery drops below this percentage
-                  </p>
-                </div>
-
-                <div className="space-y-2">
-                  <Label htmlFor="offlineTimeout">Offline Timeout (minutes)</Label>
-                  <Input
-                    id="offlineTimeout"
-                    type="number"
-                    min="1"
-                    max="1440"
-                    {...register('alertSettings.offlineTimeoutMinutes', { valueAsNumber: true })}
-                    disabled={loading}
-                  />
-                  {errors.alertSettings?.offlineTimeoutMinutes && (
-                    <p className="text-red-500 text-sm">{errors.alertSettings.offlineTimeoutMinutes.message}</p>
-                  )}
-                  <p className="text-xs text-gray-500">
-                    Alert when device hasn't reported for this many minutes
-                  </p>
-                </div>
-              </div>
+              <p className="text-xs text-gray-500">
+                How this device is shown in your account
+              </p>
             </div>
 
             {/* Submit Buttons */}
@@ -225,7 +175,7 @@ const AddDevicePage: React.FC = () => {
               </Button>
               <Button type="submit" disabled={loading}>
                 {loading && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
-                Register Device
+                Add Device
               </Button>
             </div>
           </form>
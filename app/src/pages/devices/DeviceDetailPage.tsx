@@ -3,6 +3,7 @@ import { useParams, Link } from 'react-router-dom';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../../components/ui/card';
 import { Button } from '../../components/ui/button';
 import { useAuth } from '../../contexts/AuthContext';
+import { useLiveStream } from '../../hooks/useLiveStream';
 import DeviceMap from '../../components/map/DeviceMap';
 import { toast } from 'sonner';
 import { 
@@ -161,6 +162,25 @@ const DeviceDetailPage: React.FC = () => {
     fetchDeviceData();
   }, [token, deviceId, fetchDeviceData]);
 
+  // Live updates for this device
+  useLiveStream({
+    token,
+    deviceIds: deviceId ? [deviceId] : [],
+    onLocation: (location: LocationData) => {
+      setCurrentLocation(location);
+      setLocationHistory(prev => [location, ...prev].slice(0, 100));
+      setDeviceInfo(prev => prev ? { ...prev, status: 'online', lastSeen: location.timestamp } : prev);
+    },
+    onAlert: (_event, alert: AlertData) => {
+      setAlerts(prev => {
+        const exists = prev.some(item => item._id === alert._id);
+        return exists ?
+          prev.map(item => item._id === alert._id ? alert : item) :
+          [alert, ...prev].slice(0, 50);
+      });
+    }
+  });
+
 
   const getStatusColor = (status: string) => {
     switch (status.toLowerCase()) {
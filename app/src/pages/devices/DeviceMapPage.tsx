@@ -2,6 +2,7 @@ import React, { useState, useEffect, useCallback } from 'react';
 import { useParams, Link } from 'react-router-dom';
 import { Button } from '../../components/ui/button';
 import { useAuth } from '../../contexts/AuthContext';
+import { useLiveStream } from '../../hooks/useLiveStream';
 import DeviceMap from '../../components/map/DeviceMap';
 import { toast } from 'sonner';
 import { 
@@ -86,6 +87,16 @@ const DeviceMapPage: React.FC = () => {
     fetchDeviceData();
   }, [fetchDeviceData]);
 
+  // Move the marker as new positions arrive
+  useLiveStream({
+    token,
+    deviceIds: deviceId ? [deviceId] : [],
+    onLocation: (location: LocationData) => {
+      setCurrentLocation(location);
+      setDeviceInfo(prev => prev ? { ...prev, status: 'online', lastSeen: location.timestamp } : prev);
+    }
+  });
+
   if (loading) {
     return (
       <div className="min-h-screen flex items-center justify-center bg-gray-100">
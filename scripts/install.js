@@ -82,7 +82,7 @@ const createEnvFile = async () => {
   log('green', `Generated API Key: ${config.API_KEY}`);
 
   // Optional settings
-  config.JWT_EXPIRES_IN = '7d';
+  config.JWT_EXPIRES_IN = '15m';
   config.RATE_LIMIT_WINDOW_MS = '900000';
   config.RATE_LIMIT_MAX_REQUESTS = '100';
   config.ALERT_RATE_LIMIT_MAX = '10';
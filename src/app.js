@@ -1,4 +1,5 @@
 const express = require('express');
+const crypto = require('crypto');
 const helmet = require('helmet');
 const cors = require('cors');
 const compression = require('compression');
@@ -14,6 +15,21 @@ const { apiResponse } = require('./utils/apiResponse');
 const deviceRoutes = require('./routes/deviceRoutes');
 const alertRoutes = require('./routes/alertRoutes');
 const authRoutes = require('./routes/authRoutes');
+const geofenceRoutes = require('./routes/geofenceRoutes');
+const streamRoutes = require('./routes/streamRoutes');
+const apiKeyRoutes = require('./routes/apiKeyRoutes');
+const alertRuleRoutes = require('./routes/alertRuleRoutes');
+const webhookRoutes = require('./routes/webhookRoutes');
+const organizationRoutes = require('./routes/organizationRoutes');
+const auditRoutes = require('./routes/auditRoutes');
+const firmwareRoutes = require('./routes/firmwareRoutes');
+
+// Import services
+const { startMqttGateway, stopMqttGateway } = require('./services/mqttGateway');
+const { startOfflineMonitor, stopOfflineMonitor } = require('./services/offlineMonitor');
+const { startAlertAutoResolver, stopAlertAutoResolver } = require('./services/alertAutoResolver');
+const { seedDefaultRules } = require('./services/ruleEngine');
+const { startWebhookDispatcher, stopWebhookDispatcher } = require('./services/webhookService');
 
 // Import middleware
 const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
@@ -21,8 +37,8 @@ const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
 // Create Express application
 const app = express();
 
-// Connect to MongoDB
-connectDB();
+// Connect to MongoDB (seeding the built-in alert rules on first start)
+connectDB().then(seedDefaultRules);
 
 // Trust proxy (important for rate limiting and IP detection)
 app.set('trust proxy', 1);
@@ -65,9 +81,11 @@ const corsOptions = {
     'Content-Type',
     'Accept',
     'Authorization',
-    'X-API-Key'
+    'X-API-Key',
+    'X-Request-Id'
   ],
   exposedHeaders: [
+    'X-Request-Id',
     'X-RateLimit-Limit',
     'X-RateLimit-Remaining',
     'X-RateLimit-Reset'
@@ -98,6 +116,14 @@ app.use(express.urlencoded({
   limit: '10mb' 
 }));
 
+// Request ID (kept from a proxy's X-Request-Id) for tracing log lines and audit events
+app.use((req, res, next) => {
+  const incomingId = req.get('X-Request-Id');
+  req.id = incomingId && /^[\w.-]{1,100}$/.test(incomingId) ? incomingId : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+});
+
 // Request logging middleware
 app.use((req, res, next) => {
   const start = Date.now();
@@ -107,8 +133,9 @@ app.use((req, res, next) => {
     const logLevel = res.statusCode >= 400 ? 'warn' : 'info';
     
     logger[logLevel]('HTTP Request', {
+      requestId: req.id,
       method: req.method,
-      url: req.url,
+      url: req.url.replace(/([?&]token=)[^&]*/, '$1[redacted]'), // Stream auth token
       statusCode: res.statusCode,
       duration: `${duration}ms`,
       ip: req.ip,
@@ -151,7 +178,15 @@ app.get(`/api/${config.API_VERSION}/status`, (req, res) => {
     endpoints: {
       auth: `/api/${config.API_VERSION}/auth`,
       devices: `/api/${config.API_VERSION}/device`,
-      alerts: `/api/${config.API_VERSION}/alert`
+      alerts: `/api/${config.API_VERSION}/alert`,
+      geofences: `/api/${config.API_VERSION}/geofence`,
+      alertRules: `/api/${config.API_VERSION}/alert-rules`,
+      stream: `/api/${config.API_VERSION}/stream`,
+      apiKeys: `/api/${config.API_VERSION}/api-keys`,
+      webhooks: `/api/${config.API_VERSION}/webhooks`,
+      organizations: `/api/${config.API_VERSION}/organizations`,
+      audit: `/api/${config.API_VERSION}/audit`,
+      firmware: `/api/${config.API_VERSION}/firmware`
     },
     documentation: 'See README.md for API documentation'
   });
@@ -161,6 +196,14 @@ app.get(`/api/${config.API_VERSION}/status`, (req, res) => {
 app.use(`/api/${config.API_VERSION}/auth`, authRoutes);
 app.use(`/api/${config.API_VERSION}/device`, deviceRoutes);
 app.use(`/api/${config.API_VERSION}/alert`, alertRoutes);
+app.use(`/api/${config.API_VERSION}/geofence`, geofenceRoutes);
+app.use(`/api/${config.API_VERSION}/alert-rules`, alertRuleRoutes);
+app.use(`/api/${config.API_VERSION}/stream`, streamRoutes);
+app.use(`/api/${config.API_VERSION}/api-keys`, apiKeyRoutes);
+app.use(`/api/${config.API_VERSION}/webhooks`, webhookRoutes);
+app.use(`/api/${config.API_VERSION}/organizations`, organizationRoutes);
+app.use(`/api/${config.API_VERSION}/audit`, auditRoutes);
+app.use(`/api/${config.API_VERSION}/firmware`, firmwareRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -172,7 +215,8 @@ app.get('/', (req, res) => {
       health: '/health',
       api: `/api/${config.API_VERSION}/status`,
       devices: `/api/${config.API_VERSION}/device`,
-      alerts: `/api/${config.API_VERSION}/alert`
+      alerts: `/api/${config.API_VERSION}/alert`,
+      geofences: `/api/${config.API_VERSION}/geofence`
     }
   });
 });
@@ -191,6 +235,11 @@ const gracefulShutdown = (signal) => {
     logger.info(`Server is listening on port ${config.PORT}`);
   });
   
+  stopMqttGateway();
+  stopOfflineMonitor();
+  stopAlertAutoResolver();
+  stopWebhookDispatcher();
+  
   server.close(() => {
     logger.info('HTTP server closed');
     
@@ -257,8 +306,26 @@ const server = app.listen(PORT, () => {
     apiVersion: config.API_VERSION,
     mongoConnected: require('mongoose').connection.readyState === 1,
     corsOrigins: config.ALLOWED_ORIGINS.join(', '),
-    logLevel: config.LOG_LEVEL
+    logLevel: config.LOG_LEVEL,
+    mqttEnabled: config.MQTT_ENABLED,
+    offlineCheckIntervalSeconds: config.OFFLINE_CHECK_INTERVAL_SECONDS,
+    autoResolveIntervalSeconds: config.AUTO_RESOLVE_INTERVAL_SECONDS,
+    webhookDispatchIntervalSeconds: config.WEBHOOK_DISPATCH_INTERVAL_SECONDS
   });
+  
+  // Start MQTT ingestion gateway alongside the HTTP API
+  if (config.MQTT_ENABLED) {
+    startMqttGateway();
+  }
+  
+  // Raise offline alerts for devices that stop reporting
+  startOfflineMonitor();
+  
+  // Resolve alerts whose autoResolve timeout has elapsed
+  startAlertAutoResolver();
+  
+  // Deliver alert events to webhook subscriptions
+  startWebhookDispatcher();
 });
 
 // Export app for testing
@@ -14,7 +14,8 @@ const config = {
   
   // Authentication
   JWT_SECRET: process.env.JWT_SECRET,
-  JWT_EXPIRES_IN: process.env.JWT_EXPIRES_IN || '7d',
+  JWT_EXPIRES_IN: process.env.JWT_EXPIRES_IN || '15m', // Access token lifetime
+  REFRESH_TOKEN_EXPIRES_DAYS: parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30,
   API_KEY: process.env.API_KEY,
   
   // Rate Limiting
@@ -22,6 +23,39 @@ const config = {
   RATE_LIMIT_MAX_REQUESTS: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100,
   ALERT_RATE_LIMIT_MAX: parseInt(process.env.ALERT_RATE_LIMIT_MAX) || 10,
   
+  // MQTT ingestion gateway
+  MQTT_ENABLED: process.env.MQTT_ENABLED === 'true',
+  MQTT_PORT: parseInt(process.env.MQTT_PORT) || 1883,
+  
+  // Background jobs (0 disables)
+  OFFLINE_CHECK_INTERVAL_SECONDS: parseInt(process.env.OFFLINE_CHECK_INTERVAL_SECONDS ?? 60, 10) || 0,
+  AUTO_RESOLVE_INTERVAL_SECONDS: parseInt(process.env.AUTO_RESOLVE_INTERVAL_SECONDS ?? 60, 10) || 0,
+  WEBHOOK_DISPATCH_INTERVAL_SECONDS: parseInt(process.env.WEBHOOK_DISPATCH_INTERVAL_SECONDS ?? 10, 10) || 0,
+  
+  // Webhook delivery
+  WEBHOOK_TIMEOUT_MS: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000,
+  WEBHOOK_MAX_ATTEMPTS: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8,
+  
+  // Downlink commands: how long a queued command waits for the device by default
+  COMMAND_TTL_SECONDS: parseInt(process.env.COMMAND_TTL_SECONDS) || 86400,
+  
+  // OTA firmware binaries (stored on local disk)
+  FIRMWARE_STORAGE_DIR: process.env.FIRMWARE_STORAGE_DIR || 'firmware',
+  FIRMWARE_MAX_SIZE_MB: parseInt(process.env.FIRMWARE_MAX_SIZE_MB) || 16,
+  
+  // SMS delivery for OTP codes (console | file | http)
+  SMS_PROVIDER: process.env.SMS_PROVIDER || 'console',
+  SMS_FILE_PATH: process.env.SMS_FILE_PATH || 'logs/sms.log',
+  SMS_SENDER_ID: process.env.SMS_SENDER_ID,
+  SMS_HTTP_URL: process.env.SMS_HTTP_URL,
+  SMS_HTTP_AUTH_HEADER: process.env.SMS_HTTP_AUTH_HEADER,
+  SMS_HTTP_FORMAT: process.env.SMS_HTTP_FORMAT || 'json',
+  SMS_HTTP_TO_FIELD: process.env.SMS_HTTP_TO_FIELD || 'to',
+  SMS_HTTP_MESSAGE_FIELD: process.env.SMS_HTTP_MESSAGE_FIELD || 'message',
+  SMS_HTTP_FROM_FIELD: process.env.SMS_HTTP_FROM_FIELD || 'from',
+  SMS_HTTP_MESSAGE_ID_FIELD: process.env.SMS_HTTP_MESSAGE_ID_FIELD || 'id',
+  SMS_HTTP_TIMEOUT_MS: parseInt(process.env.SMS_HTTP_TIMEOUT_MS) || 10000,
+  
   // Logging
   LOG_LEVEL: process.env.LOG_LEVEL || 'info',
   
@@ -6,8 +6,26 @@ const {
   notFoundResponse 
 } = require('../utils/apiResponse');
 const logger = require('../utils/logger');
+const { tenantFilter } = require('../utils/helpers');
+const { findPage } = require('../utils/pagination');
+const { recordAudit, describeActor } = require('../services/auditService');
 const { asyncHandler, notFoundError, AppError } = require('../middleware/errorHandler');
 
+/**
+ * Whether the caller may see an alert
+ * (JWT owners and device-bound API keys set req.ownedDeviceIds,
+ * organization sessions and keys set req.organizationId)
+ * @param {Object} req - Express request object
+ * @param {Object} alert - Alert document or lean object
+ * @returns {boolean} True if accessible
+ */
+const canAccessAlert = (req, alert) => {
+  if (req.organizationId && String(alert.organizationId) !== String(req.organizationId)) {
+    return false;
+  }
+  return !req.ownedDeviceIds || req.ownedDeviceIds.includes(alert.deviceId);
+};
+
 /**
  * Create a new alert
  * @route POST /api/v1/alert
@@ -22,7 +40,8 @@ const createAlert = asyncHandler(async (req, res) => {
     message, 
     latitude, 
     longitude, 
-    data 
+    data,
+    autoResolve
   } = req.body;
   
   try {
@@ -33,7 +52,8 @@ const createAlert = asyncHandler(async (req, res) => {
         lastSeen: new Date(),
         $setOnInsert: {
           name: deviceId, // Default name to deviceId if creating new
-          isActive: true
+          isActive: true,
+          organizationId: req.organizationId || null
         }
       },
       { 
@@ -46,6 +66,7 @@ const createAlert = asyncHandler(async (req, res) => {
     // Create alert
     const alert = new Alert({
       deviceId,
+      organizationId: device.organizationId || null,
       alertType,
       severity: severity || 'medium',
       title,
@@ -54,11 +75,27 @@ const createAlert = asyncHandler(async (req, res) => {
         type: 'Point',
         coordinates: [longitude, latitude] // GeoJSON format: [lng, lat]
       } : undefined,
-      data: data || {}
+      data: data || {},
+      // Explicit settings win over the per-type defaults
+      autoResolve: { ...Alert.autoResolveDefaults(alertType), ...autoResolve }
     });
     
     await alert.save();
     
+    await recordAudit(req, {
+      action: 'alert.create',
+      targetType: 'alert',
+      targetId: alert._id,
+      after: {
+        deviceId,
+        alertType: alert.alertType,
+        severity: alert.severity,
+        title: alert.title,
+        message: alert.message
+      },
+      organizationId: alert.organizationId
+    });
+    
     logger.warn('Alert created', {
       alertId: alert._id,
       deviceId,
@@ -77,6 +114,7 @@ const createAlert = asyncHandler(async (req, res) => {
       message,
       timestamp: alert.timestamp,
       isResolved: alert.isResolved,
+      autoResolve: alert.autoResolve,
       location: latitude && longitude ? { latitude, longitude } : null
     });
     
@@ -113,15 +151,22 @@ const getAlerts = asyncHandler(async (req, res) => {
     isResolved, 
     startDate, 
     endDate,
+    cursor,
+    count,
     limit = 50,
     page = 1
   } = req.query;
   
   try {
     // Build query - exclude soft-deleted alerts by default
-    const query = { deletedAt: null };
+    const query = { deletedAt: null, ...tenantFilter(req) };
     
-    if (deviceId) query.deviceId = deviceId;
+    if (deviceId) {
+      query.deviceId = deviceId;
+    } else if (req.ownedDeviceIds) {
+      // Restrict to the caller's devices (JWT owner or device-bound API key)
+      query.deviceId = { $in: req.ownedDeviceIds };
+    }
     if (alertType) query.alertType = alertType;
     if (severity) query.severity = severity;
     if (isResolved !== undefined) query.isResolved = isResolved === 'true';
@@ -132,19 +177,13 @@ const getAlerts = asyncHandler(async (req, res) => {
       if (endDate) query.timestamp.$lte = new Date(endDate);
     }
     
-    // Calculate pagination
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-    
-    // Get alerts with pagination
-    const [alerts, total] = await Promise.all([
-      Alert.find(query)
-        .sort({ timestamp: -1 })
-        .skip(skip)
-        .limit(parseInt(limit))
-        .select('-__v')
-        .lean(),
-      Alert.countDocuments(query)
-    ]);
+    // Get alerts with cursor or page/limit pagination
+    const { items: alerts, pagination } = await findPage(Alert, query, {
+      cursor,
+      page,
+      limit,
+      count
+    });
     
     // Format alerts for response
     const formattedAlerts = alerts.map(alert => ({
@@ -160,21 +199,14 @@ const getAlerts = asyncHandler(async (req, res) => {
     
     logger.info('Alerts retrieved', {
       count: alerts.length,
-      total,
+      total: pagination.total,
       filters: { deviceId, alertType, severity, isResolved },
-      pagination: { page, limit }
+      pagination: cursor ? { cursor, limit } : { page, limit }
     });
     
     return successResponse(res, 'Alerts retrieved successfully', {
       alerts: formattedAlerts,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / parseInt(limit)),
-        hasNext: page < Math.ceil(total / parseInt(limit)),
-        hasPrev: page > 1
-      },
+      pagination,
       filters: {
         deviceId,
         alertType,
@@ -207,7 +239,7 @@ const getAlertById = asyncHandler(async (req, res) => {
   try {
     const alert = await Alert.findById(alertId).select('-__v').lean();
     
-    if (!alert || alert.deletedAt) {
+    if (!alert || alert.deletedAt || !canAccessAlert(req, alert)) {
       throw notFoundError('Alert');
     }
     
@@ -248,7 +280,8 @@ const getAlertById = asyncHandler(async (req, res) => {
 /**
  * Resolve an alert
  * @route PUT /api/v1/alert/:alertId/resolve
- * @access Private (API Key required)
+ * @route PUT /api/v1/alert/web/:alertId/resolve
+ * @access Private (API Key with alert-admin scope, or JWT owner/admin/operator)
  */
 const resolveAlert = asyncHandler(async (req, res) => {
   const { alertId } = req.params;
@@ -257,7 +290,7 @@ const resolveAlert = asyncHandler(async (req, res) => {
   try {
     const alert = await Alert.findById(alertId);
     
-    if (!alert || alert.deletedAt) {
+    if (!alert || alert.deletedAt || !canAccessAlert(req, alert)) {
       throw notFoundError('Alert');
     }
     
@@ -265,14 +298,37 @@ const resolveAlert = asyncHandler(async (req, res) => {
       throw new AppError('Alert is already resolved', 400);
     }
     
+    const before = {
+      isResolved: alert.isResolved,
+      resolvedAt: alert.resolvedAt,
+      resolvedBy: alert.resolvedBy,
+      resolutionNotes: alert.resolutionNotes
+    };
+    
     // Resolve the alert
     alert.isResolved = true;
     alert.resolvedAt = new Date();
-    if (resolvedBy) alert.resolvedBy = resolvedBy;
+    // Web callers are recorded by phone number unless they name someone else
+    const resolver = resolvedBy || req.user?.phoneNumber;
+    if (resolver) alert.resolvedBy = resolver;
     if (resolutionNotes) alert.resolutionNotes = resolutionNotes;
     
     await alert.save();
     
+    await recordAudit(req, {
+      action: 'alert.resolve',
+      targetType: 'alert',
+      targetId: alert._id,
+      before,
+      after: {
+        isResolved: alert.isResolved,
+        resolvedAt: alert.resolvedAt,
+        resolvedBy: alert.resolvedBy,
+        resolutionNotes: alert.resolutionNotes
+      },
+      organizationId: alert.organizationId
+    });
+    
     const resolutionTimeMinutes = Math.floor(
       (alert.resolvedAt.getTime() - alert.timestamp.getTime()) / (1000 * 60)
     );
@@ -281,7 +337,7 @@ const resolveAlert = asyncHandler(async (req, res) => {
       alertId,
       deviceId: alert.deviceId,
       alertType: alert.alertType,
-      resolvedBy,
+      resolvedBy: alert.resolvedBy,
       resolutionTimeMinutes
     });
     
@@ -306,7 +362,8 @@ const resolveAlert = asyncHandler(async (req, res) => {
 /**
  * Acknowledge an alert
  * @route PUT /api/v1/alert/:alertId/acknowledge
- * @access Private (API Key required)
+ * @route PUT /api/v1/alert/web/:alertId/acknowledge
+ * @access Private (API Key with alert-admin scope, or JWT owner/admin/operator)
  */
 const acknowledgeAlert = asyncHandler(async (req, res) => {
   const { alertId } = req.params;
@@ -315,7 +372,7 @@ const acknowledgeAlert = asyncHandler(async (req, res) => {
   try {
     const alert = await Alert.findById(alertId);
     
-    if (!alert || alert.deletedAt) {
+    if (!alert || alert.deletedAt || !canAccessAlert(req, alert)) {
       throw notFoundError('Alert');
     }
     
@@ -329,15 +386,25 @@ const acknowledgeAlert = asyncHandler(async (req, res) => {
     
     // Acknowledge the alert
     alert.acknowledgedAt = new Date();
-    if (acknowledgedBy) alert.acknowledgedBy = acknowledgedBy;
+    const acknowledger = acknowledgedBy || req.user?.phoneNumber;
+    if (acknowledger) alert.acknowledgedBy = acknowledger;
     
     await alert.save();
     
+    await recordAudit(req, {
+      action: 'alert.acknowledge',
+      targetType: 'alert',
+      targetId: alert._id,
+      before: { acknowledgedAt: null, acknowledgedBy: null },
+      after: { acknowledgedAt: alert.acknowledgedAt, acknowledgedBy: alert.acknowledgedBy },
+      organizationId: alert.organizationId
+    });
+    
     logger.info('Alert acknowledged', {
       alertId,
       deviceId: alert.deviceId,
       alertType: alert.alertType,
-      acknowledgedBy
+      acknowledgedBy: alert.acknowledgedBy
     });
     
     return successResponse(res, 'Alert acknowledged successfully', {
@@ -366,8 +433,12 @@ const getAlertStats = asyncHandler(async (req, res) => {
   
   try {
     // Build match query for aggregation - exclude soft-deleted alerts
-    const match = { deletedAt: null };
-    if (deviceId) match.deviceId = deviceId;
+    const match = { deletedAt: null, ...tenantFilter(req) };
+    if (deviceId) {
+      match.deviceId = deviceId;
+    } else if (req.ownedDeviceIds) {
+      match.deviceId = { $in: req.ownedDeviceIds };
+    }
     if (startDate || endDate) {
       match.timestamp = {};
       if (startDate) match.timestamp.$gte = new Date(startDate);
@@ -382,6 +453,7 @@ const getAlertStats = asyncHandler(async (req, res) => {
           _id: null,
           total: { $sum: 1 },
           resolved: { $sum: { $cond: ['$isResolved', 1, 0] } },
+          autoResolved: { $sum: { $cond: [{ $eq: ['$resolvedBy', Alert.AUTO_RESOLVED_BY] }, 1, 0] } },
           acknowledged: { $sum: { $cond: ['$acknowledgedAt', 1, 0] } },
           open: { $sum: { $cond: [{ $and: [{ $not: '$isResolved' }, { $not: '$acknowledgedAt' }] }, 1, 0] } },
           critical: { $sum: { $cond: [{ $eq: ['$severity', 'critical'] }, 1, 0] } },
@@ -404,6 +476,7 @@ const getAlertStats = asyncHandler(async (req, res) => {
           _id: 0,
           total: 1,
           resolved: 1,
+          autoResolved: 1,
           acknowledged: 1,
           open: 1,
           unresolved: { $subtract: ['$total', '$resolved'] },
@@ -432,6 +505,7 @@ const getAlertStats = asyncHandler(async (req, res) => {
           _id: '$alertType',
           count: { $sum: 1 },
           resolved: { $sum: { $cond: ['$isResolved', 1, 0] } },
+          autoResolved: { $sum: { $cond: [{ $eq: ['$resolvedBy', Alert.AUTO_RESOLVED_BY] }, 1, 0] } },
           critical: { $sum: { $cond: [{ $eq: ['$severity', 'critical'] }, 1, 0] } }
         }
       },
@@ -463,6 +537,7 @@ const getAlertStats = asyncHandler(async (req, res) => {
     const defaultStats = {
       total: 0,
       resolved: 0,
+      autoResolved: 0,
       acknowledged: 0,
       open: 0,
       unresolved: 0,
@@ -499,7 +574,8 @@ const getAlertStats = asyncHandler(async (req, res) => {
 /**
  * Delete an alert (admin only)
  * @route DELETE /api/v1/alert/:alertId
- * @access Private (Master API Key required)
+ * @route DELETE /api/v1/alert/web/:alertId
+ * @access Private (API Key with alert-admin scope, or JWT owner/admin)
  */
 const deleteAlert = asyncHandler(async (req, res) => {
   const { alertId } = req.params;
@@ -507,15 +583,24 @@ const deleteAlert = asyncHandler(async (req, res) => {
   try {
     const alert = await Alert.findById(alertId);
     
-    if (!alert || alert.deletedAt) {
+    if (!alert || alert.deletedAt || !canAccessAlert(req, alert)) {
       throw notFoundError('Alert');
     }
     
     // SOFT DELETE - preserve data integrity
     alert.deletedAt = new Date();
-    alert.deletedBy = req.apiKey?.type || 'unknown';
+    alert.deletedBy = describeActor(req);
     await alert.save();
     
+    await recordAudit(req, {
+      action: 'alert.delete',
+      targetType: 'alert',
+      targetId: alert._id,
+      before: { deletedAt: null, deletedBy: null },
+      after: { deletedAt: alert.deletedAt, deletedBy: alert.deletedBy },
+      organizationId: alert.organizationId
+    });
+    
     logger.warn('Alert soft deleted (archived)', {
       alertId,
       deviceId: alert.deviceId,
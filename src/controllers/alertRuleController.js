@@ -0,0 +1,288 @@
+const AlertRule = require('../models/AlertRule');
+const AlertRuleState = require('../models/AlertRuleState');
+const {
+  successResponse,
+  createdResponse
+} = require('../utils/apiResponse');
+const logger = require('../utils/logger');
+const { tenantFilter } = require('../utils/helpers');
+const { asyncHandler, notFoundError, AppError } = require('../middleware/errorHandler');
+const { recordAudit } = require('../services/auditService');
+
+// Fields that change what a rule matches; editing them restarts evaluation
+const MATCHING_FIELDS = ['conditions', 'match', 'sustainSeconds', 'deviceIds', 'groups'];
+
+/**
+ * Format alert rule for response
+ * @param {Object} rule - AlertRule document or lean object
+ * @returns {Object} Formatted alert rule
+ */
+const formatAlertRule = (rule) => {
+  const { __v, id, ...rest } = rule.toObject ? rule.toObject() : rule;
+  return rest;
+};
+
+/**
+ * Pick the audited settings of an alert rule (everything but ids and timestamps)
+ * @param {Object|null} rule - AlertRule document or lean object
+ * @returns {Object|null} Audited fields
+ */
+const alertRuleSnapshot = (rule) => {
+  if (!rule) return null;
+  const { _id, __v, id, createdAt, updatedAt, ...fields } = rule.toObject ? rule.toObject() : rule;
+  return fields;
+};
+
+const handleValidationError = (error, message) => {
+  if (error.name === 'ValidationError') {
+    throw new AppError(message, 400, Object.values(error.errors).map(e => ({
+      field: e.path,
+      message: e.message
+    })));
+  }
+  if (error.name === 'CastError') {
+    throw notFoundError('Alert rule');
+  }
+  throw error;
+};
+
+/**
+ * Create a new alert rule
+ * @route POST /api/v1/alert-rules
+ * @access Private (API Key required)
+ */
+const createAlertRule = asyncHandler(async (req, res) => {
+  const { name, alertType } = req.body;
+
+  try {
+    const rule = new AlertRule({
+      ...req.body,
+      organizationId: req.organizationId || null
+    });
+
+    await rule.save();
+
+    await recordAudit(req, {
+      action: 'alert_rule.create',
+      targetType: 'alert_rule',
+      targetId: rule._id,
+      after: alertRuleSnapshot(rule)
+    });
+
+    logger.info('Alert rule created', {
+      ruleId: rule._id,
+      name,
+      alertType: rule.alertType,
+      deviceCount: rule.deviceIds.length,
+      groups: rule.groups
+    });
+
+    return createdResponse(res, 'Alert rule created successfully', {
+      rule: formatAlertRule(rule)
+    });
+
+  } catch (error) {
+    logger.error('Error creating alert rule:', {
+      error: error.message,
+      name,
+      alertType
+    });
+    handleValidationError(error, 'Invalid alert rule data');
+  }
+});
+
+/**
+ * Get alert rules with filtering and pagination
+ * @route GET /api/v1/alert-rules
+ * @access Private (API Key required)
+ */
+const getAlertRules = asyncHandler(async (req, res) => {
+  const { deviceId, group, alertType, isActive, limit = 50, page = 1 } = req.query;
+
+  try {
+    const query = { ...tenantFilter(req) };
+    if (deviceId) query.deviceIds = deviceId;
+    if (group) query.groups = group;
+    if (alertType) query.alertType = alertType;
+    if (isActive !== undefined) query.isActive = isActive === true || isActive === 'true';
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [rules, total] = await Promise.all([
+      AlertRule.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      AlertRule.countDocuments(query)
+    ]);
+
+    logger.info('Alert rules retrieved', {
+      count: rules.length,
+      total,
+      filters: { deviceId, group, alertType, isActive }
+    });
+
+    return successResponse(res, 'Alert rules retrieved successfully', {
+      rules: rules.map(formatAlertRule),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit)),
+        hasNext: page < Math.ceil(total / parseInt(limit)),
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error retrieving alert rules:', {
+      error: error.message,
+      query: req.query
+    });
+    throw error;
+  }
+});
+
+/**
+ * Get alert rule by ID
+ * @route GET /api/v1/alert-rules/:ruleId
+ * @access Private (API Key required)
+ */
+const getAlertRuleById = asyncHandler(async (req, res) => {
+  const { ruleId } = req.params;
+
+  try {
+    const rule = await AlertRule.findOne({ _id: ruleId, ...tenantFilter(req) }).lean();
+
+    if (!rule) {
+      throw notFoundError('Alert rule');
+    }
+
+    return successResponse(res, 'Alert rule retrieved successfully', {
+      rule: formatAlertRule(rule)
+    });
+
+  } catch (error) {
+    logger.error('Error retrieving alert rule by ID:', {
+      error: error.message,
+      ruleId
+    });
+    handleValidationError(error, 'Invalid alert rule ID');
+  }
+});
+
+/**
+ * Update an alert rule
+ * @route PUT /api/v1/alert-rules/:ruleId
+ * @access Private (API Key required)
+ */
+const updateAlertRule = asyncHandler(async (req, res) => {
+  const { ruleId } = req.params;
+  const { autoResolve, ...fields } = req.body;
+
+  try {
+    const rule = await AlertRule.findOne({ _id: ruleId, ...tenantFilter(req) });
+
+    if (!rule) {
+      throw notFoundError('Alert rule');
+    }
+
+    const before = alertRuleSnapshot(rule);
+
+    rule.set(fields);
+
+    // null clears the override and falls back to the alert type's defaults
+    if (autoResolve === null) {
+      rule.autoResolve = undefined;
+    } else if (autoResolve !== undefined) {
+      rule.autoResolve = autoResolve;
+    }
+
+    await rule.save();
+
+    await recordAudit(req, {
+      action: 'alert_rule.update',
+      targetType: 'alert_rule',
+      targetId: rule._id,
+      before,
+      after: alertRuleSnapshot(rule)
+    });
+
+    // Sustain tracking for the old conditions no longer applies
+    if (MATCHING_FIELDS.some(field => req.body[field] !== undefined)) {
+      await AlertRuleState.updateMany(
+        { ruleId: rule._id },
+        { matchingSince: null, lastMatchedAt: null }
+      );
+    }
+
+    logger.info('Alert rule updated', {
+      ruleId,
+      fields: Object.keys(req.body)
+    });
+
+    return successResponse(res, 'Alert rule updated successfully', {
+      rule: formatAlertRule(rule)
+    });
+
+  } catch (error) {
+    logger.error('Error updating alert rule:', {
+      error: error.message,
+      ruleId
+    });
+    handleValidationError(error, 'Invalid alert rule data');
+  }
+});
+
+/**
+ * Delete an alert rule
+ * @route DELETE /api/v1/alert-rules/:ruleId
+ * @access Private (API Key required)
+ */
+const deleteAlertRule = asyncHandler(async (req, res) => {
+  const { ruleId } = req.params;
+
+  try {
+    const rule = await AlertRule.findOneAndDelete({ _id: ruleId, ...tenantFilter(req) });
+
+    if (!rule) {
+      throw notFoundError('Alert rule');
+    }
+
+    await AlertRuleState.deleteMany({ ruleId: rule._id });
+
+    await recordAudit(req, {
+      action: 'alert_rule.delete',
+      targetType: 'alert_rule',
+      targetId: rule._id,
+      before: alertRuleSnapshot(rule)
+    });
+
+    logger.warn('Alert rule deleted', {
+      ruleId,
+      name: rule.name,
+      alertType: rule.alertType
+    });
+
+    return successResponse(res, 'Alert rule deleted successfully', {
+      ruleId,
+      name: rule.name
+    });
+
+  } catch (error) {
+    logger.error('Error deleting alert rule:', {
+      error: error.message,
+      ruleId
+    });
+    handleValidationError(error, 'Invalid alert rule ID');
+  }
+});
+
+module.exports = {
+  createAlertRule,
+  getAlertRules,
+  getAlertRuleById,
+  updateAlertRule,
+  deleteAlertRule
+};
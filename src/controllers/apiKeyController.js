@@ -0,0 +1,202 @@
+const ApiKey = require('../models/ApiKey');
+const Organization = require('../models/Organization');
+const {
+  successResponse,
+  createdResponse
+} = require('../utils/apiResponse');
+const logger = require('../utils/logger');
+const { asyncHandler, notFoundError } = require('../middleware/errorHandler');
+const { recordAudit, describeActor } = require('../services/auditService');
+
+/**
+ * Format API key for response (never includes the key or its hash)
+ * @param {Object} apiKey - ApiKey document or lean object
+ * @returns {Object} Formatted API key
+ */
+const formatApiKey = (apiKey) => {
+  const isExpired = !!apiKey.expiresAt && new Date() > new Date(apiKey.expiresAt);
+
+  return {
+    id: apiKey._id,
+    name: apiKey.name,
+    keyPrefix: apiKey.keyPrefix,
+    scopes: apiKey.scopes,
+    deviceIds: apiKey.deviceIds,
+    organizationId: apiKey.organizationId || null,
+    expiresAt: apiKey.expiresAt,
+    lastUsedAt: apiKey.lastUsedAt,
+    status: apiKey.revokedAt ? 'revoked' : isExpired ? 'expired' : 'active',
+    createdBy: apiKey.createdBy,
+    createdAt: apiKey.createdAt,
+    revokedAt: apiKey.revokedAt,
+    revokedBy: apiKey.revokedBy
+  };
+};
+
+/**
+ * Create a new API key
+ * @route POST /api/v1/api-keys
+ * @access Private (Master API Key required)
+ */
+const createApiKey = asyncHandler(async (req, res) => {
+  const { name, scopes, deviceIds, organizationId, expiresAt } = req.body;
+
+  try {
+    if (organizationId && !await Organization.exists({ _id: organizationId })) {
+      throw notFoundError('Organization');
+    }
+
+    const { apiKey, doc } = await ApiKey.createKey({
+      name,
+      scopes,
+      deviceIds,
+      organizationId,
+      expiresAt,
+      createdBy: describeActor(req)
+    });
+
+    await recordAudit(req, {
+      action: 'api_key.create',
+      targetType: 'api_key',
+      targetId: doc._id,
+      after: {
+        name: doc.name,
+        keyPrefix: doc.keyPrefix,
+        scopes: doc.scopes,
+        deviceIds: doc.deviceIds,
+        expiresAt: doc.expiresAt
+      },
+      organizationId: doc.organizationId || null
+    });
+
+    logger.info('API key created', {
+      keyId: doc._id,
+      name,
+      scopes,
+      deviceIds,
+      organizationId,
+      expiresAt
+    });
+
+    return createdResponse(res, 'API key created successfully. Store the key now, it cannot be retrieved again', {
+      apiKey,
+      ...formatApiKey(doc)
+    });
+
+  } catch (error) {
+    logger.error('Error creating API key:', {
+      error: error.message,
+      name
+    });
+    throw error;
+  }
+});
+
+/**
+ * Get API keys
+ * @route GET /api/v1/api-keys
+ * @access Private (Master API Key required)
+ */
+const getApiKeys = asyncHandler(async (req, res) => {
+  const { status, organizationId, limit = 50, page = 1 } = req.query;
+
+  try {
+    const now = new Date();
+    const query = {};
+
+    if (organizationId) query.organizationId = organizationId;
+
+    if (status === 'revoked') {
+      query.revokedAt = { $ne: null };
+    } else if (status === 'expired') {
+      query.revokedAt = null;
+      query.expiresAt = { $ne: null, $lte: now };
+    } else if (status === 'active') {
+      query.revokedAt = null;
+      query.$or = [{ expiresAt: null }, { expiresAt: { $gt: now } }];
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [apiKeys, total] = await Promise.all([
+      ApiKey.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      ApiKey.countDocuments(query)
+    ]);
+
+    return successResponse(res, 'API keys retrieved successfully', {
+      apiKeys: apiKeys.map(formatApiKey),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit)),
+        hasNext: page < Math.ceil(total / parseInt(limit)),
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error retrieving API keys:', {
+      error: error.message,
+      query: req.query
+    });
+    throw error;
+  }
+});
+
+/**
+ * Revoke an API key (takes effect on the next request)
+ * @route DELETE /api/v1/api-keys/:keyId
+ * @access Private (Master API Key required)
+ */
+const revokeApiKey = asyncHandler(async (req, res) => {
+  const { keyId } = req.params;
+
+  try {
+    const apiKey = await ApiKey.findById(keyId);
+
+    if (!apiKey) {
+      throw notFoundError('API key');
+    }
+
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date();
+      apiKey.revokedBy = describeActor(req);
+      await apiKey.save();
+
+      await recordAudit(req, {
+        action: 'api_key.revoke',
+        targetType: 'api_key',
+        targetId: apiKey._id,
+        before: { revokedAt: null },
+        after: { revokedAt: apiKey.revokedAt },
+        organizationId: apiKey.organizationId || null
+      });
+
+      logger.warn('API key revoked', {
+        keyId,
+        name: apiKey.name,
+        keyPrefix: apiKey.keyPrefix
+      });
+    }
+
+    return successResponse(res, 'API key revoked successfully', formatApiKey(apiKey));
+
+  } catch (error) {
+    logger.error('Error revoking API key:', {
+      error: error.message,
+      keyId
+    });
+    throw error;
+  }
+});
+
+module.exports = {
+  createApiKey,
+  getApiKeys,
+  revokeApiKey
+};
@@ -0,0 +1,154 @@
+const AuditEvent = require('../models/AuditEvent');
+const { successResponse } = require('../utils/apiResponse');
+const logger = require('../utils/logger');
+const { tenantFilter, toCsvRow } = require('../utils/helpers');
+const { isClientGone, writeChunk } = require('../utils/streaming');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+const CSV_COLUMNS = [
+  'timestamp', 'action', 'actorType', 'actorUserId', 'actorApiKeyId', 'actorLabel',
+  'targetType', 'targetId', 'organizationId', 'changes', 'ip', 'userAgent', 'requestId'
+];
+
+/**
+ * Build the audit log query from request filters
+ * @param {Object} req - Express request object (validated query)
+ * @returns {Object} MongoDB query
+ */
+const buildAuditQuery = (req) => {
+  const { action, actorType, userId, apiKeyId, targetType, targetId, requestId, organizationId, startDate, endDate } = req.query;
+
+  // Organization callers only see their organization; platform admins may pick one
+  const query = req.organizationId ? tenantFilter(req) : {};
+  if (!req.organizationId && organizationId) query.organizationId = organizationId;
+
+  if (action) {
+    query.action = action.endsWith('.*') ?
+      { $regex: `^${action.slice(0, -2)}\\.` } :
+      action;
+  }
+  if (actorType) query['actor.type'] = actorType;
+  if (userId) query['actor.userId'] = userId;
+  if (apiKeyId) query['actor.apiKeyId'] = apiKeyId;
+  if (targetType) query['target.type'] = targetType;
+  if (targetId) query['target.id'] = targetId;
+  if (requestId) query.requestId = requestId;
+
+  if (startDate || endDate) {
+    query.timestamp = {};
+    if (startDate) query.timestamp.$gte = new Date(startDate);
+    if (endDate) query.timestamp.$lte = new Date(endDate);
+  }
+
+  return query;
+};
+
+/**
+ * Stream matching audit events as CSV (no pagination, newest first)
+ * @param {Object} res - Express response object
+ * @param {Object} query - MongoDB query
+ */
+const streamAuditCsv = async (res, query) => {
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="audit-${new Date().toISOString().slice(0, 10)}.csv"`);
+  res.write(toCsvRow(CSV_COLUMNS));
+
+  const cursor = AuditEvent.find(query).sort({ timestamp: -1 }).lean().cursor();
+
+  try {
+    for await (const event of cursor) {
+      // Respect backpressure so large exports don't buffer in memory; stop if the client went away
+      const canContinue = await writeChunk(res, toCsvRow([
+        event.timestamp,
+        event.action,
+        event.actor?.type,
+        event.actor?.userId,
+        event.actor?.apiKeyId,
+        event.actor?.label,
+        event.target?.type,
+        event.target?.id,
+        event.organizationId,
+        event.changes?.length ? JSON.stringify(event.changes) : '',
+        event.ip,
+        event.userAgent,
+        event.requestId
+      ]));
+      if (!canContinue) break;
+    }
+  } catch (error) {
+    // Headers are already sent, so the error handler can't answer with JSON
+    logger.error('Error streaming audit CSV export:', { error: error.message });
+    return res.end();
+  } finally {
+    await cursor.close();
+  }
+
+  if (isClientGone(res)) {
+    logger.warn('Audit CSV export aborted by client');
+    return;
+  }
+
+  res.end();
+};
+
+/**
+ * Get audit events with filtering and pagination, or export them as CSV
+ * @route GET /api/v1/audit
+ * @route GET /api/v1/audit/web
+ * @access Private (Master API Key, or JWT owner/admin of an organization)
+ */
+const getAuditEvents = asyncHandler(async (req, res) => {
+  const { format, limit = 50, page = 1 } = req.query;
+
+  try {
+    const query = buildAuditQuery(req);
+
+    if (format === 'csv') {
+      logger.info('Audit log exported', {
+        filters: req.query,
+        organizationId: req.organizationId,
+        requestedBy: req.user?.id || req.apiKey?.type
+      });
+      return await streamAuditCsv(res, query);
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [events, total] = await Promise.all([
+      AuditEvent.find(query)
+        .sort({ timestamp: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      AuditEvent.countDocuments(query)
+    ]);
+
+    return successResponse(res, 'Audit events retrieved successfully', {
+      events,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit)),
+        hasNext: page < Math.ceil(total / parseInt(limit)),
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error retrieving audit events:', {
+      error: error.message,
+      query: req.query
+    });
+
+    // Headers are gone once a CSV export has started streaming
+    if (res.headersSent) {
+      return res.end();
+    }
+    throw error;
+  }
+});
+
+module.exports = {
+  getAuditEvents
+};
@@ -1,9 +1,63 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const OTP = require('../models/OTP');
-const { successResponse, badRequestResponse, serverErrorResponse, notFoundResponse } = require('../utils/apiResponse');
+const Session = require('../models/Session');
+const Organization = require('../models/Organization');
+const { apiResponse, successResponse, badRequestResponse, serverErrorResponse, notFoundResponse, unauthorizedResponse, forbiddenResponse } = require('../utils/apiResponse');
+const { sendSms, canExposeOtp } = require('../services/smsProvider');
+const { recordAudit } = require('../services/auditService');
+const config = require('../config/environment');
 const logger = require('../utils/logger');
 
+/**
+ * Sign a short-lived access token bound to a session, carrying the user's
+ * roles in the session's organization (checked by requireRoles)
+ * @param {Object} user - User document
+ * @param {Object} session - Session document (ID checked by authenticateToken)
+ * @returns {Object} { token, roles }
+ */
+const signAccessToken = async (user, session) => {
+  const organizationId = session.organizationId || null;
+  const roles = await Organization.rolesFor(user._id, organizationId);
+
+  const token = jwt.sign(
+    {
+      id: user._id,
+      sid: session._id.toString(),
+      org: organizationId ? organizationId.toString() : null,
+      roles,
+      phoneNumber: user.phoneNumber,
+      isVerified: user.isVerified
+    },
+    config.JWT_SECRET,
+    {
+      expiresIn: config.JWT_EXPIRES_IN,
+      issuer: 'drishti-backend',
+      subject: user._id.toString()
+    }
+  );
+
+  return { token, roles };
+};
+
+/**
+ * Format session for response
+ * @param {Object} session - Session document or lean object
+ * @param {string} currentSessionId - Session of the caller
+ * @returns {Object} Formatted session
+ */
+const formatSession = (session, currentSessionId) => ({
+  id: session._id,
+  ip: session.ip,
+  userAgent: session.userAgent,
+  deviceInfo: session.deviceInfo,
+  organizationId: session.organizationId || null,
+  createdAt: session.createdAt,
+  lastUsedAt: session.lastUsedAt,
+  expiresAt: session.expiresAt,
+  current: session._id.toString() === currentSessionId
+});
+
 /**
  * Send OTP for login or registration
  * @route POST /api/v1/auth/send-otp
@@ -60,11 +114,29 @@ const sendOTP = async (req, res) => {
       ip: req.ip
     });
 
-    // In production, send OTP via SMS service
-    // For development, we'll return the OTP in response (as per requirements)
+    // Deliver the code by SMS
+    try {
+      const { provider, messageId } = await sendSms(
+        phoneNumber,
+        `Your IoT Tracker verification code is ${otpDoc.otp}. It expires in 10 minutes.`
+      );
+      await otpDoc.recordDelivery({ provider, messageId });
+    } catch (error) {
+      await otpDoc.recordDelivery({ provider: config.SMS_PROVIDER, error: error.message });
+
+      logger.error('OTP SMS delivery failed', {
+        phoneNumber,
+        otpId: otpDoc._id,
+        provider: config.SMS_PROVIDER,
+        error: error.message
+      });
+
+      return apiResponse(res, 502, 'Failed to deliver OTP by SMS. Please try again later.');
+    }
+
     return successResponse(res, 'OTP sent successfully', {
-      // DEVELOPMENT ONLY - Remove in production
-      otp: otpDoc.otp,
+      // Only exposed with a development SMS provider (console/file) outside production
+      ...(canExposeOtp() && { otp: otpDoc.otp }),
       expiresIn: 600, // 10 minutes in seconds
       remaining: rateLimitCheck.remaining - 1,
       // Additional info for frontend
@@ -146,23 +218,42 @@ const verifyOTP = async (req, res) => {
       });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      {
-        id: user._id,
-        phoneNumber: user.phoneNumber,
-        isVerified: user.isVerified
-      },
-      process.env.JWT_SECRET || 'your_jwt_secret_key',
-      {
-        expiresIn: process.env.JWT_EXPIRES_IN || '7d',
-        issuer: 'drishti-backend',
-        subject: user._id.toString()
-      }
-    );
+    // Validate JWT secret exists
+    if (!config.JWT_SECRET) {
+      logger.error('JWT_SECRET environment variable is not set');
+      return serverErrorResponse(res, 'Authentication system not properly configured');
+    }
+
+    // New sessions start in the user's first organization (personal devices if none)
+    const [organization] = await Organization.findForUser(user._id).limit(1).select('_id').lean();
+
+    // Start a session with the client details recorded on the OTP request
+    const { refreshToken: newRefreshToken, session } = await Session.createSession({
+      userId: user._id,
+      organizationId: organization?._id || null,
+      ip: verification.metadata?.ip || req.ip,
+      userAgent: verification.metadata?.userAgent || req.get('User-Agent') || '',
+      deviceInfo: verification.metadata?.deviceInfo || '',
+      expiresInDays: config.REFRESH_TOKEN_EXPIRES_DAYS
+    });
+
+    const { token, roles } = await signAccessToken(user, session);
+
+    await recordAudit(req, {
+      action: purpose === 'registration' ? 'auth.register' : 'auth.login',
+      targetType: 'session',
+      targetId: session._id,
+      after: { userId: user._id, organizationId: session.organizationId },
+      organizationId: session.organizationId,
+      actor: { type: 'user', userId: user._id, label: user.phoneNumber }
+    });
 
     return successResponse(res, purpose === 'registration' ? 'Registration successful' : 'Login successful', {
       token,
+      refreshToken: newRefreshToken,
+      sessionId: session._id,
+      organizationId: session.organizationId,
+      roles,
       user: {
         id: user._id,
         phoneNumber: user.phoneNumber,
@@ -214,6 +305,8 @@ const updateProfile = async (req, res) => {
       return notFoundResponse(res, 'User not found');
     }
 
+    const before = { name: user.name, email: user.email, preferences: user.preferences };
+
     // Update fields
     if (name !== undefined) user.name = name;
     if (email !== undefined) user.email = email;
@@ -223,6 +316,15 @@ const updateProfile = async (req, res) => {
 
     await user.save();
 
+    await recordAudit(req, {
+      action: 'user.profile_update',
+      targetType: 'user',
+      targetId: user._id,
+      before,
+      after: { name: user.name, email: user.email, preferences: user.preferences },
+      organizationId: null
+    });
+
     logger.info('Profile updated', {
       userId: user._id,
       ip: req.ip
@@ -239,39 +341,55 @@ const updateProfile = async (req, res) => {
 };
 
 /**
- * Refresh JWT token
+ * Exchange a refresh token for a new access token and refresh token.
+ * Each refresh token works once; reusing an old one revokes the session.
  * @route POST /api/v1/auth/refresh
  */
 const refreshToken = async (req, res) => {
   try {
-    const user = await User.findById(req.user.id);
-    if (!user || !user.isActive) {
-      return notFoundResponse(res, 'User not found or inactive');
+    const { refreshToken: presentedToken } = req.body;
+
+    if (!presentedToken || typeof presentedToken !== 'string') {
+      return badRequestResponse(res, 'Refresh token is required');
     }
 
     // Validate JWT secret exists
-    if (!process.env.JWT_SECRET) {
+    if (!config.JWT_SECRET) {
       logger.error('JWT_SECRET environment variable is not set');
       return serverErrorResponse(res, 'Authentication system not properly configured');
     }
 
-    // Generate new JWT token
-    const token = jwt.sign(
-      {
-        id: user._id,
-        phoneNumber: user.phoneNumber,
-        isVerified: user.isVerified
-      },
-      process.env.JWT_SECRET,
-      {
-        expiresIn: process.env.JWT_EXPIRES_IN || '7d',
-        issuer: 'drishti-backend',
-        subject: user._id.toString()
-      }
-    );
+    const rotation = await Session.rotate(presentedToken);
+
+    if (!rotation) {
+      return unauthorizedResponse(res, 'Invalid or expired refresh token');
+    }
+
+    if (rotation.reuseDetected) {
+      logger.warn('Refresh token reuse detected, session revoked', {
+        userId: rotation.session.userId,
+        sessionId: rotation.session._id,
+        ip: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+      return unauthorizedResponse(res, 'Refresh token has already been used. Session revoked, please log in again');
+    }
+
+    const { session } = rotation;
+    const user = await User.findById(session.userId);
+    if (!user || !user.isActive) {
+      await Session.revokeAllForUser(session.userId, 'logout_all');
+      return notFoundResponse(res, 'User not found or inactive');
+    }
+
+    const { token, roles } = await signAccessToken(user, session);
 
     return successResponse(res, 'Token refreshed successfully', {
-      token
+      token,
+      refreshToken: rotation.refreshToken,
+      sessionId: session._id,
+      organizationId: session.organizationId,
+      roles
     });
 
   } catch (error) {
@@ -280,10 +398,161 @@ const refreshToken = async (req, res) => {
   }
 };
 
+/**
+ * Log out the current session
+ * @route POST /api/v1/auth/logout
+ */
+const logout = async (req, res) => {
+  try {
+    await Session.updateOne(
+      { _id: req.user.sid, userId: req.user.id, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'logout' }
+    );
+
+    await recordAudit(req, {
+      action: 'auth.logout',
+      targetType: 'session',
+      targetId: req.user.sid
+    });
+
+    logger.info('User logged out', {
+      userId: req.user.id,
+      sessionId: req.user.sid,
+      ip: req.ip
+    });
+
+    return successResponse(res, 'Logged out successfully');
+
+  } catch (error) {
+    logger.error('Logout error:', error);
+    return serverErrorResponse(res, 'Failed to log out');
+  }
+};
+
+/**
+ * Log out every session of the current user (including this one)
+ * @route POST /api/v1/auth/logout-all
+ */
+const logoutAll = async (req, res) => {
+  try {
+    const revoked = await Session.revokeAllForUser(req.user.id, 'logout_all');
+
+    await recordAudit(req, {
+      action: 'auth.logout_all',
+      targetType: 'user',
+      targetId: req.user.id,
+      after: { revokedSessions: revoked },
+      organizationId: null
+    });
+
+    logger.warn('User logged out of all sessions', {
+      userId: req.user.id,
+      revoked,
+      ip: req.ip
+    });
+
+    return successResponse(res, 'Logged out of all sessions', {
+      revoked
+    });
+
+  } catch (error) {
+    logger.error('Logout all error:', error);
+    return serverErrorResponse(res, 'Failed to log out of all sessions');
+  }
+};
+
+/**
+ * List active sessions of the current user
+ * @route GET /api/v1/auth/sessions
+ */
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      userId: req.user.id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .sort({ lastUsedAt: -1 })
+      .lean();
+
+    return successResponse(res, 'Sessions retrieved successfully', {
+      sessions: sessions.map(session => formatSession(session, req.user.sid))
+    });
+
+  } catch (error) {
+    logger.error('Get sessions error:', error);
+    return serverErrorResponse(res, 'Failed to fetch sessions');
+  }
+};
+
+/**
+ * Switch the organization the current session works in
+ * (null switches back to the user's personal devices)
+ * @route POST /api/v1/auth/switch-organization
+ */
+const switchOrganization = async (req, res) => {
+  try {
+    const { organizationId = null } = req.body;
+
+    if (organizationId) {
+      const organization = await Organization.findMembership(organizationId, req.user.id);
+      if (!organization) {
+        return forbiddenResponse(res, 'You are not a member of this organization');
+      }
+    }
+
+    const session = await Session.findOneAndUpdate(
+      { _id: req.user.sid, userId: req.user.id, revokedAt: null },
+      { organizationId },
+      { new: true }
+    );
+    if (!session) {
+      return unauthorizedResponse(res, 'Session has been revoked');
+    }
+
+    const user = await User.findById(req.user.id);
+    if (!user || !user.isActive) {
+      return notFoundResponse(res, 'User not found or inactive');
+    }
+
+    await recordAudit(req, {
+      action: 'auth.switch_organization',
+      targetType: 'session',
+      targetId: session._id,
+      before: { organizationId: req.organizationId },
+      after: { organizationId: session.organizationId },
+      organizationId: session.organizationId
+    });
+
+    logger.info('Session organization switched', {
+      userId: req.user.id,
+      sessionId: req.user.sid,
+      organizationId
+    });
+
+    const { token, roles } = await signAccessToken(user, session);
+
+    return successResponse(res, 'Organization switched successfully', {
+      token,
+      sessionId: session._id,
+      organizationId: session.organizationId,
+      roles
+    });
+
+  } catch (error) {
+    logger.error('Switch organization error:', error);
+    return serverErrorResponse(res, 'Failed to switch organization');
+  }
+};
+
 module.exports = {
   sendOTP,
   verifyOTP,
   getProfile,
   updateProfile,
-  refreshToken
+  refreshToken,
+  logout,
+  logoutAll,
+  getSessions,
+  switchOrganization
 };
@@ -0,0 +1,143 @@
+const Device = require('../models/Device');
+const DeviceCommand = require('../models/DeviceCommand');
+const {
+  successResponse,
+  createdResponse
+} = require('../utils/apiResponse');
+const logger = require('../utils/logger');
+const { tenantFilter } = require('../utils/helpers');
+const { recordAudit, describeActor } = require('../services/auditService');
+const { queueCommand } = require('../services/commandService');
+const { isDeviceConnected } = require('../services/mqttGateway');
+const { asyncHandler, notFoundError } = require('../middleware/errorHandler');
+
+/**
+ * Format command for response
+ * @param {Object} command - DeviceCommand document or lean object
+ * @returns {Object} Formatted command
+ */
+const formatCommand = (command) => {
+  const { __v, id, ...rest } = command.toObject ? command.toObject() : command;
+  return rest;
+};
+
+/**
+ * Queue a downlink command for a device
+ * @route POST /api/v1/device/:deviceId/commands
+ * @route POST /api/v1/device/:deviceId/web-commands
+ * @access Private (API Key with command scope, or JWT owner/admin/operator)
+ */
+const createDeviceCommand = asyncHandler(async (req, res) => {
+  const { deviceId } = req.params;
+  const { type, params, ttlSeconds } = req.body;
+
+  try {
+    const device = await Device.findOne({ deviceId, ...tenantFilter(req) });
+    if (!device) {
+      throw notFoundError('Device');
+    }
+
+    const command = await queueCommand(device, {
+      type,
+      params,
+      ttlSeconds,
+      createdBy: describeActor(req)
+    });
+
+    await recordAudit(req, {
+      action: 'device.command',
+      targetType: 'device_command',
+      targetId: command._id,
+      after: { deviceId, type, params: command.params, expiresAt: command.expiresAt },
+      organizationId: device.organizationId || null
+    });
+
+    logger.info('Device command queued', {
+      commandId: command._id,
+      deviceId,
+      type,
+      expiresAt: command.expiresAt
+    });
+
+    return createdResponse(res, 'Device command queued successfully', {
+      command: formatCommand(command),
+      // Connected devices get it over MQTT right away, others with their next update-data response
+      mqttConnected: isDeviceConnected(deviceId)
+    });
+
+  } catch (error) {
+    logger.error('Error queueing device command:', {
+      error: error.message,
+      deviceId,
+      type
+    });
+    throw error;
+  }
+});
+
+/**
+ * Get the command history of a device
+ * @route GET /api/v1/device/:deviceId/commands
+ * @route GET /api/v1/device/:deviceId/web-commands
+ * @access Private (API Key required, or JWT device owner)
+ */
+const getDeviceCommands = asyncHandler(async (req, res) => {
+  const { deviceId } = req.params;
+  const { status, type, startDate, endDate, limit = 50, page = 1 } = req.query;
+
+  try {
+    const device = await Device.findOne({ deviceId, ...tenantFilter(req) }).select('_id').lean();
+    if (!device) {
+      throw notFoundError('Device');
+    }
+
+    // Show overdue commands as expired rather than waiting for the device's next contact
+    await DeviceCommand.expireOverdue(deviceId);
+
+    const query = { deviceId };
+    if (status) query.status = status;
+    if (type) query.type = type;
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) query.createdAt.$lte = new Date(endDate);
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [commands, total] = await Promise.all([
+      DeviceCommand.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      DeviceCommand.countDocuments(query)
+    ]);
+
+    return successResponse(res, 'Device commands retrieved successfully', {
+      deviceId,
+      commands: commands.map(formatCommand),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit)),
+        hasNext: page < Math.ceil(total / parseInt(limit)),
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error retrieving device commands:', {
+      error: error.message,
+      deviceId,
+      query: req.query
+    });
+    throw error;
+  }
+});
+
+module.exports = {
+  createDeviceCommand,
+  getDeviceCommands
+};
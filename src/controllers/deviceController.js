@@ -1,5 +1,6 @@
 const LocationData = require('../models/LocationData');
 const Device = require('../models/Device');
+const User = require('../models/User');
 const Alert = require('../models/Alert');
 const { 
   successResponse, 
@@ -8,7 +9,42 @@ const {
   serverErrorResponse 
 } = require('../utils/apiResponse');
 const logger = require('../utils/logger');
+const { tenantFilter, calculateDistance } = require('../utils/helpers');
+const { findPage } = require('../utils/pagination');
+const { isClientGone, writeChunk } = require('../utils/streaming');
+const { recordAudit } = require('../services/auditService');
 const { asyncHandler, notFoundError, AppError } = require('../middleware/errorHandler');
+const { locationDataSchema } = require('../validators/deviceValidator');
+const { 
+  buildLocationData, 
+  ingestReading, 
+  checkAndCreateAlerts 
+} = require('../services/ingestionService');
+const { refreshTrips, invalidateTrips, formatTrip } = require('../services/tripService');
+const { resolveOfflineAlerts } = require('../services/offlineMonitor');
+const { takeCommandsForDelivery, applyCommandAcks } = require('../services/commandService');
+const { EXPORT_FORMATS, EXPORT_SELECT } = require('../services/historyExportService');
+const { simplifyHistory, bucketHistory } = require('../services/historyReductionService');
+const { findPositions } = require('../services/positionService');
+const { resolveVisitRange, findVisits } = require('../services/visitService');
+const Trip = require('../models/Trip');
+
+// Device settings recorded in the audit log on registration
+const AUDITED_DEVICE_FIELDS = [
+  'name', 'description', 'batteryThreshold', 'offlineThresholdMinutes', 'group',
+  'alertSettings', 'hardware', 'isActive', 'organizationId'
+];
+
+/**
+ * Pick the audited settings of a device
+ * @param {Object|null} device - Device document or lean object
+ * @returns {Object|null} Audited fields
+ */
+const deviceSnapshot = (device) => {
+  if (!device) return null;
+  const source = device.toObject ? device.toObject() : device;
+  return Object.fromEntries(AUDITED_DEVICE_FIELDS.map(field => [field, source[field]]));
+};
 
 /**
  * Update device location data
@@ -16,101 +52,21 @@ const { asyncHandler, notFoundError, AppError } = require('../middleware/errorHa
  * @access Private (API Key required)
  */
 const updateDeviceData = asyncHandler(async (req, res) => {
-  const { 
-    deviceId, 
-    latitude, 
-    longitude, 
-    batteryVoltage, 
-    altitude,
-    speed,
-    course,
-    accuracy,
-    satellites,
-    batteryPercentage,
-    // OBD2 Data Fields
-    engineRpm,
-    vehicleSpeed,
-    engineLoad,
-    coolantTemperature,
-    fuelLevel,
-    throttlePosition,
-    intakeAirTemperature,
-    mafAirFlowRate,
-    fuelPressure,
-    engineRuntime,
-    distanceTraveled,
-    barometricPressure,
-    // Additional data for custom JSON
-    additionalData,
-    signalStrength,
-    temperature,
-    humidity,
-    timestamp
-  } = req.body;
+  const { deviceId, latitude, longitude, batteryVoltage } = req.body;
   
   try {
-    // Update device last seen and ensure device exists
-    const device = await Device.findOneAndUpdate(
-      { deviceId },
-      { 
-        lastSeen: new Date(),
-        $setOnInsert: {
-          name: deviceId, // Default name to deviceId if creating new
-          isActive: true
-        }
-      },
-      { 
-        upsert: true, 
-        new: true,
-        runValidators: true 
-      }
-    );
+    const { locationData, alertsCreated, commandsAcknowledged } = await ingestReading(deviceId, req.body, req.organizationId);
     
-    // Create location data entry
-    const locationData = new LocationData({
-      deviceId,
-      location: {
-        type: 'Point',
-        coordinates: [longitude, latitude] // GeoJSON format: [lng, lat]
-      },
-      altitude,
-      speed,
-      course,
-      accuracy,
-      satellites,
-      batteryVoltage,
-      batteryPercentage,
-      // OBD2 Data Fields
-      engineRpm,
-      vehicleSpeed,
-      engineLoad,
-      coolantTemperature,
-      fuelLevel,
-      throttlePosition,
-      intakeAirTemperature,
-      mafAirFlowRate,
-      fuelPressure,
-      engineRuntime,
-      distanceTraveled,
-      barometricPressure,
-      // Additional custom data
-      additionalData,
-      signalStrength,
-      temperature,
-      humidity,
-      timestamp: timestamp ? new Date(timestamp) : new Date()
-    });
-    
-    await locationData.save();
-    
-    // Check for alerts
-    const alertsCreated = await checkAndCreateAlerts(device, locationData);
+    // Queued downlink commands ride back on the response
+    const commands = await takeCommandsForDelivery(deviceId, 'http');
     
     logger.info('Location data updated successfully', {
       deviceId,
       coordinates: [latitude, longitude],
       batteryVoltage,
       alertsCreated: alertsCreated.length,
+      commandsAcknowledged,
+      commandsDelivered: commands.length,
       timestamp: locationData.timestamp
     });
     
@@ -119,6 +75,8 @@ const updateDeviceData = asyncHandler(async (req, res) => {
       timestamp: locationData.timestamp,
       batteryStatus: locationData.batteryStatus,
       alertsCreated: alertsCreated.length,
+      commandsAcknowledged,
+      commands,
       location: {
         latitude,
         longitude
@@ -144,6 +102,174 @@ const updateDeviceData = asyncHandler(async (req, res) => {
   }
 });
 
+/**
+ * Upload a batch of buffered device readings
+ * @route POST /api/v1/device/update-batch
+ * @access Private (API Key required)
+ */
+const updateDeviceDataBatch = asyncHandler(async (req, res) => {
+  const { deviceId, readings, commandAcks = [] } = req.body;
+  
+  try {
+    const results = [];
+    const accepted = [];
+    
+    // Validate every reading individually so one bad item doesn't drop the batch
+    readings.forEach((reading, index) => {
+      const { error, value } = locationDataSchema.validate(
+        { ...reading, deviceId },
+        { abortEarly: false, stripUnknown: true }
+      );
+      
+      if (error) {
+        results.push({
+          index,
+          status: 'rejected',
+          errors: error.details.map(detail => ({
+            field: detail.path.join('.'),
+            message: detail.message
+          }))
+        });
+        return;
+      }
+      
+      const locationData = buildLocationData(deviceId, value);
+      const validationError = locationData.validateSync();
+      
+      if (validationError) {
+        results.push({
+          index,
+          status: 'rejected',
+          errors: Object.values(validationError.errors).map(e => ({
+            field: e.path,
+            message: e.message
+          }))
+        });
+        return;
+      }
+      
+      results.push({ index, status: 'accepted', timestamp: locationData.timestamp });
+      accepted.push(locationData);
+    });
+    
+    if (accepted.length === 0) {
+      throw new AppError('No valid readings in batch', 400, results);
+    }
+    
+    // Process in timestamp order (firmware may flush its buffer out of order)
+    accepted.sort((a, b) => a.timestamp - b.timestamp);
+    const newestTimestamp = accepted[accepted.length - 1].timestamp;
+    
+    // Only move lastSeen forward, to the newest reading in the batch
+    const device = await Device.findOneAndUpdate(
+      { deviceId },
+      { 
+        $max: { lastSeen: newestTimestamp },
+        $setOnInsert: {
+          name: deviceId, // Default name to deviceId if creating new
+          isActive: true,
+          organizationId: req.organizationId || null
+        }
+      },
+      { 
+        upsert: true, 
+        new: true,
+        runValidators: true 
+      }
+    );
+    
+    await LocationData.insertMany(accepted, { ordered: true });
+    await Device.updateLatestState(deviceId, accepted);
+    
+    // Late readings may fall inside already segmented trips
+    await invalidateTrips(deviceId, accepted[0].timestamp);
+    
+    // Only recent readings mean the device is back online
+    if (device.isOnline()) {
+      await resolveOfflineAlerts(deviceId);
+    }
+    
+    // Close commands the device reports as done (in the batch or on buffered readings) before new ones are handed out
+    const commandsAcknowledged = await applyCommandAcks(deviceId, [
+      ...commandAcks,
+      ...readings.flatMap(reading => (Array.isArray(reading.commandAcks) ? reading.commandAcks : []))
+    ]);
+    
+    // Check for alerts in timestamp order
+    let alertsCreated = 0;
+    for (const locationData of accepted) {
+      const alerts = await checkAndCreateAlerts(device, locationData);
+      alertsCreated += alerts.length;
+    }
+    
+    const rejectedCount = readings.length - accepted.length;
+    
+    // Queued downlink commands ride back on the response
+    const commands = await takeCommandsForDelivery(deviceId, 'http');
+    
+    logger.info('Location data batch uploaded', {
+      deviceId,
+      received: readings.length,
+      accepted: accepted.length,
+      rejected: rejectedCount,
+      alertsCreated,
+      commandsAcknowledged,
+      commandsDelivered: commands.length,
+      range: [accepted[0].timestamp, newestTimestamp]
+    });
+    
+    return successResponse(res, 'Location data batch processed', {
+      deviceId,
+      received: readings.length,
+      accepted: accepted.length,
+      rejected: rejectedCount,
+      alertsCreated,
+      commandsAcknowledged,
+      commands,
+      lastSeen: device.lastSeen,
+      results
+    });
+    
+  } catch (error) {
+    logger.error('Error uploading device data batch:', {
+      error: error.message,
+      stack: error.stack,
+      deviceId,
+      count: readings?.length
+    });
+    throw error;
+  }
+});
+
+/**
+ * Build the LocationData query for a device's history within an optional date range
+ * @param {string} deviceId - Device ID
+ * @param {Object} range - { startDate, endDate }
+ * @returns {Object} MongoDB query
+ */
+const buildHistoryQuery = (deviceId, { startDate, endDate } = {}) => {
+  const query = { deviceId };
+  if (startDate || endDate) {
+    query.timestamp = {};
+    if (startDate) query.timestamp.$gte = new Date(startDate);
+    if (endDate) query.timestamp.$lte = new Date(endDate);
+  }
+  return query;
+};
+
+/**
+ * Add flat coordinates to a history point
+ * @param {Object} item - Lean LocationData point (or time bucket)
+ * @returns {Object} Formatted point
+ */
+const formatHistoryPoint = (item) => ({
+  ...item,
+  coordinates: {
+    latitude: item.location.coordinates[1],
+    longitude: item.location.coordinates[0]
+  }
+});
+
 /**
  * Get device location history
  * @route GET /api/v1/device/:deviceId/history
@@ -151,55 +277,200 @@ const updateDeviceData = asyncHandler(async (req, res) => {
  */
 const getDeviceHistory = asyncHandler(async (req, res) => {
   const { deviceId } = req.params;
-  const { startDate, endDate, limit = 100, page = 1 } = req.query;
+  const { startDate, endDate, simplify, bucket, cursor, count, limit = 100, page = 1 } = req.query;
   
   try {
     // Verify device exists
-    const device = await Device.findOne({ deviceId });
+    const device = await Device.findOne({ deviceId, ...tenantFilter(req) });
     if (!device) {
       throw notFoundError('Device');
     }
     
-    // Build query
-    const query = { deviceId };
-    if (startDate || endDate) {
-      query.timestamp = {};
-      if (startDate) query.timestamp.$gte = new Date(startDate);
-      if (endDate) query.timestamp.$lte = new Date(endDate);
-    }
+    const query = buildHistoryQuery(deviceId, { startDate, endDate });
     
-    // Calculate pagination
-    const skip = (page - 1) * limit;
+    const deviceSummary = {
+      name: device.name,
+      status: device.status,
+      lastSeen: device.lastSeen,
+      isActive: device.isActive
+    };
+    const dateRange = {
+      startDate: startDate ? new Date(startDate) : null,
+      endDate: endDate ? new Date(endDate) : null
+    };
     
-    // Get history data with pagination
-    const [history, total] = await Promise.all([
-      LocationData.find(query)
-        .sort({ timestamp: -1 })
-        .skip(skip)
-        .limit(parseInt(limit))
-        .select('-__v')
-        .lean(),
-      LocationData.countDocuments(query)
-    ]);
+    // Reduced history (simplified track or time buckets) covers the whole range without pagination
+    if (simplify || bucket) {
+      const { history, reduction } = simplify ?
+        await simplifyHistory(query, simplify) :
+        await bucketHistory(query, bucket);
+      
+      logger.info('Device history retrieved', {
+        deviceId,
+        count: history.length,
+        reduction,
+        dateRange: { startDate, endDate }
+      });
+      
+      return successResponse(res, 'Device history retrieved successfully', {
+        deviceId,
+        device: deviceSummary,
+        history: history.map(formatHistoryPoint),
+        reduction,
+        dateRange
+      });
+    }
     
-    // Format response data
-    const formattedHistory = history.map(item => ({
-      ...item,
-      coordinates: {
-        latitude: item.location.coordinates[1],
-        longitude: item.location.coordinates[0]
-      }
-    }));
+    // Get history data with cursor or page/limit pagination
+    const { items: history, pagination } = await findPage(LocationData, query, {
+      cursor,
+      page,
+      limit,
+      count
+    });
     
     logger.info('Device history retrieved', {
       deviceId,
       count: history.length,
-      total,
+      total: pagination.total,
       dateRange: { startDate, endDate },
-      pagination: { page, limit }
+      pagination: cursor ? { cursor, limit } : { page, limit }
     });
     
     return successResponse(res, 'Device history retrieved successfully', {
+      deviceId,
+      device: deviceSummary,
+      history: history.map(formatHistoryPoint),
+      pagination,
+      dateRange
+    });
+    
+  } catch (error) {
+    logger.error('Error retrieving device history:', {
+      error: error.message,
+      deviceId,
+      query: req.query
+    });
+    throw error;
+  }
+});
+
+/**
+ * Export device location history as GPX, KML, GeoJSON or CSV.
+ * Points are streamed from a cursor (oldest first) rather than loaded into memory.
+ * @route GET /api/v1/device/:deviceId/history/export
+ * @access Private (API Key required)
+ */
+const exportDeviceHistory = asyncHandler(async (req, res) => {
+  const { deviceId } = req.params;
+  const { format, startDate, endDate } = req.query;
+  
+  try {
+    const device = await Device.findOne({ deviceId, ...tenantFilter(req) }).select('deviceId name').lean();
+    if (!device) {
+      throw notFoundError('Device');
+    }
+    
+    const writer = EXPORT_FORMATS[format];
+    const cursor = LocationData.find(buildHistoryQuery(deviceId, { startDate, endDate }))
+      .sort({ timestamp: 1 })
+      .select(EXPORT_SELECT)
+      .lean()
+      .cursor();
+    
+    res.setHeader('Content-Type', writer.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${deviceId}-history-${new Date().toISOString().slice(0, 10)}.${writer.extension}"`);
+    res.write(writer.header(device));
+    
+    let count = 0;
+    try {
+      for await (const point of cursor) {
+        // Stop reading if the client went away
+        if (!await writeChunk(res, writer.point(point, count))) break;
+        count++;
+      }
+    } finally {
+      await cursor.close();
+    }
+    
+    if (isClientGone(res)) {
+      logger.warn('Device history export aborted by client', { deviceId, format, count });
+      return;
+    }
+    
+    res.end(writer.footer());
+    
+    logger.info('Device history exported', {
+      deviceId,
+      format,
+      count,
+      dateRange: { startDate, endDate }
+    });
+    
+  } catch (error) {
+    logger.error('Error exporting device history:', {
+      error: error.message,
+      deviceId,
+      query: req.query
+    });
+    
+    // Headers are gone once the export has started streaming
+    if (res.headersSent) {
+      return res.end();
+    }
+    throw error;
+  }
+});
+
+/**
+ * Get device trips (segmented from location history)
+ * @route GET /api/v1/device/:deviceId/trips
+ * @access Private (API Key required)
+ */
+const getDeviceTrips = asyncHandler(async (req, res) => {
+  const { deviceId } = req.params;
+  const { startDate, endDate, limit = 50 } = req.query;
+  
+  try {
+    // Verify device exists
+    const device = await Device.findOne({ deviceId, ...tenantFilter(req) });
+    if (!device) {
+      throw notFoundError('Device');
+    }
+    
+    // Segment any new location data since the last request
+    const openTrip = await refreshTrips(deviceId);
+    
+    const trips = await Trip.findInRange(deviceId, startDate, endDate)
+      .limit(parseInt(limit))
+      .select('-__v')
+      .lean();
+    
+    const formattedTrips = trips.map(trip => formatTrip(trip));
+    
+    const openTripInRange = openTrip &&
+      (!startDate || openTrip.endTime >= new Date(startDate)) &&
+      (!endDate || openTrip.startTime <= new Date(endDate));
+    if (openTripInRange) {
+      formattedTrips.unshift(formatTrip(openTrip, true));
+    }
+    
+    const summary = formattedTrips.reduce((totals, trip) => ({
+      count: totals.count + 1,
+      distanceMeters: totals.distanceMeters + trip.distanceMeters,
+      durationSeconds: totals.durationSeconds + trip.durationSeconds,
+      idleSeconds: totals.idleSeconds + trip.idleSeconds,
+      maxSpeed: Math.max(totals.maxSpeed, trip.maxSpeed)
+    }), { count: 0, distanceMeters: 0, durationSeconds: 0, idleSeconds: 0, maxSpeed: 0 });
+    
+    logger.info('Device trips retrieved', {
+      deviceId,
+      count: formattedTrips.length,
+      inProgress: !!openTripInRange,
+      dateRange: { startDate, endDate }
+    });
+    
+    return successResponse(res, 'Device trips retrieved successfully', {
       deviceId,
       device: {
         name: device.name,
@@ -207,15 +478,8 @@ const getDeviceHistory = asyncHandler(async (req, res) => {
         lastSeen: device.lastSeen,
         isActive: device.isActive
       },
-      history: formattedHistory,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / limit),
-        hasNext: page < Math.ceil(total / limit),
-        hasPrev: page > 1
-      },
+      trips: formattedTrips,
+      summary,
       dateRange: {
         startDate: startDate ? new Date(startDate) : null,
         endDate: endDate ? new Date(endDate) : null
@@ -223,7 +487,7 @@ const getDeviceHistory = asyncHandler(async (req, res) => {
     });
     
   } catch (error) {
-    logger.error('Error retrieving device history:', {
+    logger.error('Error retrieving device trips:', {
       error: error.message,
       deviceId,
       query: req.query
@@ -242,7 +506,7 @@ const getCurrentLocation = asyncHandler(async (req, res) => {
   
   try {
     // Get device info
-    const device = await Device.findOne({ deviceId });
+    const device = await Device.findOne({ deviceId, ...tenantFilter(req) });
     if (!device) {
       throw notFoundError('Device');
     }
@@ -304,22 +568,30 @@ const getCurrentLocation = asyncHandler(async (req, res) => {
 /**
  * Register or update device
  * @route POST /api/v1/device/register
- * @access Private (API Key required)
+ * @route POST /api/v1/device/web-register
+ * @access Private (API Key required, or JWT owner/admin of an organization)
  */
 const registerDevice = asyncHandler(async (req, res) => {
-  const { deviceId, name, description, batteryThreshold, alertSettings, hardware } = req.body;
+  const { deviceId, name, description, batteryThreshold, offlineThresholdMinutes, group, alertSettings, hardware } = req.body;
   
   try {
+    const previous = await Device.findOne({ deviceId }).select(AUDITED_DEVICE_FIELDS.join(' ')).lean();
+    
     const device = await Device.findOneAndUpdate(
       { deviceId },
       {
         name,
         description,
         batteryThreshold,
+        offlineThresholdMinutes,
+        group,
         alertSettings,
         hardware,
         lastSeen: new Date(),
-        isActive: true
+        isActive: true,
+        $setOnInsert: {
+          organizationId: req.organizationId || null
+        }
       },
       {
         upsert: true,
@@ -330,10 +602,23 @@ const registerDevice = asyncHandler(async (req, res) => {
     
     const isNewDevice = !device.createdAt || device.createdAt === device.updatedAt;
     
+    // Unclaimed devices get a one-time code for the owner to claim them from the app
+    const claimCode = await Device.ensureClaimCode(deviceId);
+    
+    await recordAudit(req, {
+      action: previous ? 'device.update' : 'device.register',
+      targetType: 'device',
+      targetId: deviceId,
+      before: deviceSnapshot(previous),
+      after: deviceSnapshot(device),
+      organizationId: device.organizationId
+    });
+    
     logger.info(`Device ${isNewDevice ? 'registered' : 'updated'}`, {
       deviceId,
       name,
-      isNew: isNewDevice
+      isNew: isNewDevice,
+      claimed: !!device.claimedBy
     });
     
     return createdResponse(res, `Device ${isNewDevice ? 'registered' : 'updated'} successfully`, {
@@ -341,7 +626,9 @@ const registerDevice = asyncHandler(async (req, res) => {
       name: device.name,
       status: device.status,
       isNew: isNewDevice,
-      lastSeen: device.lastSeen
+      lastSeen: device.lastSeen,
+      claimed: !!device.claimedBy,
+      ...(claimCode && { claimCode })
     });
     
   } catch (error) {
@@ -359,6 +646,199 @@ const registerDevice = asyncHandler(async (req, res) => {
   }
 });
 
+/**
+ * Claim a device for the logged-in user using its one-time claim code
+ * @route POST /api/v1/device/claim
+ * @access Private (JWT required)
+ */
+const claimDevice = asyncHandler(async (req, res) => {
+  const { deviceId, claimCode, alias = '' } = req.body;
+  
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user || !user.isActive) {
+      throw new AppError('User not found or inactive', 401);
+    }
+    
+    if (user.ownsDevice(deviceId)) {
+      throw new AppError('Device already associated with your account', 409);
+    }
+    
+    // Devices linked to another account before claim codes existed
+    const linkedElsewhere = await User.exists({ _id: { $ne: user._id }, 'devices.deviceId': deviceId });
+    if (linkedElsewhere) {
+      throw new AppError('Device is already claimed by another account', 409);
+    }
+    
+    // Claim atomically so the same code cannot be used twice. Unassigned devices
+    // join the organization selected in the session; devices already assigned to
+    // an organization can only be claimed from within it.
+    const organizationId = req.organizationId || null;
+    const device = await Device.findOneAndUpdate(
+      {
+        deviceId,
+        claimCode,
+        claimedBy: null,
+        organizationId: { $in: [null, organizationId] }
+      },
+      { claimedBy: user._id, claimedAt: new Date(), organizationId, $unset: { claimCode: 1 } },
+      { new: false }
+    );
+    
+    if (!device) {
+      const existing = await Device.findOne({ deviceId }).select('claimedBy organizationId').lean();
+      if (!existing) {
+        throw notFoundError('Device');
+      }
+      if (existing.claimedBy) {
+        throw new AppError('Device is already claimed by another account', 409);
+      }
+      if (existing.organizationId && String(existing.organizationId) !== String(organizationId)) {
+        throw new AppError('Device belongs to another organization', 403);
+      }
+      throw new AppError('Invalid claim code', 400);
+    }
+    
+    try {
+      await user.addDevice(deviceId, alias);
+    } catch (error) {
+      // Give the code and the previous organization back so the claim can be retried
+      await Device.updateOne(
+        { _id: device._id },
+        { claimedBy: null, claimedAt: null, claimCode, organizationId: device.organizationId }
+      );
+      throw error;
+    }
+    
+    // Existing alerts follow the device into the organization
+    if (String(device.organizationId) !== String(organizationId)) {
+      await Alert.updateMany({ deviceId }, { organizationId });
+    }
+    
+    await recordAudit(req, {
+      action: 'device.claim',
+      targetType: 'device',
+      targetId: deviceId,
+      before: { claimedBy: null, organizationId: device.organizationId },
+      after: { claimedBy: user._id, organizationId, alias },
+      organizationId
+    });
+    
+    logger.info('Device claimed', {
+      deviceId,
+      userId: user._id,
+      organizationId,
+      alias
+    });
+    
+    return successResponse(res, 'Device claimed successfully', {
+      deviceId,
+      name: device.name,
+      alias,
+      status: device.status,
+      organizationId,
+      claimedAt: new Date()
+    });
+    
+  } catch (error) {
+    logger.error('Error claiming device:', {
+      error: error.message,
+      deviceId,
+      userId: req.user?.id
+    });
+    throw error;
+  }
+});
+
+/**
+ * Release a claimed device from the logged-in user's account.
+ * A fresh claim code is issued so the device can be handed over (transferred).
+ * @route DELETE /api/v1/device/:deviceId/claim
+ * @access Private (JWT required, device owner)
+ */
+const releaseDevice = asyncHandler(async (req, res) => {
+  const { deviceId } = req.params;
+  
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user || !user.isActive) {
+      throw new AppError('User not found or inactive', 401);
+    }
+    
+    // Only the claimant can release; a fresh claim code replaces the one on the device
+    const claimCode = Device.generateClaimCode();
+    const { matchedCount } = await Device.updateOne(
+      { deviceId, claimedBy: user._id },
+      { claimedBy: null, claimedAt: null, claimCode }
+    );
+    
+    if (matchedCount === 0) {
+      if (!await Device.exists({ deviceId })) {
+        throw notFoundError('Device');
+      }
+      throw new AppError('Only the user who claimed this device can release it', 403);
+    }
+    
+    await user.removeDevice(deviceId);
+    
+    await recordAudit(req, {
+      action: 'device.release',
+      targetType: 'device',
+      targetId: deviceId,
+      before: { claimedBy: user._id },
+      after: { claimedBy: null }
+    });
+    
+    logger.info('Device released', {
+      deviceId,
+      userId: user._id
+    });
+    
+    return successResponse(res, 'Device released successfully', {
+      deviceId,
+      claimCode
+    });
+    
+  } catch (error) {
+    logger.error('Error releasing device:', {
+      error: error.message,
+      deviceId,
+      userId: req.user?.id
+    });
+    throw error;
+  }
+});
+
+/**
+ * Fill in the latest-state snapshot of devices that last reported before it was kept,
+ * from their newest stored reading (one query for all of them; stored for next time)
+ * @param {Array} devices - Lean device objects, updated in place
+ */
+const fillMissingLatestState = async (devices) => {
+  const missing = devices.filter(device => !device.latestState?.timestamp);
+  if (missing.length === 0) return;
+  
+  const latestReadings = await LocationData.aggregate([
+    { $match: { deviceId: { $in: missing.map(device => device.deviceId) } } },
+    { $sort: { deviceId: 1, timestamp: -1 } },
+    { $group: { _id: '$deviceId', reading: { $first: '$$ROOT' } } }
+  ]);
+  if (latestReadings.length === 0) return;
+  
+  await Promise.all(latestReadings.map(({ _id, reading }) => Device.updateLatestState(_id, reading)));
+  
+  const snapshots = await Device.find({ deviceId: { $in: latestReadings.map(({ _id }) => _id) } })
+    .select('deviceId latestState')
+    .lean();
+  const byDeviceId = new Map(snapshots.map(snapshot => [snapshot.deviceId, snapshot.latestState]));
+  
+  missing.forEach(device => {
+    if (byDeviceId.has(device.deviceId)) {
+      device.latestState = byDeviceId.get(device.deviceId);
+    }
+  });
+};
+
 /**
  * Get all devices
  * @route GET /api/v1/device/list
@@ -368,56 +848,48 @@ const getAllDevices = asyncHandler(async (req, res) => {
   const { isActive, status, limit = 50, page = 1 } = req.query;
   
   try {
-    const query = {};
+    const query = { ...tenantFilter(req) };
+    
+    // Restrict to the caller's devices (JWT owner or device-bound API key)
+    if (req.ownedDeviceIds) {
+      query.deviceId = { $in: req.ownedDeviceIds };
+    }
     
     if (isActive !== undefined) {
-      query.isActive = isActive === 'true';
+      query.isActive = isActive;
+    }
+    
+    // Computed status is filtered in the query so pagination totals match
+    if (status) {
+      query.$and = [Device.statusFilter(status)];
     }
     
     const skip = (page - 1) * limit;
     
-    let devices = await Device.find(query)
-      .sort({ lastSeen: -1 })
-      .skip(skip)
-      .limit(parseInt(limit))
-      .select('-__v')
-      .lean();
+    const [devices, total] = await Promise.all([
+      Device.find(query)
+        .sort({ lastSeen: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .select('-__v')
+        .lean(),
+      Device.countDocuments(query)
+    ]);
     
-    // Filter by computed status if requested
-    if (status) {
-      devices = devices.filter(device => {
-        const tenMinutesAgo = new Date(Date.now() - 10 * 60 * 1000);
-        const deviceStatus = !device.isActive ? 'inactive' : 
-                           device.lastSeen > tenMinutesAgo ? 'online' : 'offline';
-        return deviceStatus === status;
-      });
-    }
+    await fillMissingLatestState(devices);
     
-    const total = await Device.countDocuments(query);
-    
-    // Get latest location for each device
-    const devicesWithLocation = await Promise.all(
-      devices.map(async (device) => {
-        const latestLocation = await LocationData.findOne({ deviceId: device.deviceId })
-          .sort({ timestamp: -1 })
-          .select('location batteryVoltage timestamp')
-          .lean();
-        
-        return {
-          ...device,
-          status: !device.isActive ? 'inactive' : 
-                  device.lastSeen > new Date(Date.now() - 10 * 60 * 1000) ? 'online' : 'offline',
-          latestLocation: latestLocation ? {
-            coordinates: {
-              latitude: latestLocation.location.coordinates[1],
-              longitude: latestLocation.location.coordinates[0]
-            },
-            batteryVoltage: latestLocation.batteryVoltage,
-            timestamp: latestLocation.timestamp
-          } : null
-        };
-      })
-    );
+    const devicesWithLocation = devices.map(device => ({
+      ...device,
+      status: Device.statusOf(device),
+      latestLocation: device.latestState?.location?.coordinates ? {
+        coordinates: {
+          latitude: device.latestState.location.coordinates[1],
+          longitude: device.latestState.location.coordinates[0]
+        },
+        batteryVoltage: device.latestState.batteryVoltage,
+        timestamp: device.latestState.timestamp
+      } : null
+    }));
     
     logger.info('Device list retrieved', {
       count: devices.length,
@@ -447,114 +919,175 @@ const getAllDevices = asyncHandler(async (req, res) => {
 });
 
 /**
- * Check and create alerts based on device data
- * @param {Object} device - Device document
- * @param {Object} locationData - Location data document
- * @returns {Array} Created alerts
+ * Get the latest position of every device inside a map viewport
+ * @route GET /api/v1/device/positions
+ * @access Private (API Key required)
  */
-const checkAndCreateAlerts = async (device, locationData) => {
-  const alerts = [];
+const getDevicePositions = asyncHandler(async (req, res) => {
+  const { bbox, zoom, cluster, status } = req.query;
   
   try {
-    // Low battery alert
-    if (device.alertSettings.lowBatteryEnabled && 
-        locationData.batteryVoltage < (device.batteryThreshold || 20)) {
-      
-      // Check if we already have a recent low battery alert
-      const recentAlert = await Alert.findOne({
-        deviceId: device.deviceId,
-        alertType: 'low_battery',
-        isResolved: false,
-        timestamp: { $gte: new Date(Date.now() - 30 * 60 * 1000) } // 30 minutes
-      });
-      
-      if (!recentAlert) {
-        const alert = new Alert({
-          deviceId: device.deviceId,
-          alertType: 'low_battery',
-          severity: locationData.batteryVoltage < 10 ? 'critical' : 'high',
-          title: 'Low Battery Warning',
-          message: `Battery voltage is low: ${locationData.batteryVoltage}V (${locationData.batteryPercentage || 'N/A'}%)`,
-          location: locationData.location,
-          data: { 
-            batteryVoltage: locationData.batteryVoltage,
-            batteryPercentage: locationData.batteryPercentage,
-            threshold: device.batteryThreshold
-          }
-        });
-        
-        await alert.save();
-        alerts.push(alert);
-        
-        logger.warn('Low battery alert created', {
-          deviceId: device.deviceId,
-          batteryVoltage: locationData.batteryVoltage,
-          batteryPercentage: locationData.batteryPercentage,
-          threshold: device.batteryThreshold
-        });
-      }
+    const query = { ...tenantFilter(req) };
+    
+    // Restrict to the caller's devices (JWT owner or device-bound API key)
+    if (req.ownedDeviceIds) {
+      query.deviceId = { $in: req.ownedDeviceIds };
     }
     
-    // Temperature alert (if enabled and temperature data available)
-    if (locationData.temperature !== undefined) {
-      const tempThresholds = {
-        low: -10, // Below -10°C
-        high: 60  // Above 60°C
-      };
-      
-      if (locationData.temperature < tempThresholds.low || locationData.temperature > tempThresholds.high) {
-        const recentTempAlert = await Alert.findOne({
-          deviceId: device.deviceId,
-          alertType: 'temperature',
-          isResolved: false,
-          timestamp: { $gte: new Date(Date.now() - 15 * 60 * 1000) } // 15 minutes
-        });
-        
-        if (!recentTempAlert) {
-          const isHigh = locationData.temperature > tempThresholds.high;
-          const alert = new Alert({
-            deviceId: device.deviceId,
-            alertType: 'temperature',
-            severity: Math.abs(locationData.temperature - (isHigh ? tempThresholds.high : tempThresholds.low)) > 20 ? 'critical' : 'high',
-            title: `${isHigh ? 'High' : 'Low'} Temperature Alert`,
-            message: `Temperature is ${isHigh ? 'above' : 'below'} safe limits: ${locationData.temperature}°C`,
-            location: locationData.location,
-            data: { 
-              temperature: locationData.temperature,
-              threshold: isHigh ? tempThresholds.high : tempThresholds.low,
-              type: isHigh ? 'high' : 'low'
-            }
-          });
-          
-          await alert.save();
-          alerts.push(alert);
-          
-          logger.warn('Temperature alert created', {
-            deviceId: device.deviceId,
-            temperature: locationData.temperature,
-            type: isHigh ? 'high' : 'low'
-          });
-        }
-      }
+    if (status) {
+      query.$and = [Device.statusFilter(status)];
     }
     
-    // TODO: Add geofence alerts when geofence is implemented
-    // TODO: Add tampering detection based on accelerometer data
+    const { positions, count, truncated, clustered } = await findPositions(query, { bbox, zoom, cluster });
+    
+    logger.info('Device positions retrieved', {
+      count,
+      truncated,
+      clustered,
+      bbox,
+      zoom
+    });
+    
+    return successResponse(res, 'Device positions retrieved successfully', {
+      positions,
+      count,
+      truncated,
+      clustered,
+      bbox
+    });
     
   } catch (error) {
-    logger.error('Error checking alerts:', {
+    logger.error('Error retrieving device positions:', {
       error: error.message,
-      deviceId: device.deviceId
+      query: req.query
     });
+    throw error;
   }
+});
+
+/**
+ * Get devices whose latest position is within a radius of a point (nearest first)
+ * @route GET /api/v1/device/nearby
+ * @access Private (API Key required)
+ */
+const getNearbyDevices = asyncHandler(async (req, res) => {
+  const { lat, lng, radius, status, limit = 50 } = req.query;
   
-  return alerts;
-};
+  try {
+    const query = { ...tenantFilter(req) };
+    
+    // Restrict to the caller's devices (JWT owner or device-bound API key)
+    if (req.ownedDeviceIds) {
+      query.deviceId = { $in: req.ownedDeviceIds };
+    }
+    
+    if (status) {
+      query.$and = [Device.statusFilter(status)];
+    }
+    
+    const devices = await Device.findNearby(lng, lat, radius, query, parseInt(limit))
+      .select('deviceId name isActive lastSeen offlineThresholdMinutes latestState')
+      .lean();
+    
+    const nearby = devices.map(device => {
+      const [longitude, latitude] = device.latestState.location.coordinates;
+      return {
+        deviceId: device.deviceId,
+        name: device.name,
+        status: Device.statusOf(device),
+        distance: Math.round(calculateDistance(lat, lng, latitude, longitude)),
+        coordinates: { latitude, longitude },
+        speed: device.latestState.speed ?? device.latestState.obd?.vehicleSpeed ?? null,
+        heading: device.latestState.course ?? null,
+        timestamp: device.latestState.timestamp
+      };
+    });
+    
+    logger.info('Nearby devices retrieved', {
+      count: nearby.length,
+      center: { lat, lng },
+      radius,
+      status
+    });
+    
+    return successResponse(res, 'Nearby devices retrieved successfully', {
+      center: { latitude: lat, longitude: lng },
+      radius,
+      devices: nearby,
+      count: nearby.length
+    });
+    
+  } catch (error) {
+    logger.error('Error retrieving nearby devices:', {
+      error: error.message,
+      query: req.query
+    });
+    throw error;
+  }
+});
+
+/**
+ * Get the visits of a device to a place (arrival/departure of each stay within the radius)
+ * @route GET /api/v1/device/:deviceId/visits
+ * @access Private (API Key required)
+ */
+const getDeviceVisits = asyncHandler(async (req, res) => {
+  const { deviceId } = req.params;
+  const { lat, lng, radius, startDate, endDate } = req.query;
+  
+  try {
+    const device = await Device.findOne({ deviceId, ...tenantFilter(req) });
+    if (!device) {
+      throw notFoundError('Device');
+    }
+    
+    const range = resolveVisitRange({ startDate, endDate });
+    
+    const { visits, pointsScanned } = await findVisits(
+      buildHistoryQuery(deviceId, range),
+      { latitude: lat, longitude: lng, radius },
+      { openEnded: !range.endDate }
+    );
+    
+    logger.info('Device visits retrieved', {
+      deviceId,
+      count: visits.length,
+      pointsScanned,
+      place: { lat, lng, radius },
+      dateRange: range
+    });
+    
+    return successResponse(res, 'Device visits retrieved successfully', {
+      deviceId,
+      place: { latitude: lat, longitude: lng, radius },
+      visits,
+      count: visits.length,
+      totalMinutes: visits.reduce((sum, visit) => sum + visit.durationMinutes, 0),
+      dateRange: range
+    });
+    
+  } catch (error) {
+    logger.error('Error retrieving device visits:', {
+      error: error.message,
+      deviceId,
+      query: req.query
+    });
+    throw error;
+  }
+});
 
 module.exports = {
   updateDeviceData,
+  updateDeviceDataBatch,
   getDeviceHistory,
+  exportDeviceHistory,
+  getDeviceTrips,
   getCurrentLocation,
   registerDevice,
-  getAllDevices
+  claimDevice,
+  releaseDevice,
+  getAllDevices,
+  getDevicePositions,
+  getNearbyDevices,
+  getDeviceVisits
 };
\ No newline at end of file
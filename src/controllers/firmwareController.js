@@ -0,0 +1,695 @@
+const fs = require('fs');
+const mongoose = require('mongoose');
+const config = require('../config/environment');
+const Device = require('../models/Device');
+const FirmwareRelease = require('../models/FirmwareRelease');
+const FirmwareRollout = require('../models/FirmwareRollout');
+const FirmwareUpdate = require('../models/FirmwareUpdate');
+const {
+  successResponse,
+  createdResponse
+} = require('../utils/apiResponse');
+const logger = require('../utils/logger');
+const { tenantFilter } = require('../utils/helpers');
+const { recordAudit, describeActor } = require('../services/auditService');
+const {
+  getFirmwarePath,
+  storeFirmwareBinary,
+  isDeviceTargeted,
+  findRolloutForDevice
+} = require('../services/firmwareService');
+const { asyncHandler, notFoundError, AppError } = require('../middleware/errorHandler');
+
+/**
+ * Format firmware release for response
+ * @param {Object} release - FirmwareRelease document or lean object
+ * @returns {Object} Formatted release
+ */
+const formatRelease = (release) => {
+  const { __v, id, ...rest } = release.toObject ? release.toObject() : release;
+  return rest;
+};
+
+/**
+ * Format rollout for response
+ * @param {Object} rollout - FirmwareRollout document or lean object
+ * @param {Object} progress - Device counts by update status
+ * @returns {Object} Formatted rollout
+ */
+const formatRollout = (rollout, progress) => {
+  const { __v, id, ...rest } = rollout.toObject ? rollout.toObject() : rollout;
+  return progress ? { ...rest, progress } : rest;
+};
+
+/**
+ * Count devices per update status for rollouts
+ * @param {Array} rolloutIds - Rollout IDs
+ * @returns {Map} rolloutId -> { total, offered, downloading, ..., failed }
+ */
+const getRolloutProgress = async (rolloutIds) => {
+  const counts = await FirmwareUpdate.aggregate([
+    { $match: { rolloutId: { $in: rolloutIds.map(rolloutId => new mongoose.Types.ObjectId(rolloutId)) } } },
+    { $group: { _id: { rolloutId: '$rolloutId', status: '$status' }, count: { $sum: 1 } } }
+  ]);
+
+  const progress = new Map(rolloutIds.map(rolloutId => [
+    rolloutId.toString(),
+    Object.fromEntries([['total', 0], ...FirmwareUpdate.STATUSES.map(status => [status, 0])])
+  ]));
+
+  counts.forEach(({ _id, count }) => {
+    const entry = progress.get(_id.rolloutId.toString());
+    entry[_id.status] = count;
+    entry.total += count;
+  });
+
+  return progress;
+};
+
+/**
+ * Find a rollout by ID or throw 404
+ * @param {string} rolloutId - Rollout ID
+ * @returns {Object} FirmwareRollout document
+ */
+const findRollout = async (rolloutId) => {
+  const rollout = mongoose.isValidObjectId(rolloutId) ? await FirmwareRollout.findById(rolloutId) : null;
+  if (!rollout) {
+    throw notFoundError('Firmware rollout');
+  }
+  return rollout;
+};
+
+/**
+ * Create a firmware release (metadata only; upload the binary next)
+ * @route POST /api/v1/firmware/releases
+ * @access Private (Master API Key required)
+ */
+const createFirmwareRelease = asyncHandler(async (req, res) => {
+  const { version, hardwareModel, releaseNotes } = req.body;
+
+  try {
+    const release = await FirmwareRelease.create({
+      version,
+      hardwareModel,
+      releaseNotes,
+      createdBy: describeActor(req)
+    });
+
+    await recordAudit(req, {
+      action: 'firmware.release_create',
+      targetType: 'firmware_release',
+      targetId: release._id,
+      after: { version, hardwareModel, releaseNotes }
+    });
+
+    logger.info('Firmware release created', {
+      releaseId: release._id,
+      version,
+      hardwareModel
+    });
+
+    return createdResponse(res, 'Firmware release created successfully', {
+      release: formatRelease(release)
+    });
+
+  } catch (error) {
+    logger.error('Error creating firmware release:', {
+      error: error.message,
+      version,
+      hardwareModel
+    });
+
+    if (error.code === 11000) {
+      throw new AppError(`Firmware ${version} already exists for ${hardwareModel}`, 409);
+    }
+    throw error;
+  }
+});
+
+/**
+ * Upload (or replace) the binary of a firmware release
+ * @route PUT /api/v1/firmware/releases/:releaseId/binary
+ * @access Private (Master API Key required)
+ */
+const uploadFirmwareBinary = asyncHandler(async (req, res) => {
+  const { releaseId } = req.params;
+  const expectedSha256 = req.get('X-Firmware-SHA256');
+
+  try {
+    if (!req.is('application/octet-stream')) {
+      throw new AppError('Content-Type must be application/octet-stream', 400);
+    }
+
+    const release = mongoose.isValidObjectId(releaseId) ? await FirmwareRelease.findById(releaseId) : null;
+    if (!release) {
+      throw notFoundError('Firmware release');
+    }
+
+    // Devices may already be downloading the binary with range requests
+    if (await FirmwareRollout.exists({ releaseId: release._id })) {
+      throw new AppError('The binary of a release that has been rolled out cannot be replaced', 409);
+    }
+
+    const file = await storeFirmwareBinary(req, `${release._id}.bin`, expectedSha256);
+
+    const before = release.file?.sha256 ? { sha256: release.file.sha256, size: release.file.size } : null;
+
+    release.file = { ...file, uploadedAt: new Date() };
+    release.status = 'ready';
+    await release.save();
+
+    await recordAudit(req, {
+      action: 'firmware.upload',
+      targetType: 'firmware_release',
+      targetId: release._id,
+      before,
+      after: { sha256: file.sha256, size: file.size }
+    });
+
+    logger.info('Firmware binary uploaded', {
+      releaseId: release._id,
+      version: release.version,
+      hardwareModel: release.hardwareModel,
+      size: file.size,
+      sha256: file.sha256
+    });
+
+    return successResponse(res, 'Firmware binary uploaded successfully', {
+      release: formatRelease(release)
+    });
+
+  } catch (error) {
+    logger.error('Error uploading firmware binary:', {
+      error: error.message,
+      releaseId
+    });
+    throw error;
+  }
+});
+
+/**
+ * List firmware releases
+ * @route GET /api/v1/firmware/releases
+ * @access Private (Master API Key required)
+ */
+const getFirmwareReleases = asyncHandler(async (req, res) => {
+  const { hardwareModel, status, limit = 50, page = 1 } = req.query;
+
+  try {
+    const query = {};
+    if (hardwareModel) query.hardwareModel = hardwareModel;
+    if (status) query.status = status;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [releases, total] = await Promise.all([
+      FirmwareRelease.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      FirmwareRelease.countDocuments(query)
+    ]);
+
+    return successResponse(res, 'Firmware releases retrieved successfully', {
+      releases: releases.map(formatRelease),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit)),
+        hasNext: page < Math.ceil(total / parseInt(limit)),
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error retrieving firmware releases:', {
+      error: error.message,
+      query: req.query
+    });
+    throw error;
+  }
+});
+
+/**
+ * Get a firmware release
+ * @route GET /api/v1/firmware/releases/:releaseId
+ * @access Private (Master API Key required)
+ */
+const getFirmwareReleaseById = asyncHandler(async (req, res) => {
+  const { releaseId } = req.params;
+
+  try {
+    const release = mongoose.isValidObjectId(releaseId) ? await FirmwareRelease.findById(releaseId).lean() : null;
+    if (!release) {
+      throw notFoundError('Firmware release');
+    }
+
+    return successResponse(res, 'Firmware release retrieved successfully', {
+      release: formatRelease(release)
+    });
+
+  } catch (error) {
+    logger.error('Error retrieving firmware release:', {
+      error: error.message,
+      releaseId
+    });
+    throw error;
+  }
+});
+
+/**
+ * Start rolling out a firmware release
+ * @route POST /api/v1/firmware/rollouts
+ * @access Private (Master API Key required)
+ */
+const createFirmwareRollout = asyncHandler(async (req, res) => {
+  const { releaseId, groups, percentage } = req.body;
+
+  try {
+    const release = await FirmwareRelease.findById(releaseId).lean();
+    if (!release) {
+      throw notFoundError('Firmware release');
+    }
+    if (release.status !== 'ready') {
+      throw new AppError('Upload the firmware binary before rolling out the release', 409);
+    }
+
+    const rollout = await FirmwareRollout.create({
+      releaseId: release._id,
+      hardwareModel: release.hardwareModel,
+      version: release.version,
+      groups,
+      percentage,
+      createdBy: describeActor(req)
+    });
+
+    await recordAudit(req, {
+      action: 'firmware.rollout_create',
+      targetType: 'firmware_rollout',
+      targetId: rollout._id,
+      after: { releaseId, version: release.version, hardwareModel: release.hardwareModel, groups, percentage }
+    });
+
+    logger.info('Firmware rollout started', {
+      rolloutId: rollout._id,
+      version: release.version,
+      hardwareModel: release.hardwareModel,
+      groups,
+      percentage
+    });
+
+    return createdResponse(res, 'Firmware rollout created successfully', {
+      rollout: formatRollout(rollout)
+    });
+
+  } catch (error) {
+    logger.error('Error creating firmware rollout:', {
+      error: error.message,
+      releaseId
+    });
+    throw error;
+  }
+});
+
+/**
+ * List firmware rollouts with their progress
+ * @route GET /api/v1/firmware/rollouts
+ * @access Private (Master API Key required)
+ */
+const getFirmwareRollouts = asyncHandler(async (req, res) => {
+  const { hardwareModel, status, limit = 50, page = 1 } = req.query;
+
+  try {
+    const query = {};
+    if (hardwareModel) query.hardwareModel = hardwareModel;
+    if (status) query.status = status;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [rollouts, total] = await Promise.all([
+      FirmwareRollout.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      FirmwareRollout.countDocuments(query)
+    ]);
+
+    const progress = await getRolloutProgress(rollouts.map(rollout => rollout._id));
+
+    return successResponse(res, 'Firmware rollouts retrieved successfully', {
+      rollouts: rollouts.map(rollout => formatRollout(rollout, progress.get(rollout._id.toString()))),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit)),
+        hasNext: page < Math.ceil(total / parseInt(limit)),
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error retrieving firmware rollouts:', {
+      error: error.message,
+      query: req.query
+    });
+    throw error;
+  }
+});
+
+/**
+ * Get a rollout with its progress and per-device status
+ * @route GET /api/v1/firmware/rollouts/:rolloutId
+ * @access Private (Master API Key required)
+ */
+const getFirmwareRolloutById = asyncHandler(async (req, res) => {
+  const { rolloutId } = req.params;
+  const { status, limit = 100, page = 1 } = req.query;
+
+  try {
+    const rollout = await findRollout(rolloutId);
+
+    const query = { rolloutId: rollout._id };
+    if (status) query.status = status;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [devices, total, progress] = await Promise.all([
+      FirmwareUpdate.find(query)
+        .sort({ updatedAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .select('-__v -rolloutId -releaseId')
+        .lean(),
+      FirmwareUpdate.countDocuments(query),
+      getRolloutProgress([rollout._id])
+    ]);
+
+    return successResponse(res, 'Firmware rollout retrieved successfully', {
+      rollout: formatRollout(rollout, progress.get(rollout._id.toString())),
+      devices,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit)),
+        hasNext: page < Math.ceil(total / parseInt(limit)),
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error retrieving firmware rollout:', {
+      error: error.message,
+      rolloutId
+    });
+    throw error;
+  }
+});
+
+/**
+ * Pause, resume or cancel a rollout, or change its targeting
+ * @route PUT /api/v1/firmware/rollouts/:rolloutId
+ * @access Private (Master API Key required)
+ */
+const updateFirmwareRollout = asyncHandler(async (req, res) => {
+  const { rolloutId } = req.params;
+  const { status, groups, percentage } = req.body;
+
+  try {
+    const rollout = await findRollout(rolloutId);
+
+    if (rollout.status === 'cancelled') {
+      throw new AppError('A cancelled rollout cannot be changed', 409);
+    }
+
+    const before = { status: rollout.status, groups: rollout.groups, percentage: rollout.percentage };
+
+    if (status && status !== rollout.status) {
+      rollout.status = status;
+      rollout.pausedAt = status === 'paused' ? new Date() : null;
+    }
+    if (groups) rollout.groups = groups;
+    if (percentage) rollout.percentage = percentage;
+
+    await rollout.save();
+
+    await recordAudit(req, {
+      action: 'firmware.rollout_update',
+      targetType: 'firmware_rollout',
+      targetId: rollout._id,
+      before,
+      after: { status: rollout.status, groups: rollout.groups, percentage: rollout.percentage }
+    });
+
+    logger.info('Firmware rollout updated', {
+      rolloutId: rollout._id,
+      status: rollout.status,
+      groups: rollout.groups,
+      percentage: rollout.percentage
+    });
+
+    return successResponse(res, 'Firmware rollout updated successfully', {
+      rollout: formatRollout(rollout)
+    });
+
+  } catch (error) {
+    logger.error('Error updating firmware rollout:', {
+      error: error.message,
+      rolloutId
+    });
+    throw error;
+  }
+});
+
+/**
+ * Tell a device whether a firmware update is available
+ * @route GET /api/v1/firmware/device/:deviceId/check
+ * @access Private (API Key required)
+ */
+const checkFirmwareUpdate = asyncHandler(async (req, res) => {
+  const { deviceId } = req.params;
+  const { version, model } = req.query;
+
+  try {
+    // Record what the device reports it runs
+    const reported = {};
+    if (version) reported['hardware.version'] = version;
+    if (model) reported['hardware.model'] = model;
+
+    const device = Object.keys(reported).length > 0 ?
+      await Device.findOneAndUpdate({ deviceId, ...tenantFilter(req) }, { $set: reported }, { new: true }).lean() :
+      await Device.findOne({ deviceId, ...tenantFilter(req) }).lean();
+
+    if (!device) {
+      throw notFoundError('Device');
+    }
+
+    const currentVersion = device.hardware?.version;
+
+    // A device that rebooted into the new firmware before reporting "installed" is done
+    if (currentVersion) {
+      const finished = await FirmwareUpdate.find({
+        deviceId,
+        toVersion: currentVersion,
+        status: { $in: ['offered', 'downloading', 'downloaded', 'installing'] }
+      });
+      await Promise.all(finished.map(update => update.recordStatus({ status: 'installed' })));
+    }
+
+    const rollout = await findRolloutForDevice(device, currentVersion);
+
+    if (!rollout) {
+      return successResponse(res, 'Firmware is up to date', {
+        deviceId,
+        currentVersion,
+        updateAvailable: false
+      });
+    }
+
+    const release = await FirmwareRelease.findById(rollout.releaseId).lean();
+
+    // Start tracking this device in the rollout (again, after a failure or a reverted install)
+    let update = await FirmwareUpdate.findOne({ rolloutId: rollout._id, deviceId });
+    if (!update) {
+      update = new FirmwareUpdate({
+        rolloutId: rollout._id,
+        releaseId: rollout.releaseId,
+        deviceId,
+        fromVersion: currentVersion,
+        toVersion: rollout.version
+      });
+      await update.recordStatus({ status: 'offered' });
+    } else if (['installed', 'failed'].includes(update.status)) {
+      update.fromVersion = currentVersion;
+      await update.recordStatus({ status: 'offered' });
+    }
+
+    logger.info('Firmware update offered', {
+      deviceId,
+      rolloutId: rollout._id,
+      fromVersion: currentVersion,
+      toVersion: rollout.version
+    });
+
+    return successResponse(res, 'Firmware update available', {
+      deviceId,
+      currentVersion,
+      updateAvailable: true,
+      rolloutId: rollout._id,
+      firmware: {
+        version: release.version,
+        size: release.file.size,
+        sha256: release.file.sha256,
+        releaseNotes: release.releaseNotes
+      },
+      downloadUrl: `/api/${config.API_VERSION}/firmware/device/${deviceId}/download/${rollout._id}`
+    });
+
+  } catch (error) {
+    logger.error('Error checking firmware update:', {
+      error: error.message,
+      deviceId
+    });
+    throw error;
+  }
+});
+
+/**
+ * Serve the firmware binary of a rollout to a targeted device (supports Range requests)
+ * @route GET /api/v1/firmware/device/:deviceId/download/:rolloutId
+ * @access Private (API Key required)
+ */
+const downloadFirmware = asyncHandler(async (req, res) => {
+  const { deviceId, rolloutId } = req.params;
+
+  try {
+    const rollout = await findRollout(rolloutId);
+
+    if (rollout.status !== 'active') {
+      throw new AppError(`Firmware rollout is ${rollout.status}`, 409);
+    }
+
+    const device = await Device.findOne({ deviceId, ...tenantFilter(req) }).lean();
+    if (!device) {
+      throw notFoundError('Device');
+    }
+    if (!isDeviceTargeted(rollout, device)) {
+      throw new AppError('Firmware rollout does not target this device', 403);
+    }
+
+    const release = await FirmwareRelease.findById(rollout.releaseId).lean();
+    const filePath = release?.file?.name ? getFirmwarePath(release.file.name) : null;
+    if (!filePath || !fs.existsSync(filePath)) {
+      throw notFoundError('Firmware binary');
+    }
+
+    // A download from the first byte starts (or restarts) the update
+    const range = req.get('Range');
+    if (!range || /^bytes=0-/.test(range)) {
+      const update = await FirmwareUpdate.findOne({ rolloutId: rollout._id, deviceId });
+      if (update && update.status === 'offered') {
+        await update.recordStatus({ status: 'downloading', progress: 0 });
+      }
+    }
+
+    logger.info('Firmware download', {
+      deviceId,
+      rolloutId,
+      version: release.version,
+      range: range || null
+    });
+
+    await new Promise((resolve, reject) => {
+      res.sendFile(filePath, {
+        acceptRanges: true,
+        cacheControl: false,
+        headers: {
+          'Content-Type': 'application/octet-stream',
+          'Content-Disposition': `attachment; filename="${release.hardwareModel}-${release.version}.bin"`,
+          'X-Firmware-Version': release.version,
+          'X-Firmware-SHA256': release.file.sha256
+        }
+      }, (error) => {
+        // Errors after the headers (e.g. the device dropping the connection) can't be reported
+        if (error && !res.headersSent) return reject(error);
+        if (error) {
+          logger.warn('Firmware download interrupted', { deviceId, rolloutId, error: error.message });
+        }
+        resolve();
+      });
+    });
+
+  } catch (error) {
+    logger.error('Error serving firmware download:', {
+      error: error.message,
+      deviceId,
+      rolloutId
+    });
+    throw error;
+  }
+});
+
+/**
+ * Record an update status reported by a device
+ * @route POST /api/v1/firmware/device/status
+ * @access Private (API Key required)
+ */
+const reportFirmwareStatus = asyncHandler(async (req, res) => {
+  const { deviceId, rolloutId, status, progress, error: deviceError } = req.body;
+
+  try {
+    const update = await FirmwareUpdate.findOne({ rolloutId, deviceId });
+    if (!update) {
+      throw notFoundError('Firmware update');
+    }
+
+    await update.recordStatus({ status, progress, error: deviceError });
+
+    if (status === 'installed') {
+      await Device.updateOne({ deviceId }, { $set: { 'hardware.version': update.toVersion } });
+    }
+
+    const logLevel = status === 'failed' ? 'warn' : 'info';
+    logger[logLevel]('Firmware update status reported', {
+      deviceId,
+      rolloutId,
+      status,
+      progress,
+      error: deviceError
+    });
+
+    return successResponse(res, 'Firmware update status recorded', {
+      deviceId,
+      rolloutId,
+      status: update.status,
+      progress: update.progress,
+      toVersion: update.toVersion
+    });
+
+  } catch (error) {
+    logger.error('Error recording firmware status:', {
+      error: error.message,
+      deviceId,
+      rolloutId
+    });
+    throw error;
+  }
+});
+
+module.exports = {
+  createFirmwareRelease,
+  uploadFirmwareBinary,
+  getFirmwareReleases,
+  getFirmwareReleaseById,
+  createFirmwareRollout,
+  getFirmwareRollouts,
+  getFirmwareRolloutById,
+  updateFirmwareRollout,
+  checkFirmwareUpdate,
+  downloadFirmware,
+  reportFirmwareStatus
+};
@@ -0,0 +1,395 @@
+const Geofence = require('../models/Geofence');
+const Device = require('../models/Device');
+const {
+  successResponse,
+  createdResponse
+} = require('../utils/apiResponse');
+const logger = require('../utils/logger');
+const { tenantFilter } = require('../utils/helpers');
+const { asyncHandler, notFoundError, AppError } = require('../middleware/errorHandler');
+const { recordAudit } = require('../services/auditService');
+
+/**
+ * Build geofence geometry fields from request body
+ * @param {Object} body - Validated request body
+ * @returns {Object} Geometry fields for the Geofence model
+ */
+const buildGeometry = ({ type, center, radius, coordinates }) => {
+  if (type === 'circle') {
+    return {
+      center: {
+        type: 'Point',
+        coordinates: [center.longitude, center.latitude] // GeoJSON format: [lng, lat]
+      },
+      radius
+    };
+  }
+
+  // Close the ring if the client didn't repeat the first point
+  const ring = [...coordinates];
+  const [first, last] = [ring[0], ring[ring.length - 1]];
+  if (first[0] !== last[0] || first[1] !== last[1]) {
+    ring.push(first);
+  }
+
+  return {
+    area: {
+      type: 'Polygon',
+      coordinates: [ring]
+    }
+  };
+};
+
+/**
+ * Format geofence for response
+ * @param {Object} geofence - Geofence document or lean object
+ * @returns {Object} Formatted geofence
+ */
+const formatGeofence = (geofence) => {
+  const { __v, ...rest } = geofence.toObject ? geofence.toObject() : geofence;
+
+  return {
+    ...rest,
+    center: geofence.type === 'circle' && geofence.center?.coordinates ? {
+      latitude: geofence.center.coordinates[1],
+      longitude: geofence.center.coordinates[0]
+    } : undefined,
+    coordinates: geofence.type === 'polygon' && geofence.area?.coordinates ?
+      geofence.area.coordinates[0] : undefined
+  };
+};
+
+/**
+ * Pick the audited settings of a geofence (everything but ids and timestamps)
+ * @param {Object|null} geofence - Geofence document or lean object
+ * @returns {Object|null} Audited fields
+ */
+const geofenceSnapshot = (geofence) => {
+  if (!geofence) return null;
+  const { _id, __v, createdAt, updatedAt, ...fields } = geofence.toObject ? geofence.toObject() : geofence;
+  return fields;
+};
+
+const handleValidationError = (error, message) => {
+  if (error.name === 'ValidationError') {
+    throw new AppError(message, 400, Object.values(error.errors).map(e => ({
+      field: e.path,
+      message: e.message
+    })));
+  }
+  throw error;
+};
+
+/**
+ * Reject devices outside the caller's organization
+ * @param {Object} req - Express request object
+ * @param {Array} deviceIds - Device IDs to assign
+ */
+const assertDevicesInOrganization = async (req, deviceIds) => {
+  if (!req.organizationId || !deviceIds?.length) return;
+
+  const found = await Device.distinct('deviceId', {
+    deviceId: { $in: deviceIds },
+    organizationId: req.organizationId
+  });
+  const outside = deviceIds.filter(deviceId => !found.includes(deviceId));
+
+  if (outside.length > 0) {
+    throw new AppError('Devices do not belong to your organization', 403, outside.map(deviceId => ({
+      field: 'deviceIds',
+      message: `Device ${deviceId} is not part of the organization`
+    })));
+  }
+};
+
+/**
+ * Turn on geofence alerts (alertSettings.geofenceEnabled) for devices assigned to a geofence,
+ * so assigning one is enough to get its enter/exit alerts
+ * @param {Object} req - Express request object
+ * @param {Array} deviceIds - Newly assigned device IDs
+ */
+const enableGeofenceAlerts = async (req, deviceIds) => {
+  if (!deviceIds?.length) return;
+
+  await Device.updateMany(
+    { deviceId: { $in: deviceIds }, ...tenantFilter(req) },
+    { 'alertSettings.geofenceEnabled': true }
+  );
+};
+
+/**
+ * Create a new geofence
+ * @route POST /api/v1/geofence
+ * @route POST /api/v1/geofence/web
+ * @access Private (API Key required, or JWT owner/admin)
+ */
+const createGeofence = asyncHandler(async (req, res) => {
+  const { name, description, type, deviceIds, alertOn, severity, isActive } = req.body;
+
+  try {
+    await assertDevicesInOrganization(req, deviceIds);
+
+    const geofence = new Geofence({
+      name,
+      description,
+      type,
+      ...buildGeometry(req.body),
+      organizationId: req.organizationId || null,
+      deviceIds,
+      alertOn,
+      severity,
+      isActive
+    });
+
+    await geofence.save();
+    await enableGeofenceAlerts(req, geofence.deviceIds);
+
+    await recordAudit(req, {
+      action: 'geofence.create',
+      targetType: 'geofence',
+      targetId: geofence._id,
+      after: geofenceSnapshot(geofence)
+    });
+
+    logger.info('Geofence created', {
+      geofenceId: geofence._id,
+      name,
+      type,
+      deviceCount: geofence.deviceIds.length
+    });
+
+    return createdResponse(res, 'Geofence created successfully', {
+      geofence: formatGeofence(geofence)
+    });
+
+  } catch (error) {
+    logger.error('Error creating geofence:', {
+      error: error.message,
+      name,
+      type
+    });
+    handleValidationError(error, 'Invalid geofence data');
+  }
+});
+
+/**
+ * Get geofences with filtering and pagination
+ * @route GET /api/v1/geofence
+ * @route GET /api/v1/geofence/web
+ * @access Private (API Key required, or JWT organization member)
+ */
+const getGeofences = asyncHandler(async (req, res) => {
+  const { deviceId, type, isActive, limit = 50, page = 1 } = req.query;
+
+  try {
+    const query = { ...tenantFilter(req) };
+    if (deviceId) query.deviceIds = deviceId;
+    if (type) query.type = type;
+    if (isActive !== undefined) query.isActive = isActive === true || isActive === 'true';
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [geofences, total] = await Promise.all([
+      Geofence.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      Geofence.countDocuments(query)
+    ]);
+
+    logger.info('Geofences retrieved', {
+      count: geofences.length,
+      total,
+      filters: { deviceId, type, isActive }
+    });
+
+    return successResponse(res, 'Geofences retrieved successfully', {
+      geofences: geofences.map(formatGeofence),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit)),
+        hasNext: page < Math.ceil(total / parseInt(limit)),
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error retrieving geofences:', {
+      error: error.message,
+      query: req.query
+    });
+    throw error;
+  }
+});
+
+/**
+ * Get geofence by ID
+ * @route GET /api/v1/geofence/:geofenceId
+ * @access Private (API Key required)
+ */
+const getGeofenceById = asyncHandler(async (req, res) => {
+  const { geofenceId } = req.params;
+
+  try {
+    const geofence = await Geofence.findOne({ _id: geofenceId, ...tenantFilter(req) }).lean();
+
+    if (!geofence) {
+      throw notFoundError('Geofence');
+    }
+
+    return successResponse(res, 'Geofence retrieved successfully', {
+      geofence: formatGeofence(geofence)
+    });
+
+  } catch (error) {
+    logger.error('Error retrieving geofence by ID:', {
+      error: error.message,
+      geofenceId
+    });
+    throw error;
+  }
+});
+
+/**
+ * Update a geofence
+ * @route PUT /api/v1/geofence/:geofenceId
+ * @route PUT /api/v1/geofence/web/:geofenceId
+ * @access Private (API Key required, or JWT owner/admin)
+ */
+const updateGeofence = asyncHandler(async (req, res) => {
+  const { geofenceId } = req.params;
+  const { name, description, type, center, radius, coordinates, deviceIds, alertOn, severity, isActive } = req.body;
+
+  try {
+    const geofence = await Geofence.findOne({ _id: geofenceId, ...tenantFilter(req) });
+
+    if (!geofence) {
+      throw notFoundError('Geofence');
+    }
+
+    await assertDevicesInOrganization(req, deviceIds);
+
+    const before = geofenceSnapshot(geofence);
+
+    if (name !== undefined) geofence.name = name;
+    if (description !== undefined) geofence.description = description;
+    if (deviceIds !== undefined) geofence.deviceIds = deviceIds;
+    if (severity !== undefined) geofence.severity = severity;
+    if (isActive !== undefined) geofence.isActive = isActive;
+    if (alertOn !== undefined) {
+      if (alertOn.enter !== undefined) geofence.alertOn.enter = alertOn.enter;
+      if (alertOn.exit !== undefined) geofence.alertOn.exit = alertOn.exit;
+    }
+
+    // Geometry changes replace the whole shape
+    if (type !== undefined || center !== undefined || radius !== undefined || coordinates !== undefined) {
+      const nextType = type || geofence.type;
+
+      if (nextType === 'circle') {
+        const currentCenter = geofence.center?.coordinates ? {
+          latitude: geofence.center.coordinates[1],
+          longitude: geofence.center.coordinates[0]
+        } : undefined;
+        const nextCenter = center || currentCenter;
+        const nextRadius = radius || geofence.radius;
+
+        if (!nextCenter || !nextRadius) {
+          throw new AppError('Circle geofence requires center and radius', 400);
+        }
+        Object.assign(geofence, { type: nextType }, buildGeometry({ type: nextType, center: nextCenter, radius: nextRadius }));
+      } else {
+        if (!coordinates && geofence.type !== 'polygon') {
+          throw new AppError('Polygon geofence requires coordinates', 400);
+        }
+        if (coordinates) {
+          Object.assign(geofence, { type: nextType }, buildGeometry({ type: nextType, coordinates }));
+        }
+      }
+    }
+
+    await geofence.save();
+
+    // Devices that already had the geofence keep their current setting
+    if (deviceIds !== undefined) {
+      await enableGeofenceAlerts(req, deviceIds.filter(deviceId => !before.deviceIds.includes(deviceId)));
+    }
+
+    await recordAudit(req, {
+      action: 'geofence.update',
+      targetType: 'geofence',
+      targetId: geofence._id,
+      before,
+      after: geofenceSnapshot(geofence)
+    });
+
+    logger.info('Geofence updated', {
+      geofenceId,
+      fields: Object.keys(req.body)
+    });
+
+    return successResponse(res, 'Geofence updated successfully', {
+      geofence: formatGeofence(geofence)
+    });
+
+  } catch (error) {
+    logger.error('Error updating geofence:', {
+      error: error.message,
+      geofenceId
+    });
+    handleValidationError(error, 'Invalid geofence data');
+  }
+});
+
+/**
+ * Delete a geofence
+ * @route DELETE /api/v1/geofence/:geofenceId
+ * @route DELETE /api/v1/geofence/web/:geofenceId
+ * @access Private (API Key required, or JWT owner/admin)
+ */
+const deleteGeofence = asyncHandler(async (req, res) => {
+  const { geofenceId } = req.params;
+
+  try {
+    const geofence = await Geofence.findOneAndDelete({ _id: geofenceId, ...tenantFilter(req) });
+
+    if (!geofence) {
+      throw notFoundError('Geofence');
+    }
+
+    await recordAudit(req, {
+      action: 'geofence.delete',
+      targetType: 'geofence',
+      targetId: geofence._id,
+      before: geofenceSnapshot(geofence)
+    });
+
+    logger.warn('Geofence deleted', {
+      geofenceId,
+      name: geofence.name,
+      deviceIds: geofence.deviceIds
+    });
+
+    return successResponse(res, 'Geofence deleted successfully', {
+      geofenceId,
+      name: geofence.name
+    });
+
+  } catch (error) {
+    logger.error('Error deleting geofence:', {
+      error: error.message,
+      geofenceId
+    });
+    throw error;
+  }
+});
+
+module.exports = {
+  createGeofence,
+  getGeofences,
+  getGeofenceById,
+  updateGeofence,
+  deleteGeofence
+};
@@ -0,0 +1,403 @@
+const Organization = require('../models/Organization');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const Device = require('../models/Device');
+const {
+  successResponse,
+  createdResponse
+} = require('../utils/apiResponse');
+const logger = require('../utils/logger');
+const { asyncHandler, notFoundError, AppError } = require('../middleware/errorHandler');
+const { recordAudit } = require('../services/auditService');
+
+// Roles allowed to manage members and organization details
+const MANAGER_ROLES = ['owner', 'admin'];
+
+/**
+ * Format organization for response
+ * @param {Object} organization - Organization document
+ * @param {Object} req - Express request object (caller's role and active organization)
+ * @returns {Object} Formatted organization
+ */
+const formatOrganization = (organization, req) => ({
+  id: organization._id,
+  name: organization.name,
+  description: organization.description,
+  role: organization.roleOf(req.user.id),
+  memberCount: organization.memberCount,
+  current: String(organization._id) === String(req.organizationId),
+  createdAt: organization.createdAt,
+  updatedAt: organization.updatedAt
+});
+
+/**
+ * Format organization member for response
+ * @param {Object} member - Member subdocument (userId populated)
+ * @returns {Object} Formatted member
+ */
+const formatMember = (member) => ({
+  userId: member.userId?._id || member.userId,
+  phoneNumber: member.userId?.phoneNumber,
+  name: member.userId?.name,
+  role: member.role,
+  joinedAt: member.joinedAt
+});
+
+/**
+ * Load an organization the caller belongs to, optionally requiring a role
+ * @param {Object} req - Express request object
+ * @param {Array} roles - Roles allowed (empty = any member)
+ * @returns {Object} Organization document
+ */
+const findOrganization = async (req, roles = []) => {
+  const organization = await Organization.findMembership(req.params.organizationId, req.user.id);
+
+  if (!organization) {
+    throw notFoundError('Organization');
+  }
+
+  if (roles.length > 0 && !roles.includes(organization.roleOf(req.user.id))) {
+    throw new AppError(`Requires one of the roles: ${roles.join(', ')}`, 403);
+  }
+
+  return organization;
+};
+
+/**
+ * Create an organization (the caller becomes its owner)
+ * @route POST /api/v1/organizations
+ * @access Private (JWT required)
+ */
+const createOrganization = asyncHandler(async (req, res) => {
+  const { name, description } = req.body;
+
+  try {
+    const organization = await Organization.create({
+      name,
+      description,
+      members: [{ userId: req.user.id, role: 'owner' }],
+      createdBy: req.user.id
+    });
+
+    await recordAudit(req, {
+      action: 'organization.create',
+      targetType: 'organization',
+      targetId: organization._id,
+      after: { name, description },
+      organizationId: organization._id
+    });
+
+    logger.info('Organization created', {
+      organizationId: organization._id,
+      name,
+      userId: req.user.id
+    });
+
+    return createdResponse(res, 'Organization created successfully', {
+      organization: formatOrganization(organization, req)
+    });
+
+  } catch (error) {
+    logger.error('Error creating organization:', {
+      error: error.message,
+      name,
+      userId: req.user.id
+    });
+    throw error;
+  }
+});
+
+/**
+ * List the organizations the caller belongs to
+ * @route GET /api/v1/organizations
+ * @access Private (JWT required)
+ */
+const getOrganizations = asyncHandler(async (req, res) => {
+  try {
+    const organizations = await Organization.findForUser(req.user.id);
+
+    return successResponse(res, 'Organizations retrieved successfully', {
+      organizations: organizations.map(organization => formatOrganization(organization, req)),
+      currentOrganizationId: req.organizationId
+    });
+
+  } catch (error) {
+    logger.error('Error retrieving organizations:', {
+      error: error.message,
+      userId: req.user.id
+    });
+    throw error;
+  }
+});
+
+/**
+ * Get an organization with its members and device count
+ * @route GET /api/v1/organizations/:organizationId
+ * @access Private (JWT required, member)
+ */
+const getOrganizationById = asyncHandler(async (req, res) => {
+  const { organizationId } = req.params;
+
+  try {
+    const organization = await findOrganization(req);
+    await organization.populate('members.userId', 'phoneNumber name');
+
+    const deviceCount = await Device.countDocuments({ organizationId: organization._id });
+
+    return successResponse(res, 'Organization retrieved successfully', {
+      organization: {
+        ...formatOrganization(organization, req),
+        deviceCount,
+        members: organization.members.map(formatMember)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error retrieving organization:', {
+      error: error.message,
+      organizationId,
+      userId: req.user.id
+    });
+    throw error;
+  }
+});
+
+/**
+ * Update organization details
+ * @route PUT /api/v1/organizations/:organizationId
+ * @access Private (JWT required, owner or admin)
+ */
+const updateOrganization = asyncHandler(async (req, res) => {
+  const { organizationId } = req.params;
+
+  try {
+    const organization = await findOrganization(req, MANAGER_ROLES);
+    const before = { name: organization.name, description: organization.description };
+
+    organization.set(req.body);
+    await organization.save();
+
+    await recordAudit(req, {
+      action: 'organization.update',
+      targetType: 'organization',
+      targetId: organization._id,
+      before,
+      after: { name: organization.name, description: organization.description },
+      organizationId: organization._id
+    });
+
+    logger.info('Organization updated', {
+      organizationId,
+      fields: Object.keys(req.body),
+      userId: req.user.id
+    });
+
+    return successResponse(res, 'Organization updated successfully', {
+      organization: formatOrganization(organization, req)
+    });
+
+  } catch (error) {
+    logger.error('Error updating organization:', {
+      error: error.message,
+      organizationId,
+      userId: req.user.id
+    });
+    throw error;
+  }
+});
+
+/**
+ * Add a registered user to an organization
+ * @route POST /api/v1/organizations/:organizationId/members
+ * @access Private (JWT required, owner or admin)
+ */
+const addMember = asyncHandler(async (req, res) => {
+  const { organizationId } = req.params;
+  const { phoneNumber, role } = req.body;
+
+  try {
+    const organization = await findOrganization(req, MANAGER_ROLES);
+
+    // Only owners can hand out ownership
+    if (role === 'owner' && organization.roleOf(req.user.id) !== 'owner') {
+      throw new AppError('Only owners can add owners', 403);
+    }
+
+    const user = await User.findOne({ phoneNumber, isActive: true }).select('phoneNumber name');
+    if (!user) {
+      throw new AppError('No active account with this phone number', 404);
+    }
+
+    if (organization.roleOf(user._id)) {
+      throw new AppError('User is already a member of this organization', 409);
+    }
+
+    organization.members.push({ userId: user._id, role });
+    await organization.save();
+
+    await recordAudit(req, {
+      action: 'organization.member_add',
+      targetType: 'user',
+      targetId: user._id,
+      after: { role },
+      organizationId: organization._id
+    });
+
+    logger.info('Organization member added', {
+      organizationId,
+      memberId: user._id,
+      role,
+      addedBy: req.user.id
+    });
+
+    return createdResponse(res, 'Member added successfully', {
+      member: formatMember({ userId: user, role, joinedAt: new Date() })
+    });
+
+  } catch (error) {
+    logger.error('Error adding organization member:', {
+      error: error.message,
+      organizationId,
+      userId: req.user.id
+    });
+    throw error;
+  }
+});
+
+/**
+ * Change a member's role
+ * @route PUT /api/v1/organizations/:organizationId/members/:userId
+ * @access Private (JWT required, owner or admin)
+ */
+const updateMember = asyncHandler(async (req, res) => {
+  const { organizationId, userId } = req.params;
+  const { role } = req.body;
+
+  try {
+    const organization = await findOrganization(req, MANAGER_ROLES);
+    const callerRole = organization.roleOf(req.user.id);
+
+    const member = organization.members.find(m => m.userId.toString() === userId);
+    if (!member) {
+      throw notFoundError('Member');
+    }
+
+    // Admins manage operators and viewers; ownership changes need an owner
+    if (callerRole !== 'owner' && (member.role === 'owner' || role === 'owner')) {
+      throw new AppError('Only owners can change ownership', 403);
+    }
+
+    if (member.role === 'owner' && role !== 'owner' && organization.ownerCount() === 1) {
+      throw new AppError('An organization must keep at least one owner', 409);
+    }
+
+    const previousRole = member.role;
+    member.role = role;
+    await organization.save();
+
+    await recordAudit(req, {
+      action: 'organization.member_update',
+      targetType: 'user',
+      targetId: member.userId,
+      before: { role: previousRole },
+      after: { role },
+      organizationId: organization._id
+    });
+
+    logger.info('Organization member role changed', {
+      organizationId,
+      memberId: userId,
+      previousRole,
+      role,
+      changedBy: req.user.id
+    });
+
+    return successResponse(res, 'Member updated successfully', {
+      member: formatMember(member)
+    });
+
+  } catch (error) {
+    logger.error('Error updating organization member:', {
+      error: error.message,
+      organizationId,
+      memberId: userId,
+      userId: req.user.id
+    });
+    throw error;
+  }
+});
+
+/**
+ * Remove a member (owners and admins remove others; anyone can leave)
+ * @route DELETE /api/v1/organizations/:organizationId/members/:userId
+ * @access Private (JWT required, owner, admin or the member themselves)
+ */
+const removeMember = asyncHandler(async (req, res) => {
+  const { organizationId, userId } = req.params;
+
+  try {
+    const isSelf = userId === String(req.user.id);
+    const organization = await findOrganization(req, isSelf ? [] : MANAGER_ROLES);
+
+    const member = organization.members.find(m => m.userId.toString() === userId);
+    if (!member) {
+      throw notFoundError('Member');
+    }
+
+    if (!isSelf && member.role === 'owner' && organization.roleOf(req.user.id) !== 'owner') {
+      throw new AppError('Only owners can remove owners', 403);
+    }
+
+    if (member.role === 'owner' && organization.ownerCount() === 1) {
+      throw new AppError('An organization must keep at least one owner', 409);
+    }
+
+    const removedRole = member.role;
+    organization.members.pull({ userId: member.userId });
+    await organization.save();
+
+    await recordAudit(req, {
+      action: 'organization.member_remove',
+      targetType: 'user',
+      targetId: userId,
+      before: { role: removedRole },
+      organizationId: organization._id
+    });
+
+    // Sessions working in the organization fall back to personal devices
+    await Session.updateMany(
+      { userId: member.userId, organizationId: organization._id },
+      { organizationId: null }
+    );
+
+    logger.warn('Organization member removed', {
+      organizationId,
+      memberId: userId,
+      removedBy: req.user.id
+    });
+
+    return successResponse(res, isSelf ? 'Left organization successfully' : 'Member removed successfully', {
+      organizationId,
+      userId
+    });
+
+  } catch (error) {
+    logger.error('Error removing organization member:', {
+      error: error.message,
+      organizationId,
+      memberId: userId,
+      userId: req.user.id
+    });
+    throw error;
+  }
+});
+
+module.exports = {
+  createOrganization,
+  getOrganizations,
+  getOrganizationById,
+  updateOrganization,
+  addMember,
+  updateMember,
+  removeMember
+};
@@ -0,0 +1,127 @@
+const Session = require('../models/Session');
+const { eventBus, EVENTS } = require('../services/eventBus');
+const logger = require('../utils/logger');
+
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+/**
+ * Format a location point for the stream (same shape as history items)
+ * @param {Object} data - LocationData JSON
+ * @returns {Object} Formatted point
+ */
+const formatLocation = (data) => ({
+  ...data,
+  coordinates: data.location?.coordinates ? {
+    latitude: data.location.coordinates[1],
+    longitude: data.location.coordinates[0]
+  } : null
+});
+
+/**
+ * Format an alert for the stream (same shape as alert list items)
+ * @param {Object} data - Alert JSON
+ * @returns {Object} Formatted alert
+ */
+const formatAlert = (data) => ({
+  ...data,
+  coordinates: data.location?.coordinates?.length === 2 ? {
+    latitude: data.location.coordinates[1],
+    longitude: data.location.coordinates[0]
+  } : null
+});
+
+/**
+ * Server-sent event stream of new location points and alert changes
+ * @route GET /api/v1/stream
+ * @access Private (JWT required)
+ */
+const streamEvents = (req, res) => {
+  // Without an explicit filter, stream every device the caller owns
+  const deviceIds = req.query.deviceId ?
+    String(req.query.deviceId).split(',').map(id => id.trim()).filter(Boolean) :
+    req.ownedDeviceIds || null;
+  const types = req.query.types ?
+    String(req.query.types).split(',').map(type => type.trim()) :
+    [EVENTS.LOCATION, EVENTS.ALERT];
+
+  const isWanted = (deviceId) => !deviceIds || deviceIds.includes(deviceId);
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    // compression middleware buffers writes until flushed
+    if (typeof res.flush === 'function') res.flush();
+  };
+
+  const onLocation = ({ deviceId, data }) => {
+    if (isWanted(deviceId)) send(EVENTS.LOCATION, formatLocation(data));
+  };
+
+  const onAlert = ({ event, deviceId, data }) => {
+    if (isWanted(deviceId)) send(EVENTS.ALERT, { event, alert: formatAlert(data) });
+  };
+
+  if (types.includes(EVENTS.LOCATION)) eventBus.on(EVENTS.LOCATION, onLocation);
+  if (types.includes(EVENTS.ALERT)) eventBus.on(EVENTS.ALERT, onAlert);
+
+  const stop = () => {
+    clearInterval(heartbeat);
+    eventBus.off(EVENTS.LOCATION, onLocation);
+    eventBus.off(EVENTS.ALERT, onAlert);
+  };
+
+  // The session is checked again on every heartbeat; after logout or revocation the stream ends
+  const heartbeat = setInterval(async () => {
+    res.write(': heartbeat\n\n');
+    if (typeof res.flush === 'function') res.flush();
+
+    try {
+      const session = await Session.findActiveSession(req.user?.sid, req.user?.id);
+      if (session || res.writableEnded) return;
+
+      stop();
+      send('revoked', { reason: 'Session has been revoked' });
+      res.end();
+
+      logger.info('Live stream ended, session revoked', {
+        userId: req.user?.id,
+        sessionId: req.user?.sid
+      });
+    } catch (error) {
+      logger.error('Live stream session check error:', { error: error.message, userId: req.user?.id });
+    }
+  }, HEARTBEAT_INTERVAL_MS);
+
+  send('ready', {
+    deviceIds,
+    types,
+    connectedAt: new Date().toISOString()
+  });
+
+  logger.info('Live stream opened', {
+    userId: req.user?.id,
+    deviceIds,
+    types,
+    ip: req.ip
+  });
+
+  req.on('close', () => {
+    stop();
+
+    logger.info('Live stream closed', {
+      userId: req.user?.id,
+      deviceIds
+    });
+  });
+};
+
+module.exports = {
+  streamEvents
+};
@@ -0,0 +1,387 @@
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { runDispatch } = require('../services/webhookService');
+const {
+  successResponse,
+  createdResponse
+} = require('../utils/apiResponse');
+const logger = require('../utils/logger');
+const { asyncHandler, notFoundError, AppError } = require('../middleware/errorHandler');
+const { recordAudit } = require('../services/auditService');
+
+// Stands in for the signing secret in the audit log
+const REDACTED_SECRET = '[redacted]';
+
+/**
+ * Format webhook subscription for response (never includes the secret)
+ * @param {Object} webhook - WebhookSubscription document or lean object
+ * @returns {Object} Formatted webhook subscription
+ */
+const formatWebhook = (webhook) => ({
+  id: webhook._id,
+  name: webhook.name,
+  url: webhook.url,
+  events: webhook.events,
+  filters: {
+    alertTypes: webhook.filters?.alertTypes || [],
+    severities: webhook.filters?.severities || [],
+    deviceIds: webhook.filters?.deviceIds || []
+  },
+  isActive: webhook.isActive,
+  lastDeliveryAt: webhook.lastDeliveryAt,
+  lastDeliveryStatus: webhook.lastDeliveryStatus,
+  createdBy: webhook.createdBy,
+  createdAt: webhook.createdAt,
+  updatedAt: webhook.updatedAt
+});
+
+/**
+ * Pick the audited settings of a webhook subscription (the secret is redacted)
+ * @param {Object|null} webhook - WebhookSubscription document or lean object
+ * @returns {Object|null} Audited fields
+ */
+const webhookSnapshot = (webhook) => {
+  if (!webhook) return null;
+  const { name, url, events, filters, isActive } = formatWebhook(webhook);
+  return { name, url, events, filters, isActive, secret: REDACTED_SECRET };
+};
+
+/**
+ * Format webhook delivery for the delivery log
+ * @param {Object} delivery - WebhookDelivery document or lean object
+ * @returns {Object} Formatted delivery
+ */
+const formatDelivery = (delivery) => ({
+  id: delivery._id,
+  subscriptionId: delivery.subscriptionId,
+  event: delivery.event,
+  alertId: delivery.alertId,
+  deviceId: delivery.deviceId,
+  status: delivery.status,
+  attempts: delivery.attempts,
+  nextAttemptAt: delivery.status === 'pending' ? delivery.nextAttemptAt : null,
+  lastResponseStatus: delivery.lastResponseStatus,
+  lastError: delivery.lastError,
+  deliveredAt: delivery.deliveredAt,
+  attemptLog: delivery.attemptLog,
+  payload: JSON.parse(delivery.payload),
+  createdAt: delivery.createdAt
+});
+
+/**
+ * Load a subscription or throw 404
+ * @param {string} webhookId - Subscription ID
+ * @returns {Object} WebhookSubscription document
+ */
+const findWebhook = async (webhookId) => {
+  const webhook = await WebhookSubscription.findById(webhookId);
+  if (!webhook) {
+    throw notFoundError('Webhook');
+  }
+  return webhook;
+};
+
+/**
+ * Create a webhook subscription
+ * @route POST /api/v1/webhooks
+ * @access Private (Master API Key required)
+ */
+const createWebhook = asyncHandler(async (req, res) => {
+  const { name, url, events, filters, isActive } = req.body;
+
+  try {
+    const secret = req.body.secret || WebhookSubscription.generateSecret();
+
+    const webhook = await WebhookSubscription.create({
+      name,
+      url,
+      secret,
+      events,
+      filters,
+      isActive,
+      createdBy: req.apiKey?.name || req.apiKey?.type
+    });
+
+    await recordAudit(req, {
+      action: 'webhook.create',
+      targetType: 'webhook',
+      targetId: webhook._id,
+      after: webhookSnapshot(webhook)
+    });
+
+    logger.info('Webhook created', {
+      webhookId: webhook._id,
+      name,
+      url,
+      events
+    });
+
+    return createdResponse(res, 'Webhook created successfully. Store the secret now, it cannot be retrieved again', {
+      secret,
+      ...formatWebhook(webhook)
+    });
+
+  } catch (error) {
+    logger.error('Error creating webhook:', {
+      error: error.message,
+      name,
+      url
+    });
+    throw error;
+  }
+});
+
+/**
+ * Get webhook subscriptions
+ * @route GET /api/v1/webhooks
+ * @access Private (Master API Key required)
+ */
+const getWebhooks = asyncHandler(async (req, res) => {
+  const { isActive, limit = 50, page = 1 } = req.query;
+
+  try {
+    const query = {};
+    if (isActive !== undefined) query.isActive = isActive === true || isActive === 'true';
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [webhooks, total] = await Promise.all([
+      WebhookSubscription.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      WebhookSubscription.countDocuments(query)
+    ]);
+
+    return successResponse(res, 'Webhooks retrieved successfully', {
+      webhooks: webhooks.map(formatWebhook),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit)),
+        hasNext: page < Math.ceil(total / parseInt(limit)),
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error retrieving webhooks:', {
+      error: error.message,
+      query: req.query
+    });
+    throw error;
+  }
+});
+
+/**
+ * Get webhook subscription by ID
+ * @route GET /api/v1/webhooks/:webhookId
+ * @access Private (Master API Key required)
+ */
+const getWebhookById = asyncHandler(async (req, res) => {
+  const { webhookId } = req.params;
+
+  try {
+    const webhook = await findWebhook(webhookId);
+
+    return successResponse(res, 'Webhook retrieved successfully', formatWebhook(webhook));
+
+  } catch (error) {
+    logger.error('Error retrieving webhook by ID:', {
+      error: error.message,
+      webhookId
+    });
+    throw error;
+  }
+});
+
+/**
+ * Update a webhook subscription
+ * @route PUT /api/v1/webhooks/:webhookId
+ * @access Private (Master API Key required)
+ */
+const updateWebhook = asyncHandler(async (req, res) => {
+  const { webhookId } = req.params;
+
+  try {
+    const webhook = await findWebhook(webhookId);
+    const before = webhookSnapshot(webhook);
+
+    webhook.set(req.body);
+    await webhook.save();
+
+    // Record that the secret was rotated without storing it
+    const after = webhookSnapshot(webhook);
+    if (req.body.secret !== undefined) after.secret = `${REDACTED_SECRET} (rotated)`;
+
+    await recordAudit(req, {
+      action: 'webhook.update',
+      targetType: 'webhook',
+      targetId: webhook._id,
+      before,
+      after
+    });
+
+    logger.info('Webhook updated', {
+      webhookId,
+      fields: Object.keys(req.body).filter(field => field !== 'secret')
+    });
+
+    return successResponse(res, 'Webhook updated successfully', formatWebhook(webhook));
+
+  } catch (error) {
+    logger.error('Error updating webhook:', {
+      error: error.message,
+      webhookId
+    });
+    throw error;
+  }
+});
+
+/**
+ * Delete a webhook subscription (queued deliveries are dropped)
+ * @route DELETE /api/v1/webhooks/:webhookId
+ * @access Private (Master API Key required)
+ */
+const deleteWebhook = asyncHandler(async (req, res) => {
+  const { webhookId } = req.params;
+
+  try {
+    const webhook = await WebhookSubscription.findByIdAndDelete(webhookId);
+
+    if (!webhook) {
+      throw notFoundError('Webhook');
+    }
+
+    const { deletedCount } = await WebhookDelivery.deleteMany({
+      subscriptionId: webhook._id,
+      status: 'pending'
+    });
+
+    await recordAudit(req, {
+      action: 'webhook.delete',
+      targetType: 'webhook',
+      targetId: webhook._id,
+      before: webhookSnapshot(webhook)
+    });
+
+    logger.warn('Webhook deleted', {
+      webhookId,
+      name: webhook.name,
+      droppedDeliveries: deletedCount
+    });
+
+    return successResponse(res, 'Webhook deleted successfully', {
+      webhookId,
+      name: webhook.name,
+      droppedDeliveries: deletedCount
+    });
+
+  } catch (error) {
+    logger.error('Error deleting webhook:', {
+      error: error.message,
+      webhookId
+    });
+    throw error;
+  }
+});
+
+/**
+ * Get the delivery log of a webhook subscription
+ * @route GET /api/v1/webhooks/:webhookId/deliveries
+ * @access Private (Master API Key required)
+ */
+const getWebhookDeliveries = asyncHandler(async (req, res) => {
+  const { webhookId } = req.params;
+  const { status, event, limit = 50, page = 1 } = req.query;
+
+  try {
+    const webhook = await findWebhook(webhookId);
+
+    const query = { subscriptionId: webhook._id };
+    if (status) query.status = status;
+    if (event) query.event = event;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      WebhookDelivery.countDocuments(query)
+    ]);
+
+    return successResponse(res, 'Webhook deliveries retrieved successfully', {
+      deliveries: deliveries.map(formatDelivery),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit)),
+        hasNext: page < Math.ceil(total / parseInt(limit)),
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error retrieving webhook deliveries:', {
+      error: error.message,
+      webhookId,
+      query: req.query
+    });
+    throw error;
+  }
+});
+
+/**
+ * Queue a failed delivery for one more attempt
+ * @route POST /api/v1/webhooks/:webhookId/deliveries/:deliveryId/retry
+ * @access Private (Master API Key required)
+ */
+const retryWebhookDelivery = asyncHandler(async (req, res) => {
+  const { webhookId, deliveryId } = req.params;
+
+  try {
+    const delivery = await WebhookDelivery.findOne({ _id: deliveryId, subscriptionId: webhookId });
+
+    if (!delivery) {
+      throw notFoundError('Webhook delivery');
+    }
+
+    if (delivery.status !== 'failed') {
+      throw new AppError('Only failed deliveries can be retried', 409);
+    }
+
+    delivery.status = 'pending';
+    delivery.nextAttemptAt = new Date();
+    await delivery.save();
+
+    setImmediate(runDispatch);
+
+    logger.info('Webhook delivery requeued', { webhookId, deliveryId });
+
+    return successResponse(res, 'Webhook delivery queued for retry', formatDelivery(delivery));
+
+  } catch (error) {
+    logger.error('Error retrying webhook delivery:', {
+      error: error.message,
+      webhookId,
+      deliveryId
+    });
+    throw error;
+  }
+});
+
+module.exports = {
+  createWebhook,
+  getWebhooks,
+  getWebhookById,
+  updateWebhook,
+  deleteWebhook,
+  getWebhookDeliveries,
+  retryWebhookDelivery
+};
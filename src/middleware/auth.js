@@ -1,6 +1,10 @@
 const jwt = require('jsonwebtoken');
-const { unauthorizedResponse } = require('../utils/apiResponse');
+const { unauthorizedResponse, forbiddenResponse } = require('../utils/apiResponse');
 const logger = require('../utils/logger');
+const User = require('../models/User');
+const ApiKey = require('../models/ApiKey');
+const Device = require('../models/Device');
+const Session = require('../models/Session');
 const { unauthorizedError } = require('./errorHandler');
 
 /**
@@ -43,8 +47,39 @@ const authenticateToken = (req, res, next) => {
         }
       }
       
-      req.user = decoded;
-      next();
+      // Tokens issued before sessions existed can't be revoked
+      if (!decoded.sid) {
+        return unauthorizedResponse(res, 'Session expired, please log in again');
+      }
+      
+      // Logout / logout-all revoke the session and every access token issued for it
+      Session.findActiveSession(decoded.sid, decoded.id)
+        .then(session => {
+          if (!session) {
+            logger.warn('Token for revoked session', {
+              userId: decoded.id,
+              sessionId: decoded.sid,
+              ip: req.ip,
+              url: req.url
+            });
+            return unauthorizedResponse(res, 'Session has been revoked');
+          }
+          
+          req.user = decoded;
+          // The organization selected for this session scopes every query (null = personal devices)
+          req.organizationId = session.organizationId || null;
+          
+          // Roles were issued for the token's organization; after a switch or removal
+          // they no longer apply until the client refreshes its token
+          if (String(decoded.org || null) !== String(req.organizationId)) {
+            req.user.roles = [];
+          }
+          next();
+        })
+        .catch(error => {
+          logger.error('Session check error:', error);
+          return unauthorizedResponse(res, 'Authentication failed');
+        });
     });
     
   } catch (error) {
@@ -53,13 +88,93 @@ const authenticateToken = (req, res, next) => {
   }
 };
 
+/**
+ * Accept a JWT from the ?token= query parameter when no Authorization header is set.
+ * Only for routes that browsers open without custom headers (e.g. EventSource streams).
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const allowQueryToken = (req, res, next) => {
+  if (!req.headers['authorization'] && req.query.token) {
+    req.headers['authorization'] = `Bearer ${req.query.token}`;
+    delete req.query.token;
+  }
+  next();
+};
+
+/**
+ * Resolve the type of an environment API key
+ * @param {string} apiKey - API key to check
+ * @returns {string|null} 'master', 'standard' or null if the key is not an environment key
+ */
+const getApiKeyType = (apiKey) => {
+  const validApiKeys = process.env.API_KEYS ? process.env.API_KEYS.split(',') : [];
+  const masterApiKey = process.env.API_KEY;
+  
+  if (!apiKey) return null;
+  if (masterApiKey && apiKey === masterApiKey) return 'master';
+  if (validApiKeys.includes(apiKey)) return 'standard';
+  return null;
+};
+
+/**
+ * Resolve an API key to its type, scopes, device binding and organization.
+ * Environment keys are checked first, then the ApiKey collection.
+ * @param {string} apiKey - API key to check
+ * @returns {Object|null} { type, scopes, deviceIds, organizationId, id?, name? } or null if the key is invalid
+ */
+const resolveApiKey = async (apiKey) => {
+  if (!apiKey) return null;
+  
+  const envType = getApiKeyType(apiKey);
+  if (envType === 'master') {
+    return { type: 'master', scopes: [...ApiKey.SCOPES], deviceIds: [], organizationId: null };
+  }
+  if (envType === 'standard') {
+    // Legacy API_KEYS entries keep what they could do before scopes existed:
+    // ingest, read, and resolve/acknowledge alerts (deleting alerts stays master-only)
+    return { type: 'standard', scopes: ['ingest', 'read', 'alert-admin'], deviceIds: [], organizationId: null };
+  }
+  
+  const storedKey = await ApiKey.findActiveByKey(apiKey).lean();
+  if (!storedKey) return null;
+  
+  ApiKey.touch(storedKey._id).catch(error => {
+    logger.warn('Failed to record API key usage', { keyId: storedKey._id, error: error.message });
+  });
+  
+  return {
+    type: 'scoped',
+    id: storedKey._id,
+    name: storedKey.name,
+    scopes: storedKey.scopes,
+    deviceIds: storedKey.deviceIds || [],
+    organizationId: storedKey.organizationId || null
+  };
+};
+
+/**
+ * Check that a device may be used from an organization context.
+ * Unknown devices pass (they are created inside the organization on first contact).
+ * @param {string} deviceId - Device ID
+ * @param {string|null} organizationId - Caller's organization (null = platform-wide caller)
+ * @returns {boolean} True if the device is unknown or belongs to the organization
+ */
+const isDeviceInOrganization = async (deviceId, organizationId) => {
+  if (!organizationId) return true;
+
+  const device = await Device.findOne({ deviceId }).select('organizationId').lean();
+  return !device || String(device.organizationId) === String(organizationId);
+};
+
 /**
  * API Key authentication middleware (simpler alternative for IoT devices)
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next function
  */
-const authenticateApiKey = (req, res, next) => {
+const authenticateApiKey = async (req, res, next) => {
   try {
     const apiKey = req.headers['x-api-key'] || req.query.apiKey;
     
@@ -74,18 +189,9 @@ const authenticateApiKey = (req, res, next) => {
       return unauthorizedResponse(res, 'API key required');
     }
     
-    // In production, you might want to store API keys in database with different permissions
-    const validApiKeys = process.env.API_KEYS ? process.env.API_KEYS.split(',') : [];
-    const masterApiKey = process.env.API_KEY;
-    
-    if (!masterApiKey && validApiKeys.length === 0) {
-      logger.error('No API keys configured in environment');
-      return unauthorizedResponse(res, 'Authentication not configured');
-    }
-    
-    const isValidKey = apiKey === masterApiKey || validApiKeys.includes(apiKey);
+    const resolvedKey = await resolveApiKey(apiKey);
     
-    if (!isValidKey) {
+    if (!resolvedKey) {
       logger.warn('Invalid API key', {
         providedKey: apiKey.substring(0, 8) + '...', // Log partial key for debugging
         ip: req.ip,
@@ -97,14 +203,23 @@ const authenticateApiKey = (req, res, next) => {
       return unauthorizedResponse(res, 'Invalid API key');
     }
     
-    // Add API key info to request for logging/auditing
+    // Add API key info to request for logging/auditing and scope checks
     req.apiKey = {
       key: apiKey.substring(0, 8) + '...',
-      type: apiKey === masterApiKey ? 'master' : 'standard'
+      ...resolvedKey
     };
     
+    // Organization keys only see that organization's data
+    req.organizationId = resolvedKey.organizationId;
+    
+    // Keys bound to devices only see those devices in list queries
+    if (resolvedKey.deviceIds.length > 0) {
+      req.ownedDeviceIds = resolvedKey.deviceIds;
+    }
+    
     logger.debug('API key authentication successful', {
       keyType: req.apiKey.type,
+      keyName: req.apiKey.name,
       ip: req.ip,
       deviceId: req.body?.deviceId || req.params?.deviceId || 'unknown'
     });
@@ -117,13 +232,67 @@ const authenticateApiKey = (req, res, next) => {
   }
 };
 
+/**
+ * API key scope middleware
+ * @param {string} scope - Required scope ('ingest', 'read' or 'alert-admin')
+ * @returns {Function} Express middleware
+ */
+const requireApiKeyScope = (scope) => {
+  return (req, res, next) => {
+    if (!req.apiKey) {
+      return unauthorizedResponse(res, 'API key required');
+    }
+    
+    if (!req.apiKey.scopes.includes(scope)) {
+      logger.warn('API key scope missing', {
+        requiredScope: scope,
+        keyType: req.apiKey.type,
+        keyName: req.apiKey.name,
+        ip: req.ip,
+        url: req.url,
+        method: req.method
+      });
+      return forbiddenResponse(res, `API key lacks the '${scope}' scope`);
+    }
+    
+    next();
+  };
+};
+
+/**
+ * Master API key middleware (key management and other admin operations)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const requireMasterApiKey = (req, res, next) => {
+  if (req.apiKey?.type !== 'master') {
+    return forbiddenResponse(res, 'Master API key required for this operation');
+  }
+  next();
+};
+
+/**
+ * Reject legacy API_KEYS entries on routes they never had access to
+ * (their alert-admin scope only covers what they could do before scopes existed)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const rejectLegacyApiKey = (req, res, next) => {
+  if (req.apiKey?.type === 'standard') {
+    return forbiddenResponse(res, 'Legacy API_KEYS entries cannot perform this operation; use a stored key with the required scope');
+  }
+  next();
+};
+
 /**
  * Device ID validation middleware (ensures device can only access its own data)
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next function
  */
-const validateDeviceAccess = (req, res, next) => {
+const validateDeviceAccess = async (req, res, next) => {
   try {
     const requestDeviceId = req.body?.deviceId || req.params?.deviceId || req.query?.deviceId;
     const authenticatedDeviceId = req.user?.deviceId || req.device?.deviceId;
@@ -138,6 +307,32 @@ const validateDeviceAccess = (req, res, next) => {
       return next();
     }
     
+    // Check API keys bound to specific devices
+    const boundDeviceIds = req.apiKey?.deviceIds || [];
+    if (boundDeviceIds.length > 0 && !boundDeviceIds.includes(requestDeviceId)) {
+      logger.warn('API key device access violation', {
+        requestedDeviceId: requestDeviceId,
+        keyName: req.apiKey.name,
+        ip: req.ip,
+        url: req.url,
+        method: req.method
+      });
+      return forbiddenResponse(res, 'Access denied: API key is not valid for this device');
+    }
+    
+    // Check organization keys against the device's organization
+    if (!await isDeviceInOrganization(requestDeviceId, req.organizationId)) {
+      logger.warn('Organization device access violation', {
+        requestedDeviceId: requestDeviceId,
+        organizationId: req.organizationId,
+        keyName: req.apiKey?.name,
+        ip: req.ip,
+        url: req.url,
+        method: req.method
+      });
+      return forbiddenResponse(res, 'Access denied: Device belongs to another organization');
+    }
+    
     // Check if device is accessing its own data
     if (authenticatedDeviceId && requestDeviceId !== authenticatedDeviceId) {
       logger.warn('Device access violation', {
@@ -158,6 +353,68 @@ const validateDeviceAccess = (req, res, next) => {
   }
 };
 
+/**
+ * Device ownership middleware for JWT (web) routes.
+ * Loads the caller's devices into req.ownedDeviceIds and rejects requests for
+ * any device (route param or ?deviceId=A,B) outside them. With an organization
+ * selected these are the organization's devices, otherwise the user's own
+ * devices that are not assigned to an organization.
+ * Must run after authenticateToken.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const requireDeviceOwnership = async (req, res, next) => {
+  try {
+    if (!req.user?.id) {
+      return unauthorizedResponse(res, 'User authentication required');
+    }
+    
+    const user = await User.findById(req.user.id).select('devices isActive').lean();
+    if (!user || !user.isActive) {
+      return unauthorizedResponse(res, 'User not found or inactive');
+    }
+    
+    if (req.organizationId) {
+      req.ownedDeviceIds = await Device.distinct('deviceId', { organizationId: req.organizationId });
+    } else {
+      const linkedDeviceIds = (user.devices || []).map(device => device.deviceId);
+      const assignedDeviceIds = await Device.distinct('deviceId', {
+        deviceId: { $in: linkedDeviceIds },
+        organizationId: { $ne: null }
+      });
+      req.ownedDeviceIds = linkedDeviceIds.filter(deviceId => !assignedDeviceIds.includes(deviceId));
+    }
+    
+    const requested = [req.params?.deviceId, req.query?.deviceId]
+      .filter(Boolean)
+      .flatMap(value => String(value).split(','))
+      .map(deviceId => deviceId.trim())
+      .filter(Boolean);
+    
+    const notOwned = requested.filter(deviceId => !req.ownedDeviceIds.includes(deviceId));
+    
+    if (notOwned.length > 0) {
+      logger.warn('Device ownership violation', {
+        userId: req.user.id,
+        requestedDeviceIds: notOwned,
+        ip: req.ip,
+        url: req.originalUrl.split('?')[0],
+        method: req.method
+      });
+      return forbiddenResponse(res, req.organizationId ?
+        'Access denied: Device is not part of the selected organization' :
+        'Access denied: Device is not associated with your account');
+    }
+    
+    next();
+    
+  } catch (error) {
+    logger.error('Device ownership validation error:', error);
+    return unauthorizedResponse(res, 'Access validation failed');
+  }
+};
+
 /**
  * Optional authentication middleware (allows both authenticated and anonymous access)
  * @param {Object} req - Express request object
@@ -179,8 +436,10 @@ const optionalAuth = (req, res, next) => {
 };
 
 /**
- * Role-based access control middleware
- * @param {Array} roles - Required roles
+ * Role-based access control middleware for JWT callers.
+ * Roles come from the access token: the user's role in the session's
+ * organization, or 'owner' of their personal devices when none is selected.
+ * @param {Array} roles - Accepted roles ('owner', 'admin', 'operator', 'viewer')
  * @returns {Function} Express middleware
  */
 const requireRoles = (roles = []) => {
@@ -202,17 +461,32 @@ const requireRoles = (roles = []) => {
         requiredRoles: roles,
         userRoles: userRoles,
         userId: req.user?.id || 'unknown',
+        organizationId: req.organizationId,
         ip: req.ip,
         url: req.url,
         method: req.method
       });
-      return unauthorizedResponse(res, 'Insufficient permissions');
+      return forbiddenResponse(res, `Insufficient permissions: requires one of the roles ${roles.join(', ')}`);
     }
     
     next();
   };
 };
 
+/**
+ * Require an organization to be selected for the session (JWT routes that
+ * manage shared resources such as geofences and device registration)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const requireOrganization = (req, res, next) => {
+  if (!req.organizationId) {
+    return forbiddenResponse(res, 'Select an organization first (POST /auth/switch-organization)');
+  }
+  next();
+};
+
 /**
  * Generate JWT token for device
  * @param {string} deviceId - Device ID
@@ -291,10 +565,19 @@ const securityHeaders = (req, res, next) => {
 
 module.exports = {
   authenticateToken,
+  allowQueryToken,
   authenticateApiKey,
+  getApiKeyType,
+  resolveApiKey,
+  isDeviceInOrganization,
+  requireApiKeyScope,
+  requireMasterApiKey,
+  rejectLegacyApiKey,
   validateDeviceAccess,
+  requireDeviceOwnership,
   optionalAuth,
   requireRoles,
+  requireOrganization,
   generateDeviceToken,
   verifyToken,
   authRateLimitBypass,
@@ -9,6 +9,19 @@ const { AppError } = require('./errorHandler');
  */
 const JWT_PAYLOAD_SECRET = process.env.JWT_PAYLOAD_SECRET || 'iot_device_payload_secret_2025';
 
+/**
+ * Verify and decode a device JWT payload token
+ * Shared by the HTTP middleware and the MQTT gateway
+ * @param {String} token - JWT token signed by the device
+ * @returns {Object} Decoded payload
+ */
+const verifyJwtPayload = (token) => {
+  return jwt.verify(token, JWT_PAYLOAD_SECRET, {
+    algorithms: ['HS256'], // Only allow HMAC SHA-256
+    maxAge: '5m' // Token expires in 5 minutes (prevents replay attacks)
+  });
+};
+
 /**
  * Middleware to decode JWT-encoded payloads from IoT devices
  * MANDATORY: All payloads must be JWT-encoded for security
@@ -36,10 +49,7 @@ const decodeJwtPayload = (req, res, next) => {
     }
 
     // Verify and decode JWT token
-    const decoded = jwt.verify(token, JWT_PAYLOAD_SECRET, {
-      algorithms: ['HS256'], // Only allow HMAC SHA-256
-      maxAge: '5m' // Token expires in 5 minutes (prevents replay attacks)
-    });
+    const decoded = verifyJwtPayload(token);
 
     // Log successful JWT decode
     logger.info('JWT payload decoded successfully', {
@@ -120,6 +130,7 @@ const generateJwtPayload = (payload, options = {}) => {
 
 module.exports = {
   decodeJwtPayload,
+  verifyJwtPayload,
   generateJwtPayload,
   JWT_PAYLOAD_SECRET
 };
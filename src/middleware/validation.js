@@ -1,10 +1,61 @@
 const { 
   locationDataSchema, 
+  locationBatchSchema,
   alertSchema, 
   deviceSchema,
+  deviceClaimSchema,
   deviceHistoryQuerySchema,
+  deviceHistoryExportQuerySchema,
+  deviceListQuerySchema,
+  devicePositionsQuerySchema,
+  nearbyDevicesQuerySchema,
+  deviceVisitsQuerySchema,
   alertsQuerySchema 
 } = require('../validators/deviceValidator');
+const {
+  geofenceSchema,
+  geofenceUpdateSchema,
+  geofenceQuerySchema
+} = require('../validators/geofenceValidator');
+const {
+  apiKeySchema,
+  apiKeyQuerySchema
+} = require('../validators/apiKeyValidator');
+const {
+  alertRuleSchema,
+  alertRuleUpdateSchema,
+  alertRuleQuerySchema
+} = require('../validators/alertRuleValidator');
+const {
+  webhookSchema,
+  webhookUpdateSchema,
+  webhookQuerySchema,
+  webhookDeliveryQuerySchema
+} = require('../validators/webhookValidator');
+const {
+  organizationSchema,
+  organizationUpdateSchema,
+  organizationMemberSchema,
+  organizationMemberUpdateSchema,
+  switchOrganizationSchema
+} = require('../validators/organizationValidator');
+const {
+  auditQuerySchema
+} = require('../validators/auditValidator');
+const {
+  deviceCommandSchema,
+  commandHistoryQuerySchema
+} = require('../validators/commandValidator');
+const {
+  firmwareReleaseSchema,
+  firmwareReleaseQuerySchema,
+  firmwareRolloutSchema,
+  firmwareRolloutUpdateSchema,
+  firmwareRolloutQuerySchema,
+  firmwareRolloutDevicesQuerySchema,
+  firmwareCheckQuerySchema,
+  firmwareStatusSchema
+} = require('../validators/firmwareValidator');
 const { badRequestResponse } = require('../utils/apiResponse');
 const logger = require('../utils/logger');
 
@@ -76,6 +127,14 @@ const validateLocationData = createValidationMiddleware(locationDataSchema, 'bod
   allowUnknown: false
 });
 
+/**
+ * Validates batch upload envelope (individual readings are checked per item)
+ */
+const validateLocationBatch = createValidationMiddleware(locationBatchSchema, 'body', {
+  stripUnknown: true,
+  allowUnknown: false
+});
+
 /**
  * Validates alert data
  */
@@ -92,6 +151,14 @@ const validateDevice = createValidationMiddleware(deviceSchema, 'body', {
   allowUnknown: false
 });
 
+/**
+ * Validates device claim data
+ */
+const validateDeviceClaim = createValidationMiddleware(deviceClaimSchema, 'body', {
+  stripUnknown: true,
+  allowUnknown: false
+});
+
 /**
  * Validates device history query parameters
  */
@@ -100,6 +167,46 @@ const validateDeviceHistoryQuery = createValidationMiddleware(deviceHistoryQuery
   allowUnknown: true // Allow additional query parameters
 });
 
+/**
+ * Validates device history export query parameters
+ */
+const validateDeviceHistoryExportQuery = createValidationMiddleware(deviceHistoryExportQuerySchema, 'query', {
+  stripUnknown: true,
+  allowUnknown: true // Allow additional query parameters
+});
+
+/**
+ * Validates device list query parameters
+ */
+const validateDeviceListQuery = createValidationMiddleware(deviceListQuerySchema, 'query', {
+  stripUnknown: true,
+  allowUnknown: true // Allow additional query parameters
+});
+
+/**
+ * Validates device positions (map viewport) query parameters
+ */
+const validateDevicePositionsQuery = createValidationMiddleware(devicePositionsQuerySchema, 'query', {
+  stripUnknown: true,
+  allowUnknown: true // Allow additional query parameters
+});
+
+/**
+ * Validates nearby devices query parameters
+ */
+const validateNearbyDevicesQuery = createValidationMiddleware(nearbyDevicesQuerySchema, 'query', {
+  stripUnknown: true,
+  allowUnknown: true // Allow additional query parameters
+});
+
+/**
+ * Validates device visits query parameters
+ */
+const validateDeviceVisitsQuery = createValidationMiddleware(deviceVisitsQuerySchema, 'query', {
+  stripUnknown: true,
+  allowUnknown: true // Allow additional query parameters
+});
+
 /**
  * Validates alerts query parameters
  */
@@ -108,6 +215,230 @@ const validateAlertsQuery = createValidationMiddleware(alertsQuerySchema, 'query
   allowUnknown: true // Allow additional query parameters
 });
 
+/**
+ * Validates geofence creation data
+ */
+const validateGeofence = createValidationMiddleware(geofenceSchema, 'body', {
+  stripUnknown: true,
+  allowUnknown: false
+});
+
+/**
+ * Validates geofence update data
+ */
+const validateGeofenceUpdate = createValidationMiddleware(geofenceUpdateSchema, 'body', {
+  stripUnknown: true,
+  allowUnknown: false
+});
+
+/**
+ * Validates geofence list query parameters
+ */
+const validateGeofenceQuery = createValidationMiddleware(geofenceQuerySchema, 'query', {
+  stripUnknown: true,
+  allowUnknown: true // Allow additional query parameters
+});
+
+/**
+ * Validates alert rule creation data
+ */
+const validateAlertRule = createValidationMiddleware(alertRuleSchema, 'body', {
+  stripUnknown: true,
+  allowUnknown: false
+});
+
+/**
+ * Validates alert rule update data
+ */
+const validateAlertRuleUpdate = createValidationMiddleware(alertRuleUpdateSchema, 'body', {
+  stripUnknown: true,
+  allowUnknown: false
+});
+
+/**
+ * Validates alert rule list query parameters
+ */
+const validateAlertRuleQuery = createValidationMiddleware(alertRuleQuerySchema, 'query', {
+  stripUnknown: true,
+  allowUnknown: true // Allow additional query parameters
+});
+
+/**
+ * Validates API key creation data
+ */
+const validateApiKey = createValidationMiddleware(apiKeySchema, 'body', {
+  stripUnknown: true,
+  allowUnknown: false
+});
+
+/**
+ * Validates API key list query parameters
+ */
+const validateApiKeyQuery = createValidationMiddleware(apiKeyQuerySchema, 'query', {
+  stripUnknown: true,
+  allowUnknown: true // Allow additional query parameters
+});
+
+/**
+ * Validates webhook subscription creation data
+ */
+const validateWebhook = createValidationMiddleware(webhookSchema, 'body', {
+  stripUnknown: true,
+  allowUnknown: false
+});
+
+/**
+ * Validates webhook subscription update data
+ */
+const validateWebhookUpdate = createValidationMiddleware(webhookUpdateSchema, 'body', {
+  stripUnknown: true,
+  allowUnknown: false
+});
+
+/**
+ * Validates webhook list query parameters
+ */
+const validateWebhookQuery = createValidationMiddleware(webhookQuerySchema, 'query', {
+  stripUnknown: true,
+  allowUnknown: true // Allow additional query parameters
+});
+
+/**
+ * Validates webhook delivery log query parameters
+ */
+const validateWebhookDeliveryQuery = createValidationMiddleware(webhookDeliveryQuerySchema, 'query', {
+  stripUnknown: true,
+  allowUnknown: true // Allow additional query parameters
+});
+
+/**
+ * Validates organization creation data
+ */
+const validateOrganization = createValidationMiddleware(organizationSchema, 'body', {
+  stripUnknown: true,
+  allowUnknown: false
+});
+
+/**
+ * Validates organization update data
+ */
+const validateOrganizationUpdate = createValidationMiddleware(organizationUpdateSchema, 'body', {
+  stripUnknown: true,
+  allowUnknown: false
+});
+
+/**
+ * Validates organization member invitation data
+ */
+const validateOrganizationMember = createValidationMiddleware(organizationMemberSchema, 'body', {
+  stripUnknown: true,
+  allowUnknown: false
+});
+
+/**
+ * Validates organization member role changes
+ */
+const validateOrganizationMemberUpdate = createValidationMiddleware(organizationMemberUpdateSchema, 'body', {
+  stripUnknown: true,
+  allowUnknown: false
+});
+
+/**
+ * Validates organization switch requests
+ */
+const validateSwitchOrganization = createValidationMiddleware(switchOrganizationSchema, 'body', {
+  stripUnknown: true,
+  allowUnknown: false
+});
+
+/**
+ * Validates audit log query parameters
+ */
+const validateAuditQuery = createValidationMiddleware(auditQuerySchema, 'query', {
+  stripUnknown: true,
+  allowUnknown: true // Allow additional query parameters
+});
+
+/**
+ * Validates device command creation data
+ */
+const validateDeviceCommand = createValidationMiddleware(deviceCommandSchema, 'body', {
+  stripUnknown: true,
+  allowUnknown: false
+});
+
+/**
+ * Validates device command history query parameters
+ */
+const validateCommandHistoryQuery = createValidationMiddleware(commandHistoryQuerySchema, 'query', {
+  stripUnknown: true,
+  allowUnknown: true // Allow additional query parameters
+});
+
+/**
+ * Validates firmware release creation data
+ */
+const validateFirmwareRelease = createValidationMiddleware(firmwareReleaseSchema, 'body', {
+  stripUnknown: true,
+  allowUnknown: false
+});
+
+/**
+ * Validates firmware release query parameters
+ */
+const validateFirmwareReleaseQuery = createValidationMiddleware(firmwareReleaseQuerySchema, 'query', {
+  stripUnknown: true,
+  allowUnknown: true // Allow additional query parameters
+});
+
+/**
+ * Validates firmware rollout creation data
+ */
+const validateFirmwareRollout = createValidationMiddleware(firmwareRolloutSchema, 'body', {
+  stripUnknown: true,
+  allowUnknown: false
+});
+
+/**
+ * Validates firmware rollout update data
+ */
+const validateFirmwareRolloutUpdate = createValidationMiddleware(firmwareRolloutUpdateSchema, 'body', {
+  stripUnknown: true,
+  allowUnknown: false
+});
+
+/**
+ * Validates firmware rollout query parameters
+ */
+const validateFirmwareRolloutQuery = createValidationMiddleware(firmwareRolloutQuerySchema, 'query', {
+  stripUnknown: true,
+  allowUnknown: true // Allow additional query parameters
+});
+
+/**
+ * Validates rollout per-device progress query parameters
+ */
+const validateFirmwareRolloutDevicesQuery = createValidationMiddleware(firmwareRolloutDevicesQuerySchema, 'query', {
+  stripUnknown: true,
+  allowUnknown: true // Allow additional query parameters
+});
+
+/**
+ * Validates the version/model a device reports when checking for updates
+ */
+const validateFirmwareCheckQuery = createValidationMiddleware(firmwareCheckQuerySchema, 'query', {
+  stripUnknown: true,
+  allowUnknown: true // Allow additional query parameters
+});
+
+/**
+ * Validates firmware update status reported by a device (decoded JWT payload)
+ */
+const validateFirmwareStatus = createValidationMiddleware(firmwareStatusSchema, 'body', {
+  stripUnknown: true,
+  allowUnknown: false
+});
+
 /**
  * Validates device ID in URL parameters
  */
@@ -396,10 +727,45 @@ const validateProfileUpdate = (req, res, next) => {
 module.exports = {
   createValidationMiddleware,
   validateLocationData,
+  validateLocationBatch,
   validateAlert,
   validateDevice,
+  validateDeviceClaim,
   validateDeviceHistoryQuery,
+  validateDeviceHistoryExportQuery,
+  validateDeviceListQuery,
+  validateDevicePositionsQuery,
+  validateNearbyDevicesQuery,
+  validateDeviceVisitsQuery,
   validateAlertsQuery,
+  validateGeofence,
+  validateGeofenceUpdate,
+  validateGeofenceQuery,
+  validateAlertRule,
+  validateAlertRuleUpdate,
+  validateAlertRuleQuery,
+  validateApiKey,
+  validateApiKeyQuery,
+  validateWebhook,
+  validateWebhookUpdate,
+  validateWebhookQuery,
+  validateWebhookDeliveryQuery,
+  validateOrganization,
+  validateOrganizationUpdate,
+  validateOrganizationMember,
+  validateOrganizationMemberUpdate,
+  validateSwitchOrganization,
+  validateAuditQuery,
+  validateDeviceCommand,
+  validateCommandHistoryQuery,
+  validateFirmwareRelease,
+  validateFirmwareReleaseQuery,
+  validateFirmwareRollout,
+  validateFirmwareRolloutUpdate,
+  validateFirmwareRolloutQuery,
+  validateFirmwareRolloutDevicesQuery,
+  validateFirmwareCheckQuery,
+  validateFirmwareStatus,
   validateDeviceId,
   validatePagination,
   validateDateRange,
@@ -1,4 +1,20 @@
 const mongoose = require('mongoose');
+const WebhookDelivery = require('./WebhookDelivery');
+const { eventBus, EVENTS } = require('../services/eventBus');
+const logger = require('../utils/logger');
+
+// Who resolves alerts automatically (auto-resolver, device back online)
+const AUTO_RESOLVED_BY = 'system:auto';
+
+// Default auto-resolve settings per alert type. Types not listed need a person
+// (or, for offline alerts, the device reporting again) to resolve them.
+const AUTO_RESOLVE_DEFAULTS = {
+  vibration: 30,
+  temperature: 60,
+  geofence: 60,
+  low_battery: 120,
+  watchdog_triggered: 60
+};
 
 const alertSchema = new mongoose.Schema({
   deviceId: {
@@ -7,6 +23,12 @@ const alertSchema = new mongoose.Schema({
     ref: 'Device',
     index: true
   },
+  // Copied from the device when the alert is created
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    index: true
+  },
   alertType: {
     type: String,
     required: [true, 'Alert type is required'],
@@ -136,6 +158,8 @@ alertSchema.index({ isResolved: 1, timestamp: -1 });
 alertSchema.index({ timestamp: -1 });
 // Index for soft delete - optimize queries excluding deleted alerts
 alertSchema.index({ deletedAt: 1 });
+// Index for the auto-resolver scan
+alertSchema.index({ 'autoResolve.enabled': 1, isResolved: 1, timestamp: 1 });
 
 // Geospatial index for location-based queries
 alertSchema.index({ location: '2dsphere' });
@@ -176,6 +200,27 @@ alertSchema.methods.acknowledge = function(acknowledgedBy = null) {
   return this.save();
 };
 
+// Static method to get default auto-resolve settings for an alert type
+alertSchema.statics.autoResolveDefaults = function(alertType) {
+  const timeoutMinutes = AUTO_RESOLVE_DEFAULTS[alertType];
+  return timeoutMinutes ? { enabled: true, timeoutMinutes } : { enabled: false };
+};
+
+// Static method to find unresolved alerts whose auto-resolve timeout has elapsed
+alertSchema.statics.findAutoResolvable = function(now = new Date()) {
+  return this.find({
+    'autoResolve.enabled': true,
+    isResolved: false,
+    deletedAt: null,
+    $expr: {
+      $lte: [
+        { $add: ['$timestamp', { $multiply: ['$autoResolve.timeoutMinutes', 60 * 1000] }] },
+        now
+      ]
+    }
+  }).sort({ timestamp: 1 });
+};
+
 // Static method to find unresolved alerts
 alertSchema.statics.findUnresolved = function(deviceId = null) {
   const query = { isResolved: false, deletedAt: null };
@@ -212,6 +257,7 @@ alertSchema.statics.getStats = function(deviceId = null, startDate = null, endDa
         _id: null,
         total: { $sum: 1 },
         resolved: { $sum: { $cond: ['$isResolved', 1, 0] } },
+        autoResolved: { $sum: { $cond: [{ $eq: ['$resolvedBy', AUTO_RESOLVED_BY] }, 1, 0] } },
         critical: { $sum: { $cond: [{ $eq: ['$severity', 'critical'] }, 1, 0] } },
         high: { $sum: { $cond: [{ $eq: ['$severity', 'high'] }, 1, 0] } },
         medium: { $sum: { $cond: [{ $eq: ['$severity', 'medium'] }, 1, 0] } },
@@ -232,6 +278,7 @@ alertSchema.statics.getStats = function(deviceId = null, startDate = null, endDa
         _id: 0,
         total: 1,
         resolved: 1,
+        autoResolved: 1,
         unresolved: { $subtract: ['$total', '$resolved'] },
         severity: {
           critical: '$critical',
@@ -273,6 +320,17 @@ alertSchema.pre('save', function(next) {
   next();
 });
 
+// Pre-save middleware to scope new alerts to the device's organization
+alertSchema.pre('save', async function() {
+  if (!this.isNew || this.organizationId !== undefined) return;
+
+  const device = await mongoose.model('Device')
+    .findOne({ deviceId: this.deviceId })
+    .select('organizationId')
+    .lean();
+  this.organizationId = device?.organizationId || null;
+});
+
 // Pre-save middleware for auto-resolve logic
 alertSchema.pre('save', function(next) {
   if (this.isResolved && !this.resolvedAt) {
@@ -281,4 +339,50 @@ alertSchema.pre('save', function(next) {
   next();
 });
 
-module.exports = mongoose.model('Alert', alertSchema);
\ No newline at end of file
+// Work out which lifecycle event this save represents (checked before save resets modified paths)
+alertSchema.pre('save', function(next) {
+  if (this.isNew) {
+    this.$locals.changeEvent = 'alert.created';
+  } else if (this.isModified('isResolved') && this.isResolved) {
+    this.$locals.changeEvent = 'alert.resolved';
+  } else if (this.isModified('acknowledgedAt') && this.acknowledgedAt) {
+    this.$locals.changeEvent = 'alert.acknowledged';
+  } else {
+    this.$locals.changeEvent = 'alert.updated';
+  }
+  next();
+});
+
+// Write webhook outbox entries before save() returns, so queued events don't depend on the
+// dispatcher running (it only sends them). A failure is logged and doesn't fail the alert.
+alertSchema.post('save', async function(doc) {
+  const event = doc.$locals.changeEvent || 'alert.updated';
+
+  try {
+    const deliveries = await WebhookDelivery.enqueueAlertEvent(event, doc.toJSON());
+    if (deliveries.length > 0) {
+      logger.info('Webhook deliveries queued', { event, alertId: doc._id, count: deliveries.length });
+    }
+  } catch (error) {
+    logger.error('Error queueing webhook deliveries:', {
+      error: error.message,
+      event,
+      alertId: doc._id
+    });
+  }
+});
+
+// Publish alert changes to live subscribers
+alertSchema.post('save', function(doc) {
+  eventBus.emit(EVENTS.ALERT, {
+    event: doc.$locals.changeEvent || 'alert.updated',
+    deviceId: doc.deviceId,
+    data: doc.toJSON()
+  });
+});
+
+const Alert = mongoose.model('Alert', alertSchema);
+
+Alert.AUTO_RESOLVED_BY = AUTO_RESOLVED_BY;
+
+module.exports = Alert;
\ No newline at end of file
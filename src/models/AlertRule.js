@@ -0,0 +1,232 @@
+const mongoose = require('mongoose');
+
+const OPERATORS = ['gt', 'gte', 'lt', 'lte', 'eq', 'neq', 'between', 'outside', 'exists', 'not_exists'];
+
+const conditionSchema = new mongoose.Schema({
+  // LocationData path, e.g. "temperature", "engineRpm" or "additionalData.oilPressure"
+  field: {
+    type: String,
+    required: [true, 'Condition field is required'],
+    trim: true
+  },
+  operator: {
+    type: String,
+    enum: {
+      values: OPERATORS,
+      message: 'Invalid condition operator'
+    },
+    required: [true, 'Condition operator is required']
+  },
+  // Comparison value (lower bound for between/outside)
+  value: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // Upper bound for between/outside
+  value2: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // Take the comparison value from a Device field instead (e.g. "batteryThreshold")
+  valueFrom: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
+
+const alertRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Rule name is required'],
+    trim: true,
+    maxlength: [100, 'Rule name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  // Owning organization (null = platform-wide rule, applies to every organization)
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  // Scope: devices and/or device groups. Both empty = applies to every device
+  deviceIds: [{
+    type: String,
+    trim: true
+  }],
+  groups: [{
+    type: String,
+    trim: true
+  }],
+  conditions: {
+    type: [conditionSchema],
+    validate: {
+      validator: (conditions) => conditions.length > 0,
+      message: 'At least one condition is required'
+    }
+  },
+  // Whether all or any of the conditions must hold
+  match: {
+    type: String,
+    enum: ['all', 'any'],
+    default: 'all'
+  },
+  // Conditions must hold this long (across consecutive readings) before alerting
+  sustainSeconds: {
+    type: Number,
+    default: 0,
+    min: [0, 'Sustain duration cannot be negative']
+  },
+  // Minimum time between two alerts from this rule for the same device
+  cooldownMinutes: {
+    type: Number,
+    default: 15,
+    min: [0, 'Cooldown cannot be negative']
+  },
+  alertType: {
+    type: String,
+    enum: {
+      values: [
+        'vibration', 'tampering', 'low_battery', 'geofence', 'offline', 'temperature', 'custom',
+        'watchdog_triggered', 'gps_malfunction', 'obd2_malfunction', 'gyroscope_malfunction'
+      ],
+      message: 'Invalid alert type'
+    },
+    default: 'custom'
+  },
+  severity: {
+    type: String,
+    enum: {
+      values: ['low', 'medium', 'high', 'critical'],
+      message: 'Invalid severity level'
+    },
+    default: 'medium'
+  },
+  // Templates use {{field}} placeholders, e.g. "Coolant at {{coolantTemperature}}°C on {{deviceName}}"
+  titleTemplate: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Title template cannot exceed 100 characters']
+  },
+  messageTemplate: {
+    type: String,
+    required: [true, 'Message template is required'],
+    trim: true,
+    maxlength: [500, 'Message template cannot exceed 500 characters']
+  },
+  // Overrides the alert type's auto-resolve defaults
+  autoResolve: {
+    enabled: Boolean,
+    timeoutMinutes: {
+      type: Number,
+      min: [1, 'Auto-resolve timeout must be at least 1 minute'],
+      max: [1440, 'Auto-resolve timeout cannot exceed 24 hours']
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+alertRuleSchema.index({ isActive: 1, deviceIds: 1 });
+alertRuleSchema.index({ isActive: 1, groups: 1 });
+
+// Validate operator/value combinations
+alertRuleSchema.pre('validate', function(next) {
+  for (const condition of this.conditions || []) {
+    const needsValue = !['exists', 'not_exists'].includes(condition.operator);
+    const needsRange = ['between', 'outside'].includes(condition.operator);
+
+    if (needsValue && condition.value === undefined && !condition.valueFrom) {
+      this.invalidate('conditions', `Condition on "${condition.field}" needs a value or valueFrom`);
+    }
+    if (needsRange && condition.value2 === undefined) {
+      this.invalidate('conditions', `Condition on "${condition.field}" needs value2 for ${condition.operator}`);
+    }
+  }
+  next();
+});
+
+// Static method to find active rules that apply to a device
+// (platform-wide rules plus those of the device's organization)
+alertRuleSchema.statics.findForDevice = function(device) {
+  const scopes = [
+    { deviceIds: device.deviceId },
+    { deviceIds: { $size: 0 }, groups: { $size: 0 } }
+  ];
+  if (device.group) scopes.push({ groups: device.group });
+
+  return this.find({
+    isActive: true,
+    organizationId: { $in: [null, device.organizationId || null] },
+    $or: scopes
+  }).lean();
+};
+
+// Static method to create the built-in rules on an empty collection
+// (equivalent to the alerts that used to be hard-coded in ingestion)
+alertRuleSchema.statics.ensureDefaults = async function() {
+  if (await this.estimatedDocumentCount() > 0) return [];
+
+  return this.insertMany([
+    {
+      name: 'Low battery',
+      alertType: 'low_battery',
+      conditions: [{ field: 'batteryPercentage', operator: 'lt', valueFrom: 'batteryThreshold' }],
+      severity: 'high',
+      cooldownMinutes: 30,
+      titleTemplate: 'Low Battery Warning',
+      messageTemplate: 'Battery is low: {{batteryPercentage}}% ({{batteryVoltage}}V)'
+    },
+    {
+      name: 'Critical battery',
+      alertType: 'low_battery',
+      conditions: [{ field: 'batteryPercentage', operator: 'lt', value: 5 }],
+      severity: 'critical',
+      cooldownMinutes: 30,
+      titleTemplate: 'Critical Battery Warning',
+      messageTemplate: 'Battery is critically low: {{batteryPercentage}}% ({{batteryVoltage}}V)'
+    },
+    {
+      name: 'High temperature',
+      alertType: 'temperature',
+      conditions: [{ field: 'temperature', operator: 'gt', value: 60 }],
+      severity: 'high',
+      cooldownMinutes: 15,
+      titleTemplate: 'High Temperature Alert',
+      messageTemplate: 'Temperature is above safe limits: {{temperature}}°C'
+    },
+    {
+      name: 'Low temperature',
+      alertType: 'temperature',
+      conditions: [{ field: 'temperature', operator: 'lt', value: -10 }],
+      severity: 'high',
+      cooldownMinutes: 15,
+      titleTemplate: 'Low Temperature Alert',
+      messageTemplate: 'Temperature is below safe limits: {{temperature}}°C'
+    },
+    {
+      // More than 20°C beyond either temperature limit
+      name: 'Extreme temperature',
+      alertType: 'temperature',
+      conditions: [{ field: 'temperature', operator: 'outside', value: -30, value2: 80 }],
+      severity: 'critical',
+      cooldownMinutes: 15,
+      titleTemplate: 'Extreme Temperature Alert',
+      messageTemplate: 'Temperature is far outside safe limits: {{temperature}}°C'
+    }
+  ]);
+};
+
+const AlertRule = mongoose.model('AlertRule', alertRuleSchema);
+
+AlertRule.OPERATORS = OPERATORS;
+
+module.exports = AlertRule;
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// Per-device evaluation state of an alert rule (sustain and cooldown tracking)
+const alertRuleStateSchema = new mongoose.Schema({
+  ruleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AlertRule',
+    required: true
+  },
+  deviceId: {
+    type: String,
+    required: true,
+    ref: 'Device'
+  },
+  // Timestamp of the first reading in the current run of matching readings
+  matchingSince: {
+    type: Date,
+    default: null
+  },
+  lastMatchedAt: {
+    type: Date,
+    default: null
+  },
+  lastTriggeredAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+alertRuleStateSchema.index({ ruleId: 1, deviceId: 1 }, { unique: true });
+
+module.exports = mongoose.model('AlertRuleState', alertRuleStateSchema);
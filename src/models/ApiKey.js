@@ -0,0 +1,147 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const API_KEY_SCOPES = ['ingest', 'read', 'alert-admin', 'command'];
+const KEY_PREFIX = 'dk_';
+
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'API key name is required'],
+    trim: true,
+    maxlength: [100, 'API key name cannot exceed 100 characters']
+  },
+  // SHA-256 of the key; the plain key is only returned once on creation
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // First characters of the key, to recognise it in lists and logs
+  keyPrefix: {
+    type: String,
+    required: true
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: API_KEY_SCOPES
+    }],
+    validate: {
+      validator: (scopes) => scopes.length > 0,
+      message: 'At least one scope is required'
+    }
+  },
+  // Owning organization (null = platform-wide)
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  // Devices this key may act for (empty = any device)
+  deviceIds: [{
+    type: String,
+    trim: true
+  }],
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  createdBy: {
+    type: String,
+    trim: true
+  },
+  revokedBy: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret.keyHash;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+apiKeySchema.index({ revokedAt: 1, expiresAt: 1 });
+
+// Virtual for checking if key is expired
+apiKeySchema.virtual('isExpired').get(function() {
+  return !!this.expiresAt && new Date() > this.expiresAt;
+});
+
+// Virtual for key status
+apiKeySchema.virtual('status').get(function() {
+  if (this.revokedAt) return 'revoked';
+  if (this.isExpired) return 'expired';
+  return 'active';
+});
+
+// Method to check if key has a scope
+apiKeySchema.methods.hasScope = function(scope) {
+  return this.scopes.includes(scope);
+};
+
+// Static method to hash a plain key
+apiKeySchema.statics.hashKey = function(apiKey) {
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+};
+
+// Static method to create a key; returns the plain key alongside the stored document
+apiKeySchema.statics.createKey = async function({ name, scopes, deviceIds = [], organizationId = null, expiresAt = null, createdBy }) {
+  const apiKey = KEY_PREFIX + crypto.randomBytes(24).toString('hex');
+
+  const doc = await this.create({
+    name,
+    keyHash: this.hashKey(apiKey),
+    keyPrefix: apiKey.substring(0, KEY_PREFIX.length + 8),
+    scopes,
+    deviceIds,
+    organizationId,
+    expiresAt,
+    createdBy
+  });
+
+  return { apiKey, doc };
+};
+
+// Static method to find a usable (not revoked, not expired) key
+apiKeySchema.statics.findActiveByKey = function(apiKey) {
+  return this.findOne({
+    keyHash: this.hashKey(apiKey),
+    revokedAt: null,
+    $or: [
+      { expiresAt: null },
+      { expiresAt: { $gt: new Date() } }
+    ]
+  });
+};
+
+// Static method to record usage (at most once a minute per key)
+apiKeySchema.statics.touch = function(id) {
+  const oneMinuteAgo = new Date(Date.now() - 60 * 1000);
+  return this.updateOne(
+    { _id: id, $or: [{ lastUsedAt: null }, { lastUsedAt: { $lt: oneMinuteAgo } }] },
+    { lastUsedAt: new Date() }
+  );
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+ApiKey.SCOPES = API_KEY_SCOPES;
+
+module.exports = ApiKey;
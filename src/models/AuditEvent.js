@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+const ACTOR_TYPES = ['user', 'api_key', 'system'];
+
+const changeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true
+  },
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+// Append-only record of a state-changing action
+const auditEventSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: [true, 'Audit action is required'],
+    trim: true
+  },
+  actor: {
+    type: {
+      type: String,
+      enum: ACTOR_TYPES,
+      required: true
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    apiKeyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ApiKey'
+    },
+    // Human-readable actor (phone number, key name or environment key type)
+    label: String
+  },
+  target: {
+    type: {
+      type: String,
+      required: true
+    },
+    id: {
+      type: String,
+      required: true
+    }
+  },
+  // Field-level before/after values of the target
+  changes: [changeSchema],
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  ip: String,
+  userAgent: String,
+  requestId: String,
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  versionKey: false
+});
+
+// Indexes
+auditEventSchema.index({ timestamp: -1 });
+auditEventSchema.index({ organizationId: 1, timestamp: -1 });
+auditEventSchema.index({ action: 1, timestamp: -1 });
+auditEventSchema.index({ 'target.type': 1, 'target.id': 1, timestamp: -1 });
+auditEventSchema.index({ 'actor.userId': 1, timestamp: -1 });
+auditEventSchema.index({ 'actor.apiKeyId': 1, timestamp: -1 });
+
+const AuditEvent = mongoose.model('AuditEvent', auditEventSchema);
+
+AuditEvent.ACTOR_TYPES = ACTOR_TYPES;
+
+module.exports = AuditEvent;
@@ -1,4 +1,21 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Claim code alphabet without look-alike characters (0/O, 1/I/L)
+const CLAIM_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CLAIM_CODE_LENGTH = 8;
+const DEFAULT_OFFLINE_THRESHOLD_MINUTES = 5;
+
+// Reading fields copied into the latest-state snapshot
+const LATEST_STATE_FIELDS = [
+  'altitude', 'speed', 'course', 'batteryVoltage', 'batteryPercentage', 'signalStrength', 'temperature', 'humidity'
+];
+const LATEST_OBD_FIELDS = [
+  'engineRpm', 'vehicleSpeed', 'engineLoad', 'coolantTemperature', 'fuelLevel', 'throttlePosition',
+  'intakeAirTemperature', 'mafAirFlowRate', 'fuelPressure', 'engineRuntime', 'distanceTraveled', 'barometricPressure'
+];
+
+const latestObdSchema = LATEST_OBD_FIELDS.reduce((fields, field) => ({ ...fields, [field]: Number }), {});
 
 const deviceSchema = new mongoose.Schema({
   deviceId: {
@@ -30,7 +47,24 @@ const deviceSchema = new mongoose.Schema({
     min: [0, 'Battery threshold cannot be negative'],
     max: [100, 'Battery threshold cannot exceed 100%']
   },
+  // Minutes without data before the device counts as offline
+  offlineThresholdMinutes: {
+    type: Number,
+    default: DEFAULT_OFFLINE_THRESHOLD_MINUTES,
+    min: [1, 'Offline threshold must be at least 1 minute'],
+    max: [1440, 'Offline threshold cannot exceed 24 hours']
+  },
+  // Device group used to scope alert rules (e.g. "fleet-north", "cold-chain")
+  group: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Group cannot exceed 50 characters']
+  },
   alertSettings: {
+    offlineEnabled: {
+      type: Boolean,
+      default: true
+    },
     vibrationEnabled: { 
       type: Boolean, 
       default: true 
@@ -60,6 +94,58 @@ const deviceSchema = new mongoose.Schema({
       type: Boolean,
       default: false
     }
+  },
+  // One-time code a user enters (or scans as a QR) to attach the device to their account
+  claimCode: {
+    type: String,
+    select: false
+  },
+  // Owning organization (null = not assigned to an organization)
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  // User the device is claimed by (null while unclaimed)
+  claimedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  claimedAt: {
+    type: Date,
+    default: null
+  },
+  // Trip detection progress (location data before this is segmented into Trip documents)
+  tripsProcessedUntil: {
+    type: Date,
+    default: null
+  },
+  // Snapshot of the newest reading, kept by ingestion so device lists don't query LocationData.
+  // Fields keep their last known value when a reading omits them.
+  latestState: {
+    timestamp: Date,
+    location: {
+      type: {
+        type: String,
+        enum: ['Point']
+      },
+      coordinates: {
+        type: [Number], // [longitude, latitude]
+        default: undefined
+      }
+    },
+    altitude: Number,
+    speed: Number,
+    course: Number,
+    batteryVoltage: Number,
+    batteryPercentage: Number,
+    signalStrength: Number,
+    temperature: Number,
+    humidity: Number,
+    // Engine running, from the last OBD2 RPM reading
+    ignition: Boolean,
+    obd: latestObdSchema
   }
 }, {
   timestamps: true,
@@ -71,19 +157,47 @@ const deviceSchema = new mongoose.Schema({
 // Note: deviceId index is automatically created by unique: true constraint
 deviceSchema.index({ isActive: 1 });
 deviceSchema.index({ lastSeen: -1 });
+deviceSchema.index({ claimCode: 1 }, { unique: true, sparse: true });
+deviceSchema.index({ claimedBy: 1 });
+deviceSchema.index({ group: 1 });
+deviceSchema.index({ organizationId: 1 });
+// Viewport queries on the latest position (devices without one are not indexed)
+deviceSchema.index({ 'latestState.location': '2dsphere' });
+
+// Static method to compute status of a device document or lean object
+deviceSchema.statics.statusOf = function(device) {
+  if (!device.isActive) return 'inactive';
+  
+  const thresholdMinutes = device.offlineThresholdMinutes || DEFAULT_OFFLINE_THRESHOLD_MINUTES;
+  const offlineBefore = new Date(Date.now() - thresholdMinutes * 60 * 1000);
+  return device.lastSeen > offlineBefore ? 'online' : 'offline';
+};
+
+// Static method to build a query filter matching a computed status ('online', 'offline' or 'inactive'),
+// so status can be filtered and counted in the database
+deviceSchema.statics.statusFilter = function(status, now = new Date()) {
+  if (status === 'inactive') return { isActive: { $ne: true } };
+  
+  const offlineBefore = {
+    $subtract: [
+      now,
+      { $multiply: [{ $ifNull: ['$offlineThresholdMinutes', DEFAULT_OFFLINE_THRESHOLD_MINUTES] }, 60 * 1000] }
+    ]
+  };
+  return {
+    isActive: true,
+    $expr: { [status === 'online' ? '$gt' : '$lte']: ['$lastSeen', offlineBefore] }
+  };
+};
 
 // Virtual for device status based on last seen
 deviceSchema.virtual('status').get(function() {
-  if (!this.isActive) return 'inactive';
-  
-  const fiveMinutesAgo = new Date(Date.now() - 5 * 60 * 1000);
-  return this.lastSeen > fiveMinutesAgo ? 'online' : 'offline';
+  return this.constructor.statusOf(this);
 });
 
 // Instance method to check if device is online
 deviceSchema.methods.isOnline = function() {
-  const fiveMinutesAgo = new Date(Date.now() - 5 * 60 * 1000);
-  return this.isActive && this.lastSeen > fiveMinutesAgo;
+  return this.constructor.statusOf(this) === 'online';
 };
 
 // Static method to find active devices
@@ -91,13 +205,88 @@ deviceSchema.statics.findActive = function() {
   return this.find({ isActive: true });
 };
 
-// Static method to find offline devices
+// Static method to find offline devices (each against its own threshold)
 deviceSchema.statics.findOffline = function() {
-  const fiveMinutesAgo = new Date(Date.now() - 5 * 60 * 1000);
+  return this.find(this.statusFilter('offline'));
+};
+
+// Static method to find devices whose latest position is within a radius, nearest first
+deviceSchema.statics.findNearby = function(longitude, latitude, radiusInMeters, query = {}, limit = 50) {
   return this.find({
-    isActive: true,
-    lastSeen: { $lt: fiveMinutesAgo }
+    ...query,
+    'latestState.location': {
+      $near: {
+        $geometry: {
+          type: 'Point',
+          coordinates: [longitude, latitude]
+        },
+        $maxDistance: radiusInMeters
+      }
+    }
+  }).limit(limit);
+};
+
+// Static method to fold readings (LocationData documents or lean objects) into the latest-state
+// snapshot. Readings older than the current snapshot are ignored, so late batches don't rewind it.
+deviceSchema.statics.updateLatestState = function(deviceId, readings) {
+  const points = [].concat(readings)
+    .filter(point => point && point.timestamp)
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  if (points.length === 0) return null;
+  
+  const update = {};
+  points.forEach(point => {
+    const coordinates = point.location?.coordinates;
+    if (coordinates && coordinates.length === 2) {
+      update['latestState.location'] = { type: 'Point', coordinates: [coordinates[0], coordinates[1]] };
+    }
+    LATEST_STATE_FIELDS.forEach(field => {
+      if (typeof point[field] === 'number') update[`latestState.${field}`] = point[field];
+    });
+    LATEST_OBD_FIELDS.forEach(field => {
+      if (typeof point[field] === 'number') update[`latestState.obd.${field}`] = point[field];
+    });
+    if (typeof point.engineRpm === 'number') {
+      update['latestState.ignition'] = point.engineRpm > 0;
+    }
   });
+  
+  const newest = new Date(points[points.length - 1].timestamp);
+  update['latestState.timestamp'] = newest;
+  
+  return this.updateOne(
+    {
+      deviceId,
+      $or: [
+        { 'latestState.timestamp': null },
+        { 'latestState.timestamp': { $lte: newest } }
+      ]
+    },
+    { $set: update }
+  );
+};
+
+// Static method to generate a random claim code
+deviceSchema.statics.generateClaimCode = function() {
+  let code = '';
+  for (let i = 0; i < CLAIM_CODE_LENGTH; i++) {
+    code += CLAIM_CODE_ALPHABET[crypto.randomInt(CLAIM_CODE_ALPHABET.length)];
+  }
+  return code;
+};
+
+// Static method to get the claim code of an unclaimed device, issuing one if missing.
+// Returns null if the device is already claimed.
+deviceSchema.statics.ensureClaimCode = async function(deviceId) {
+  const device = await this.findOne({ deviceId, claimedBy: null }).select('+claimCode');
+  if (!device) return null;
+  if (device.claimCode) return device.claimCode;
+  
+  const claimCode = this.generateClaimCode();
+  await this.updateOne({ _id: device._id, claimCode: { $exists: false } }, { claimCode });
+  
+  const updated = await this.findById(device._id).select('+claimCode').lean();
+  return updated?.claimCode || null;
 };
 
 // Pre-save middleware
@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+const { eventBus, EVENTS } = require('../services/eventBus');
+
+const COMMAND_TYPES = ['set_interval', 'reboot', 'request_location', 'set_alert_settings', 'custom'];
+const COMMAND_STATUSES = ['pending', 'delivered', 'acked', 'failed', 'expired'];
+
+// Statuses the device can still act on
+const OPEN_STATUSES = ['pending', 'delivered'];
+
+// Downlink command queued for a device and delivered with its next update-data response or over MQTT
+const deviceCommandSchema = new mongoose.Schema({
+  deviceId: {
+    type: String,
+    required: [true, 'Device ID is required'],
+    trim: true
+  },
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  type: {
+    type: String,
+    enum: COMMAND_TYPES,
+    required: [true, 'Command type is required']
+  },
+  params: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: COMMAND_STATUSES,
+    default: 'pending'
+  },
+  // Open commands past this time are never sent again
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Commands stay delivered (and are re-sent) until the device acknowledges them
+  deliveredAt: {
+    type: Date,
+    default: null
+  },
+  deliveredVia: {
+    type: String,
+    enum: ['http', 'mqtt'],
+    default: null
+  },
+  deliveryCount: {
+    type: Number,
+    default: 0
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  // Reported by the device when acknowledging
+  result: mongoose.Schema.Types.Mixed,
+  error: String,
+  createdBy: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+deviceCommandSchema.index({ deviceId: 1, status: 1, createdAt: 1 });
+deviceCommandSchema.index({ deviceId: 1, createdAt: -1 });
+deviceCommandSchema.index({ status: 1, expiresAt: 1 });
+
+// Static method to mark open commands past their expiry as expired
+deviceCommandSchema.statics.expireOverdue = function(deviceId = null) {
+  const query = {
+    status: { $in: OPEN_STATUSES },
+    expiresAt: { $lte: new Date() }
+  };
+  if (deviceId) query.deviceId = deviceId;
+
+  return this.updateMany(query, {
+    status: 'expired',
+    completedAt: new Date()
+  });
+};
+
+// Static method to find the commands a device should receive, oldest first
+deviceCommandSchema.statics.findOpen = function(deviceId, limit) {
+  return this.find({
+    deviceId,
+    status: { $in: OPEN_STATUSES },
+    expiresAt: { $gt: new Date() }
+  })
+    .sort({ createdAt: 1 })
+    .limit(limit);
+};
+
+// Remember whether this save creates the command (isNew is reset after save)
+deviceCommandSchema.pre('save', function(next) {
+  this.$locals.wasNew = this.isNew;
+  next();
+});
+
+// Publish new commands so connected MQTT devices get them right away
+deviceCommandSchema.post('save', function(doc) {
+  if (!doc.$locals.wasNew) return;
+
+  eventBus.emit(EVENTS.COMMAND, {
+    event: 'command.created',
+    deviceId: doc.deviceId,
+    data: doc.toJSON()
+  });
+});
+
+const DeviceCommand = mongoose.model('DeviceCommand', deviceCommandSchema);
+
+DeviceCommand.TYPES = COMMAND_TYPES;
+DeviceCommand.STATUSES = COMMAND_STATUSES;
+DeviceCommand.OPEN_STATUSES = OPEN_STATUSES;
+
+module.exports = DeviceCommand;
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// Firmware build for one hardware model; the binary is stored on local disk
+const firmwareReleaseSchema = new mongoose.Schema({
+  version: {
+    type: String,
+    required: [true, 'Firmware version is required'],
+    trim: true,
+    maxlength: [30, 'Firmware version cannot exceed 30 characters']
+  },
+  // Matches Device.hardware.model
+  hardwareModel: {
+    type: String,
+    required: [true, 'Hardware model is required'],
+    trim: true,
+    maxlength: [50, 'Hardware model cannot exceed 50 characters']
+  },
+  releaseNotes: {
+    type: String,
+    trim: true,
+    maxlength: [5000, 'Release notes cannot exceed 5000 characters']
+  },
+  // draft until the binary is uploaded
+  status: {
+    type: String,
+    enum: ['draft', 'ready'],
+    default: 'draft'
+  },
+  file: {
+    // Name inside FIRMWARE_STORAGE_DIR
+    name: String,
+    size: Number,
+    sha256: String,
+    uploadedAt: Date
+  },
+  createdBy: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+firmwareReleaseSchema.index({ hardwareModel: 1, version: 1 }, { unique: true });
+firmwareReleaseSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('FirmwareRelease', firmwareReleaseSchema);
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+const ROLLOUT_STATUSES = ['active', 'paused', 'cancelled'];
+
+// Offers a firmware release to the devices of its hardware model that match the targeting
+const firmwareRolloutSchema = new mongoose.Schema({
+  releaseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FirmwareRelease',
+    required: [true, 'Firmware release is required']
+  },
+  // Copied from the release so device checks don't need a join
+  hardwareModel: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  version: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Device groups to target (empty = every device of the model)
+  groups: [{
+    type: String,
+    trim: true
+  }],
+  // Share of matching devices that get the update; raising it keeps the devices already selected
+  percentage: {
+    type: Number,
+    min: [1, 'Rollout percentage must be at least 1'],
+    max: [100, 'Rollout percentage cannot exceed 100'],
+    default: 100
+  },
+  status: {
+    type: String,
+    enum: ROLLOUT_STATUSES,
+    default: 'active'
+  },
+  pausedAt: {
+    type: Date,
+    default: null
+  },
+  createdBy: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+firmwareRolloutSchema.index({ hardwareModel: 1, status: 1 });
+firmwareRolloutSchema.index({ releaseId: 1 });
+firmwareRolloutSchema.index({ createdAt: -1 });
+
+// Static method to find active rollouts for a hardware model
+firmwareRolloutSchema.statics.findActiveForModel = function(hardwareModel) {
+  return this.find({ hardwareModel, status: 'active' }).sort({ createdAt: -1 });
+};
+
+const FirmwareRollout = mongoose.model('FirmwareRollout', firmwareRolloutSchema);
+
+FirmwareRollout.STATUSES = ROLLOUT_STATUSES;
+
+module.exports = FirmwareRollout;
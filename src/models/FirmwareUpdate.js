@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+// Order of the update steps reported by the device
+const UPDATE_STATUSES = ['offered', 'downloading', 'downloaded', 'installing', 'installed', 'failed'];
+
+// History entries kept per device
+const MAX_HISTORY = 50;
+
+const historySchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: UPDATE_STATUSES,
+    required: true
+  },
+  at: {
+    type: Date,
+    required: true
+  },
+  progress: Number,
+  error: String
+}, { _id: false });
+
+// Progress of one device through one rollout
+const firmwareUpdateSchema = new mongoose.Schema({
+  rolloutId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FirmwareRollout',
+    required: true
+  },
+  releaseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FirmwareRelease',
+    required: true
+  },
+  deviceId: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  fromVersion: String,
+  toVersion: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: UPDATE_STATUSES,
+    default: 'offered'
+  },
+  // Download/install progress in percent, as reported by the device
+  progress: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  },
+  error: String,
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  history: [historySchema]
+}, {
+  timestamps: true
+});
+
+// Indexes
+firmwareUpdateSchema.index({ rolloutId: 1, deviceId: 1 }, { unique: true });
+firmwareUpdateSchema.index({ rolloutId: 1, status: 1 });
+firmwareUpdateSchema.index({ deviceId: 1, updatedAt: -1 });
+
+// Method to record a status reported by the device (or the server when offering/serving)
+firmwareUpdateSchema.methods.recordStatus = function({ status, progress, error }) {
+  const now = new Date();
+
+  this.status = status;
+  if (progress !== undefined) this.progress = progress;
+  if (status === 'installed') this.progress = 100;
+  this.error = status === 'failed' ? error : undefined;
+  this.completedAt = ['installed', 'failed'].includes(status) ? now : null;
+
+  this.history.push({ status, at: now, progress, error });
+  if (this.history.length > MAX_HISTORY) {
+    this.history = this.history.slice(-MAX_HISTORY);
+  }
+
+  return this.save();
+};
+
+const FirmwareUpdate = mongoose.model('FirmwareUpdate', firmwareUpdateSchema);
+
+FirmwareUpdate.STATUSES = UPDATE_STATUSES;
+
+module.exports = FirmwareUpdate;
@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+const { isWithinGeofence, isPointInPolygon } = require('../utils/helpers');
+
+const geofenceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Geofence name is required'],
+    trim: true,
+    maxlength: [100, 'Geofence name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  type: {
+    type: String,
+    required: [true, 'Geofence type is required'],
+    enum: {
+      values: ['circle', 'polygon'],
+      message: 'Geofence type must be circle or polygon'
+    }
+  },
+  // Circle geofence: center point + radius in meters
+  center: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    coordinates: {
+      type: [Number], // [longitude, latitude]
+      default: undefined
+    }
+  },
+  radius: {
+    type: Number,
+    min: [1, 'Radius must be at least 1 meter'],
+    max: [100000, 'Radius cannot exceed 100 km']
+  },
+  // Polygon geofence: GeoJSON polygon (single outer ring)
+  area: {
+    type: {
+      type: String,
+      enum: ['Polygon']
+    },
+    coordinates: {
+      type: [[[Number]]], // [[[longitude, latitude], ...]]
+      default: undefined
+    }
+  },
+  // Owning organization (null = platform-wide, created with the master API key)
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  // Devices this geofence applies to
+  deviceIds: [{
+    type: String,
+    ref: 'Device'
+  }],
+  // Which transitions raise alerts
+  alertOn: {
+    enter: {
+      type: Boolean,
+      default: true
+    },
+    exit: {
+      type: Boolean,
+      default: true
+    }
+  },
+  severity: {
+    type: String,
+    enum: {
+      values: ['low', 'medium', 'high', 'critical'],
+      message: 'Invalid severity level'
+    },
+    default: 'medium'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+geofenceSchema.index({ deviceIds: 1, isActive: 1 });
+geofenceSchema.index({ center: '2dsphere' });
+geofenceSchema.index({ area: '2dsphere' });
+
+// Validate geometry matches the geofence type
+geofenceSchema.pre('validate', function(next) {
+  if (this.type === 'circle') {
+    if (!this.center?.coordinates || this.center.coordinates.length !== 2 || !this.radius) {
+      this.invalidate('center', 'Circle geofence requires a center and radius');
+    }
+    this.area = undefined;
+  } else if (this.type === 'polygon') {
+    const ring = this.area?.coordinates?.[0];
+    if (!ring || ring.length < 4) {
+      this.invalidate('area', 'Polygon geofence requires at least 3 distinct points');
+    }
+    this.center = undefined;
+    this.radius = undefined;
+  }
+  next();
+});
+
+// Instance method to check whether a point is inside the geofence
+geofenceSchema.methods.containsPoint = function(latitude, longitude) {
+  if (this.type === 'circle') {
+    const [centerLon, centerLat] = this.center.coordinates;
+    return isWithinGeofence(latitude, longitude, centerLat, centerLon, this.radius);
+  }
+  return isPointInPolygon(latitude, longitude, this.area.coordinates[0]);
+};
+
+// Static method to find active geofences assigned to a device
+geofenceSchema.statics.findForDevice = function(deviceId, organizationId = null) {
+  return this.find({
+    deviceIds: deviceId,
+    isActive: true,
+    organizationId: { $in: [null, organizationId] }
+  });
+};
+
+module.exports = mongoose.model('Geofence', geofenceSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { eventBus, EVENTS } = require('../services/eventBus');
 
 const locationDataSchema = new mongoose.Schema({
   deviceId: {
@@ -158,34 +159,48 @@ locationDataSchema.statics.findByDateRange = function(deviceId, startDate, endDa
     .limit(limit);
 };
 
-// Static method to find locations within a radius
-locationDataSchema.statics.findNearby = function(longitude, latitude, radiusInMeters, limit = 10) {
-  return this.find({
-    location: {
-      $near: {
-        $geometry: {
-          type: 'Point',
-          coordinates: [longitude, latitude]
-        },
-        $maxDistance: radiusInMeters
-      }
-    }
-  }).limit(limit);
-};
-
-// Pre-save middleware to calculate battery percentage if not provided
-locationDataSchema.pre('save', function(next) {
-  if (!this.batteryPercentage && this.batteryVoltage) {
+// Calculate battery percentage from voltage if not provided
+const fillBatteryPercentage = (doc) => {
+  if (!doc.batteryPercentage && doc.batteryVoltage) {
     // Simple linear conversion from voltage to percentage
     // Adjust these values based on your battery specifications
     const minVoltage = 3.0;
     const maxVoltage = 4.2;
     
-    this.batteryPercentage = Math.max(0, Math.min(100, 
-      ((this.batteryVoltage - minVoltage) / (maxVoltage - minVoltage)) * 100
+    doc.batteryPercentage = Math.max(0, Math.min(100, 
+      ((doc.batteryVoltage - minVoltage) / (maxVoltage - minVoltage)) * 100
     ));
   }
+};
+
+// Pre-save middleware to calculate battery percentage if not provided
+locationDataSchema.pre('save', function(next) {
+  fillBatteryPercentage(this);
   next();
 });
 
+// insertMany (batch uploads) doesn't run save hooks
+locationDataSchema.pre('insertMany', function(next, docs) {
+  if (Array.isArray(docs)) {
+    docs.forEach(fillBatteryPercentage);
+  }
+  next();
+});
+
+// Publish new points to live subscribers
+const publishLocation = (doc) => {
+  eventBus.emit(EVENTS.LOCATION, {
+    deviceId: doc.deviceId,
+    data: doc.toJSON()
+  });
+};
+
+locationDataSchema.post('save', function(doc) {
+  publishLocation(doc);
+});
+
+locationDataSchema.post('insertMany', function(docs) {
+  docs.forEach(publishLocation);
+});
+
 module.exports = mongoose.model('LocationData', locationDataSchema);
\ No newline at end of file
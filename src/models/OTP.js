@@ -41,7 +41,18 @@ const otpSchema = new mongoose.Schema({
   metadata: {
     ip: String,
     userAgent: String,
-    deviceInfo: String
+    deviceInfo: String,
+    // SMS delivery result
+    delivery: {
+      provider: String,
+      status: {
+        type: String,
+        enum: ['sent', 'failed']
+      },
+      messageId: String,
+      error: String,
+      attemptedAt: Date
+    }
   }
 }, {
   timestamps: true,
@@ -99,6 +110,19 @@ otpSchema.statics.createOTP = async function(phoneNumber, purpose, metadata = {}
   return newOtp;
 };
 
+// Method to record the SMS delivery result; a code that never arrived can't be used
+otpSchema.methods.recordDelivery = function({ provider, messageId, error }) {
+  this.metadata.delivery = {
+    provider,
+    status: error ? 'failed' : 'sent',
+    messageId,
+    error,
+    attemptedAt: new Date()
+  };
+  if (error) this.isBlocked = true;
+  return this.save();
+};
+
 // Static method to verify OTP
 otpSchema.statics.verifyOTP = async function(phoneNumber, otp, purpose) {
   const otpDoc = await this.findOne({
@@ -147,7 +171,8 @@ otpSchema.statics.verifyOTP = async function(phoneNumber, otp, purpose) {
   return {
     success: true,
     message: 'OTP verified successfully',
-    otpId: otpDoc._id
+    otpId: otpDoc._id,
+    metadata: otpDoc.metadata
   };
 };
 
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+// Member roles, most to least privileged
+const ORGANIZATION_ROLES = ['owner', 'admin', 'operator', 'viewer'];
+
+const memberSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: {
+      values: ORGANIZATION_ROLES,
+      message: 'Invalid member role'
+    },
+    default: 'viewer'
+  },
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const organizationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Organization name is required'],
+    trim: true,
+    maxlength: [100, 'Organization name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  members: [memberSchema],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+organizationSchema.index({ 'members.userId': 1 });
+
+// Virtual for member count
+organizationSchema.virtual('memberCount').get(function() {
+  return this.members ? this.members.length : 0;
+});
+
+// Method to get a user's role (null if not a member)
+organizationSchema.methods.roleOf = function(userId) {
+  const member = this.members.find(m => m.userId.toString() === userId.toString());
+  return member ? member.role : null;
+};
+
+// Method to count owners (an organization always keeps at least one)
+organizationSchema.methods.ownerCount = function() {
+  return this.members.filter(m => m.role === 'owner').length;
+};
+
+// Static method to find the active organizations a user belongs to
+organizationSchema.statics.findForUser = function(userId) {
+  return this.find({ 'members.userId': userId, isActive: true }).sort({ createdAt: 1 });
+};
+
+// Static method to find an active organization the user belongs to
+organizationSchema.statics.findMembership = function(organizationId, userId) {
+  if (!mongoose.isValidObjectId(organizationId)) return Promise.resolve(null);
+  return this.findOne({ _id: organizationId, 'members.userId': userId, isActive: true });
+};
+
+// Static method to resolve the roles a user acts with in a session's organization.
+// Without an organization users own their personal devices; a membership that
+// no longer exists grants nothing.
+organizationSchema.statics.rolesFor = async function(userId, organizationId) {
+  if (!organizationId) return ['owner'];
+
+  const organization = await this.findMembership(organizationId, userId);
+  const role = organization ? organization.roleOf(userId) : null;
+  return role ? [role] : [];
+};
+
+const Organization = mongoose.model('Organization', organizationSchema);
+
+Organization.ROLES = ORGANIZATION_ROLES;
+
+module.exports = Organization;
@@ -0,0 +1,160 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Rotated refresh token hashes kept per session for reuse detection
+const MAX_PREVIOUS_TOKENS = 50;
+
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // SHA-256 of the current refresh token; the plain token is only given to the client
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // Hashes of refresh tokens already rotated out. Presenting one again means
+  // the token was copied, so the whole session is revoked.
+  previousTokenHashes: {
+    type: [String],
+    select: false
+  },
+  // Organization the user is working in (null = personal devices)
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  // Client details from the OTP request that started the session
+  ip: String,
+  userAgent: String,
+  deviceInfo: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'reuse_detected', null],
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret.refreshTokenHash;
+      delete ret.previousTokenHashes;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+sessionSchema.index({ previousTokenHashes: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // TTL index - drop expired sessions
+
+// Virtual for checking if session can still be used
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && new Date() < this.expiresAt;
+});
+
+// Static method to hash a refresh token
+sessionSchema.statics.hashToken = function(refreshToken) {
+  return crypto.createHash('sha256').update(refreshToken).digest('hex');
+};
+
+// Static method to generate a refresh token
+sessionSchema.statics.generateToken = function() {
+  return crypto.randomBytes(48).toString('base64url');
+};
+
+// Static method to start a session; returns the plain refresh token alongside the document
+sessionSchema.statics.createSession = async function({ userId, organizationId = null, ip, userAgent, deviceInfo, expiresInDays }) {
+  const refreshToken = this.generateToken();
+
+  const session = await this.create({
+    userId,
+    organizationId,
+    refreshTokenHash: this.hashToken(refreshToken),
+    ip,
+    userAgent,
+    deviceInfo,
+    expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+  });
+
+  return { refreshToken, session };
+};
+
+// Static method to exchange a refresh token for a new one.
+// Returns { session, refreshToken }, { reuseDetected: true, session } or null.
+sessionSchema.statics.rotate = async function(refreshToken) {
+  const tokenHash = this.hashToken(refreshToken);
+  const now = new Date();
+  const nextToken = this.generateToken();
+
+  // Atomic swap so two concurrent refreshes with the same token can't both succeed
+  const session = await this.findOneAndUpdate(
+    { refreshTokenHash: tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      refreshTokenHash: this.hashToken(nextToken),
+      lastUsedAt: now,
+      $push: { previousTokenHashes: { $each: [tokenHash], $slice: -MAX_PREVIOUS_TOKENS } }
+    },
+    { new: true }
+  );
+
+  if (session) {
+    return { session, refreshToken: nextToken };
+  }
+
+  const reused = await this.findOne({ previousTokenHashes: tokenHash });
+  if (reused) {
+    if (!reused.revokedAt) {
+      reused.revokedAt = now;
+      reused.revokedReason = 'reuse_detected';
+      await reused.save();
+    }
+    return { reuseDetected: true, session: reused };
+  }
+
+  return null;
+};
+
+// Static method to revoke every active session of a user
+sessionSchema.statics.revokeAllForUser = async function(userId, reason) {
+  const result = await this.updateMany(
+    { userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  return result.modifiedCount;
+};
+
+// Static method to load an access token's session if it is still usable
+// (null when revoked or expired)
+sessionSchema.statics.findActiveSession = function(sessionId, userId) {
+  if (!mongoose.isValidObjectId(sessionId)) return Promise.resolve(null);
+
+  return this.findOne({
+    _id: sessionId,
+    userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).select('organizationId').lean();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+const pointSchema = {
+  type: {
+    type: String,
+    enum: ['Point'],
+    default: 'Point'
+  },
+  coordinates: {
+    type: [Number] // [longitude, latitude]
+  }
+};
+
+const tripSchema = new mongoose.Schema({
+  deviceId: {
+    type: String,
+    required: [true, 'Device ID is required'],
+    ref: 'Device',
+    index: true
+  },
+  startTime: {
+    type: Date,
+    required: [true, 'Trip start time is required']
+  },
+  endTime: {
+    type: Date,
+    required: [true, 'Trip end time is required']
+  },
+  startLocation: pointSchema,
+  endLocation: pointSchema,
+  // Name of the geofence the trip started/ended in, if any
+  startPlace: {
+    type: String,
+    trim: true
+  },
+  endPlace: {
+    type: String,
+    trim: true
+  },
+  distanceMeters: {
+    type: Number,
+    default: 0
+  },
+  durationSeconds: {
+    type: Number,
+    default: 0
+  },
+  idleSeconds: {
+    type: Number,
+    default: 0
+  },
+  maxSpeed: {
+    type: Number,
+    default: 0
+  },
+  avgSpeed: {
+    type: Number,
+    default: 0
+  },
+  pointCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+tripSchema.index({ deviceId: 1, startTime: -1 });
+tripSchema.index({ deviceId: 1, endTime: -1 });
+
+// Static method to find trips overlapping a date range
+tripSchema.statics.findInRange = function(deviceId, startDate = null, endDate = null) {
+  const query = { deviceId };
+  if (startDate) query.endTime = { $gte: new Date(startDate) };
+  if (endDate) query.startTime = { $lte: new Date(endDate) };
+  return this.find(query).sort({ startTime: -1 });
+};
+
+module.exports = mongoose.model('Trip', tripSchema);
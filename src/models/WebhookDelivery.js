@@ -0,0 +1,142 @@
+const mongoose = require('mongoose');
+const WebhookSubscription = require('./WebhookSubscription');
+
+// Attempts kept per delivery in the log
+const MAX_ATTEMPT_LOG = 20;
+
+const attemptSchema = new mongoose.Schema({
+  at: {
+    type: Date,
+    required: true
+  },
+  responseStatus: Number,
+  error: String,
+  durationMs: Number
+}, { _id: false });
+
+// Outbox entry: one event for one subscription, retried until delivered or out of attempts
+const webhookDeliverySchema = new mongoose.Schema({
+  subscriptionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookSubscription',
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  alertId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Alert'
+  },
+  deviceId: {
+    type: String,
+    trim: true
+  },
+  // Serialized body, signed and sent byte-for-byte on every attempt
+  payload: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'delivering', 'succeeded', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // A delivering entry whose lock expired (e.g. crashed worker) is picked up again
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  lastResponseStatus: Number,
+  lastError: String,
+  deliveredAt: {
+    type: Date,
+    default: null
+  },
+  attemptLog: [attemptSchema]
+}, {
+  timestamps: true
+});
+
+// Indexes
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ subscriptionId: 1, createdAt: -1 });
+// Keep the delivery log for 30 days
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+// Static method to claim the next due delivery for sending
+webhookDeliverySchema.statics.claimNext = function(lockMs) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { status: 'delivering', lockedUntil: { $lte: now } }
+      ]
+    },
+    {
+      status: 'delivering',
+      lockedUntil: new Date(now.getTime() + lockMs)
+    },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+};
+
+// Static method to write outbox entries for every active subscription matching an alert event
+webhookDeliverySchema.statics.enqueueAlertEvent = async function(event, alert) {
+  if (!WebhookSubscription.EVENTS.includes(event)) return [];
+
+  const subscriptions = await WebhookSubscription.findForEvent(event);
+  const matching = subscriptions.filter(subscription => subscription.matches(event, alert));
+  if (matching.length === 0) return [];
+
+  const createdAt = new Date().toISOString();
+  return this.insertMany(matching.map(subscription => {
+    const _id = new mongoose.Types.ObjectId();
+    return {
+      _id,
+      subscriptionId: subscription._id,
+      event,
+      alertId: alert._id,
+      deviceId: alert.deviceId,
+      payload: JSON.stringify({ id: _id, event, createdAt, data: { alert } })
+    };
+  }));
+};
+
+// Method to record the outcome of an attempt
+webhookDeliverySchema.methods.recordAttempt = function({ responseStatus, error, durationMs, retryAt }) {
+  const now = new Date();
+
+  this.attempts += 1;
+  this.lastResponseStatus = responseStatus;
+  this.lastError = error;
+  this.lockedUntil = null;
+  this.attemptLog.push({ at: now, responseStatus, error, durationMs });
+  if (this.attemptLog.length > MAX_ATTEMPT_LOG) {
+    this.attemptLog = this.attemptLog.slice(-MAX_ATTEMPT_LOG);
+  }
+
+  if (!error) {
+    this.status = 'succeeded';
+    this.deliveredAt = now;
+  } else if (retryAt) {
+    this.status = 'pending';
+    this.nextAttemptAt = retryAt;
+  } else {
+    this.status = 'failed';
+  }
+
+  return this.save();
+};
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
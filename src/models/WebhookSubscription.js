@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const WEBHOOK_EVENTS = ['alert.created', 'alert.acknowledged', 'alert.resolved'];
+
+const webhookSubscriptionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Webhook name is required'],
+    trim: true,
+    maxlength: [100, 'Webhook name cannot exceed 100 characters']
+  },
+  url: {
+    type: String,
+    required: [true, 'Webhook URL is required'],
+    trim: true,
+    maxlength: [2048, 'Webhook URL cannot exceed 2048 characters']
+  },
+  // HMAC-SHA256 signing secret; returned once on creation
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  events: {
+    type: [{
+      type: String,
+      enum: WEBHOOK_EVENTS
+    }],
+    default: () => [...WEBHOOK_EVENTS]
+  },
+  // Empty filter lists match everything
+  filters: {
+    alertTypes: [{ type: String, trim: true }],
+    severities: [{ type: String, enum: ['low', 'medium', 'high', 'critical'] }],
+    deviceIds: [{ type: String, trim: true }]
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastDeliveryAt: {
+    type: Date,
+    default: null
+  },
+  lastDeliveryStatus: {
+    type: String,
+    enum: ['succeeded', 'failed', null],
+    default: null
+  },
+  createdBy: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret.secret;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+webhookSubscriptionSchema.index({ isActive: 1, events: 1 });
+
+// Method to check whether an alert event passes this subscription's filters
+webhookSubscriptionSchema.methods.matches = function(event, alert) {
+  const { alertTypes = [], severities = [], deviceIds = [] } = this.filters || {};
+
+  return this.events.includes(event) &&
+    (alertTypes.length === 0 || alertTypes.includes(alert.alertType)) &&
+    (severities.length === 0 || severities.includes(alert.severity)) &&
+    (deviceIds.length === 0 || deviceIds.includes(alert.deviceId));
+};
+
+// Static method to generate a signing secret
+webhookSubscriptionSchema.statics.generateSecret = function() {
+  return 'whsec_' + crypto.randomBytes(24).toString('hex');
+};
+
+// Static method to find active subscriptions for an event (filters applied by the caller)
+webhookSubscriptionSchema.statics.findForEvent = function(event) {
+  return this.find({ isActive: true, events: event }).select('+secret');
+};
+
+const WebhookSubscription = mongoose.model('WebhookSubscription', webhookSubscriptionSchema);
+
+WebhookSubscription.EVENTS = WEBHOOK_EVENTS;
+
+module.exports = WebhookSubscription;
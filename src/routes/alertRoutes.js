@@ -25,8 +25,11 @@ const {
 
 const { 
   authenticateApiKey,
+  requireApiKeyScope,
+  rejectLegacyApiKey,
   authenticateToken,
   validateDeviceAccess,
+  requireDeviceOwnership,
   securityHeaders,
   requireRoles
 } = require('../middleware/auth');
@@ -48,6 +51,7 @@ router.use(sanitizeStrings);
 router.post('/', 
   validateContentType,
   authenticateApiKey,
+  requireApiKeyScope('ingest'),
   decodeJwtPayload,
   validateAlert,
   validateDeviceAccess,
@@ -59,12 +63,15 @@ router.post('/',
  * @desc    Get alerts with filtering and pagination
  * @access  Private (API Key required)
  * @query   ?deviceId=DEV001&alertType=low_battery&severity=high&isResolved=false&startDate=2024-01-01&endDate=2024-01-31&limit=50&page=1
+ *          (or &cursor=<pagination.next|prev>; &count=true adds the total)
  */
 router.get('/',
   authenticateApiKey,
+  requireApiKeyScope('read'),
   validateAlertsQuery,
   validateDateRange,
   validatePagination,
+  validateDeviceAccess,
   getAlerts
 );
 
@@ -73,15 +80,60 @@ router.get('/',
  * @desc    Get alerts for web interface (JWT auth)
  * @access  Private (JWT required)
  * @query   ?deviceId=DEV001&alertType=low_battery&severity=high&isResolved=false&startDate=2024-01-01&endDate=2024-01-31&limit=50&page=1
+ *          (or &cursor=<pagination.next|prev>; &count=true adds the total)
  */
 router.get('/web',
   authenticateToken,
+  requireDeviceOwnership,
   validateAlertsQuery,
   validateDateRange,
   validatePagination,
   getAlerts
 );
 
+/**
+ * @route   PUT /api/v1/alert/web/:alertId/resolve
+ * @desc    Resolve an alert from the web interface
+ * @access  Private (JWT required, owner, admin or operator)
+ * @params  alertId
+ * @body    { resolvedBy?, resolutionNotes? }
+ */
+router.put('/web/:alertId/resolve',
+  validateContentType,
+  authenticateToken,
+  requireRoles(['owner', 'admin', 'operator']),
+  requireDeviceOwnership,
+  resolveAlert
+);
+
+/**
+ * @route   PUT /api/v1/alert/web/:alertId/acknowledge
+ * @desc    Acknowledge an alert from the web interface
+ * @access  Private (JWT required, owner, admin or operator)
+ * @params  alertId
+ * @body    { acknowledgedBy? }
+ */
+router.put('/web/:alertId/acknowledge',
+  validateContentType,
+  authenticateToken,
+  requireRoles(['owner', 'admin', 'operator']),
+  requireDeviceOwnership,
+  acknowledgeAlert
+);
+
+/**
+ * @route   DELETE /api/v1/alert/web/:alertId
+ * @desc    Delete (archive) an alert from the web interface
+ * @access  Private (JWT required, owner or admin)
+ * @params  alertId
+ */
+router.delete('/web/:alertId',
+  authenticateToken,
+  requireRoles(['owner', 'admin']),
+  requireDeviceOwnership,
+  deleteAlert
+);
+
 /**
  * @route   GET /api/v1/alert/stats
  * @desc    Get alert statistics and analytics
@@ -90,7 +142,9 @@ router.get('/web',
  */
 router.get('/stats',
   authenticateApiKey,
+  requireApiKeyScope('read'),
   validateDateRange,
+  validateDeviceAccess,
   getAlertStats
 );
 
@@ -102,54 +156,50 @@ router.get('/stats',
  */
 router.get('/:alertId',
   authenticateApiKey,
+  requireApiKeyScope('read'),
   getAlertById
 );
 
 /**
  * @route   PUT /api/v1/alert/:alertId/resolve
  * @desc    Resolve an alert
- * @access  Private (API Key required)
+ * @access  Private (API Key with alert-admin scope required)
  * @params  alertId
  * @body    { resolvedBy?, resolutionNotes? }
  */
 router.put('/:alertId/resolve',
   validateContentType,
   authenticateApiKey,
+  requireApiKeyScope('alert-admin'),
   resolveAlert
 );
 
 /**
  * @route   PUT /api/v1/alert/:alertId/acknowledge
  * @desc    Acknowledge an alert
- * @access  Private (API Key required)
+ * @access  Private (API Key with alert-admin scope required)
  * @params  alertId
  * @body    { acknowledgedBy? }
  */
 router.put('/:alertId/acknowledge',
   validateContentType,
   authenticateApiKey,
+  requireApiKeyScope('alert-admin'),
   acknowledgeAlert
 );
 
 /**
  * @route   DELETE /api/v1/alert/:alertId
  * @desc    Delete an alert (admin only)
- * @access  Private (Master API Key required)
+ * @access  Private (API Key with alert-admin scope required)
  * @params  alertId
  */
 router.delete('/:alertId',
   authenticateApiKey,
-  // Only allow master API key to delete alerts
-  (req, res, next) => {
-    if (req.apiKey?.type !== 'master') {
-      return res.status(403).json({
-        success: false,
-        message: 'Master API key required for this operation',
-        timestamp: new Date().toISOString()
-      });
-    }
-    next();
-  },
+  // Only keys with the alert-admin scope (including the master key) may delete alerts;
+  // legacy API_KEYS entries have the scope for resolving/acknowledging only
+  requireApiKeyScope('alert-admin'),
+  rejectLegacyApiKey,
   deleteAlert
 );
 
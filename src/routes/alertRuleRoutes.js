@@ -0,0 +1,98 @@
+const express = require('express');
+const router = express.Router();
+
+// Controllers
+const {
+  createAlertRule,
+  getAlertRules,
+  getAlertRuleById,
+  updateAlertRule,
+  deleteAlertRule
+} = require('../controllers/alertRuleController');
+
+// Middleware
+const {
+  validateAlertRule,
+  validateAlertRuleUpdate,
+  validateAlertRuleQuery,
+  sanitizeStrings,
+  validateContentType
+} = require('../middleware/validation');
+
+const {
+  authenticateApiKey,
+  requireApiKeyScope,
+  securityHeaders
+} = require('../middleware/auth');
+
+// Apply common middleware to all routes
+router.use(securityHeaders);
+router.use(sanitizeStrings);
+
+/**
+ * @route   POST /api/v1/alert-rules
+ * @desc    Create an alert rule evaluated against every incoming reading
+ * @access  Private (API Key required)
+ * @body    { name, description?, deviceIds?, groups?, conditions, match?, sustainSeconds?, cooldownMinutes?, alertType?, severity?, titleTemplate?, messageTemplate, autoResolve?, isActive? }
+ */
+router.post('/',
+  validateContentType,
+  authenticateApiKey,
+  requireApiKeyScope('alert-admin'),
+  validateAlertRule,
+  createAlertRule
+);
+
+/**
+ * @route   GET /api/v1/alert-rules
+ * @desc    Get alert rules with filtering and pagination
+ * @access  Private (API Key required)
+ * @query   ?deviceId=DEV001&group=fleet-north&alertType=temperature&isActive=true&limit=50&page=1
+ */
+router.get('/',
+  authenticateApiKey,
+  requireApiKeyScope('read'),
+  validateAlertRuleQuery,
+  getAlertRules
+);
+
+/**
+ * @route   GET /api/v1/alert-rules/:ruleId
+ * @desc    Get alert rule by ID
+ * @access  Private (API Key required)
+ * @params  ruleId
+ */
+router.get('/:ruleId',
+  authenticateApiKey,
+  requireApiKeyScope('read'),
+  getAlertRuleById
+);
+
+/**
+ * @route   PUT /api/v1/alert-rules/:ruleId
+ * @desc    Update an alert rule (conditions are replaced as a whole)
+ * @access  Private (API Key required)
+ * @params  ruleId
+ * @body    { name?, description?, deviceIds?, groups?, conditions?, match?, sustainSeconds?, cooldownMinutes?, alertType?, severity?, titleTemplate?, messageTemplate?, autoResolve?, isActive? }
+ */
+router.put('/:ruleId',
+  validateContentType,
+  authenticateApiKey,
+  requireApiKeyScope('alert-admin'),
+  validateAlertRuleUpdate,
+  updateAlertRule
+);
+
+/**
+ * @route   DELETE /api/v1/alert-rules/:ruleId
+ * @desc    Delete an alert rule
+ * @access  Private (API Key required)
+ * @params  ruleId
+ */
+router.delete('/:ruleId',
+  authenticateApiKey,
+  requireApiKeyScope('alert-admin'),
+  deleteAlertRule
+);
+
+module.exports = router;
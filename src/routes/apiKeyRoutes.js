@@ -0,0 +1,66 @@
+const express = require('express');
+const router = express.Router();
+
+// Controllers
+const {
+  createApiKey,
+  getApiKeys,
+  revokeApiKey
+} = require('../controllers/apiKeyController');
+
+// Middleware
+const {
+  validateApiKey,
+  validateApiKeyQuery,
+  sanitizeStrings,
+  validateContentType
+} = require('../middleware/validation');
+
+const {
+  authenticateApiKey,
+  requireMasterApiKey,
+  securityHeaders
+} = require('../middleware/auth');
+
+// Apply common middleware to all routes
+router.use(securityHeaders);
+router.use(sanitizeStrings);
+
+// All key management requires the master API key
+router.use(authenticateApiKey);
+router.use(requireMasterApiKey);
+
+/**
+ * @route   POST /api/v1/api-keys
+ * @desc    Create an API key (the plain key is only returned in this response)
+ * @access  Private (Master API Key required)
+ * @body    { name, scopes: ['ingest' | 'read' | 'alert-admin'], deviceIds?, organizationId?, expiresAt? }
+ */
+router.post('/',
+  validateContentType,
+  validateApiKey,
+  createApiKey
+);
+
+/**
+ * @route   GET /api/v1/api-keys
+ * @desc    List API keys (without the keys themselves)
+ * @access  Private (Master API Key required)
+ * @query   ?status=active&organizationId=...&limit=50&page=1
+ */
+router.get('/',
+  validateApiKeyQuery,
+  getApiKeys
+);
+
+/**
+ * @route   DELETE /api/v1/api-keys/:keyId
+ * @desc    Revoke an API key
+ * @access  Private (Master API Key required)
+ * @params  keyId
+ */
+router.delete('/:keyId',
+  revokeApiKey
+);
+
+module.exports = router;
@@ -0,0 +1,55 @@
+const express = require('express');
+const router = express.Router();
+
+// Controllers
+const {
+  getAuditEvents
+} = require('../controllers/auditController');
+
+// Middleware
+const {
+  validateAuditQuery,
+  sanitizeStrings
+} = require('../middleware/validation');
+
+const {
+  authenticateApiKey,
+  requireMasterApiKey,
+  authenticateToken,
+  requireOrganization,
+  requireRoles,
+  securityHeaders
+} = require('../middleware/auth');
+
+// Apply common middleware to all routes
+router.use(securityHeaders);
+router.use(sanitizeStrings);
+
+/**
+ * @route   GET /api/v1/audit/web
+ * @desc    Audit log of the selected organization (CSV with format=csv)
+ * @access  Private (JWT required, owner or admin)
+ * @query   ?action=alert.*&actorType=user&userId=...&targetType=device&targetId=DEV001&startDate=2024-01-01&endDate=2024-01-31&format=json|csv&limit=50&page=1
+ */
+router.get('/web',
+  authenticateToken,
+  requireOrganization,
+  requireRoles(['owner', 'admin']),
+  validateAuditQuery,
+  getAuditEvents
+);
+
+/**
+ * @route   GET /api/v1/audit
+ * @desc    Audit log of every state-changing action (CSV with format=csv)
+ * @access  Private (Master API Key required)
+ * @query   ?action=alert.*&actorType=api_key&apiKeyId=...&organizationId=...&targetType=alert&targetId=...&requestId=...&startDate=2024-01-01&endDate=2024-01-31&format=json|csv&limit=50&page=1
+ */
+router.get('/',
+  authenticateApiKey,
+  requireMasterApiKey,
+  validateAuditQuery,
+  getAuditEvents
+);
+
+module.exports = router;
@@ -7,7 +7,11 @@ const {
   verifyOTP,
   getProfile,
   updateProfile,
-  refreshToken
+  refreshToken,
+  logout,
+  logoutAll,
+  getSessions,
+  switchOrganization
 } = require('../controllers/authController');
 
 // Middleware
@@ -20,6 +24,7 @@ const {
   validatePhoneNumber,
   validateOTP,
   validateProfileUpdate,
+  validateSwitchOrganization,
   sanitizeStrings,
   validateContentType
 } = require('../middleware/validation');
@@ -81,12 +86,56 @@ router.put('/profile',
 
 /**
  * @route   POST /api/v1/auth/refresh
- * @desc    Refresh JWT token
- * @access  Private (JWT required)
+ * @desc    Exchange a refresh token for a new access token and refresh token (single use)
+ * @access  Public (refresh token required)
+ * @body    { refreshToken }
  */
 router.post('/refresh',
-  authenticateToken,
+  validateContentType,
   refreshToken
 );
 
+/**
+ * @route   POST /api/v1/auth/logout
+ * @desc    Revoke the current session
+ * @access  Private (JWT required)
+ */
+router.post('/logout',
+  authenticateToken,
+  logout
+);
+
+/**
+ * @route   POST /api/v1/auth/logout-all
+ * @desc    Revoke every session of the current user
+ * @access  Private (JWT required)
+ */
+router.post('/logout-all',
+  authenticateToken,
+  logoutAll
+);
+
+/**
+ * @route   GET /api/v1/auth/sessions
+ * @desc    List active sessions (IP, user agent, last use)
+ * @access  Private (JWT required)
+ */
+router.get('/sessions',
+  authenticateToken,
+  getSessions
+);
+
+/**
+ * @route   POST /api/v1/auth/switch-organization
+ * @desc    Select the organization the session works in (null = personal devices)
+ * @access  Private (JWT required)
+ * @body    { organizationId }
+ */
+router.post('/switch-organization',
+  validateContentType,
+  authenticateToken,
+  validateSwitchOrganization,
+  switchOrganization
+);
+
 module.exports = router;
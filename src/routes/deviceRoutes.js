@@ -4,20 +4,42 @@ const router = express.Router();
 // Controllers
 const { 
   updateDeviceData, 
+  updateDeviceDataBatch,
   getDeviceHistory, 
+  exportDeviceHistory,
+  getDeviceTrips,
   getCurrentLocation,
   registerDevice,
-  getAllDevices
+  claimDevice,
+  releaseDevice,
+  getAllDevices,
+  getDevicePositions,
+  getNearbyDevices,
+  getDeviceVisits
 } = require('../controllers/deviceController');
 
+const {
+  createDeviceCommand,
+  getDeviceCommands
+} = require('../controllers/commandController');
+
 // Middleware
 const { 
   validateLocationData,
+  validateLocationBatch,
   validateDevice,
+  validateDeviceClaim,
   validateDeviceId,
   validateDeviceHistoryQuery,
+  validateDeviceHistoryExportQuery,
+  validateDeviceListQuery,
+  validateDevicePositionsQuery,
+  validateNearbyDevicesQuery,
+  validateDeviceVisitsQuery,
   validatePagination,
   validateDateRange,
+  validateDeviceCommand,
+  validateCommandHistoryQuery,
   sanitizeStrings,
   validateContentType
 } = require('../middleware/validation');
@@ -25,8 +47,12 @@ const {
 
 const { 
   authenticateApiKey,
+  requireApiKeyScope,
   authenticateToken,
   validateDeviceAccess,
+  requireDeviceOwnership,
+  requireOrganization,
+  requireRoles,
   securityHeaders
 } = require('../middleware/auth');
 
@@ -47,12 +73,29 @@ router.use(sanitizeStrings);
 router.post('/update-data', 
   validateContentType,
   authenticateApiKey,
+  requireApiKeyScope('ingest'),
   decodeJwtPayload,
   // validateLocationData, // REMOVED: Latitude/longitude validation
   validateDeviceAccess, 
   updateDeviceData
 );
 
+/**
+ * @route   POST /api/v1/device/update-batch
+ * @desc    Upload buffered readings (e.g. after a coverage gap) in one request
+ * @access  Private (API Key required)
+ * @body    JWT token containing: { deviceId, readings: [{ latitude, longitude, batteryVoltage, timestamp, ... }] }
+ */
+router.post('/update-batch',
+  validateContentType,
+  authenticateApiKey,
+  requireApiKeyScope('ingest'),
+  decodeJwtPayload,
+  validateLocationBatch,
+  validateDeviceAccess,
+  updateDeviceDataBatch
+);
+
 /**
  * @route   POST /api/v1/device/register
  * @desc    Register or update a device
@@ -62,44 +105,144 @@ router.post('/update-data',
 router.post('/register',
   validateContentType,
   authenticateApiKey,
+  requireApiKeyScope('ingest'),
   validateDevice,
   validateDeviceAccess,
   registerDevice
 );
 
+/**
+ * @route   POST /api/v1/device/web-register
+ * @desc    Register or update a device in the selected organization
+ * @access  Private (JWT required, owner or admin)
+ * @body    { deviceId, name, description, batteryThreshold, alertSettings, hardware }
+ */
+router.post('/web-register',
+  validateContentType,
+  authenticateToken,
+  requireOrganization,
+  requireRoles(['owner', 'admin']),
+  validateDevice,
+  validateDeviceAccess,
+  registerDevice
+);
+
+/**
+ * @route   POST /api/v1/device/claim
+ * @desc    Attach a device to the logged-in user with its one-time claim code
+ * @access  Private (JWT required)
+ * @body    { deviceId, claimCode, alias? }
+ */
+router.post('/claim',
+  validateContentType,
+  authenticateToken,
+  validateDeviceClaim,
+  claimDevice
+);
+
+/**
+ * @route   DELETE /api/v1/device/:deviceId/claim
+ * @desc    Release a device from the logged-in user (issues a new claim code for transfer)
+ * @access  Private (JWT required, device owner)
+ * @params  deviceId
+ */
+router.delete('/:deviceId/claim',
+  authenticateToken,
+  requireDeviceOwnership,
+  validateDeviceId,
+  releaseDevice
+);
+
 /**
  * @route   GET /api/v1/device/list
  * @desc    Get all devices with optional filtering
  * @access  Private (API Key required)
- * @query   ?isActive=true&status=online&limit=50&page=1
+ * @query   ?isActive=true&status=online|offline|inactive&limit=50&page=1
  */
 router.get('/list',
   authenticateApiKey,
+  requireApiKeyScope('read'),
+  validateDeviceListQuery,
   validatePagination,
   getAllDevices
 );
 
 /**
  * @route   GET /api/v1/device/web-list
- * @desc    Get all devices for web interface (no user filtering for now)
+ * @desc    Get the caller's devices for web interface
  * @access  Private (JWT required)
- * @query   ?isActive=true&status=online&limit=50&page=1
+ * @query   ?isActive=true&status=online|offline|inactive&limit=50&page=1
  */
 router.get('/web-list',
   authenticateToken,
+  requireDeviceOwnership,
+  validateDeviceListQuery,
   validatePagination,
   getAllDevices
 );
 
+/**
+ * @route   GET /api/v1/device/positions
+ * @desc    Latest position, heading, speed and status of each device inside a map viewport
+ * @access  Private (API Key required)
+ * @query   ?bbox=minLng,minLat,maxLng,maxLat&status=online&cluster=true&zoom=8
+ */
+router.get('/positions',
+  authenticateApiKey,
+  requireApiKeyScope('read'),
+  validateDevicePositionsQuery,
+  getDevicePositions
+);
+
+/**
+ * @route   GET /api/v1/device/web-positions
+ * @desc    Latest positions of the caller's devices inside a map viewport for web interface
+ * @access  Private (JWT required)
+ * @query   ?bbox=minLng,minLat,maxLng,maxLat&status=online&cluster=true&zoom=8
+ */
+router.get('/web-positions',
+  authenticateToken,
+  requireDeviceOwnership,
+  validateDevicePositionsQuery,
+  getDevicePositions
+);
+
+/**
+ * @route   GET /api/v1/device/nearby
+ * @desc    Devices whose latest position is within a radius (meters) of a point, nearest first
+ * @access  Private (API Key required)
+ * @query   ?lat=40.7128&lng=-74.006&radius=2000&status=online&limit=50
+ */
+router.get('/nearby',
+  authenticateApiKey,
+  requireApiKeyScope('read'),
+  validateNearbyDevicesQuery,
+  getNearbyDevices
+);
+
+/**
+ * @route   GET /api/v1/device/web-nearby
+ * @desc    The caller's devices near a point for web interface
+ * @access  Private (JWT required)
+ * @query   ?lat=40.7128&lng=-74.006&radius=2000&status=online&limit=50
+ */
+router.get('/web-nearby',
+  authenticateToken,
+  requireDeviceOwnership,
+  validateNearbyDevicesQuery,
+  getNearbyDevices
+);
+
 /**
  * @route   GET /api/v1/device/:deviceId/web-history
  * @desc    Get device history for web interface (JWT auth)
  * @access  Private (JWT required)
  * @params  deviceId
- * @query   ?startDate=2024-01-01&endDate=2024-01-31&limit=100&page=1
+ * @query   ?startDate=2024-01-01&endDate=2024-01-31&limit=100&page=1 (or &cursor=...; or &simplify=10 / &bucket=1m)
  */
 router.get('/:deviceId/web-history',
   authenticateToken,
+  requireDeviceOwnership,
   validateDeviceId,
   validateDeviceHistoryQuery,
   validateDateRange,
@@ -107,6 +250,54 @@ router.get('/:deviceId/web-history',
   getDeviceHistory
 );
 
+/**
+ * @route   GET /api/v1/device/:deviceId/web-history/export
+ * @desc    Download device history as a GPX, KML, GeoJSON or CSV file for web interface (JWT auth)
+ * @access  Private (JWT required)
+ * @params  deviceId
+ * @query   ?format=gpx&startDate=2024-01-01&endDate=2024-01-31
+ */
+router.get('/:deviceId/web-history/export',
+  authenticateToken,
+  requireDeviceOwnership,
+  validateDeviceId,
+  validateDeviceHistoryExportQuery,
+  validateDateRange,
+  exportDeviceHistory
+);
+
+/**
+ * @route   GET /api/v1/device/:deviceId/web-visits
+ * @desc    Get device visits to a place for web interface (JWT auth)
+ * @access  Private (JWT required)
+ * @params  deviceId
+ * @query   ?lat=40.7128&lng=-74.006&radius=100&startDate=2024-01-01&endDate=2024-01-31
+ */
+router.get('/:deviceId/web-visits',
+  authenticateToken,
+  requireDeviceOwnership,
+  validateDeviceId,
+  validateDeviceVisitsQuery,
+  validateDateRange,
+  getDeviceVisits
+);
+
+/**
+ * @route   GET /api/v1/device/:deviceId/web-trips
+ * @desc    Get device trips for web interface (JWT auth)
+ * @access  Private (JWT required)
+ * @params  deviceId
+ * @query   ?startDate=2024-01-01&endDate=2024-01-31&limit=50
+ */
+router.get('/:deviceId/web-trips',
+  authenticateToken,
+  requireDeviceOwnership,
+  validateDeviceId,
+  validateDateRange,
+  validatePagination,
+  getDeviceTrips
+);
+
 /**
  * @route   GET /api/v1/device/:deviceId/web-current
  * @desc    Get device current location for web interface (JWT auth)
@@ -115,19 +306,56 @@ router.get('/:deviceId/web-history',
  */
 router.get('/:deviceId/web-current',
   authenticateToken,
+  requireDeviceOwnership,
   validateDeviceId,
   getCurrentLocation
 );
 
+/**
+ * @route   POST /api/v1/device/:deviceId/web-commands
+ * @desc    Queue a downlink command for a device (web interface)
+ * @access  Private (JWT required, owner, admin or operator)
+ * @params  deviceId
+ * @body    { type: 'set_interval' | 'reboot' | 'request_location' | 'set_alert_settings' | 'custom', params?, ttlSeconds? }
+ */
+router.post('/:deviceId/web-commands',
+  validateContentType,
+  authenticateToken,
+  requireDeviceOwnership,
+  requireRoles(['owner', 'admin', 'operator']),
+  validateDeviceId,
+  validateDeviceCommand,
+  createDeviceCommand
+);
+
+/**
+ * @route   GET /api/v1/device/:deviceId/web-commands
+ * @desc    Get device command history for web interface (JWT auth)
+ * @access  Private (JWT required)
+ * @params  deviceId
+ * @query   ?status=pending&type=reboot&startDate=2024-01-01&endDate=2024-01-31&limit=50&page=1
+ */
+router.get('/:deviceId/web-commands',
+  authenticateToken,
+  requireDeviceOwnership,
+  validateDeviceId,
+  validateCommandHistoryQuery,
+  validateDateRange,
+  getDeviceCommands
+);
+
 /**
  * @route   GET /api/v1/device/:deviceId/history
  * @desc    Get device location history
  * @access  Private (API Key required)
  * @params  deviceId
  * @query   ?startDate=2024-01-01&endDate=2024-01-31&limit=100&page=1
+ *          &cursor=<pagination.next|prev> instead of page; &count=true adds the total to cursor pages
+ *          &simplify=10 (Douglas-Peucker tolerance in meters) or &bucket=1m (one point per interval); both skip pagination
  */
 router.get('/:deviceId/history',
   authenticateApiKey,
+  requireApiKeyScope('read'),
   validateDeviceId,
   validateDeviceHistoryQuery,
   validateDateRange,
@@ -136,6 +364,91 @@ router.get('/:deviceId/history',
   getDeviceHistory
 );
 
+/**
+ * @route   GET /api/v1/device/:deviceId/history/export
+ * @desc    Download device history as a GPX, KML, GeoJSON or CSV file (streamed, oldest first)
+ * @access  Private (API Key required)
+ * @params  deviceId
+ * @query   ?format=gpx|kml|geojson|csv&startDate=2024-01-01&endDate=2024-01-31
+ */
+router.get('/:deviceId/history/export',
+  authenticateApiKey,
+  requireApiKeyScope('read'),
+  validateDeviceId,
+  validateDeviceHistoryExportQuery,
+  validateDateRange,
+  validateDeviceAccess,
+  exportDeviceHistory
+);
+
+/**
+ * @route   GET /api/v1/device/:deviceId/visits
+ * @desc    When the device was at a place: consecutive points within the radius grouped into visits
+ * @access  Private (API Key required)
+ * @params  deviceId
+ * @query   ?lat=40.7128&lng=-74.006&radius=100 (meters)&startDate=2024-01-01&endDate=2024-01-31
+ */
+router.get('/:deviceId/visits',
+  authenticateApiKey,
+  requireApiKeyScope('read'),
+  validateDeviceId,
+  validateDeviceVisitsQuery,
+  validateDateRange,
+  validateDeviceAccess,
+  getDeviceVisits
+);
+
+/**
+ * @route   GET /api/v1/device/:deviceId/trips
+ * @desc    Get trips (start/end place, duration, distance, speed, idle time)
+ * @access  Private (API Key required)
+ * @params  deviceId
+ * @query   ?startDate=2024-01-01&endDate=2024-01-31&limit=50
+ */
+router.get('/:deviceId/trips',
+  authenticateApiKey,
+  requireApiKeyScope('read'),
+  validateDeviceId,
+  validateDateRange,
+  validatePagination,
+  validateDeviceAccess,
+  getDeviceTrips
+);
+
+/**
+ * @route   POST /api/v1/device/:deviceId/commands
+ * @desc    Queue a downlink command, delivered with the device's next update-data response or over MQTT
+ * @access  Private (API Key with command scope required)
+ * @params  deviceId
+ * @body    { type: 'set_interval' | 'reboot' | 'request_location' | 'set_alert_settings' | 'custom', params?, ttlSeconds? }
+ */
+router.post('/:deviceId/commands',
+  validateContentType,
+  authenticateApiKey,
+  requireApiKeyScope('command'),
+  validateDeviceId,
+  validateDeviceCommand,
+  validateDeviceAccess,
+  createDeviceCommand
+);
+
+/**
+ * @route   GET /api/v1/device/:deviceId/commands
+ * @desc    Get device command history (pending, delivered, acked, failed, expired)
+ * @access  Private (API Key required)
+ * @params  deviceId
+ * @query   ?status=pending&type=reboot&startDate=2024-01-01&endDate=2024-01-31&limit=50&page=1
+ */
+router.get('/:deviceId/commands',
+  authenticateApiKey,
+  requireApiKeyScope('read'),
+  validateDeviceId,
+  validateCommandHistoryQuery,
+  validateDateRange,
+  validateDeviceAccess,
+  getDeviceCommands
+);
+
 /**
  * @route   GET /api/v1/device/:deviceId/current
  * @desc    Get device current/latest location
@@ -144,6 +457,7 @@ router.get('/:deviceId/history',
  */
 router.get('/:deviceId/current',
   authenticateApiKey,
+  requireApiKeyScope('read'),
   validateDeviceId,
   validateDeviceAccess,
   getCurrentLocation
@@ -157,6 +471,7 @@ router.get('/:deviceId/current',
  */
 router.get('/:deviceId',
   authenticateApiKey,
+  requireApiKeyScope('read'),
   validateDeviceId,
   validateDeviceAccess,
   getCurrentLocation
@@ -0,0 +1,204 @@
+const express = require('express');
+const router = express.Router();
+
+// Controllers
+const {
+  createFirmwareRelease,
+  uploadFirmwareBinary,
+  getFirmwareReleases,
+  getFirmwareReleaseById,
+  createFirmwareRollout,
+  getFirmwareRollouts,
+  getFirmwareRolloutById,
+  updateFirmwareRollout,
+  checkFirmwareUpdate,
+  downloadFirmware,
+  reportFirmwareStatus
+} = require('../controllers/firmwareController');
+
+// Middleware
+const {
+  validateFirmwareRelease,
+  validateFirmwareReleaseQuery,
+  validateFirmwareRollout,
+  validateFirmwareRolloutUpdate,
+  validateFirmwareRolloutQuery,
+  validateFirmwareRolloutDevicesQuery,
+  validateFirmwareCheckQuery,
+  validateFirmwareStatus,
+  validateDeviceId,
+  sanitizeStrings,
+  validateContentType
+} = require('../middleware/validation');
+
+const {
+  authenticateApiKey,
+  requireApiKeyScope,
+  requireMasterApiKey,
+  validateDeviceAccess,
+  securityHeaders
+} = require('../middleware/auth');
+
+const {
+  decodeJwtPayload
+} = require('../middleware/jwtPayload');
+
+// Apply common middleware to all routes
+router.use(securityHeaders);
+router.use(sanitizeStrings);
+
+/**
+ * @route   GET /api/v1/firmware/device/:deviceId/check
+ * @desc    Check whether a firmware update is available for the device
+ * @access  Private (API Key required)
+ * @params  deviceId
+ * @query   ?version=1.3.2&model=ESP32-SIM800L (what the device runs; recorded on the device)
+ */
+router.get('/device/:deviceId/check',
+  authenticateApiKey,
+  requireApiKeyScope('ingest'),
+  validateDeviceId,
+  validateFirmwareCheckQuery,
+  validateDeviceAccess,
+  checkFirmwareUpdate
+);
+
+/**
+ * @route   GET /api/v1/firmware/device/:deviceId/download/:rolloutId
+ * @desc    Download the firmware binary (supports Range requests to resume)
+ * @access  Private (API Key required)
+ * @params  deviceId, rolloutId
+ */
+router.get('/device/:deviceId/download/:rolloutId',
+  authenticateApiKey,
+  requireApiKeyScope('ingest'),
+  validateDeviceId,
+  validateDeviceAccess,
+  downloadFirmware
+);
+
+/**
+ * @route   POST /api/v1/firmware/device/status
+ * @desc    Report update progress from the device
+ * @access  Private (API Key required)
+ * @body    JWT token containing: { deviceId, rolloutId, status: 'downloading' | 'downloaded' | 'installing' | 'installed' | 'failed', progress?, error? }
+ */
+router.post('/device/status',
+  validateContentType,
+  authenticateApiKey,
+  requireApiKeyScope('ingest'),
+  decodeJwtPayload,
+  validateFirmwareStatus,
+  validateDeviceAccess,
+  reportFirmwareStatus
+);
+
+/**
+ * @route   POST /api/v1/firmware/releases
+ * @desc    Create a firmware release (upload the binary next)
+ * @access  Private (Master API Key required)
+ * @body    { version, hardwareModel, releaseNotes? }
+ */
+router.post('/releases',
+  validateContentType,
+  authenticateApiKey,
+  requireMasterApiKey,
+  validateFirmwareRelease,
+  createFirmwareRelease
+);
+
+/**
+ * @route   PUT /api/v1/firmware/releases/:releaseId/binary
+ * @desc    Upload the release binary (raw body, Content-Type: application/octet-stream)
+ * @access  Private (Master API Key required)
+ * @params  releaseId
+ * @headers X-Firmware-SHA256? (rejects the upload if the hash differs)
+ */
+router.put('/releases/:releaseId/binary',
+  authenticateApiKey,
+  requireMasterApiKey,
+  uploadFirmwareBinary
+);
+
+/**
+ * @route   GET /api/v1/firmware/releases
+ * @desc    List firmware releases
+ * @access  Private (Master API Key required)
+ * @query   ?hardwareModel=ESP32-SIM800L&status=ready&limit=50&page=1
+ */
+router.get('/releases',
+  authenticateApiKey,
+  requireMasterApiKey,
+  validateFirmwareReleaseQuery,
+  getFirmwareReleases
+);
+
+/**
+ * @route   GET /api/v1/firmware/releases/:releaseId
+ * @desc    Get a firmware release
+ * @access  Private (Master API Key required)
+ * @params  releaseId
+ */
+router.get('/releases/:releaseId',
+  authenticateApiKey,
+  requireMasterApiKey,
+  getFirmwareReleaseById
+);
+
+/**
+ * @route   POST /api/v1/firmware/rollouts
+ * @desc    Roll out a release to its hardware model
+ * @access  Private (Master API Key required)
+ * @body    { releaseId, groups?: [], percentage?: 1-100 }
+ */
+router.post('/rollouts',
+  validateContentType,
+  authenticateApiKey,
+  requireMasterApiKey,
+  validateFirmwareRollout,
+  createFirmwareRollout
+);
+
+/**
+ * @route   GET /api/v1/firmware/rollouts
+ * @desc    List rollouts with device counts per update status
+ * @access  Private (Master API Key required)
+ * @query   ?hardwareModel=ESP32-SIM800L&status=active&limit=50&page=1
+ */
+router.get('/rollouts',
+  authenticateApiKey,
+  requireMasterApiKey,
+  validateFirmwareRolloutQuery,
+  getFirmwareRollouts
+);
+
+/**
+ * @route   GET /api/v1/firmware/rollouts/:rolloutId
+ * @desc    Get a rollout with its progress and per-device status
+ * @access  Private (Master API Key required)
+ * @params  rolloutId
+ * @query   ?status=failed&limit=100&page=1
+ */
+router.get('/rollouts/:rolloutId',
+  authenticateApiKey,
+  requireMasterApiKey,
+  validateFirmwareRolloutDevicesQuery,
+  getFirmwareRolloutById
+);
+
+/**
+ * @route   PUT /api/v1/firmware/rollouts/:rolloutId
+ * @desc    Pause, resume or cancel a rollout, or change its groups/percentage
+ * @access  Private (Master API Key required)
+ * @params  rolloutId
+ * @body    { status?: 'active' | 'paused' | 'cancelled', groups?, percentage? }
+ */
+router.put('/rollouts/:rolloutId',
+  validateContentType,
+  authenticateApiKey,
+  requireMasterApiKey,
+  validateFirmwareRolloutUpdate,
+  updateFirmwareRollout
+);
+
+module.exports = router;
@@ -0,0 +1,158 @@
+const express = require('express');
+const router = express.Router();
+
+// Controllers
+const {
+  createGeofence,
+  getGeofences,
+  getGeofenceById,
+  updateGeofence,
+  deleteGeofence
+} = require('../controllers/geofenceController');
+
+// Middleware
+const {
+  validateGeofence,
+  validateGeofenceUpdate,
+  validateGeofenceQuery,
+  sanitizeStrings,
+  validateContentType
+} = require('../middleware/validation');
+
+const {
+  authenticateApiKey,
+  requireApiKeyScope,
+  authenticateToken,
+  requireOrganization,
+  requireRoles,
+  securityHeaders
+} = require('../middleware/auth');
+
+// Apply common middleware to all routes
+router.use(securityHeaders);
+router.use(sanitizeStrings);
+
+/**
+ * @route   POST /api/v1/geofence
+ * @desc    Create a circular or polygon geofence
+ * @access  Private (API Key required)
+ * @body    { name, description?, type, center?, radius?, coordinates?, deviceIds?, alertOn?, severity?, isActive? }
+ */
+router.post('/',
+  validateContentType,
+  authenticateApiKey,
+  requireApiKeyScope('alert-admin'),
+  validateGeofence,
+  createGeofence
+);
+
+/**
+ * @route   GET /api/v1/geofence
+ * @desc    Get geofences with filtering and pagination
+ * @access  Private (API Key required)
+ * @query   ?deviceId=DEV001&type=circle&isActive=true&limit=50&page=1
+ */
+router.get('/',
+  authenticateApiKey,
+  requireApiKeyScope('read'),
+  validateGeofenceQuery,
+  getGeofences
+);
+
+/**
+ * @route   GET /api/v1/geofence/web
+ * @desc    Get the selected organization's geofences for web interface
+ * @access  Private (JWT required, organization member)
+ * @query   ?deviceId=DEV001&type=circle&isActive=true&limit=50&page=1
+ */
+router.get('/web',
+  authenticateToken,
+  requireOrganization,
+  validateGeofenceQuery,
+  getGeofences
+);
+
+/**
+ * @route   POST /api/v1/geofence/web
+ * @desc    Create a geofence in the selected organization
+ * @access  Private (JWT required, owner or admin)
+ * @body    { name, description?, type, center?, radius?, coordinates?, deviceIds?, alertOn?, severity?, isActive? }
+ */
+router.post('/web',
+  validateContentType,
+  authenticateToken,
+  requireOrganization,
+  requireRoles(['owner', 'admin']),
+  validateGeofence,
+  createGeofence
+);
+
+/**
+ * @route   PUT /api/v1/geofence/web/:geofenceId
+ * @desc    Update a geofence of the selected organization
+ * @access  Private (JWT required, owner or admin)
+ * @params  geofenceId
+ * @body    { name?, description?, type?, center?, radius?, coordinates?, deviceIds?, alertOn?, severity?, isActive? }
+ */
+router.put('/web/:geofenceId',
+  validateContentType,
+  authenticateToken,
+  requireOrganization,
+  requireRoles(['owner', 'admin']),
+  validateGeofenceUpdate,
+  updateGeofence
+);
+
+/**
+ * @route   DELETE /api/v1/geofence/web/:geofenceId
+ * @desc    Delete a geofence of the selected organization
+ * @access  Private (JWT required, owner or admin)
+ * @params  geofenceId
+ */
+router.delete('/web/:geofenceId',
+  authenticateToken,
+  requireOrganization,
+  requireRoles(['owner', 'admin']),
+  deleteGeofence
+);
+
+/**
+ * @route   GET /api/v1/geofence/:geofenceId
+ * @desc    Get geofence by ID
+ * @access  Private (API Key required)
+ * @params  geofenceId
+ */
+router.get('/:geofenceId',
+  authenticateApiKey,
+  requireApiKeyScope('read'),
+  getGeofenceById
+);
+
+/**
+ * @route   PUT /api/v1/geofence/:geofenceId
+ * @desc    Update a geofence (geometry, devices, alert settings)
+ * @access  Private (API Key required)
+ * @params  geofenceId
+ * @body    { name?, description?, type?, center?, radius?, coordinates?, deviceIds?, alertOn?, severity?, isActive? }
+ */
+router.put('/:geofenceId',
+  validateContentType,
+  authenticateApiKey,
+  requireApiKeyScope('alert-admin'),
+  validateGeofenceUpdate,
+  updateGeofence
+);
+
+/**
+ * @route   DELETE /api/v1/geofence/:geofenceId
+ * @desc    Delete a geofence
+ * @access  Private (API Key required)
+ * @params  geofenceId
+ */
+router.delete('/:geofenceId',
+  authenticateApiKey,
+  requireApiKeyScope('alert-admin'),
+  deleteGeofence
+);
+
+module.exports = router;
@@ -0,0 +1,117 @@
+const express = require('express');
+const router = express.Router();
+
+// Controllers
+const {
+  createOrganization,
+  getOrganizations,
+  getOrganizationById,
+  updateOrganization,
+  addMember,
+  updateMember,
+  removeMember
+} = require('../controllers/organizationController');
+
+// Middleware
+const {
+  validateOrganization,
+  validateOrganizationUpdate,
+  validateOrganizationMember,
+  validateOrganizationMemberUpdate,
+  sanitizeStrings,
+  validateContentType
+} = require('../middleware/validation');
+
+const {
+  authenticateToken,
+  securityHeaders
+} = require('../middleware/auth');
+
+// Apply common middleware to all routes
+router.use(securityHeaders);
+router.use(sanitizeStrings);
+
+// Organizations are managed by their members from the app
+router.use(authenticateToken);
+
+/**
+ * @route   POST /api/v1/organizations
+ * @desc    Create an organization (the caller becomes its owner)
+ * @access  Private (JWT required)
+ * @body    { name, description? }
+ */
+router.post('/',
+  validateContentType,
+  validateOrganization,
+  createOrganization
+);
+
+/**
+ * @route   GET /api/v1/organizations
+ * @desc    List the caller's organizations with their role and the active one
+ * @access  Private (JWT required)
+ */
+router.get('/',
+  getOrganizations
+);
+
+/**
+ * @route   GET /api/v1/organizations/:organizationId
+ * @desc    Get an organization with its members
+ * @access  Private (JWT required, member)
+ * @params  organizationId
+ */
+router.get('/:organizationId',
+  getOrganizationById
+);
+
+/**
+ * @route   PUT /api/v1/organizations/:organizationId
+ * @desc    Update organization details
+ * @access  Private (JWT required, owner or admin)
+ * @params  organizationId
+ * @body    { name?, description? }
+ */
+router.put('/:organizationId',
+  validateContentType,
+  validateOrganizationUpdate,
+  updateOrganization
+);
+
+/**
+ * @route   POST /api/v1/organizations/:organizationId/members
+ * @desc    Add a registered user to the organization
+ * @access  Private (JWT required, owner or admin)
+ * @params  organizationId
+ * @body    { phoneNumber, role?: 'owner' | 'admin' | 'operator' | 'viewer' }
+ */
+router.post('/:organizationId/members',
+  validateContentType,
+  validateOrganizationMember,
+  addMember
+);
+
+/**
+ * @route   PUT /api/v1/organizations/:organizationId/members/:userId
+ * @desc    Change a member's role
+ * @access  Private (JWT required, owner or admin)
+ * @params  organizationId, userId
+ * @body    { role }
+ */
+router.put('/:organizationId/members/:userId',
+  validateContentType,
+  validateOrganizationMemberUpdate,
+  updateMember
+);
+
+/**
+ * @route   DELETE /api/v1/organizations/:organizationId/members/:userId
+ * @desc    Remove a member, or leave the organization with your own user ID
+ * @access  Private (JWT required, owner, admin or the member)
+ * @params  organizationId, userId
+ */
+router.delete('/:organizationId/members/:userId',
+  removeMember
+);
+
+module.exports = router;
@@ -0,0 +1,38 @@
+const express = require('express');
+const router = express.Router();
+
+// Controllers
+const {
+  streamEvents
+} = require('../controllers/streamController');
+
+// Middleware
+const {
+  sanitizeStrings
+} = require('../middleware/validation');
+
+const {
+  authenticateToken,
+  allowQueryToken,
+  requireDeviceOwnership,
+  securityHeaders
+} = require('../middleware/auth');
+
+// Apply common middleware to all routes
+router.use(securityHeaders);
+router.use(sanitizeStrings);
+
+/**
+ * @route   GET /api/v1/stream
+ * @desc    Server-sent events for new location points and alert changes
+ * @access  Private (JWT required - EventSource can pass it as ?token=)
+ * @query   ?deviceId=DEV001,DEV002&types=location,alert&token=JWT
+ */
+router.get('/',
+  allowQueryToken,
+  authenticateToken,
+  requireDeviceOwnership,
+  streamEvents
+);
+
+module.exports = router;
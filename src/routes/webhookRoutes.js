@@ -0,0 +1,117 @@
+const express = require('express');
+const router = express.Router();
+
+// Controllers
+const {
+  createWebhook,
+  getWebhooks,
+  getWebhookById,
+  updateWebhook,
+  deleteWebhook,
+  getWebhookDeliveries,
+  retryWebhookDelivery
+} = require('../controllers/webhookController');
+
+// Middleware
+const {
+  validateWebhook,
+  validateWebhookUpdate,
+  validateWebhookQuery,
+  validateWebhookDeliveryQuery,
+  sanitizeStrings,
+  validateContentType
+} = require('../middleware/validation');
+
+const {
+  authenticateApiKey,
+  requireMasterApiKey,
+  securityHeaders
+} = require('../middleware/auth');
+
+// Apply common middleware to all routes
+router.use(securityHeaders);
+router.use(sanitizeStrings);
+
+// Webhooks receive alerts for every device, so they are managed with the master API key
+router.use(authenticateApiKey);
+router.use(requireMasterApiKey);
+
+/**
+ * @route   POST /api/v1/webhooks
+ * @desc    Create a webhook subscription (the secret is only returned in this response)
+ * @access  Private (Master API Key required)
+ * @body    { name, url, secret?, events?, filters?: { alertTypes?, severities?, deviceIds? }, isActive? }
+ */
+router.post('/',
+  validateContentType,
+  validateWebhook,
+  createWebhook
+);
+
+/**
+ * @route   GET /api/v1/webhooks
+ * @desc    List webhook subscriptions
+ * @access  Private (Master API Key required)
+ * @query   ?isActive=true&limit=50&page=1
+ */
+router.get('/',
+  validateWebhookQuery,
+  getWebhooks
+);
+
+/**
+ * @route   GET /api/v1/webhooks/:webhookId
+ * @desc    Get webhook subscription by ID
+ * @access  Private (Master API Key required)
+ * @params  webhookId
+ */
+router.get('/:webhookId',
+  getWebhookById
+);
+
+/**
+ * @route   PUT /api/v1/webhooks/:webhookId
+ * @desc    Update a webhook subscription
+ * @access  Private (Master API Key required)
+ * @params  webhookId
+ * @body    { name?, url?, secret?, events?, filters?, isActive? }
+ */
+router.put('/:webhookId',
+  validateContentType,
+  validateWebhookUpdate,
+  updateWebhook
+);
+
+/**
+ * @route   DELETE /api/v1/webhooks/:webhookId
+ * @desc    Delete a webhook subscription and its queued deliveries
+ * @access  Private (Master API Key required)
+ * @params  webhookId
+ */
+router.delete('/:webhookId',
+  deleteWebhook
+);
+
+/**
+ * @route   GET /api/v1/webhooks/:webhookId/deliveries
+ * @desc    Delivery log (attempts, response codes, errors)
+ * @access  Private (Master API Key required)
+ * @params  webhookId
+ * @query   ?status=failed&event=alert.created&limit=50&page=1
+ */
+router.get('/:webhookId/deliveries',
+  validateWebhookDeliveryQuery,
+  getWebhookDeliveries
+);
+
+/**
+ * @route   POST /api/v1/webhooks/:webhookId/deliveries/:deliveryId/retry
+ * @desc    Queue a failed delivery for one more attempt
+ * @access  Private (Master API Key required)
+ * @params  webhookId, deliveryId
+ */
+router.post('/:webhookId/deliveries/:deliveryId/retry',
+  retryWebhookDelivery
+);
+
+module.exports = router;
@@ -0,0 +1,79 @@
+const Alert = require('../models/Alert');
+const config = require('../config/environment');
+const logger = require('../utils/logger');
+
+// Alerts resolved per run; the rest are picked up on the next run
+const BATCH_SIZE = 500;
+
+let timer = null;
+let running = false;
+
+/**
+ * Resolve unresolved alerts whose autoResolve timeout has elapsed
+ * @returns {number} Number of alerts resolved
+ */
+const runAutoResolve = async () => {
+  if (running) return 0;
+  running = true;
+
+  let resolved = 0;
+  try {
+    const alerts = await Alert.findAutoResolvable(new Date()).limit(BATCH_SIZE);
+
+    for (const alert of alerts) {
+      try {
+        await alert.resolve(
+          Alert.AUTO_RESOLVED_BY,
+          `Automatically resolved after ${alert.autoResolve.timeoutMinutes} minutes`
+        );
+        resolved += 1;
+      } catch (error) {
+        logger.error('Auto-resolve failed for alert', {
+          alertId: alert._id,
+          deviceId: alert.deviceId,
+          error: error.message
+        });
+      }
+    }
+
+    if (resolved > 0) {
+      logger.info('Alerts auto-resolved', { count: resolved });
+    }
+  } catch (error) {
+    logger.error('Auto-resolve run failed', { error: error.message });
+  } finally {
+    running = false;
+  }
+
+  return resolved;
+};
+
+/**
+ * Start the periodic auto-resolver
+ */
+const startAlertAutoResolver = () => {
+  const intervalSeconds = config.AUTO_RESOLVE_INTERVAL_SECONDS;
+  if (timer || intervalSeconds <= 0) return;
+
+  timer = setInterval(runAutoResolve, intervalSeconds * 1000);
+  timer.unref();
+
+  logger.info('Alert auto-resolver started', { intervalSeconds });
+};
+
+/**
+ * Stop the periodic auto-resolver
+ */
+const stopAlertAutoResolver = () => {
+  if (!timer) return;
+
+  clearInterval(timer);
+  timer = null;
+  logger.info('Alert auto-resolver stopped');
+};
+
+module.exports = {
+  runAutoResolve,
+  startAlertAutoResolver,
+  stopAlertAutoResolver
+};
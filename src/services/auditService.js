@@ -0,0 +1,100 @@
+const AuditEvent = require('../models/AuditEvent');
+const logger = require('../utils/logger');
+
+/**
+ * Work out who made a request
+ * @param {Object} req - Express request object (after authentication)
+ * @returns {Object} Actor { type, userId?, apiKeyId?, label }
+ */
+const getActor = (req) => {
+  if (req.user?.id) {
+    return { type: 'user', userId: req.user.id, label: req.user.phoneNumber };
+  }
+  if (req.apiKey) {
+    return {
+      type: 'api_key',
+      apiKeyId: req.apiKey.id,
+      // Environment keys have no name, only their type
+      label: req.apiKey.name || `${req.apiKey.type} API key`
+    };
+  }
+  return { type: 'system', label: 'system' };
+};
+
+/**
+ * Short actor description for "...By" fields on documents
+ * @param {Object} req - Express request object
+ * @returns {string} e.g. "user:+919876543210" or "api_key:Truck 12 tracker"
+ */
+const describeActor = (req) => {
+  const actor = getActor(req);
+  return `${actor.type}:${actor.label}`;
+};
+
+/**
+ * Convert a value to what is stored in the audit log (dates, ObjectIds and
+ * subdocuments become plain JSON values)
+ * @param {*} value - Value to normalize
+ * @returns {*} JSON-safe value
+ */
+const normalize = (value) => {
+  if (value === undefined) return null;
+  return JSON.parse(JSON.stringify(value));
+};
+
+/**
+ * Field-level diff between two snapshots of a target
+ * @param {Object} before - Values before the change (null for creation)
+ * @param {Object} after - Values after the change (null for deletion)
+ * @returns {Array} [{ field, before, after }] for fields that differ
+ */
+const diffChanges = (before, after) => {
+  const previous = normalize(before) || {};
+  const next = normalize(after) || {};
+  const fields = new Set([...Object.keys(previous), ...Object.keys(next)]);
+
+  return [...fields]
+    .filter(field => JSON.stringify(previous[field] ?? null) !== JSON.stringify(next[field] ?? null))
+    .map(field => ({
+      field,
+      before: previous[field] ?? null,
+      after: next[field] ?? null
+    }));
+};
+
+/**
+ * Record a state-changing action. Failures are logged and never fail the request.
+ * @param {Object} req - Express request object (actor, IP and request ID)
+ * @param {Object} event - { action, targetType, targetId, before?, after?, organizationId?, actor? }
+ *   actor overrides the request's caller (e.g. the user who just logged in)
+ * @returns {Object|null} Created AuditEvent or null if it could not be stored
+ */
+const recordAudit = async (req, { action, targetType, targetId, before = null, after = null, organizationId, actor }) => {
+  try {
+    return await AuditEvent.create({
+      action,
+      actor: actor || getActor(req),
+      target: { type: targetType, id: String(targetId) },
+      changes: diffChanges(before, after),
+      organizationId: organizationId !== undefined ? organizationId : (req.organizationId || null),
+      ip: req.ip,
+      userAgent: req.get ? req.get('User-Agent') : undefined,
+      requestId: req.id
+    });
+  } catch (error) {
+    logger.error('Failed to record audit event', {
+      error: error.message,
+      action,
+      targetType,
+      targetId
+    });
+    return null;
+  }
+};
+
+module.exports = {
+  recordAudit,
+  diffChanges,
+  getActor,
+  describeActor
+};
@@ -0,0 +1,153 @@
+const DeviceCommand = require('../models/DeviceCommand');
+const Device = require('../models/Device');
+const config = require('../config/environment');
+const logger = require('../utils/logger');
+const { commandAckSchema } = require('../validators/commandValidator');
+
+// Commands sent per delivery; the rest follow with the next response
+const MAX_COMMANDS_PER_DELIVERY = 10;
+
+/**
+ * Format a command as sent to the device
+ * @param {Object} command - DeviceCommand document or lean object
+ * @returns {Object} { id, type, params, expiresAt }
+ */
+const formatCommandForDevice = (command) => ({
+  id: command._id.toString(),
+  type: command.type,
+  params: command.params || {},
+  expiresAt: command.expiresAt
+});
+
+/**
+ * Queue a command for a device
+ * @param {Object} device - Device document (its organization is copied to the command)
+ * @param {Object} command - { type, params?, ttlSeconds?, createdBy? }
+ * @returns {Object} Created DeviceCommand
+ */
+const queueCommand = (device, { type, params = {}, ttlSeconds = config.COMMAND_TTL_SECONDS, createdBy }) => {
+  return DeviceCommand.create({
+    deviceId: device.deviceId,
+    organizationId: device.organizationId || null,
+    type,
+    params,
+    expiresAt: new Date(Date.now() + ttlSeconds * 1000),
+    createdBy
+  });
+};
+
+/**
+ * Pick up the device's open commands and mark them delivered.
+ * Delivered commands are sent again on every delivery until the device acknowledges
+ * them or they expire, so a lost response never loses a command; devices drop
+ * duplicates by command ID.
+ * @param {string} deviceId - Device ID
+ * @param {string} via - 'http' or 'mqtt'
+ * @returns {Array} Commands formatted for the device (empty on failure)
+ */
+const takeCommandsForDelivery = async (deviceId, via) => {
+  try {
+    await DeviceCommand.expireOverdue(deviceId);
+
+    const commands = await DeviceCommand.findOpen(deviceId, MAX_COMMANDS_PER_DELIVERY).lean();
+    if (commands.length === 0) return [];
+
+    const ids = commands.map(command => command._id);
+    const now = new Date();
+
+    await DeviceCommand.updateMany(
+      { _id: { $in: ids }, status: 'pending' },
+      { deliveredAt: now }
+    );
+    await DeviceCommand.updateMany(
+      { _id: { $in: ids }, status: { $in: DeviceCommand.OPEN_STATUSES } },
+      { status: 'delivered', deliveredVia: via, $inc: { deliveryCount: 1 } }
+    );
+
+    logger.info('Device commands delivered', { deviceId, via, count: commands.length });
+
+    return commands.map(formatCommandForDevice);
+  } catch (error) {
+    logger.error('Error delivering device commands:', {
+      error: error.message,
+      deviceId,
+      via
+    });
+    return [];
+  }
+};
+
+/**
+ * Apply command acknowledgements sent by a device in its payload
+ * (commandAcks: [{ id, status: 'acked' | 'failed', result?, error? }])
+ * @param {string} deviceId - Device ID
+ * @param {Array} acks - Acknowledgements from the payload
+ * @returns {number} Number of commands acknowledged
+ */
+const applyCommandAcks = async (deviceId, acks) => {
+  if (!Array.isArray(acks) || acks.length === 0) return 0;
+
+  let applied = 0;
+
+  for (const rawAck of acks) {
+    const { error: validationError, value: ack } = commandAckSchema.validate(rawAck, { stripUnknown: true });
+    if (validationError) {
+      logger.warn('Invalid command acknowledgement ignored', {
+        deviceId,
+        error: validationError.message
+      });
+      continue;
+    }
+
+    try {
+      // Only open commands of this device can be acknowledged
+      const command = await DeviceCommand.findOneAndUpdate(
+        { _id: ack.id, deviceId, status: { $in: DeviceCommand.OPEN_STATUSES } },
+        {
+          status: ack.status,
+          completedAt: new Date(),
+          result: ack.result,
+          error: ack.error
+        },
+        { new: true }
+      );
+
+      if (!command) {
+        logger.warn('Acknowledgement for unknown or closed command ignored', { deviceId, commandId: ack.id });
+        continue;
+      }
+
+      applied += 1;
+
+      // Keep the server's copy of the alert switches in line with the device
+      if (command.status === 'acked' && command.type === 'set_alert_settings') {
+        const update = Object.fromEntries(
+          Object.entries(command.params).map(([setting, enabled]) => [`alertSettings.${setting}`, enabled])
+        );
+        await Device.updateOne({ deviceId }, { $set: update });
+      }
+
+      logger.info('Device command acknowledged', {
+        deviceId,
+        commandId: command._id,
+        type: command.type,
+        status: command.status
+      });
+    } catch (error) {
+      logger.error('Error applying command acknowledgement:', {
+        error: error.message,
+        deviceId,
+        commandId: ack.id
+      });
+    }
+  }
+
+  return applied;
+};
+
+module.exports = {
+  formatCommandForDevice,
+  queueCommand,
+  takeCommandsForDelivery,
+  applyCommandAcks
+};
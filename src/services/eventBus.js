@@ -0,0 +1,26 @@
+const { EventEmitter } = require('events');
+
+/**
+ * In-process event bus for data written by the API.
+ * Models publish here after saving; the live stream (and other consumers) subscribe.
+ *
+ * Events:
+ *   location - { deviceId, data }            new LocationData point
+ *   alert    - { event, deviceId, data }     event is alert.created | alert.acknowledged | alert.resolved | alert.updated
+ *   command  - { event, deviceId, data }     event is command.created (new downlink command queued)
+ */
+const eventBus = new EventEmitter();
+
+// Every open stream adds listeners; don't warn about "leaks"
+eventBus.setMaxListeners(0);
+
+const EVENTS = {
+  LOCATION: 'location',
+  ALERT: 'alert',
+  COMMAND: 'command'
+};
+
+module.exports = {
+  eventBus,
+  EVENTS
+};
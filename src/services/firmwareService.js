@@ -0,0 +1,145 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const { Transform } = require('stream');
+const FirmwareRollout = require('../models/FirmwareRollout');
+const config = require('../config/environment');
+const { AppError } = require('../middleware/errorHandler');
+
+/**
+ * Absolute path of a stored firmware binary
+ * @param {string} fileName - File name inside FIRMWARE_STORAGE_DIR
+ * @returns {string} Absolute path
+ */
+const getFirmwarePath = (fileName) => path.resolve(config.FIRMWARE_STORAGE_DIR, fileName);
+
+/**
+ * Stream an uploaded binary to disk, hashing it on the way.
+ * Written to a temporary file and renamed once complete, so a failed upload
+ * never replaces a stored binary.
+ * @param {Object} source - Readable stream (the request)
+ * @param {string} fileName - Target file name inside FIRMWARE_STORAGE_DIR
+ * @param {string} expectedSha256 - Optional hex SHA-256 the upload must match
+ * @returns {Object} { name, size, sha256 }
+ */
+const storeFirmwareBinary = async (source, fileName, expectedSha256 = null) => {
+  const maxBytes = config.FIRMWARE_MAX_SIZE_MB * 1024 * 1024;
+  const target = getFirmwarePath(fileName);
+  const tempFile = `${target}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  const hash = crypto.createHash('sha256');
+  let size = 0;
+  let sha256 = null;
+
+  await fs.promises.mkdir(path.dirname(target), { recursive: true });
+
+  const meter = new Transform({
+    transform(chunk, encoding, callback) {
+      size += chunk.length;
+      if (size > maxBytes) {
+        return callback(new AppError(`Firmware binary cannot exceed ${config.FIRMWARE_MAX_SIZE_MB} MB`, 413));
+      }
+      hash.update(chunk);
+      callback(null, chunk);
+    }
+  });
+
+  try {
+    await pipeline(source, meter, fs.createWriteStream(tempFile));
+
+    if (size === 0) {
+      throw new AppError('Firmware binary is empty', 400);
+    }
+
+    sha256 = hash.digest('hex');
+    if (expectedSha256 && expectedSha256.toLowerCase() !== sha256) {
+      throw new AppError('SHA-256 of the uploaded binary does not match X-Firmware-SHA256', 400);
+    }
+
+    await fs.promises.rename(tempFile, target);
+  } catch (error) {
+    await fs.promises.rm(tempFile, { force: true });
+    throw error;
+  }
+
+  return { name: fileName, size, sha256 };
+};
+
+/**
+ * Compare two dotted version strings numerically ("1.10.0" > "1.9.2"; a leading "v" is ignored).
+ * A pre-release ("1.4.0-beta.1") sorts before its release.
+ * @param {string} a - Version
+ * @param {string} b - Version
+ * @returns {number} Negative if a < b, 0 if equal, positive if a > b
+ */
+const compareVersions = (a, b) => {
+  const parse = (version) => {
+    // Build metadata ("+build.5") does not affect ordering
+    const [core, preRelease] = String(version || '').replace(/^v/i, '').replace(/\+.*$/, '').split(/-(.*)/s);
+    return {
+      parts: core.split('.').map(part => parseInt(part, 10) || 0),
+      preRelease: preRelease || ''
+    };
+  };
+
+  const left = parse(a);
+  const right = parse(b);
+
+  for (let i = 0; i < Math.max(left.parts.length, right.parts.length); i++) {
+    const diff = (left.parts[i] || 0) - (right.parts[i] || 0);
+    if (diff !== 0) return diff;
+  }
+
+  if (left.preRelease === right.preRelease) return 0;
+  if (!left.preRelease) return 1;
+  if (!right.preRelease) return -1;
+  return left.preRelease.localeCompare(right.preRelease, undefined, { numeric: true });
+};
+
+/**
+ * Stable 0-99 bucket of a device within a rollout
+ * @param {string} rolloutId - Rollout ID
+ * @param {string} deviceId - Device ID
+ * @returns {number} Bucket
+ */
+const rolloutBucket = (rolloutId, deviceId) => {
+  const digest = crypto.createHash('sha256').update(`${rolloutId}:${deviceId}`).digest();
+  return digest.readUInt32BE(0) % 100;
+};
+
+/**
+ * Check whether a rollout targets a device (model, group and percentage)
+ * @param {Object} rollout - FirmwareRollout document
+ * @param {Object} device - Device document or lean object
+ * @returns {boolean} True if targeted
+ */
+const isDeviceTargeted = (rollout, device) => {
+  if (rollout.hardwareModel !== device.hardware?.model) return false;
+  if (rollout.groups.length > 0 && !rollout.groups.includes(device.group)) return false;
+  return rolloutBucket(rollout._id.toString(), device.deviceId) < rollout.percentage;
+};
+
+/**
+ * Find the newest firmware offered to a device by an active rollout
+ * @param {Object} device - Device document or lean object (hardware.model is required)
+ * @param {string} currentVersion - Version the device runs
+ * @returns {Object|null} FirmwareRollout or null if the device is up to date
+ */
+const findRolloutForDevice = async (device, currentVersion) => {
+  if (!device.hardware?.model) return null;
+
+  const rollouts = await FirmwareRollout.findActiveForModel(device.hardware.model);
+
+  return rollouts
+    .filter(rollout => compareVersions(rollout.version, currentVersion) > 0)
+    .filter(rollout => isDeviceTargeted(rollout, device))
+    .sort((a, b) => compareVersions(b.version, a.version))[0] || null;
+};
+
+module.exports = {
+  getFirmwarePath,
+  storeFirmwareBinary,
+  compareVersions,
+  isDeviceTargeted,
+  findRolloutForDevice
+};
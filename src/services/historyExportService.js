@@ -0,0 +1,142 @@
+const { toCsvRow } = require('../utils/helpers');
+
+// Stored speeds are km/h; GPX extensions use m/s
+const KMH_TO_MS = 1 / 3.6;
+
+const OBD2_FIELDS = [
+  'engineRpm', 'vehicleSpeed', 'engineLoad', 'coolantTemperature', 'fuelLevel', 'throttlePosition',
+  'intakeAirTemperature', 'mafAirFlowRate', 'fuelPressure', 'engineRuntime', 'distanceTraveled', 'barometricPressure'
+];
+
+const CSV_FIELDS = [
+  'altitude', 'speed', 'course', 'accuracy', 'satellites', 'batteryVoltage', 'batteryPercentage',
+  'signalStrength', 'temperature', 'humidity', ...OBD2_FIELDS
+];
+
+// Point properties carried into GeoJSON and KML
+const POINT_FIELDS = ['altitude', 'speed', 'course', 'accuracy', 'satellites', 'batteryVoltage', 'batteryPercentage'];
+
+// Fields read from LocationData for an export
+const EXPORT_SELECT = ['timestamp', 'location', ...CSV_FIELDS].join(' ');
+
+/**
+ * Escape text for XML content and attributes
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const hasValue = (value) => value !== null && value !== undefined;
+
+/**
+ * Writers per export format. Each returns text chunks:
+ * header(device) once, point(point, index) per LocationData point (oldest first), footer() once.
+ */
+const EXPORT_FORMATS = {
+  gpx: {
+    contentType: 'application/gpx+xml; charset=utf-8',
+    extension: 'gpx',
+    header: (device) => [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<gpx version="1.1" creator="iot-tracking-server" xmlns="http://www.topografix.com/GPX/1/1"',
+      '  xmlns:gpxtpx="http://www.garmin.com/xmlschemas/TrackPointExtension/v2">',
+      `  <metadata><name>${escapeXml(device.name || device.deviceId)}</name><time>${new Date().toISOString()}</time></metadata>`,
+      `  <trk><name>${escapeXml(device.name || device.deviceId)}</name><type>${escapeXml(device.deviceId)}</type><trkseg>`,
+      ''
+    ].join('\n'),
+    point: (point) => {
+      const [longitude, latitude] = point.location.coordinates;
+      const extensions = [
+        hasValue(point.speed) ? `<gpxtpx:speed>${(point.speed * KMH_TO_MS).toFixed(2)}</gpxtpx:speed>` : '',
+        hasValue(point.course) ? `<gpxtpx:course>${point.course}</gpxtpx:course>` : ''
+      ].join('');
+
+      return `    <trkpt lat="${latitude}" lon="${longitude}">` +
+        (hasValue(point.altitude) ? `<ele>${point.altitude}</ele>` : '') +
+        `<time>${new Date(point.timestamp).toISOString()}</time>` +
+        (hasValue(point.satellites) ? `<sat>${point.satellites}</sat>` : '') +
+        (extensions ? `<extensions><gpxtpx:TrackPointExtension>${extensions}</gpxtpx:TrackPointExtension></extensions>` : '') +
+        '</trkpt>\n';
+    },
+    footer: () => '  </trkseg></trk>\n</gpx>\n'
+  },
+
+  // One timestamped placemark per point, so Google Earth's time slider replays the track
+  kml: {
+    contentType: 'application/vnd.google-earth.kml+xml; charset=utf-8',
+    extension: 'kml',
+    header: (device) => [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<kml xmlns="http://www.opengis.net/kml/2.2">',
+      '<Document>',
+      `  <name>${escapeXml(device.name || device.deviceId)}</name>`,
+      `  <description>Location history of device ${escapeXml(device.deviceId)}</description>`,
+      '  <Folder><name>Track points</name>',
+      ''
+    ].join('\n'),
+    point: (point) => {
+      const [longitude, latitude] = point.location.coordinates;
+      const timestamp = new Date(point.timestamp).toISOString();
+      const data = POINT_FIELDS
+        .filter(field => hasValue(point[field]))
+        .map(field => `<Data name="${field}"><value>${point[field]}</value></Data>`)
+        .join('');
+
+      return `    <Placemark><name>${timestamp}</name><TimeStamp><when>${timestamp}</when></TimeStamp>` +
+        (data ? `<ExtendedData>${data}</ExtendedData>` : '') +
+        `<Point>${hasValue(point.altitude) ? '<altitudeMode>absolute</altitudeMode>' : ''}` +
+        `<coordinates>${longitude},${latitude}${hasValue(point.altitude) ? `,${point.altitude}` : ''}</coordinates></Point>` +
+        '</Placemark>\n';
+    },
+    footer: () => '  </Folder>\n</Document>\n</kml>\n'
+  },
+
+  geojson: {
+    contentType: 'application/geo+json; charset=utf-8',
+    extension: 'geojson',
+    header: (device) => `{"type":"FeatureCollection","properties":${JSON.stringify({
+      deviceId: device.deviceId,
+      name: device.name
+    })},"features":[\n`,
+    point: (point, index) => {
+      const properties = { timestamp: new Date(point.timestamp).toISOString() };
+      [...POINT_FIELDS, ...OBD2_FIELDS].forEach(field => {
+        if (hasValue(point[field])) properties[field] = point[field];
+      });
+
+      const coordinates = hasValue(point.altitude) ?
+        [...point.location.coordinates.slice(0, 2), point.altitude] :
+        point.location.coordinates.slice(0, 2);
+
+      return (index > 0 ? ',\n' : '') + JSON.stringify({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates },
+        properties
+      });
+    },
+    footer: () => '\n]}\n'
+  },
+
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+    header: () => toCsvRow(['timestamp', 'latitude', 'longitude', ...CSV_FIELDS]),
+    point: (point) => toCsvRow([
+      new Date(point.timestamp),
+      point.location.coordinates[1],
+      point.location.coordinates[0],
+      ...CSV_FIELDS.map(field => point[field])
+    ]),
+    footer: () => ''
+  }
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_SELECT
+};
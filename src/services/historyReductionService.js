@@ -0,0 +1,199 @@
+const LocationData = require('../models/LocationData');
+const { AppError } = require('../middleware/errorHandler');
+
+const EARTH_RADIUS_M = 6371000;
+
+// Upper bounds so a reduced response stays a single, bounded request
+const MAX_SIMPLIFY_POINTS = 100000;
+const MAX_BUCKETS = 5000;
+
+// Fields kept on simplified points (what a map needs to draw and annotate the track)
+const SIMPLIFY_SELECT = 'deviceId timestamp location altitude speed course accuracy satellites batteryVoltage batteryPercentage';
+
+// Numeric sensors summarised per time bucket
+const BUCKET_FIELDS = [
+  'speed', 'altitude', 'batteryVoltage', 'batteryPercentage', 'signalStrength', 'temperature', 'humidity',
+  'engineRpm', 'vehicleSpeed', 'engineLoad', 'coolantTemperature', 'fuelLevel', 'throttlePosition',
+  'intakeAirTemperature', 'mafAirFlowRate', 'fuelPressure', 'barometricPressure'
+];
+
+const BUCKET_UNITS = { s: 'second', m: 'minute', h: 'hour', d: 'day' };
+
+/**
+ * Distance in meters from a point to a segment, on a local flat projection
+ * @param {Object} p - { x, y } in meters
+ * @param {Object} a - Segment start { x, y }
+ * @param {Object} b - Segment end { x, y }
+ * @returns {number} Distance in meters
+ */
+const distanceToSegment = (p, a, b) => {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared === 0 ? 0 :
+    Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSquared));
+
+  return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+};
+
+/**
+ * Douglas-Peucker simplification of a track. The first and last points are always kept.
+ * @param {Array} points - LocationData points in track order (location.coordinates = [lng, lat])
+ * @param {number} toleranceMeters - Maximum deviation of a dropped point from the simplified line
+ * @returns {Array} Kept points, in the original order
+ */
+const simplifyTrack = (points, toleranceMeters) => {
+  if (points.length <= 2) return points;
+
+  // Equirectangular projection around the track's first latitude; accurate enough at track scale
+  const cosLat = Math.cos(points[0].location.coordinates[1] * Math.PI / 180);
+  const projected = points.map(point => ({
+    x: point.location.coordinates[0] * Math.PI / 180 * EARTH_RADIUS_M * cosLat,
+    y: point.location.coordinates[1] * Math.PI / 180 * EARTH_RADIUS_M
+  }));
+
+  const keep = new Uint8Array(points.length);
+  keep[0] = 1;
+  keep[points.length - 1] = 1;
+
+  // Iterative rather than recursive: a day of 1 Hz points would exhaust the call stack
+  const stack = [[0, points.length - 1]];
+  while (stack.length > 0) {
+    const [first, last] = stack.pop();
+    let maxDistance = 0;
+    let index = -1;
+
+    for (let i = first + 1; i < last; i++) {
+      const distance = distanceToSegment(projected[i], projected[first], projected[last]);
+      if (distance > maxDistance) {
+        maxDistance = distance;
+        index = i;
+      }
+    }
+
+    if (index !== -1 && maxDistance > toleranceMeters) {
+      keep[index] = 1;
+      stack.push([first, index], [index, last]);
+    }
+  }
+
+  return points.filter((point, i) => keep[i]);
+};
+
+/**
+ * Parse a bucket interval such as "30s", "1m", "15m", "1h" or "1d"
+ * @param {string} interval - Interval string
+ * @returns {Object} { unit, binSize } for $dateTrunc
+ */
+const parseBucketInterval = (interval) => {
+  const match = /^(\d+)([smhd])$/.exec(interval);
+  if (!match) {
+    throw new AppError('Bucket must be a number followed by s, m, h or d (e.g. 1m)', 400);
+  }
+  return { unit: BUCKET_UNITS[match[2]], binSize: parseInt(match[1]) };
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Douglas-Peucker simplified history for a query (newest first, like paginated history)
+ * @param {Object} query - LocationData query
+ * @param {number} toleranceMeters - Simplification tolerance in meters
+ * @returns {Object} { history, reduction }
+ */
+const simplifyHistory = async (query, toleranceMeters) => {
+  const points = await LocationData.find(query)
+    .sort({ timestamp: -1 })
+    .limit(MAX_SIMPLIFY_POINTS + 1)
+    .select(SIMPLIFY_SELECT)
+    .lean();
+
+  if (points.length > MAX_SIMPLIFY_POINTS) {
+    throw new AppError(`More than ${MAX_SIMPLIFY_POINTS} points in range; narrow the date range or use bucket`, 400);
+  }
+
+  const history = simplifyTrack(points, toleranceMeters);
+
+  return {
+    history,
+    reduction: {
+      method: 'simplify',
+      toleranceMeters,
+      rawPoints: points.length,
+      points: history.length,
+      reducedBy: points.length - history.length
+    }
+  };
+};
+
+/**
+ * Time-bucketed history for a query: one point per bucket (newest first) with the last
+ * position in the bucket and avg/min/max of numeric sensors
+ * @param {Object} query - LocationData query
+ * @param {string} interval - Bucket interval, e.g. "1m"
+ * @returns {Object} { history, reduction }
+ */
+const bucketHistory = async (query, interval) => {
+  const { unit, binSize } = parseBucketInterval(interval);
+
+  const group = {
+    _id: { $dateTrunc: { date: '$timestamp', unit, binSize } },
+    count: { $sum: 1 },
+    location: { $last: '$location' }
+  };
+  BUCKET_FIELDS.forEach(field => {
+    group[`${field}Avg`] = { $avg: `$${field}` };
+    group[`${field}Min`] = { $min: `$${field}` };
+    group[`${field}Max`] = { $max: `$${field}` };
+  });
+
+  const buckets = await LocationData.aggregate([
+    { $match: query },
+    { $sort: { timestamp: 1 } },
+    { $group: group },
+    { $sort: { _id: -1 } },
+    { $limit: MAX_BUCKETS + 1 }
+  ]).allowDiskUse(true);
+
+  if (buckets.length > MAX_BUCKETS) {
+    throw new AppError(`More than ${MAX_BUCKETS} buckets in range; use a larger bucket or narrow the date range`, 400);
+  }
+
+  let rawPoints = 0;
+  const history = buckets.map(bucket => {
+    rawPoints += bucket.count;
+
+    const point = {
+      timestamp: bucket._id,
+      location: bucket.location,
+      count: bucket.count
+    };
+    BUCKET_FIELDS.forEach(field => {
+      if (bucket[`${field}Avg`] !== null && bucket[`${field}Avg`] !== undefined) {
+        point[field] = {
+          avg: round(bucket[`${field}Avg`]),
+          min: bucket[`${field}Min`],
+          max: bucket[`${field}Max`]
+        };
+      }
+    });
+    return point;
+  });
+
+  return {
+    history,
+    reduction: {
+      method: 'bucket',
+      bucket: interval,
+      rawPoints,
+      points: history.length,
+      reducedBy: rawPoints - history.length
+    }
+  };
+};
+
+module.exports = {
+  simplifyTrack,
+  simplifyHistory,
+  bucketHistory
+};
@@ -0,0 +1,241 @@
+const LocationData = require('../models/LocationData');
+const Device = require('../models/Device');
+const Alert = require('../models/Alert');
+const Geofence = require('../models/Geofence');
+const logger = require('../utils/logger');
+const { resolveOfflineAlerts } = require('./offlineMonitor');
+const { evaluateRules } = require('./ruleEngine');
+const { applyCommandAcks } = require('./commandService');
+
+/**
+ * Build a LocationData document from a device reading
+ * @param {string} deviceId - Device ID
+ * @param {Object} reading - Reading fields as sent by the device
+ * @returns {Object} Unsaved LocationData document
+ */
+const buildLocationData = (deviceId, reading) => {
+  const { 
+    latitude, 
+    longitude, 
+    batteryVoltage, 
+    altitude,
+    speed,
+    course,
+    accuracy,
+    satellites,
+    batteryPercentage,
+    // OBD2 Data Fields
+    engineRpm,
+    vehicleSpeed,
+    engineLoad,
+    coolantTemperature,
+    fuelLevel,
+    throttlePosition,
+    intakeAirTemperature,
+    mafAirFlowRate,
+    fuelPressure,
+    engineRuntime,
+    distanceTraveled,
+    barometricPressure,
+    // Additional data for custom JSON
+    additionalData,
+    signalStrength,
+    temperature,
+    humidity,
+    timestamp
+  } = reading;
+  
+  return new LocationData({
+    deviceId,
+    location: {
+      type: 'Point',
+      coordinates: [longitude, latitude] // GeoJSON format: [lng, lat]
+    },
+    altitude,
+    speed,
+    course,
+    accuracy,
+    satellites,
+    batteryVoltage,
+    batteryPercentage,
+    // OBD2 Data Fields
+    engineRpm,
+    vehicleSpeed,
+    engineLoad,
+    coolantTemperature,
+    fuelLevel,
+    throttlePosition,
+    intakeAirTemperature,
+    mafAirFlowRate,
+    fuelPressure,
+    engineRuntime,
+    distanceTraveled,
+    barometricPressure,
+    // Additional custom data
+    additionalData,
+    signalStrength,
+    temperature,
+    humidity,
+    timestamp: timestamp ? new Date(timestamp) : new Date()
+  });
+};
+
+/**
+ * Persist a single device reading, apply its command acknowledgements and run alert checks.
+ * Shared by the HTTP update-data route and the MQTT gateway.
+ * @param {string} deviceId - Device ID
+ * @param {Object} reading - Reading fields as sent by the device (commandAcks optional)
+ * @param {string|null} organizationId - Organization of the API key (new devices are created in it)
+ * @returns {Object} { device, locationData, alertsCreated, commandsAcknowledged }
+ */
+const ingestReading = async (deviceId, reading, organizationId = null) => {
+  // Update device last seen and ensure device exists
+  const device = await Device.findOneAndUpdate(
+    { deviceId },
+    { 
+      lastSeen: new Date(),
+      $setOnInsert: {
+        name: deviceId, // Default name to deviceId if creating new
+        isActive: true,
+        organizationId
+      }
+    },
+    { 
+      upsert: true, 
+      new: true,
+      runValidators: true 
+    }
+  );
+  
+  // Create location data entry
+  const locationData = buildLocationData(deviceId, reading);
+  
+  await locationData.save();
+  await Device.updateLatestState(deviceId, locationData);
+  
+  // The device is reporting again, so any open outage is over
+  await resolveOfflineAlerts(deviceId);
+  
+  // Close commands the device reports as done before new ones are handed out
+  const commandsAcknowledged = await applyCommandAcks(deviceId, reading.commandAcks);
+  
+  // Check for alerts
+  const alertsCreated = await checkAndCreateAlerts(device, locationData);
+  
+  return { device, locationData, alertsCreated, commandsAcknowledged };
+};
+
+/**
+ * Check and create alerts based on device data
+ * @param {Object} device - Device document
+ * @param {Object} locationData - Location data document
+ * @returns {Array} Created alerts
+ */
+const checkAndCreateAlerts = async (device, locationData) => {
+  const alerts = [];
+  
+  try {
+    // Configurable threshold rules (battery, temperature, OBD2, custom fields)
+    const ruleAlerts = await evaluateRules(device, locationData);
+    alerts.push(...ruleAlerts);
+    
+    // Geofence enter/exit alerts
+    const geofenceAlerts = await checkGeofenceTransitions(device, locationData);
+    alerts.push(...geofenceAlerts);
+    
+    // TODO: Add tampering detection based on accelerometer data
+    
+  } catch (error) {
+    logger.error('Error checking alerts:', {
+      error: error.message,
+      deviceId: device.deviceId
+    });
+  }
+  
+  return alerts;
+};
+
+/**
+ * Create geofence alerts for enter/exit transitions between the previous
+ * and the current location point
+ * @param {Object} device - Device document
+ * @param {Object} locationData - Location data document
+ * @returns {Array} Created alerts
+ */
+const checkGeofenceTransitions = async (device, locationData) => {
+  const alerts = [];
+  
+  // Assigning a geofence turns geofence alerts on; devices can still switch them off
+  if (!device.alertSettings?.geofenceEnabled) {
+    return alerts;
+  }
+  
+  const [longitude, latitude] = locationData.location?.coordinates || [];
+  
+  if (typeof latitude !== 'number' || typeof longitude !== 'number') {
+    return alerts;
+  }
+  
+  const geofences = await Geofence.findForDevice(device.deviceId, device.organizationId);
+  if (geofences.length === 0) {
+    return alerts;
+  }
+  
+  // Previous point determines the inside/outside state before this update
+  const previousPoint = await LocationData.findOne({
+    deviceId: device.deviceId,
+    timestamp: { $lt: locationData.timestamp }
+  })
+    .sort({ timestamp: -1 })
+    .select('location timestamp')
+    .lean();
+  
+  const [prevLongitude, prevLatitude] = previousPoint?.location?.coordinates || [];
+  if (typeof prevLatitude !== 'number' || typeof prevLongitude !== 'number') {
+    return alerts;
+  }
+  
+  for (const geofence of geofences) {
+    const wasInside = geofence.containsPoint(prevLatitude, prevLongitude);
+    const isInside = geofence.containsPoint(latitude, longitude);
+    
+    if (wasInside === isInside) continue;
+    
+    const transition = isInside ? 'enter' : 'exit';
+    if (!geofence.alertOn[transition]) continue;
+    
+    const alert = new Alert({
+      deviceId: device.deviceId,
+      alertType: 'geofence',
+      severity: geofence.severity,
+      title: `Geofence ${isInside ? 'Entered' : 'Exited'}`,
+      message: `Device ${device.name || device.deviceId} ${isInside ? 'entered' : 'exited'} geofence "${geofence.name}"`,
+      location: locationData.location,
+      timestamp: locationData.timestamp,
+      data: {
+        geofenceId: geofence._id,
+        geofenceName: geofence.name,
+        transition,
+        previousTimestamp: previousPoint.timestamp
+      },
+      autoResolve: Alert.autoResolveDefaults('geofence')
+    });
+    
+    await alert.save();
+    alerts.push(alert);
+    
+    logger.warn('Geofence alert created', {
+      deviceId: device.deviceId,
+      geofenceId: geofence._id,
+      transition
+    });
+  }
+  
+  return alerts;
+};
+
+module.exports = {
+  buildLocationData,
+  ingestReading,
+  checkAndCreateAlerts
+};
@@ -0,0 +1,294 @@
+const net = require('net');
+const Aedes = require('aedes');
+const config = require('../config/environment');
+const logger = require('../utils/logger');
+const { resolveApiKey, isDeviceInOrganization } = require('../middleware/auth');
+const { verifyJwtPayload } = require('../middleware/jwtPayload');
+const { ingestReading } = require('./ingestionService');
+const { takeCommandsForDelivery } = require('./commandService');
+const { eventBus, EVENTS } = require('./eventBus');
+
+/**
+ * Topic layout (per device):
+ *   devices/{deviceId}/data     - device -> server, JWT-encoded reading (same fields as update-data)
+ *   devices/{deviceId}/ack      - server -> device, JSON result of the last data message (with open commands)
+ *   devices/{deviceId}/commands - server -> device, { commands } pushed as soon as a command is queued
+ *
+ * Clients connect with username = deviceId and password = API key, and may only
+ * publish/subscribe under their own devices/{deviceId}/ prefix.
+ */
+const TOPIC_PREFIX = 'devices';
+const DEVICE_ID_PATTERN = /^[a-zA-Z0-9]{3,50}$/;
+
+let broker = null;
+let server = null;
+
+/**
+ * Parse a device topic
+ * @param {string} topic - MQTT topic
+ * @returns {Object|null} { deviceId, channel } or null if not a device topic
+ */
+const parseTopic = (topic) => {
+  const parts = topic.split('/');
+  if (parts.length !== 3 || parts[0] !== TOPIC_PREFIX) return null;
+  return { deviceId: parts[1], channel: parts[2] };
+};
+
+/**
+ * Publish a JSON message to a device topic
+ * @param {string} deviceId - Device ID
+ * @param {string} channel - Topic channel (e.g. 'ack')
+ * @param {Object} message - Message body
+ */
+const publishToDevice = (deviceId, channel, message) => {
+  if (!broker) return;
+
+  broker.publish({
+    topic: `${TOPIC_PREFIX}/${deviceId}/${channel}`,
+    payload: Buffer.from(JSON.stringify(message)),
+    qos: 1,
+    retain: false
+  }, (err) => {
+    if (err) {
+      logger.error('MQTT publish failed', { deviceId, channel, error: err.message });
+    }
+  });
+};
+
+/**
+ * Check whether a device currently has an MQTT connection
+ * @param {string} deviceId - Device ID
+ * @returns {boolean} True if connected
+ */
+const isDeviceConnected = (deviceId) => {
+  if (!broker) return false;
+  return Object.values(broker.clients).some(client => client.deviceId === deviceId);
+};
+
+/**
+ * Push newly queued commands to connected devices
+ * @param {Object} payload - Command event from the event bus
+ */
+const onCommandEvent = async ({ event, deviceId }) => {
+  if (event !== 'command.created' || !isDeviceConnected(deviceId)) return;
+
+  const commands = await takeCommandsForDelivery(deviceId, 'mqtt');
+  if (commands.length > 0) {
+    publishToDevice(deviceId, 'commands', { commands });
+  }
+};
+
+/**
+ * Authenticate MQTT clients (username = deviceId, password = API key)
+ */
+const authenticate = (client, username, password, callback) => {
+  const deviceId = username;
+  const apiKey = password ? password.toString() : null;
+
+  if (!deviceId || !DEVICE_ID_PATTERN.test(deviceId)) {
+    logger.warn('MQTT connection rejected: invalid device ID', { clientId: client.id });
+    const error = new Error('Invalid device ID');
+    error.returnCode = 2; // Identifier rejected
+    return callback(error, false);
+  }
+
+  resolveApiKey(apiKey)
+    .then(async (resolvedKey) => {
+      const allowed = resolvedKey &&
+        resolvedKey.scopes.includes('ingest') &&
+        (resolvedKey.deviceIds.length === 0 || resolvedKey.deviceIds.includes(deviceId)) &&
+        await isDeviceInOrganization(deviceId, resolvedKey.organizationId);
+
+      if (!allowed) {
+        logger.warn('MQTT connection rejected: invalid API key', { clientId: client.id, deviceId });
+        const error = new Error('Invalid API key');
+        error.returnCode = 4; // Bad username or password
+        return callback(error, false);
+      }
+
+      client.deviceId = deviceId;
+      client.organizationId = resolvedKey.organizationId;
+      callback(null, true);
+    })
+    .catch((error) => {
+      logger.error('MQTT authentication error', { clientId: client.id, deviceId, error: error.message });
+      error.returnCode = 3; // Server unavailable
+      callback(error, false);
+    });
+};
+
+/**
+ * Only allow clients to publish to their own device topics
+ */
+const authorizePublish = (client, packet, callback) => {
+  const parsed = parseTopic(packet.topic);
+
+  if (!parsed || parsed.deviceId !== client.deviceId || parsed.channel !== 'data') {
+    logger.warn('MQTT publish rejected', {
+      clientId: client.id,
+      deviceId: client.deviceId,
+      topic: packet.topic
+    });
+    return callback(new Error('Publish not authorized'));
+  }
+
+  callback(null);
+};
+
+/**
+ * Only allow clients to subscribe to their own device topics
+ */
+const authorizeSubscribe = (client, subscription, callback) => {
+  const allowedPrefix = `${TOPIC_PREFIX}/${client.deviceId}/`;
+
+  if (!subscription.topic.startsWith(allowedPrefix)) {
+    logger.warn('MQTT subscribe rejected', {
+      clientId: client.id,
+      deviceId: client.deviceId,
+      topic: subscription.topic
+    });
+    return callback(new Error('Subscribe not authorized'));
+  }
+
+  callback(null, subscription);
+};
+
+/**
+ * Handle a data message published by a device
+ * @param {Object} packet - MQTT packet
+ * @param {Object} client - Aedes client
+ */
+const handleDataMessage = async (packet, client) => {
+  const { deviceId, organizationId } = client;
+  let payload;
+
+  try {
+    // Accept either a raw JWT or { "token": "..." }, same as the HTTP route
+    let token = packet.payload.toString().trim();
+    if (token.startsWith('{')) {
+      token = JSON.parse(token).token;
+    }
+
+    if (!token) {
+      throw new Error('JWT token required in message payload');
+    }
+
+    payload = verifyJwtPayload(token);
+  } catch (error) {
+    logger.warn('MQTT payload rejected', { deviceId, error: error.message });
+    return publishToDevice(deviceId, 'ack', {
+      success: false,
+      message: `Invalid JWT payload: ${error.message}`
+    });
+  }
+
+  if (payload.deviceId && payload.deviceId !== deviceId) {
+    logger.warn('Device access violation over MQTT', {
+      topicDeviceId: deviceId,
+      payloadDeviceId: payload.deviceId
+    });
+    return publishToDevice(deviceId, 'ack', {
+      success: false,
+      message: 'Access denied: Device can only publish its own data'
+    });
+  }
+
+  try {
+    const { locationData, alertsCreated, commandsAcknowledged } = await ingestReading(deviceId, payload, organizationId);
+    const commands = await takeCommandsForDelivery(deviceId, 'mqtt');
+
+    logger.info('Location data updated via MQTT', {
+      deviceId,
+      coordinates: [payload.latitude, payload.longitude],
+      alertsCreated: alertsCreated.length,
+      commandsAcknowledged,
+      commandsDelivered: commands.length,
+      timestamp: locationData.timestamp
+    });
+
+    publishToDevice(deviceId, 'ack', {
+      success: true,
+      message: 'Location data updated successfully',
+      timestamp: locationData.timestamp,
+      batteryStatus: locationData.batteryStatus,
+      alertsCreated: alertsCreated.length,
+      commandsAcknowledged,
+      commands
+    });
+  } catch (error) {
+    logger.error('Error updating device data via MQTT:', {
+      error: error.message,
+      stack: error.stack,
+      deviceId
+    });
+    publishToDevice(deviceId, 'ack', {
+      success: false,
+      message: error.name === 'ValidationError' ? 'Invalid location data' : 'Failed to process data'
+    });
+  }
+};
+
+/**
+ * Start the embedded MQTT broker
+ * @returns {Object} { broker, server }
+ */
+const startMqttGateway = () => {
+  if (broker) return { broker, server };
+
+  broker = Aedes({
+    authenticate,
+    authorizePublish,
+    authorizeSubscribe
+  });
+
+  broker.on('publish', (packet, client) => {
+    // Server-originated messages have no client
+    if (!client) return;
+
+    const parsed = parseTopic(packet.topic);
+    if (parsed?.channel === 'data') {
+      handleDataMessage(packet, client);
+    }
+  });
+
+  broker.on('clientError', (client, err) => {
+    logger.warn('MQTT client error', { clientId: client?.id, deviceId: client?.deviceId, error: err.message });
+  });
+
+  eventBus.on(EVENTS.COMMAND, onCommandEvent);
+
+  server = net.createServer(broker.handle);
+  server.listen(config.MQTT_PORT, () => {
+    logger.info('📡 MQTT gateway started', { port: config.MQTT_PORT });
+  });
+
+  return { broker, server };
+};
+
+/**
+ * Stop the embedded MQTT broker
+ * @returns {Promise<void>}
+ */
+const stopMqttGateway = () => {
+  return new Promise((resolve) => {
+    if (!broker) return resolve();
+
+    eventBus.off(EVENTS.COMMAND, onCommandEvent);
+
+    broker.close(() => {
+      server.close(() => {
+        logger.info('MQTT gateway closed');
+        broker = null;
+        server = null;
+        resolve();
+      });
+    });
+  });
+};
+
+module.exports = {
+  startMqttGateway,
+  stopMqttGateway,
+  publishToDevice,
+  isDeviceConnected
+};
@@ -0,0 +1,145 @@
+const Device = require('../models/Device');
+const Alert = require('../models/Alert');
+const LocationData = require('../models/LocationData');
+const config = require('../config/environment');
+const logger = require('../utils/logger');
+
+let timer = null;
+let running = false;
+
+/**
+ * Create an offline alert for a device unless this outage already has one.
+ * An outage is identified by the device's lastSeen, so a manually resolved
+ * alert is not raised again until the device reports and goes quiet again.
+ * @param {Object} device - Device document
+ * @returns {Object|null} Created alert
+ */
+const raiseOfflineAlert = async (device) => {
+  const existing = await Alert.findOne({
+    deviceId: device.deviceId,
+    alertType: 'offline',
+    deletedAt: null,
+    $or: [
+      { isResolved: false },
+      { 'data.lastSeen': device.lastSeen }
+    ]
+  }).lean();
+
+  if (existing) return null;
+
+  const lastLocation = await LocationData.findOne({ deviceId: device.deviceId })
+    .sort({ timestamp: -1 })
+    .select('location')
+    .lean();
+
+  const thresholdMinutes = device.offlineThresholdMinutes;
+  const alert = new Alert({
+    deviceId: device.deviceId,
+    alertType: 'offline',
+    severity: 'high',
+    title: 'Device Offline',
+    message: `No data received for more than ${thresholdMinutes} minutes (last seen ${device.lastSeen.toISOString()})`,
+    location: lastLocation?.location,
+    data: {
+      lastSeen: device.lastSeen,
+      thresholdMinutes
+    }
+  });
+
+  await alert.save();
+
+  logger.warn('Offline alert created', {
+    deviceId: device.deviceId,
+    lastSeen: device.lastSeen,
+    thresholdMinutes
+  });
+
+  return alert;
+};
+
+/**
+ * Resolve open offline alerts once a device reports again
+ * @param {string} deviceId - Device ID
+ * @returns {number} Number of alerts resolved
+ */
+const resolveOfflineAlerts = async (deviceId) => {
+  const openAlerts = await Alert.find({
+    deviceId,
+    alertType: 'offline',
+    isResolved: false,
+    deletedAt: null
+  });
+
+  for (const alert of openAlerts) {
+    await alert.resolve(Alert.AUTO_RESOLVED_BY, `Device back online at ${new Date().toISOString()}`);
+  }
+
+  if (openAlerts.length > 0) {
+    logger.info('Offline alerts resolved', { deviceId, count: openAlerts.length });
+  }
+
+  return openAlerts.length;
+};
+
+/**
+ * Scan active devices past their offline threshold and raise alerts
+ * @returns {number} Number of alerts created
+ */
+const runOfflineCheck = async () => {
+  if (running) return 0;
+  running = true;
+
+  let created = 0;
+  try {
+    const devices = await Device.findOffline()
+      .where('alertSettings.offlineEnabled').ne(false);
+
+    for (const device of devices) {
+      try {
+        if (await raiseOfflineAlert(device)) created += 1;
+      } catch (error) {
+        logger.error('Offline check failed for device', {
+          deviceId: device.deviceId,
+          error: error.message
+        });
+      }
+    }
+  } catch (error) {
+    logger.error('Offline check failed', { error: error.message });
+  } finally {
+    running = false;
+  }
+
+  return created;
+};
+
+/**
+ * Start the periodic offline check
+ */
+const startOfflineMonitor = () => {
+  const intervalSeconds = config.OFFLINE_CHECK_INTERVAL_SECONDS;
+  if (timer || intervalSeconds <= 0) return;
+
+  timer = setInterval(runOfflineCheck, intervalSeconds * 1000);
+  timer.unref();
+
+  logger.info('Offline monitor started', { intervalSeconds });
+};
+
+/**
+ * Stop the periodic offline check
+ */
+const stopOfflineMonitor = () => {
+  if (!timer) return;
+
+  clearInterval(timer);
+  timer = null;
+  logger.info('Offline monitor stopped');
+};
+
+module.exports = {
+  runOfflineCheck,
+  resolveOfflineAlerts,
+  startOfflineMonitor,
+  stopOfflineMonitor
+};
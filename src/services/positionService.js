@@ -0,0 +1,169 @@
+const Device = require('../models/Device');
+
+// Cap on devices returned for one viewport
+const MAX_POSITIONS = 10000;
+
+// Clustering: grid cell size in screen pixels, and the zoom level from which devices are never clustered
+const CLUSTER_CELL_PX = 60;
+const CLUSTER_MAX_ZOOM = 15;
+
+// Longitude step between polygon vertices on the bbox's top and bottom edges. 2dsphere edges are
+// geodesics, which bow away from lines of latitude on wide boxes; short steps keep them close.
+const EDGE_STEP_DEGREES = 1;
+
+/**
+ * Polygon ring for a bbox that does not cross the antimeridian
+ * @param {number} minLng - West edge
+ * @param {number} minLat - South edge
+ * @param {number} maxLng - East edge
+ * @param {number} maxLat - North edge
+ * @returns {Array} Closed GeoJSON ring
+ */
+const boxRing = (minLng, minLat, maxLng, maxLat) => {
+  const steps = Math.max(1, Math.ceil((maxLng - minLng) / EDGE_STEP_DEGREES));
+  const south = [];
+  const north = [];
+
+  for (let i = 0; i <= steps; i++) {
+    const lng = minLng + (maxLng - minLng) * i / steps;
+    south.push([lng, minLat]);
+    north.unshift([lng, maxLat]);
+  }
+
+  return [...south, ...north, [minLng, minLat]];
+};
+
+/**
+ * Build the geo filter for a viewport bbox on a GeoJSON point field (uses its 2dsphere index)
+ * @param {string} field - Point field path
+ * @param {Array} bbox - [minLng, minLat, maxLng, maxLat]; minLng > maxLng crosses the antimeridian
+ * @returns {Object} MongoDB filter
+ */
+const bboxFilter = (field, [minLng, minLat, maxLng, maxLat]) => {
+  const within = (west, east) => ({
+    [field]: {
+      $geoWithin: {
+        $geometry: { type: 'Polygon', coordinates: [boxRing(west, minLat, east, maxLat)] }
+      }
+    }
+  });
+
+  const crossesAntimeridian = minLng > maxLng;
+  const width = crossesAntimeridian ? 360 - minLng + maxLng : maxLng - minLng;
+
+  // A polygon can't span a hemisphere or more; a viewport that wide only needs the latitude check
+  if (width >= 180) {
+    return { [field]: { $exists: true }, [`${field}.coordinates.1`]: { $gte: minLat, $lte: maxLat } };
+  }
+
+  if (crossesAntimeridian) {
+    return { $or: [within(minLng, 180), within(-180, maxLng)] };
+  }
+
+  return within(minLng, maxLng);
+};
+
+/**
+ * Whether a position lies inside the bbox (exact check after the geodesic index query)
+ * @param {Object} position - { lat, lng }
+ * @param {Array} bbox - [minLng, minLat, maxLng, maxLat]
+ * @returns {boolean} True if inside
+ */
+const isInBbox = ({ lat, lng }, [minLng, minLat, maxLng, maxLat]) => {
+  if (lat < minLat || lat > maxLat) return false;
+  return minLng <= maxLng ? lng >= minLng && lng <= maxLng : lng >= minLng || lng <= maxLng;
+};
+
+/**
+ * Web Mercator pixel position of a point at a zoom level
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {number} zoom - Zoom level
+ * @returns {Object} { x, y } in pixels
+ */
+const toPixels = (lat, lng, zoom) => {
+  const size = 256 * Math.pow(2, zoom);
+  const sinLat = Math.min(Math.max(Math.sin(lat * Math.PI / 180), -0.9999), 0.9999);
+
+  return {
+    x: (lng + 180) / 360 * size,
+    y: (0.5 - Math.log((1 + sinLat) / (1 - sinLat)) / (4 * Math.PI)) * size
+  };
+};
+
+/**
+ * Group positions into grid clusters for a zoom level. Cells holding a single device
+ * return that device's position unchanged.
+ * @param {Array} positions - Compact positions
+ * @param {number} zoom - Map zoom level
+ * @returns {Array} Positions and clusters ({ cluster: true, count, lat, lng, statuses })
+ */
+const clusterPositions = (positions, zoom) => {
+  const cells = new Map();
+
+  positions.forEach(position => {
+    const { x, y } = toPixels(position.lat, position.lng, zoom);
+    const key = `${Math.floor(x / CLUSTER_CELL_PX)}:${Math.floor(y / CLUSTER_CELL_PX)}`;
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(position);
+  });
+
+  return [...cells.values()].map(members => {
+    if (members.length === 1) return members[0];
+
+    const statuses = {};
+    members.forEach(member => {
+      statuses[member.status] = (statuses[member.status] || 0) + 1;
+    });
+
+    return {
+      cluster: true,
+      count: members.length,
+      lat: Math.round(members.reduce((sum, member) => sum + member.lat, 0) / members.length * 1e6) / 1e6,
+      lng: Math.round(members.reduce((sum, member) => sum + member.lng, 0) / members.length * 1e6) / 1e6,
+      statuses
+    };
+  });
+};
+
+/**
+ * Latest positions of devices inside a viewport, from each device's latest-state snapshot
+ * @param {Object} query - Device query (tenant, ownership and status filters)
+ * @param {Object} options - { bbox, zoom, cluster }
+ * @returns {Object} { positions, count, truncated, clustered }
+ */
+const findPositions = async (query, { bbox, zoom, cluster = false }) => {
+  const devices = await Device.find({ $and: [query, bboxFilter('latestState.location', bbox)] })
+    .limit(MAX_POSITIONS + 1)
+    .select('deviceId isActive lastSeen offlineThresholdMinutes latestState.timestamp latestState.location latestState.speed latestState.course latestState.obd.vehicleSpeed')
+    .lean();
+
+  const truncated = devices.length > MAX_POSITIONS;
+
+  const positions = devices.slice(0, MAX_POSITIONS)
+    .map(device => ({
+      id: device.deviceId,
+      lat: device.latestState.location.coordinates[1],
+      lng: device.latestState.location.coordinates[0],
+      heading: device.latestState.course ?? null,
+      speed: device.latestState.speed ?? device.latestState.obd?.vehicleSpeed ?? null,
+      status: Device.statusOf(device),
+      ts: device.latestState.timestamp
+    }))
+    .filter(position => isInBbox(position, bbox));
+
+  const clustered = cluster && zoom !== undefined && zoom < CLUSTER_MAX_ZOOM;
+
+  return {
+    positions: clustered ? clusterPositions(positions, zoom) : positions,
+    count: positions.length,
+    truncated,
+    clustered
+  };
+};
+
+module.exports = {
+  bboxFilter,
+  clusterPositions,
+  findPositions
+};
@@ -0,0 +1,243 @@
+const AlertRule = require('../models/AlertRule');
+const AlertRuleState = require('../models/AlertRuleState');
+const Alert = require('../models/Alert');
+const logger = require('../utils/logger');
+
+// A gap this long between matching readings restarts the sustain timer
+const MAX_READING_GAP_MS = 10 * 60 * 1000;
+
+// Device alertSettings switches that turn off rules of an alert type
+const ALERT_TYPE_SWITCHES = {
+  low_battery: 'lowBatteryEnabled',
+  vibration: 'vibrationEnabled',
+  tampering: 'tamperingEnabled'
+};
+
+/**
+ * Read a dotted path from an object (e.g. "additionalData.oilPressure")
+ * @param {Object} obj - Source object
+ * @param {string} path - Dotted path
+ * @returns {*} Value or undefined
+ */
+const getPath = (obj, path) => {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), obj);
+};
+
+/**
+ * Compare a reading value against a condition
+ * @param {*} actual - Value from the reading
+ * @param {string} operator - Condition operator
+ * @param {*} expected - Comparison value (lower bound for ranges)
+ * @param {*} expected2 - Upper bound for ranges
+ * @returns {boolean} Whether the condition holds
+ */
+const compare = (actual, operator, expected, expected2) => {
+  const isMissing = actual === undefined || actual === null;
+
+  if (operator === 'exists') return !isMissing;
+  if (operator === 'not_exists') return isMissing;
+  if (isMissing || expected === undefined || expected === null) return false;
+
+  if (operator === 'eq') return actual === expected || String(actual) === String(expected);
+  if (operator === 'neq') return actual !== expected && String(actual) !== String(expected);
+
+  // Numeric operators (additionalData values may arrive as strings)
+  const value = Number(actual);
+  const min = Number(expected);
+  const max = Number(expected2);
+  if (Number.isNaN(value) || Number.isNaN(min)) return false;
+
+  switch (operator) {
+    case 'gt': return value > min;
+    case 'gte': return value >= min;
+    case 'lt': return value < min;
+    case 'lte': return value <= min;
+    case 'between': return !Number.isNaN(max) && value >= min && value <= max;
+    case 'outside': return !Number.isNaN(max) && (value < min || value > max);
+    default: return false;
+  }
+};
+
+/**
+ * Evaluate a single condition
+ * @param {Object} condition - Rule condition
+ * @param {Object} reading - LocationData as a plain object
+ * @param {Object} device - Device as a plain object
+ * @returns {boolean} Whether the condition holds
+ */
+const evaluateCondition = (condition, reading, device) => {
+  const actual = getPath(reading, condition.field);
+  const expected = condition.valueFrom ? getPath(device, condition.valueFrom) : condition.value;
+  return compare(actual, condition.operator, expected, condition.value2);
+};
+
+/**
+ * Evaluate a rule's conditions against a reading
+ * @param {Object} rule - Alert rule
+ * @param {Object} reading - LocationData as a plain object
+ * @param {Object} device - Device as a plain object
+ * @returns {boolean} Whether the rule matches
+ */
+const evaluateRule = (rule, reading, device) => {
+  const results = rule.conditions.map(condition => evaluateCondition(condition, reading, device));
+  return rule.match === 'any' ? results.some(Boolean) : results.every(Boolean);
+};
+
+/**
+ * Fill {{path}} placeholders from a context object
+ * @param {string} template - Template text
+ * @param {Object} context - Values available to the template
+ * @returns {string} Rendered text
+ */
+const renderTemplate = (template, context) => {
+  return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, path) => {
+    const value = getPath(context, path);
+    if (value === undefined || value === null) return 'N/A';
+    if (value instanceof Date) return value.toISOString();
+    return String(value);
+  });
+};
+
+/**
+ * Build the alert for a rule that fired
+ * @param {Object} rule - Alert rule
+ * @param {Object} device - Device as a plain object
+ * @param {Object} reading - LocationData as a plain object
+ * @param {Date} matchingSince - Start of the matching run
+ * @returns {Object} Unsaved Alert document
+ */
+const buildRuleAlert = (rule, device, reading, matchingSince) => {
+  const context = {
+    ...reading,
+    deviceName: device.name || device.deviceId,
+    ruleName: rule.name,
+    device
+  };
+
+  const values = {};
+  rule.conditions.forEach(condition => {
+    values[condition.field] = getPath(reading, condition.field) ?? null;
+  });
+
+  const autoResolve = typeof rule.autoResolve?.enabled === 'boolean' ?
+    rule.autoResolve :
+    Alert.autoResolveDefaults(rule.alertType);
+
+  return new Alert({
+    deviceId: device.deviceId,
+    alertType: rule.alertType,
+    severity: rule.severity,
+    title: renderTemplate(rule.titleTemplate || rule.name, context).substring(0, 100),
+    message: renderTemplate(rule.messageTemplate, context).substring(0, 500),
+    location: reading.location,
+    timestamp: reading.timestamp,
+    data: {
+      ruleId: rule._id,
+      ruleName: rule.name,
+      values,
+      sustainedSeconds: Math.round((reading.timestamp - matchingSince) / 1000)
+    },
+    autoResolve
+  });
+};
+
+/**
+ * Evaluate a device's alert rules against a new reading and create alerts
+ * for rules whose conditions have held for their sustain duration and are
+ * not cooling down. Readings must be evaluated in timestamp order.
+ * @param {Object} device - Device document
+ * @param {Object} locationData - Location data document
+ * @returns {Array} Created alerts
+ */
+const evaluateRules = async (device, locationData) => {
+  const rules = await AlertRule.findForDevice(device);
+  if (rules.length === 0) return [];
+
+  const deviceObj = device.toObject ? device.toObject() : device;
+  const reading = locationData.toObject ? locationData.toObject() : locationData;
+  const at = reading.timestamp;
+
+  const states = await AlertRuleState.find({
+    deviceId: device.deviceId,
+    ruleId: { $in: rules.map(rule => rule._id) }
+  }).lean();
+  const stateByRule = new Map(states.map(state => [state.ruleId.toString(), state]));
+
+  const alerts = [];
+
+  for (const rule of rules) {
+    const enabledSwitch = ALERT_TYPE_SWITCHES[rule.alertType];
+    if (enabledSwitch && deviceObj.alertSettings?.[enabledSwitch] === false) continue;
+
+    const state = stateByRule.get(rule._id.toString()) || {};
+    const stateFilter = { ruleId: rule._id, deviceId: device.deviceId };
+
+    if (!evaluateRule(rule, reading, deviceObj)) {
+      if (state.matchingSince) {
+        await AlertRuleState.updateOne(stateFilter, { matchingSince: null, lastMatchedAt: null });
+      }
+      continue;
+    }
+
+    // Continue the current run unless readings stopped for too long
+    const continuesRun = state.matchingSince && state.lastMatchedAt &&
+      Math.abs(at - state.lastMatchedAt) <= MAX_READING_GAP_MS;
+    const matchingSince = continuesRun ? new Date(Math.min(state.matchingSince, at)) : at;
+
+    const sustained = at - matchingSince >= (rule.sustainSeconds || 0) * 1000;
+    const coolingDown = state.lastTriggeredAt &&
+      Math.abs(at - state.lastTriggeredAt) < (rule.cooldownMinutes || 0) * 60 * 1000;
+    const fire = sustained && !coolingDown;
+
+    await AlertRuleState.updateOne(
+      stateFilter,
+      {
+        matchingSince,
+        lastMatchedAt: at,
+        ...(fire && { lastTriggeredAt: at })
+      },
+      { upsert: true }
+    );
+
+    if (!fire) continue;
+
+    const alert = buildRuleAlert(rule, deviceObj, reading, matchingSince);
+    await alert.save();
+    alerts.push(alert);
+
+    logger.warn('Rule alert created', {
+      deviceId: device.deviceId,
+      ruleId: rule._id,
+      ruleName: rule.name,
+      alertType: rule.alertType,
+      severity: rule.severity
+    });
+  }
+
+  return alerts;
+};
+
+/**
+ * Create the built-in rules when no rules exist yet, so a fresh install
+ * keeps the default low battery and temperature alerts
+ * @returns {number} Number of rules created
+ */
+const seedDefaultRules = async () => {
+  try {
+    const created = await AlertRule.ensureDefaults();
+    if (created.length > 0) {
+      logger.info('Default alert rules created', { count: created.length });
+    }
+    return created.length;
+  } catch (error) {
+    logger.error('Error creating default alert rules:', { error: error.message });
+    return 0;
+  }
+};
+
+module.exports = {
+  evaluateRules,
+  seedDefaultRules,
+  evaluateRule,
+  renderTemplate
+};
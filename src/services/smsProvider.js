@@ -0,0 +1,158 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/environment');
+const logger = require('../utils/logger');
+
+/**
+ * SMS providers. Each provider has:
+ *   name           - provider name (stored with the delivery result)
+ *   isDevelopment  - true when messages never reach a phone (the OTP may be shown to the client)
+ *   send(to, body) - resolves to { messageId } or throws on failure
+ */
+
+/**
+ * Development provider that writes messages to the server log
+ * @returns {Object} SMS provider
+ */
+const createConsoleProvider = () => ({
+  name: 'console',
+  isDevelopment: true,
+  send: async (to, body) => {
+    logger.info('SMS (console provider)', { to, body });
+    return { messageId: null };
+  }
+});
+
+/**
+ * Development provider that appends messages to a file
+ * @param {string} filePath - File to append to
+ * @returns {Object} SMS provider
+ */
+const createFileProvider = (filePath) => ({
+  name: 'file',
+  isDevelopment: true,
+  send: async (to, body) => {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.appendFile(filePath, JSON.stringify({
+      timestamp: new Date().toISOString(),
+      to,
+      body
+    }) + '\n');
+    return { messageId: null };
+  }
+});
+
+/**
+ * Production provider posting to an SMS gateway's HTTP API (Twilio, MSG91 and similar).
+ * Field names, encoding and the authorization header come from config.
+ * @param {Object} options - HTTP provider settings
+ * @returns {Object} SMS provider
+ */
+const createHttpProvider = ({ url, authHeader, format, toField, messageField, fromField, from, messageIdField, timeoutMs }) => ({
+  name: 'http',
+  isDevelopment: false,
+  send: async (to, body) => {
+    const fields = { [toField]: to, [messageField]: body };
+    if (fromField && from) fields[fromField] = from;
+
+    const isForm = format === 'form';
+    const headers = {
+      'Content-Type': isForm ? 'application/x-www-form-urlencoded' : 'application/json',
+      Accept: 'application/json'
+    };
+    if (authHeader) headers.Authorization = authHeader;
+
+    let response;
+    try {
+      response = await fetch(url, {
+        method: 'POST',
+        headers,
+        body: isForm ? new URLSearchParams(fields).toString() : JSON.stringify(fields),
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+    } catch (error) {
+      throw new Error(error.name === 'TimeoutError' ? `SMS gateway timed out after ${timeoutMs}ms` : `SMS gateway unreachable: ${error.message}`);
+    }
+
+    const text = await response.text();
+    if (!response.ok) {
+      throw new Error(`SMS gateway responded with HTTP ${response.status}: ${text.substring(0, 200)}`);
+    }
+
+    let messageId = null;
+    try {
+      messageId = JSON.parse(text)?.[messageIdField] ?? null;
+    } catch (error) {
+      // Non-JSON success body; nothing to record
+    }
+
+    return { messageId: messageId === null ? null : String(messageId) };
+  }
+});
+
+let provider = null;
+
+/**
+ * Get the configured SMS provider (SMS_PROVIDER: console | file | http)
+ * @returns {Object} SMS provider
+ */
+const getSmsProvider = () => {
+  if (provider) return provider;
+
+  switch (config.SMS_PROVIDER) {
+    case 'http':
+      if (!config.SMS_HTTP_URL) {
+        throw new Error('SMS_HTTP_URL is required when SMS_PROVIDER=http');
+      }
+      provider = createHttpProvider({
+        url: config.SMS_HTTP_URL,
+        authHeader: config.SMS_HTTP_AUTH_HEADER,
+        format: config.SMS_HTTP_FORMAT,
+        toField: config.SMS_HTTP_TO_FIELD,
+        messageField: config.SMS_HTTP_MESSAGE_FIELD,
+        fromField: config.SMS_HTTP_FROM_FIELD,
+        from: config.SMS_SENDER_ID,
+        messageIdField: config.SMS_HTTP_MESSAGE_ID_FIELD,
+        timeoutMs: config.SMS_HTTP_TIMEOUT_MS
+      });
+      break;
+    case 'file':
+      provider = createFileProvider(path.resolve(config.SMS_FILE_PATH));
+      break;
+    case 'console':
+      provider = createConsoleProvider();
+      break;
+    default:
+      throw new Error(`Unknown SMS_PROVIDER "${config.SMS_PROVIDER}"`);
+  }
+
+  logger.info('SMS provider selected', { provider: provider.name });
+  return provider;
+};
+
+/**
+ * Send a text message with the configured provider
+ * @param {string} to - Phone number
+ * @param {string} body - Message text
+ * @returns {Object} { provider, messageId }
+ */
+const sendSms = async (to, body) => {
+  const smsProvider = getSmsProvider();
+  const { messageId } = await smsProvider.send(to, body);
+  return { provider: smsProvider.name, messageId };
+};
+
+/**
+ * Whether OTP codes may be returned to the client: only when messages go
+ * nowhere real (console/file provider) and never in production
+ * @returns {boolean} True if the code can be exposed
+ */
+const canExposeOtp = () => {
+  return getSmsProvider().isDevelopment && config.NODE_ENV !== 'production';
+};
+
+module.exports = {
+  sendSms,
+  getSmsProvider,
+  canExposeOtp
+};
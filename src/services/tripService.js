@@ -0,0 +1,287 @@
+const LocationData = require('../models/LocationData');
+const Device = require('../models/Device');
+const Trip = require('../models/Trip');
+const Geofence = require('../models/Geofence');
+const logger = require('../utils/logger');
+const { calculateDistance } = require('../utils/helpers');
+
+// Trip detection thresholds
+const MOVING_SPEED_KMH = 5;                // Below this the vehicle is considered stationary
+const STOP_DURATION_MS = 5 * 60 * 1000;    // Stationary this long ends a trip
+const MAX_GAP_MS = 10 * 60 * 1000;         // No data this long ends a trip
+const MIN_TRIP_DISTANCE_M = 200;           // Shorter trips are GPS drift
+const MIN_TRIP_DURATION_MS = 60 * 1000;
+
+/**
+ * Speed of a point in km/h, preferring the OBD2 reading over GPS
+ * @param {Object} point - LocationData point
+ * @returns {number} Speed in km/h
+ */
+const speedOf = (point) => {
+  if (typeof point.vehicleSpeed === 'number') return point.vehicleSpeed;
+  if (typeof point.speed === 'number') return point.speed;
+  return 0;
+};
+
+/**
+ * Whether a point represents a moving vehicle
+ * @param {Object} point - LocationData point
+ * @returns {boolean} True if moving
+ */
+const isMoving = (point) => {
+  // Engine explicitly off: ignore GPS speed noise while parked
+  if (point.engineRpm === 0) return false;
+  return speedOf(point) >= MOVING_SPEED_KMH;
+};
+
+/**
+ * Whether a point represents an idling engine (running but not moving)
+ * @param {Object} point - LocationData point
+ * @returns {boolean} True if idling
+ */
+const isIdle = (point) => {
+  return typeof point.engineRpm === 'number' && point.engineRpm > 0 && speedOf(point) < MOVING_SPEED_KMH;
+};
+
+/**
+ * Create a streaming trip segmenter. Points must be pushed in ascending timestamp order.
+ * @returns {Object} { push(point), finish(now) }
+ */
+const createTripSegmenter = () => {
+  const closed = [];
+  let current = null;
+  let previous = null;
+
+  const snapshot = (trip) => ({
+    endPoint: trip.lastMoving,
+    distanceMeters: trip.distanceMeters,
+    idleMs: trip.idleMs,
+    maxSpeed: trip.maxSpeed,
+    speedSum: trip.speedSum,
+    speedCount: trip.speedCount,
+    pointCount: trip.pointCount
+  });
+
+  // Close the current trip at its last moving point
+  const closeCurrent = () => {
+    const trip = { startPoint: current.startPoint, ...current.atLastMoving };
+    const durationMs = trip.endPoint.timestamp - trip.startPoint.timestamp;
+
+    if (trip.distanceMeters >= MIN_TRIP_DISTANCE_M && durationMs >= MIN_TRIP_DURATION_MS) {
+      closed.push(trip);
+    }
+    current = null;
+  };
+
+  const push = (point) => {
+    const moving = isMoving(point);
+
+    if (current && point.timestamp - previous.timestamp > MAX_GAP_MS) {
+      closeCurrent();
+    }
+
+    if (current) {
+      const [prevLng, prevLat] = previous.location.coordinates;
+      const [lng, lat] = point.location.coordinates;
+
+      current.distanceMeters += calculateDistance(prevLat, prevLng, lat, lng);
+      if (isIdle(previous)) {
+        current.idleMs += point.timestamp - previous.timestamp;
+      }
+      current.pointCount += 1;
+
+      if (moving) {
+        const speed = speedOf(point);
+        current.maxSpeed = Math.max(current.maxSpeed, speed);
+        current.speedSum += speed;
+        current.speedCount += 1;
+        current.lastMoving = point;
+        current.atLastMoving = snapshot(current);
+      } else if (point.timestamp - current.lastMoving.timestamp >= STOP_DURATION_MS) {
+        closeCurrent();
+      }
+    } else if (moving) {
+      const speed = speedOf(point);
+      current = {
+        startPoint: point,
+        lastMoving: point,
+        distanceMeters: 0,
+        idleMs: 0,
+        maxSpeed: speed,
+        speedSum: speed,
+        speedCount: 1,
+        pointCount: 1
+      };
+      current.atLastMoving = snapshot(current);
+    }
+
+    previous = point;
+  };
+
+  /**
+   * Finish segmentation
+   * @param {Date} now - Current time, used to decide whether the last trip is still in progress
+   * @returns {Object} { closed: Array, open: Object|null, lastPoint: Object|null }
+   */
+  const finish = (now = new Date()) => {
+    if (current && now - previous.timestamp > MAX_GAP_MS) {
+      closeCurrent();
+    }
+
+    const open = current ? { startPoint: current.startPoint, ...current.atLastMoving } : null;
+    return { closed, open, lastPoint: previous };
+  };
+
+  return { push, finish };
+};
+
+/**
+ * Name of the first geofence containing a point
+ * @param {Array} geofences - Geofence documents
+ * @param {Object} point - LocationData point
+ * @returns {string|undefined} Geofence name
+ */
+const placeOf = (geofences, point) => {
+  const [lng, lat] = point.location.coordinates;
+  return geofences.find(geofence => geofence.containsPoint(lat, lng))?.name;
+};
+
+/**
+ * Convert a segmented trip to a Trip document shape
+ * @param {string} deviceId - Device ID
+ * @param {Object} trip - Segmented trip
+ * @param {Array} geofences - Device geofences for place names
+ * @returns {Object} Trip fields
+ */
+const toTripDocument = (deviceId, trip, geofences) => ({
+  deviceId,
+  startTime: trip.startPoint.timestamp,
+  endTime: trip.endPoint.timestamp,
+  startLocation: trip.startPoint.location,
+  endLocation: trip.endPoint.location,
+  startPlace: placeOf(geofences, trip.startPoint),
+  endPlace: placeOf(geofences, trip.endPoint),
+  distanceMeters: Math.round(trip.distanceMeters),
+  durationSeconds: Math.round((trip.endPoint.timestamp - trip.startPoint.timestamp) / 1000),
+  idleSeconds: Math.round(trip.idleMs / 1000),
+  maxSpeed: trip.maxSpeed,
+  avgSpeed: trip.speedCount ? Math.round((trip.speedSum / trip.speedCount) * 10) / 10 : 0,
+  pointCount: trip.pointCount
+});
+
+/**
+ * Segment new location data into persisted trips.
+ * Only closed trips are stored; a trip still in progress is returned but not saved.
+ * @param {string} deviceId - Device ID
+ * @returns {Object|null} Trip in progress (unsaved), if any
+ */
+const refreshTrips = async (deviceId) => {
+  const device = await Device.findOne({ deviceId }).select('tripsProcessedUntil organizationId').lean();
+  if (!device) return null;
+
+  const processedUntil = device.tripsProcessedUntil || null;
+  const query = { deviceId };
+  if (processedUntil) query.timestamp = { $gt: processedUntil };
+
+  const segmenter = createTripSegmenter();
+  const cursor = LocationData.find(query)
+    .sort({ timestamp: 1 })
+    .select('location speed vehicleSpeed engineRpm timestamp')
+    .lean()
+    .cursor();
+
+  for await (const point of cursor) {
+    if (!point.location?.coordinates || point.location.coordinates.length !== 2) continue;
+    segmenter.push(point);
+  }
+
+  const { closed, open, lastPoint } = segmenter.finish(new Date());
+  if (!lastPoint) return null;
+
+  const geofences = await Geofence.findForDevice(deviceId, device.organizationId);
+
+  // Resume from just before an in-progress trip so it is re-segmented next time
+  const nextProcessedUntil = open ?
+    new Date(open.startPoint.timestamp.getTime() - 1) :
+    lastPoint.timestamp;
+
+  // Claim the range atomically so concurrent refreshes don't store trips twice
+  const claimed = await Device.findOneAndUpdate(
+    { deviceId, tripsProcessedUntil: processedUntil },
+    { tripsProcessedUntil: nextProcessedUntil }
+  );
+
+  if (claimed && closed.length > 0) {
+    await Trip.insertMany(closed.map(trip => toTripDocument(deviceId, trip, geofences)));
+
+    logger.info('Trips segmented', {
+      deviceId,
+      tripsCreated: closed.length,
+      processedUntil: nextProcessedUntil
+    });
+  }
+
+  return open ? toTripDocument(deviceId, open, geofences) : null;
+};
+
+/**
+ * Discard stored trips from a point in time so they are re-segmented
+ * (used when older readings arrive late, e.g. batch uploads)
+ * @param {string} deviceId - Device ID
+ * @param {Date} since - Earliest timestamp of the late data
+ */
+const invalidateTrips = async (deviceId, since) => {
+  const device = await Device.findOne({ deviceId }).select('tripsProcessedUntil').lean();
+  if (!device?.tripsProcessedUntil || device.tripsProcessedUntil < since) return;
+
+  // Drop every trip that could contain the late data and rewind to before the earliest one
+  const firstAffected = await Trip.findOne({ deviceId, endTime: { $gte: since } })
+    .sort({ startTime: 1 })
+    .lean();
+  const rewindTo = new Date(Math.min(
+    since.getTime(),
+    firstAffected ? firstAffected.startTime.getTime() : since.getTime()
+  ) - 1);
+
+  await Trip.deleteMany({ deviceId, endTime: { $gt: rewindTo } });
+  await Device.updateOne({ deviceId }, { tripsProcessedUntil: rewindTo });
+
+  logger.info('Trips invalidated for re-segmentation', { deviceId, since, rewindTo });
+};
+
+/**
+ * Format a trip for API responses
+ * @param {Object} trip - Trip document or plain object
+ * @param {boolean} inProgress - Whether the trip is still in progress
+ * @returns {Object} Formatted trip
+ */
+const formatTrip = (trip, inProgress = false) => ({
+  id: trip._id,
+  start: {
+    time: trip.startTime,
+    latitude: trip.startLocation?.coordinates?.[1],
+    longitude: trip.startLocation?.coordinates?.[0],
+    place: trip.startPlace || null
+  },
+  end: {
+    time: trip.endTime,
+    latitude: trip.endLocation?.coordinates?.[1],
+    longitude: trip.endLocation?.coordinates?.[0],
+    place: trip.endPlace || null
+  },
+  durationSeconds: trip.durationSeconds,
+  distanceMeters: trip.distanceMeters,
+  distanceKm: Math.round(trip.distanceMeters / 10) / 100,
+  maxSpeed: trip.maxSpeed,
+  avgSpeed: trip.avgSpeed,
+  idleSeconds: trip.idleSeconds,
+  pointCount: trip.pointCount,
+  inProgress
+});
+
+module.exports = {
+  createTripSegmenter,
+  refreshTrips,
+  invalidateTrips,
+  formatTrip
+};
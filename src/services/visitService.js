@@ -0,0 +1,153 @@
+const LocationData = require('../models/LocationData');
+const { calculateDistance } = require('../utils/helpers');
+const { AppError } = require('../middleware/errorHandler');
+
+// Every in-radius point in range is read, so the range is bounded
+const DEFAULT_RANGE_DAYS = 7;
+const MAX_RANGE_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const EARTH_RADIUS_M = 6371000;
+
+// Readings outside the radius only end a visit if the in-radius points around them are further
+// apart than this (GPS drift across the edge doesn't split a visit, and few gaps need checking)
+const DEPARTURE_MIN_GAP_MS = 60 * 1000;
+// Gaps checked per aggregation
+const GAP_BATCH_SIZE = 5000;
+
+/**
+ * Resolve the date range of a visits search: without startDate it covers the DEFAULT_RANGE_DAYS
+ * before endDate (or now), and it may not exceed MAX_RANGE_DAYS
+ * @param {Object} range - { startDate, endDate } as requested
+ * @returns {Object} { startDate, endDate } (endDate stays null when open-ended)
+ */
+const resolveVisitRange = ({ startDate, endDate } = {}) => {
+  const end = endDate ? new Date(endDate) : null;
+  const start = startDate ? new Date(startDate) : new Date((end || new Date()).getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+
+  if ((end || new Date()) - start > MAX_RANGE_DAYS * DAY_MS) {
+    throw new AppError(`Visit searches cannot span more than ${MAX_RANGE_DAYS} days`, 400);
+  }
+
+  return { startDate: start, endDate: end };
+};
+
+/**
+ * Find which gaps between consecutive in-radius points contain readings, i.e. the device was
+ * outside the radius in between (one aggregation over the device's timestamps per batch)
+ * @param {Object} query - LocationData query (device and date range)
+ * @param {Array} gaps - [from, to] timestamps of consecutive in-radius points
+ * @returns {Set} Start times (ms) of the gaps with readings outside the radius
+ */
+const findDepartures = async (query, gaps) => {
+  const departures = new Set();
+
+  for (let i = 0; i < gaps.length; i += GAP_BATCH_SIZE) {
+    // Each gap becomes the bucket [from + 1ms, to); the buckets between gaps are ignored
+    const gapStarts = new Set();
+    const boundaries = gaps.slice(i, i + GAP_BATCH_SIZE).flatMap(([from, to]) => {
+      gapStarts.add(from.getTime() + 1);
+      return [new Date(from.getTime() + 1), to];
+    });
+
+    const buckets = await LocationData.aggregate([
+      { $match: query },
+      { $project: { _id: 0, timestamp: 1 } },
+      { $bucket: { groupBy: '$timestamp', boundaries, default: 'outside' } }
+    ]);
+
+    buckets
+      .filter(bucket => bucket._id instanceof Date && gapStarts.has(bucket._id.getTime()))
+      .forEach(bucket => departures.add(bucket._id.getTime() - 1));
+  }
+
+  return departures;
+};
+
+/**
+ * Find the visits of a device to a place: runs of consecutive location points within the radius.
+ * Only points inside the radius are read (geo filter on the indexed location); readings outside
+ * it between two of them end a visit when the device was away for more than DEPARTURE_MIN_GAP_MS.
+ * @param {Object} query - LocationData query (device and date range)
+ * @param {Object} place - { latitude, longitude, radius } (radius in meters)
+ * @param {Object} options - { openEnded }: the range has no endDate, so its last point is the device's latest reading
+ * @returns {Object} { visits, pointsScanned }
+ */
+const findVisits = async (query, { latitude, longitude, radius }, { openEnded = false } = {}) => {
+  // Runs of in-radius points with no gap longer than DEPARTURE_MIN_GAP_MS; each is part of one visit
+  const segments = [];
+  let segment = null;
+  let pointsScanned = 0;
+
+  const cursor = LocationData.find({
+    $and: [
+      query,
+      { location: { $geoWithin: { $centerSphere: [[longitude, latitude], radius / EARTH_RADIUS_M] } } }
+    ]
+  })
+    .sort({ timestamp: 1 })
+    .select('timestamp location')
+    .lean()
+    .cursor();
+
+  for await (const point of cursor) {
+    pointsScanned++;
+
+    const [pointLongitude, pointLatitude] = point.location.coordinates;
+    const distance = calculateDistance(latitude, longitude, pointLatitude, pointLongitude);
+
+    if (!segment || point.timestamp - segment.departure > DEPARTURE_MIN_GAP_MS) {
+      segment = {
+        arrival: point.timestamp,
+        departure: point.timestamp,
+        points: 0,
+        closestDistance: distance
+      };
+      segments.push(segment);
+    }
+
+    segment.departure = point.timestamp;
+    segment.points++;
+    segment.closestDistance = Math.min(segment.closestDistance, distance);
+  }
+
+  const gaps = segments.slice(1).map((next, i) => [segments[i].departure, next.arrival]);
+  const departures = await findDepartures(query, gaps);
+
+  // Segments with no reading outside the radius between them are the same visit
+  const visits = [];
+  segments.forEach((next, i) => {
+    const previous = visits[visits.length - 1];
+
+    if (previous && !departures.has(segments[i - 1].departure.getTime())) {
+      previous.departure = next.departure;
+      previous.points += next.points;
+      previous.closestDistance = Math.min(previous.closestDistance, next.closestDistance);
+    } else {
+      visits.push({ ...next });
+    }
+  });
+
+  // The last visit is still going on if no reading came after its last point
+  const current = visits[visits.length - 1];
+  const inProgress = openEnded && current !== undefined && !await LocationData.exists({
+    $and: [query, { timestamp: { $gt: current.departure } }]
+  });
+
+  return {
+    visits: visits.map(visit => ({
+      arrival: visit.arrival,
+      departure: visit.departure,
+      durationMinutes: Math.round((visit.departure - visit.arrival) / (60 * 1000)),
+      points: visit.points,
+      closestDistance: Math.round(visit.closestDistance),
+      inProgress: inProgress && visit === current
+    })),
+    pointsScanned
+  };
+};
+
+module.exports = {
+  resolveVisitRange,
+  findVisits
+};
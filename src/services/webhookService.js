@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { eventBus, EVENTS } = require('./eventBus');
+const config = require('../config/environment');
+const logger = require('../utils/logger');
+
+// Deliveries sent per dispatch run; the rest are picked up on the next run
+const BATCH_SIZE = 100;
+// First retry delay, doubled on every further attempt up to the maximum
+const RETRY_BASE_MS = 30 * 1000;
+const RETRY_MAX_MS = 60 * 60 * 1000;
+
+let timer = null;
+let running = false;
+
+/**
+ * Sign a webhook body. Receivers recompute HMAC-SHA256 over
+ * "<timestamp>.<raw body>" with their secret and compare to v1.
+ * @param {string} secret - Subscription secret
+ * @param {number} timestamp - Unix time in seconds
+ * @param {string} payload - Raw request body
+ * @returns {string} Signature header value ("t=<timestamp>,v1=<hex>")
+ */
+const signPayload = (secret, timestamp, payload) => {
+  const signature = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${payload}`)
+    .digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+};
+
+/**
+ * Delay before the next attempt (exponential backoff with jitter)
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in milliseconds
+ */
+const retryDelay = (attempts) => {
+  const delay = Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+};
+
+/**
+ * Send one delivery and record the outcome
+ * @param {Object} delivery - Claimed WebhookDelivery document
+ */
+const attemptDelivery = async (delivery) => {
+  const subscription = await WebhookSubscription.findById(delivery.subscriptionId).select('+secret');
+
+  if (!subscription || !subscription.isActive) {
+    await delivery.recordAttempt({ error: 'Subscription deleted or inactive' });
+    return;
+  }
+
+  const timestamp = Math.floor(Date.now() / 1000);
+  const startedAt = Date.now();
+  let responseStatus;
+  let error;
+
+  try {
+    const response = await fetch(subscription.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'IoT-Tracking-Server-Webhooks/1.0',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': delivery._id.toString(),
+        'X-Webhook-Signature': signPayload(subscription.secret, timestamp, delivery.payload)
+      },
+      body: delivery.payload,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(config.WEBHOOK_TIMEOUT_MS)
+    });
+
+    responseStatus = response.status;
+    if (!response.ok) error = `HTTP ${response.status}`;
+    await response.body?.cancel();
+  } catch (err) {
+    error = err.name === 'TimeoutError' ? `Timed out after ${config.WEBHOOK_TIMEOUT_MS}ms` : err.message;
+  }
+
+  const attempts = delivery.attempts + 1;
+  const retryAt = error && attempts < config.WEBHOOK_MAX_ATTEMPTS ?
+    new Date(Date.now() + retryDelay(attempts)) :
+    null;
+
+  await delivery.recordAttempt({
+    responseStatus,
+    error,
+    durationMs: Date.now() - startedAt,
+    retryAt
+  });
+
+  await WebhookSubscription.updateOne(
+    { _id: subscription._id },
+    { lastDeliveryAt: new Date(), lastDeliveryStatus: error ? 'failed' : 'succeeded' }
+  );
+
+  if (error) {
+    logger.warn('Webhook delivery failed', {
+      deliveryId: delivery._id,
+      subscriptionId: subscription._id,
+      event: delivery.event,
+      attempts,
+      error,
+      nextAttemptAt: retryAt
+    });
+  }
+};
+
+/**
+ * Send due outbox entries (new ones and retries)
+ * @returns {number} Number of deliveries attempted
+ */
+const runDispatch = async () => {
+  if (running) return 0;
+  running = true;
+
+  let attempted = 0;
+  try {
+    // A claimed delivery is retried by another run if this one dies mid-request
+    const lockMs = config.WEBHOOK_TIMEOUT_MS * 2;
+
+    while (attempted < BATCH_SIZE) {
+      const delivery = await WebhookDelivery.claimNext(lockMs);
+      if (!delivery) break;
+
+      try {
+        await attemptDelivery(delivery);
+      } catch (error) {
+        logger.error('Webhook delivery errored', {
+          deliveryId: delivery._id,
+          error: error.message
+        });
+      }
+      attempted += 1;
+    }
+  } catch (error) {
+    logger.error('Webhook dispatch run failed', { error: error.message });
+  } finally {
+    running = false;
+  }
+
+  return attempted;
+};
+
+// The Alert model writes outbox entries when it saves; send them right away instead of waiting for the next run
+const onAlertEvent = ({ event }) => {
+  if (WebhookSubscription.EVENTS.includes(event)) {
+    setImmediate(runDispatch);
+  }
+};
+
+/**
+ * Start sending queued alert events right away and the periodic dispatch (retries)
+ */
+const startWebhookDispatcher = () => {
+  const intervalSeconds = config.WEBHOOK_DISPATCH_INTERVAL_SECONDS;
+  if (timer || intervalSeconds <= 0) return;
+
+  eventBus.on(EVENTS.ALERT, onAlertEvent);
+
+  timer = setInterval(runDispatch, intervalSeconds * 1000);
+  timer.unref();
+
+  logger.info('Webhook dispatcher started', { intervalSeconds });
+};
+
+/**
+ * Stop sending queued alert events and the periodic dispatch
+ */
+const stopWebhookDispatcher = () => {
+  if (!timer) return;
+
+  eventBus.off(EVENTS.ALERT, onAlertEvent);
+  clearInterval(timer);
+  timer = null;
+  logger.info('Webhook dispatcher stopped');
+};
+
+module.exports = {
+  signPayload,
+  runDispatch,
+  startWebhookDispatcher,
+  stopWebhookDispatcher
+};
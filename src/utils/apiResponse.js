@@ -63,6 +63,16 @@ const unauthorizedResponse = (res, message = 'Unauthorized') => {
   return apiResponse(res, 401, message);
 };
 
+/**
+ * Forbidden response helper
+ * @param {Object} res - Express response object
+ * @param {string} message - Error message
+ * @returns {Object} Express response
+ */
+const forbiddenResponse = (res, message = 'Forbidden') => {
+  return apiResponse(res, 403, message);
+};
+
 /**
  * Not found response helper
  * @param {Object} res - Express response object
@@ -89,6 +99,7 @@ module.exports = {
   createdResponse,
   badRequestResponse,
   unauthorizedResponse,
+  forbiddenResponse,
   notFoundResponse,
   serverErrorResponse
 };
\ No newline at end of file
@@ -68,6 +68,28 @@ const isWithinGeofence = (pointLat, pointLon, centerLat, centerLon, radius) => {
   return distance <= radius;
 };
 
+/**
+ * Check if a point is within a polygon geofence (ray casting)
+ * @param {number} pointLat - Point latitude
+ * @param {number} pointLon - Point longitude
+ * @param {Array} ring - Polygon ring as GeoJSON [longitude, latitude] pairs
+ * @returns {boolean} True if point is within polygon
+ */
+const isPointInPolygon = (pointLat, pointLon, ring) => {
+  let inside = false;
+
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+
+    const intersects = ((yi > pointLat) !== (yj > pointLat)) &&
+      (pointLon < (xj - xi) * (pointLat - yi) / (yj - yi) + xi);
+    if (intersects) inside = !inside;
+  }
+
+  return inside;
+};
+
 /**
  * Generate device ID (if not provided)
  * @param {string} prefix - Prefix for device ID (default: 'DEV')
@@ -272,11 +294,38 @@ const isEmpty = (value) => {
   return false;
 };
 
+/**
+ * Build the query condition that limits results to the caller's organization
+ * @param {Object} req - Express request (req.organizationId set by authentication)
+ * @returns {Object} { organizationId } for organization callers, {} for platform-wide callers
+ */
+const tenantFilter = (req) => {
+  return req.organizationId ? { organizationId: req.organizationId } : {};
+};
+
+/**
+ * Format one CSV line. Values are quoted when needed, and text that a
+ * spreadsheet would run as a formula is prefixed with an apostrophe.
+ * @param {Array} values - Cell values (null/undefined become empty cells)
+ * @returns {string} CSV line including the trailing newline
+ */
+const toCsvRow = (values) => {
+  return values.map(value => {
+    if (value === null || value === undefined) return '';
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(',') + '\r\n';
+};
+
 module.exports = {
   calculateDistance,
   voltageToPercentage,
   formatCoordinates,
   isWithinGeofence,
+  isPointInPolygon,
   generateDeviceId,
   validateCoordinates,
   calculateSpeed,
@@ -286,5 +335,7 @@ module.exports = {
   generateApiKey,
   deepClone,
   getTimeAgo,
-  isEmpty
+  isEmpty,
+  tenantFilter,
+  toCsvRow
 };
\ No newline at end of file
@@ -0,0 +1,123 @@
+/**
+ * Pagination helpers for timestamp-ordered collections (newest first).
+ *
+ * Cursor pagination keys on (timestamp, _id), so it stays fast on large collections and
+ * does not repeat or skip items when new ones arrive while a client is scrolling.
+ * Page/limit (skip-based) pagination is kept for existing clients.
+ */
+
+const { AppError } = require('../middleware/errorHandler');
+
+const NEWEST_FIRST = { timestamp: -1, _id: -1 };
+const OLDEST_FIRST = { timestamp: 1, _id: 1 };
+
+/**
+ * Encode an opaque cursor pointing at an item
+ * @param {Object} item - Item with timestamp and _id
+ * @param {string} direction - 'next' (older items) or 'prev' (newer items)
+ * @returns {string} Cursor
+ */
+const encodeCursor = (item, direction) => Buffer.from(JSON.stringify({
+  t: new Date(item.timestamp).toISOString(),
+  id: item._id.toString(),
+  d: direction === 'prev' ? 'p' : 'n'
+})).toString('base64url');
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string} cursor - Cursor
+ * @returns {Object} { timestamp, _id, direction }
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const { t, id, d } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    const timestamp = new Date(t);
+
+    if (isNaN(timestamp.getTime()) || !/^[0-9a-f]{24}$/i.test(id) || !['n', 'p'].includes(d)) {
+      throw new Error('Malformed cursor');
+    }
+
+    return { timestamp, _id: id, direction: d === 'p' ? 'prev' : 'next' };
+  } catch (error) {
+    throw new AppError('Invalid pagination cursor', 400);
+  }
+};
+
+/**
+ * Find one page of a timestamp-ordered query, newest first.
+ * With a cursor the page continues from it; otherwise page/limit (skip) is used.
+ * Both modes return next/prev cursors; the total is only counted when requested.
+ * @param {Object} Model - Mongoose model
+ * @param {Object} query - MongoDB query
+ * @param {Object} options - { cursor, page, limit, count, select }
+ * @returns {Object} { items, pagination }
+ */
+const findPage = async (Model, query, { cursor, page = 1, limit = 50, count, select = '-__v' } = {}) => {
+  const pageSize = parseInt(limit);
+  const position = cursor ? decodeCursor(cursor) : null;
+  const direction = position?.direction || 'next';
+
+  // Counting scans the whole match, so cursor clients opt in; page clients keep the total by default
+  const includeTotal = count !== undefined ? Boolean(count) : !position;
+
+  let find;
+  if (position) {
+    const op = direction === 'prev' ? '$gt' : '$lt';
+    find = Model.find({
+      $and: [
+        query,
+        {
+          $or: [
+            { timestamp: { [op]: position.timestamp } },
+            { timestamp: position.timestamp, _id: { [op]: position._id } }
+          ]
+        }
+      ]
+    }).sort(direction === 'prev' ? OLDEST_FIRST : NEWEST_FIRST);
+  } else {
+    find = Model.find(query)
+      .sort(NEWEST_FIRST)
+      .skip((parseInt(page) - 1) * pageSize);
+  }
+
+  // One extra item tells whether another page exists without counting
+  const [found, total] = await Promise.all([
+    find.limit(pageSize + 1).select(select).lean(),
+    includeTotal ? Model.countDocuments(query) : Promise.resolve(undefined)
+  ]);
+
+  const hasMore = found.length > pageSize;
+  const items = found.slice(0, pageSize);
+  if (direction === 'prev') items.reverse();
+
+  const first = items[0];
+  const last = items[items.length - 1];
+
+  const hasNext = direction === 'prev' ? Boolean(position) : hasMore;
+  const hasPrev = position ? (direction === 'prev' ? hasMore : true) : parseInt(page) > 1;
+
+  const pagination = position ? { limit: pageSize } : { page: parseInt(page), limit: pageSize };
+  if (includeTotal) {
+    pagination.total = total;
+    pagination.pages = Math.ceil(total / pageSize);
+  }
+  pagination.hasNext = hasNext;
+  pagination.hasPrev = hasPrev;
+
+  // prev is returned whenever there is a position, so clients can poll for newer items
+  if (items.length > 0) {
+    pagination.next = hasNext ? encodeCursor(last, 'next') : null;
+    pagination.prev = encodeCursor(first, 'prev');
+  } else {
+    pagination.next = position && direction === 'prev' ? encodeCursor(position, 'next') : null;
+    pagination.prev = position ? encodeCursor(position, 'prev') : null;
+  }
+
+  return { items, pagination };
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  findPage
+};
@@ -0,0 +1,47 @@
+/**
+ * Helpers for streaming large responses (exports) from a database cursor
+ */
+
+/**
+ * Whether the response can no longer be written to (client disconnected or response ended)
+ * @param {Object} res - Express response object
+ * @returns {boolean} True if writing should stop
+ */
+const isClientGone = (res) => res.destroyed || res.writableEnded;
+
+/**
+ * Wait until the response drains or closes, whichever comes first.
+ * The other listener is removed so long exports don't accumulate listeners.
+ * @param {Object} res - Express response object
+ * @returns {Promise} Resolves on drain or close
+ */
+const waitForDrain = (res) => new Promise(resolve => {
+  const done = () => {
+    res.off('drain', done);
+    res.off('close', done);
+    resolve();
+  };
+  res.on('drain', done);
+  res.on('close', done);
+});
+
+/**
+ * Write a chunk, respecting backpressure so large exports don't buffer in memory
+ * @param {Object} res - Express response object
+ * @param {string} chunk - Data to write
+ * @returns {Promise<boolean>} False once the client is gone and the export should stop
+ */
+const writeChunk = async (res, chunk) => {
+  if (isClientGone(res)) return false;
+
+  if (!res.write(chunk) && !isClientGone(res)) {
+    await waitForDrain(res);
+  }
+
+  return !isClientGone(res);
+};
+
+module.exports = {
+  isClientGone,
+  writeChunk
+};
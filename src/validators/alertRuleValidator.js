@@ -0,0 +1,160 @@
+const Joi = require('joi');
+
+const OPERATORS = ['gt', 'gte', 'lt', 'lte', 'eq', 'neq', 'between', 'outside', 'exists', 'not_exists'];
+const ALERT_TYPES = [
+  'vibration', 'tampering', 'low_battery', 'geofence', 'offline', 'temperature', 'custom',
+  'watchdog_triggered', 'gps_malfunction', 'obd2_malfunction', 'gyroscope_malfunction'
+];
+
+const deviceIdSchema = Joi.string().alphanum().min(3).max(50)
+  .messages({
+    'string.alphanum': 'Device ID must contain only alphanumeric characters',
+    'string.min': 'Device ID must be at least 3 characters',
+    'string.max': 'Device ID must not exceed 50 characters'
+  });
+
+const valueSchema = Joi.alternatives().try(Joi.number(), Joi.string().max(100), Joi.boolean());
+
+// A single comparison against a reading field
+const conditionSchema = Joi.object({
+  field: Joi.string().pattern(/^[a-zA-Z][\w]*(\.[\w]+)*$/).max(100).required()
+    .messages({
+      'string.pattern.base': 'Condition field must be a field name or dotted path (e.g. additionalData.oilPressure)',
+      'any.required': 'Condition field is required'
+    }),
+
+  operator: Joi.string().valid(...OPERATORS).required()
+    .messages({
+      'any.only': `Operator must be one of: ${OPERATORS.join(', ')}`,
+      'any.required': 'Condition operator is required'
+    }),
+
+  value: Joi.when('operator', {
+    is: Joi.valid('exists', 'not_exists'),
+    then: Joi.forbidden(),
+    otherwise: valueSchema
+  }),
+
+  value2: Joi.when('operator', {
+    is: Joi.valid('between', 'outside'),
+    then: Joi.number().required(),
+    otherwise: Joi.forbidden()
+  }).messages({
+    'any.required': 'value2 is required for between/outside conditions'
+  }),
+
+  // Compare against a Device field (e.g. batteryThreshold) instead of a fixed value
+  valueFrom: Joi.string().pattern(/^[a-zA-Z][\w]*(\.[\w]+)*$/).max(100).optional()
+}).custom((condition, helpers) => {
+  const needsValue = !['exists', 'not_exists'].includes(condition.operator);
+  if (needsValue && condition.value === undefined && !condition.valueFrom) {
+    return helpers.message(`Condition on "${condition.field}" needs a value or valueFrom`);
+  }
+  return condition;
+});
+
+const autoResolveSchema = Joi.object({
+  enabled: Joi.boolean().required(),
+  timeoutMinutes: Joi.number().integer().min(1).max(1440).when('enabled', {
+    is: true,
+    then: Joi.required(),
+    otherwise: Joi.optional()
+  })
+}).messages({
+  'any.required': 'Auto-resolve timeout is required when auto-resolve is enabled'
+});
+
+// Alert rule creation schema
+const alertRuleSchema = Joi.object({
+  name: Joi.string().min(1).max(100).required()
+    .messages({
+      'string.empty': 'Rule name is required',
+      'string.max': 'Rule name cannot exceed 100 characters',
+      'any.required': 'Rule name is required'
+    }),
+
+  description: Joi.string().max(500).optional(),
+
+  deviceIds: Joi.array().items(deviceIdSchema).unique().default([]),
+
+  groups: Joi.array().items(Joi.string().trim().max(50)).unique().default([]),
+
+  conditions: Joi.array().items(conditionSchema).min(1).max(10).required()
+    .messages({
+      'array.min': 'At least one condition is required',
+      'array.max': 'A rule cannot have more than 10 conditions',
+      'any.required': 'Conditions are required'
+    }),
+
+  match: Joi.string().valid('all', 'any').default('all'),
+
+  sustainSeconds: Joi.number().integer().min(0).max(86400).default(0)
+    .messages({
+      'number.max': 'Sustain duration cannot exceed 24 hours (86400 seconds)'
+    }),
+
+  cooldownMinutes: Joi.number().integer().min(0).max(10080).default(15)
+    .messages({
+      'number.max': 'Cooldown cannot exceed 7 days (10080 minutes)'
+    }),
+
+  alertType: Joi.string().valid(...ALERT_TYPES).default('custom')
+    .messages({
+      'any.only': `Alert type must be one of: ${ALERT_TYPES.join(', ')}`
+    }),
+
+  severity: Joi.string()
+    .valid('low', 'medium', 'high', 'critical')
+    .default('medium')
+    .messages({
+      'any.only': 'Severity must be one of: low, medium, high, critical'
+    }),
+
+  titleTemplate: Joi.string().max(100).optional(),
+
+  messageTemplate: Joi.string().min(1).max(500).required()
+    .messages({
+      'string.max': 'Message template cannot exceed 500 characters',
+      'any.required': 'Message template is required'
+    }),
+
+  autoResolve: autoResolveSchema.optional(),
+
+  isActive: Joi.boolean().default(true)
+});
+
+// Alert rule update schema (conditions are replaced as a whole)
+const alertRuleUpdateSchema = Joi.object({
+  name: Joi.string().min(1).max(100).optional(),
+  description: Joi.string().max(500).allow('').optional(),
+  deviceIds: Joi.array().items(deviceIdSchema).unique().optional(),
+  groups: Joi.array().items(Joi.string().trim().max(50)).unique().optional(),
+  conditions: Joi.array().items(conditionSchema).min(1).max(10).optional(),
+  match: Joi.string().valid('all', 'any').optional(),
+  sustainSeconds: Joi.number().integer().min(0).max(86400).optional(),
+  cooldownMinutes: Joi.number().integer().min(0).max(10080).optional(),
+  alertType: Joi.string().valid(...ALERT_TYPES).optional(),
+  severity: Joi.string().valid('low', 'medium', 'high', 'critical').optional(),
+  titleTemplate: Joi.string().max(100).allow('').optional(),
+  messageTemplate: Joi.string().min(1).max(500).optional(),
+  autoResolve: autoResolveSchema.allow(null).optional(),
+  isActive: Joi.boolean().optional()
+}).min(1)
+  .messages({
+    'object.min': 'At least one field must be provided'
+  });
+
+const alertRuleQuerySchema = Joi.object({
+  deviceId: deviceIdSchema.optional(),
+  group: Joi.string().max(50).optional(),
+  alertType: Joi.string().valid(...ALERT_TYPES).optional(),
+  isActive: Joi.boolean().optional(),
+  limit: Joi.number().integer().min(1).max(1000).default(50),
+  page: Joi.number().integer().min(1).default(1)
+});
+
+module.exports = {
+  alertRuleSchema,
+  alertRuleUpdateSchema,
+  alertRuleQuerySchema
+};
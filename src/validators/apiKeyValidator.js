@@ -0,0 +1,56 @@
+const Joi = require('joi');
+
+const API_KEY_SCOPES = ['ingest', 'read', 'alert-admin', 'command'];
+
+// API key creation schema
+const apiKeySchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required()
+    .messages({
+      'string.empty': 'API key name is required',
+      'string.max': 'API key name cannot exceed 100 characters',
+      'any.required': 'API key name is required'
+    }),
+
+  scopes: Joi.array()
+    .items(Joi.string().valid(...API_KEY_SCOPES))
+    .min(1)
+    .unique()
+    .required()
+    .messages({
+      'array.min': 'At least one scope is required',
+      'any.only': `Scopes must be one of: ${API_KEY_SCOPES.join(', ')}`,
+      'any.required': 'Scopes are required'
+    }),
+
+  deviceIds: Joi.array()
+    .items(Joi.string().alphanum().min(3).max(50))
+    .unique()
+    .default([])
+    .messages({
+      'string.alphanum': 'Device ID must contain only alphanumeric characters'
+    }),
+
+  organizationId: Joi.string().hex().length(24).allow(null).default(null)
+    .messages({
+      'string.hex': 'Organization ID must be a valid ID',
+      'string.length': 'Organization ID must be a valid ID'
+    }),
+
+  expiresAt: Joi.date().greater('now').allow(null).default(null)
+    .messages({
+      'date.greater': 'Expiry must be in the future'
+    })
+});
+
+// API key list query schema
+const apiKeyQuerySchema = Joi.object({
+  status: Joi.string().valid('active', 'expired', 'revoked').optional(),
+  organizationId: Joi.string().hex().length(24).optional(),
+  limit: Joi.number().integer().min(1).max(100).default(50),
+  page: Joi.number().integer().min(1).default(1)
+});
+
+module.exports = {
+  apiKeySchema,
+  apiKeyQuerySchema
+};
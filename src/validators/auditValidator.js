@@ -0,0 +1,32 @@
+const Joi = require('joi');
+
+const objectIdSchema = Joi.string().hex().length(24)
+  .messages({
+    'string.hex': 'Must be a valid ID',
+    'string.length': 'Must be a valid ID'
+  });
+
+// Audit log query schema
+const auditQuerySchema = Joi.object({
+  // Exact action ("alert.resolve") or every action of a target type ("alert.*")
+  action: Joi.string().trim().pattern(/^[a-z_]+(\.([a-z_]+|\*))?$/).max(50).optional()
+    .messages({
+      'string.pattern.base': 'Action must look like "alert.resolve" or "alert.*"'
+    }),
+  actorType: Joi.string().valid('user', 'api_key', 'system').optional(),
+  userId: objectIdSchema.optional(),
+  apiKeyId: objectIdSchema.optional(),
+  targetType: Joi.string().trim().max(50).optional(),
+  targetId: Joi.string().trim().max(100).optional(),
+  requestId: Joi.string().trim().max(100).optional(),
+  organizationId: objectIdSchema.optional(),
+  startDate: Joi.date().optional(),
+  endDate: Joi.date().min(Joi.ref('startDate')).optional(),
+  format: Joi.string().valid('json', 'csv').default('json'),
+  limit: Joi.number().integer().min(1).max(500).default(50),
+  page: Joi.number().integer().min(1).default(1)
+});
+
+module.exports = {
+  auditQuerySchema
+};
@@ -0,0 +1,96 @@
+const Joi = require('joi');
+
+const COMMAND_TYPES = ['set_interval', 'reboot', 'request_location', 'set_alert_settings', 'custom'];
+const COMMAND_STATUSES = ['pending', 'delivered', 'acked', 'failed', 'expired'];
+
+// Parameters each command type accepts
+const commandParamsSchemas = {
+  set_interval: Joi.object({
+    intervalSeconds: Joi.number().integer().min(5).max(86400).required()
+      .messages({
+        'number.min': 'Reporting interval must be at least 5 seconds',
+        'number.max': 'Reporting interval cannot exceed 24 hours (86400 seconds)',
+        'any.required': 'intervalSeconds is required for set_interval'
+      })
+  }).required(),
+
+  reboot: Joi.object({
+    delaySeconds: Joi.number().integer().min(0).max(3600).default(0)
+      .messages({
+        'number.max': 'Reboot delay cannot exceed 1 hour (3600 seconds)'
+      })
+  }).default({}),
+
+  request_location: Joi.object({}).default({}),
+
+  // Same switches as the device's alertSettings; synced to the device record once acknowledged
+  set_alert_settings: Joi.object({
+    offlineEnabled: Joi.boolean(),
+    vibrationEnabled: Joi.boolean(),
+    tamperingEnabled: Joi.boolean(),
+    lowBatteryEnabled: Joi.boolean(),
+    geofenceEnabled: Joi.boolean()
+  }).min(1).required()
+    .messages({
+      'object.min': 'At least one alert setting is required for set_alert_settings'
+    }),
+
+  // Free-form command understood by the firmware (e.g. { name: 'buzzer', payload: { seconds: 5 } })
+  custom: Joi.object({
+    name: Joi.string().trim().min(1).max(50).required()
+      .messages({
+        'any.required': 'name is required for custom commands'
+      }),
+    payload: Joi.object().optional()
+  }).required()
+};
+
+// Command creation schema
+const deviceCommandSchema = Joi.object({
+  type: Joi.string().valid(...COMMAND_TYPES).required()
+    .messages({
+      'any.only': `Command type must be one of: ${COMMAND_TYPES.join(', ')}`,
+      'any.required': 'Command type is required'
+    }),
+
+  params: Joi.when('type', {
+    switch: Object.entries(commandParamsSchemas).map(([type, schema]) => ({
+      is: type,
+      then: schema
+    })),
+    otherwise: Joi.forbidden()
+  })
+    .messages({
+      'any.required': 'Command params are required'
+    }),
+
+  // Defaults to COMMAND_TTL_SECONDS
+  ttlSeconds: Joi.number().integer().min(60).max(7 * 24 * 60 * 60).optional()
+    .messages({
+      'number.min': 'Command TTL must be at least 60 seconds',
+      'number.max': 'Command TTL cannot exceed 7 days'
+    })
+});
+
+// Command acknowledgement sent by the device in its next payload (commandAcks: [...])
+const commandAckSchema = Joi.object({
+  id: Joi.string().hex().length(24).required(),
+  status: Joi.string().valid('acked', 'failed').default('acked'),
+  result: Joi.any().optional(),
+  error: Joi.string().max(500).optional()
+});
+
+const commandHistoryQuerySchema = Joi.object({
+  status: Joi.string().valid(...COMMAND_STATUSES).optional(),
+  type: Joi.string().valid(...COMMAND_TYPES).optional(),
+  startDate: Joi.date().optional(),
+  endDate: Joi.date().min(Joi.ref('startDate')).optional(),
+  limit: Joi.number().integer().min(1).max(100).default(50),
+  page: Joi.number().integer().min(1).default(1)
+});
+
+module.exports = {
+  deviceCommandSchema,
+  commandAckSchema,
+  commandHistoryQuerySchema
+};
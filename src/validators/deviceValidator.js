@@ -207,6 +207,35 @@ const locationDataSchema = Joi.object({
     })
 });
 
+// Batch upload schema - readings are validated individually in the controller
+// so the response can report per-item accept/reject
+const locationBatchSchema = Joi.object({
+  deviceId: Joi.string().alphanum().min(3).max(50).required()
+    .messages({
+      'string.empty': 'Device ID is required',
+      'string.alphanum': 'Device ID must contain only alphanumeric characters',
+      'string.min': 'Device ID must be at least 3 characters',
+      'string.max': 'Device ID must not exceed 50 characters',
+      'any.required': 'Device ID is required'
+    }),
+  
+  readings: Joi.array().items(Joi.object().unknown(true)).min(1).max(500).required()
+    .messages({
+      'array.base': 'Readings must be an array',
+      'array.min': 'Batch must contain at least 1 reading',
+      'array.max': 'Batch cannot exceed 500 readings',
+      'object.base': 'Each reading must be an object',
+      'any.required': 'Readings are required'
+    }),
+  
+  // Command acknowledgements (also accepted on individual readings), checked one by one when applied
+  commandAcks: Joi.array().items(Joi.object().unknown(true)).max(100).optional()
+    .messages({
+      'array.base': 'Command acknowledgements must be an array',
+      'array.max': 'Batch cannot acknowledge more than 100 commands'
+    })
+});
+
 // Alert validation schema
 const alertSchema = Joi.object({
   deviceId: Joi.string().alphanum().min(3).max(50).required()
@@ -265,6 +294,17 @@ const alertSchema = Joi.object({
   data: Joi.object().optional()
     .messages({
       'object.base': 'Data must be an object'
+    }),
+  
+  // Overrides the per-type auto-resolve defaults
+  autoResolve: Joi.object({
+    enabled: Joi.boolean().required(),
+    timeoutMinutes: Joi.number().integer().min(1).max(1440)
+      .when('enabled', { is: true, then: Joi.required() })
+  }).optional()
+    .messages({
+      'number.min': 'Auto-resolve timeout must be at least 1 minute',
+      'number.max': 'Auto-resolve timeout cannot exceed 24 hours (1440 minutes)'
     })
 });
 
@@ -299,7 +339,20 @@ const deviceSchema = Joi.object({
       'number.max': 'Battery threshold cannot exceed 100%'
     }),
   
+  offlineThresholdMinutes: Joi.number().integer().min(1).max(1440).optional()
+    .messages({
+      'number.base': 'Offline threshold must be a valid number',
+      'number.min': 'Offline threshold must be at least 1 minute',
+      'number.max': 'Offline threshold cannot exceed 24 hours (1440 minutes)'
+    }),
+  
+  group: Joi.string().trim().max(50).optional()
+    .messages({
+      'string.max': 'Group cannot exceed 50 characters'
+    }),
+  
   alertSettings: Joi.object({
+    offlineEnabled: Joi.boolean().default(true),
     vibrationEnabled: Joi.boolean().default(true),
     tamperingEnabled: Joi.boolean().default(true),
     lowBatteryEnabled: Joi.boolean().default(true),
@@ -313,12 +366,148 @@ const deviceSchema = Joi.object({
   }).optional()
 });
 
+// Device claim schema (JWT user attaching a device to their account)
+const deviceClaimSchema = Joi.object({
+  deviceId: Joi.string().alphanum().min(3).max(50).required()
+    .messages({
+      'string.empty': 'Device ID is required',
+      'string.alphanum': 'Device ID must contain only alphanumeric characters',
+      'any.required': 'Device ID is required'
+    }),
+  
+  claimCode: Joi.string().trim().uppercase().alphanum().length(8).required()
+    .messages({
+      'string.empty': 'Claim code is required',
+      'string.length': 'Claim code must be 8 characters',
+      'string.alphanum': 'Claim code must contain only letters and numbers',
+      'any.required': 'Claim code is required'
+    }),
+  
+  alias: Joi.string().trim().max(50).allow('').optional()
+    .messages({
+      'string.max': 'Device alias cannot exceed 50 characters'
+    })
+});
+
 // Query validation schemas
 const deviceHistoryQuerySchema = Joi.object({
   startDate: Joi.date().optional(),
   endDate: Joi.date().min(Joi.ref('startDate')).optional(),
+
+  // Douglas-Peucker tolerance in meters
+  simplify: Joi.number().min(1).max(10000).optional()
+    .messages({
+      'number.min': 'Simplify tolerance must be at least 1 meter',
+      'number.max': 'Simplify tolerance cannot exceed 10000 meters'
+    }),
+
+  // Time bucket size, e.g. 30s, 1m, 15m, 1h, 1d
+  bucket: Joi.string().pattern(/^[1-9]\d{0,3}[smhd]$/).optional()
+    .messages({
+      'string.pattern.base': 'Bucket must be a number followed by s, m, h or d (e.g. 1m)'
+    }),
+
+  // Opaque cursor from a previous response's pagination.next/prev (takes precedence over page)
+  cursor: Joi.string().max(200).optional(),
+  count: Joi.boolean().optional(),
+
   limit: Joi.number().integer().min(1).max(1000).default(100),
   page: Joi.number().integer().min(1).default(1)
+}).oxor('simplify', 'bucket')
+  .messages({
+    'object.oxor': 'Use either simplify or bucket, not both'
+  });
+
+// History export (whole date range, streamed; no pagination)
+const deviceHistoryExportQuerySchema = Joi.object({
+  format: Joi.string().valid('gpx', 'kml', 'geojson', 'csv').required()
+    .messages({
+      'any.only': 'Format must be one of: gpx, kml, geojson, csv',
+      'any.required': 'Export format is required'
+    }),
+  startDate: Joi.date().optional(),
+  endDate: Joi.date().min(Joi.ref('startDate')).optional()
+});
+
+const deviceListQuerySchema = Joi.object({
+  isActive: Joi.boolean().optional(),
+  status: Joi.string().valid('online', 'offline', 'inactive').optional()
+    .messages({
+      'any.only': 'Status must be one of: online, offline, inactive'
+    }),
+  limit: Joi.number().integer().min(1).max(1000).default(50),
+  page: Joi.number().integer().min(1).default(1)
+});
+
+// Viewport positions: bbox=minLng,minLat,maxLng,maxLat (minLng > maxLng crosses the antimeridian)
+const devicePositionsQuerySchema = Joi.object({
+  bbox: Joi.string().required().custom((value, helpers) => {
+    const bbox = value.split(',').map(part => (part.trim() === '' ? NaN : Number(part)));
+    const [minLng, minLat, maxLng, maxLat] = bbox;
+    
+    if (bbox.length !== 4 || bbox.some(Number.isNaN)) {
+      return helpers.message('bbox must be minLng,minLat,maxLng,maxLat');
+    }
+    if ([minLng, maxLng].some(lng => lng < -180 || lng > 180) || [minLat, maxLat].some(lat => lat < -90 || lat > 90)) {
+      return helpers.message('bbox longitudes must be -180 to 180 and latitudes -90 to 90');
+    }
+    if (minLat > maxLat) {
+      return helpers.message('bbox minLat must not exceed maxLat');
+    }
+    return bbox;
+  })
+    .messages({
+      'any.required': 'bbox is required'
+    }),
+  
+  zoom: Joi.number().integer().min(0).max(22)
+    .when('cluster', { is: true, then: Joi.required() })
+    .messages({
+      'any.required': 'zoom is required when cluster is enabled'
+    }),
+  cluster: Joi.boolean().default(false),
+  status: Joi.string().valid('online', 'offline', 'inactive').optional()
+});
+
+const searchCenterSchema = {
+  lat: Joi.number().min(-90).max(90).required()
+    .messages({
+      'number.min': 'Latitude must be between -90 and 90',
+      'number.max': 'Latitude must be between -90 and 90',
+      'number.base': 'Latitude must be a valid number',
+      'any.required': 'lat is required'
+    }),
+  lng: Joi.number().min(-180).max(180).required()
+    .messages({
+      'number.min': 'Longitude must be between -180 and 180',
+      'number.max': 'Longitude must be between -180 and 180',
+      'number.base': 'Longitude must be a valid number',
+      'any.required': 'lng is required'
+    })
+};
+
+// Devices whose latest position is within radius (meters) of a point
+const nearbyDevicesQuerySchema = Joi.object({
+  ...searchCenterSchema,
+  radius: Joi.number().min(1).max(100000).default(1000)
+    .messages({
+      'number.min': 'Radius must be at least 1 meter',
+      'number.max': 'Radius cannot exceed 100000 meters'
+    }),
+  status: Joi.string().valid('online', 'offline', 'inactive').optional(),
+  limit: Joi.number().integer().min(1).max(500).default(50)
+});
+
+// Visits of one device to a place (radius in meters); the range defaults to the last 7 days, max 90
+const deviceVisitsQuerySchema = Joi.object({
+  ...searchCenterSchema,
+  radius: Joi.number().min(1).max(10000).default(100)
+    .messages({
+      'number.min': 'Radius must be at least 1 meter',
+      'number.max': 'Radius cannot exceed 10000 meters'
+    }),
+  startDate: Joi.date().optional(),
+  endDate: Joi.date().min(Joi.ref('startDate')).optional()
 });
 
 const alertsQuerySchema = Joi.object({
@@ -332,15 +521,24 @@ const alertsQuerySchema = Joi.object({
   isResolved: Joi.boolean().optional(),
   startDate: Joi.date().optional(),
   endDate: Joi.date().min(Joi.ref('startDate')).optional(),
+  cursor: Joi.string().max(200).optional(),
+  count: Joi.boolean().optional(),
   limit: Joi.number().integer().min(1).max(100).default(50),
   page: Joi.number().integer().min(1).default(1)
 });
 
 module.exports = {
   locationDataSchema,
+  locationBatchSchema,
   alertSchema,
   deviceSchema,
+  deviceClaimSchema,
   coordinatesSchema,
   deviceHistoryQuerySchema,
+  deviceHistoryExportQuerySchema,
+  deviceListQuerySchema,
+  devicePositionsQuerySchema,
+  nearbyDevicesQuerySchema,
+  deviceVisitsQuerySchema,
   alertsQuerySchema
 };
\ No newline at end of file
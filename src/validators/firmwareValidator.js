@@ -0,0 +1,126 @@
+const Joi = require('joi');
+
+const ROLLOUT_STATUSES = ['active', 'paused', 'cancelled'];
+const UPDATE_STATUSES = ['offered', 'downloading', 'downloaded', 'installing', 'installed', 'failed'];
+
+const versionSchema = Joi.string().trim().pattern(/^v?\d+(\.\d+){0,3}([-+][0-9A-Za-z.-]+)?$/).max(30)
+  .messages({
+    'string.pattern.base': 'Version must be dotted numbers, e.g. 1.4.0 or 1.4.0-beta.1'
+  });
+
+const hardwareModelSchema = Joi.string().trim().min(1).max(50);
+
+const objectIdSchema = Joi.string().hex().length(24)
+  .messages({
+    'string.hex': 'ID must be a valid ID',
+    'string.length': 'ID must be a valid ID'
+  });
+
+// Firmware release creation schema (the binary is uploaded separately)
+const firmwareReleaseSchema = Joi.object({
+  version: versionSchema.required()
+    .messages({
+      'any.required': 'Firmware version is required'
+    }),
+
+  hardwareModel: hardwareModelSchema.required()
+    .messages({
+      'any.required': 'Hardware model is required'
+    }),
+
+  releaseNotes: Joi.string().trim().max(5000).allow('').optional()
+    .messages({
+      'string.max': 'Release notes cannot exceed 5000 characters'
+    })
+});
+
+const firmwareReleaseQuerySchema = Joi.object({
+  hardwareModel: hardwareModelSchema.optional(),
+  status: Joi.string().valid('draft', 'ready').optional(),
+  limit: Joi.number().integer().min(1).max(100).default(50),
+  page: Joi.number().integer().min(1).default(1)
+});
+
+// Rollout creation schema
+const firmwareRolloutSchema = Joi.object({
+  releaseId: objectIdSchema.required()
+    .messages({
+      'any.required': 'Firmware release ID is required'
+    }),
+
+  groups: Joi.array().items(Joi.string().trim().max(50)).unique().default([]),
+
+  percentage: Joi.number().integer().min(1).max(100).default(100)
+    .messages({
+      'number.min': 'Rollout percentage must be at least 1',
+      'number.max': 'Rollout percentage cannot exceed 100'
+    })
+});
+
+// Rollout update schema (pause/resume/cancel, widen or narrow targeting)
+const firmwareRolloutUpdateSchema = Joi.object({
+  status: Joi.string().valid(...ROLLOUT_STATUSES).optional()
+    .messages({
+      'any.only': `Status must be one of: ${ROLLOUT_STATUSES.join(', ')}`
+    }),
+  groups: Joi.array().items(Joi.string().trim().max(50)).unique().optional(),
+  percentage: Joi.number().integer().min(1).max(100).optional()
+}).min(1)
+  .messages({
+    'object.min': 'At least one field must be provided'
+  });
+
+const firmwareRolloutQuerySchema = Joi.object({
+  hardwareModel: hardwareModelSchema.optional(),
+  status: Joi.string().valid(...ROLLOUT_STATUSES).optional(),
+  limit: Joi.number().integer().min(1).max(100).default(50),
+  page: Joi.number().integer().min(1).default(1)
+});
+
+// Per-device progress of a rollout
+const firmwareRolloutDevicesQuerySchema = Joi.object({
+  status: Joi.string().valid(...UPDATE_STATUSES).optional(),
+  limit: Joi.number().integer().min(1).max(500).default(100),
+  page: Joi.number().integer().min(1).default(1)
+});
+
+// Update check sent by the device (reports what it runs)
+const firmwareCheckQuerySchema = Joi.object({
+  version: versionSchema.optional(),
+  model: hardwareModelSchema.optional()
+});
+
+// Status report sent by the device (JWT-encoded like update-data)
+const firmwareStatusSchema = Joi.object({
+  deviceId: Joi.string().alphanum().min(3).max(50).required()
+    .messages({
+      'string.alphanum': 'Device ID must contain only alphanumeric characters',
+      'any.required': 'Device ID is required'
+    }),
+
+  rolloutId: objectIdSchema.required()
+    .messages({
+      'any.required': 'Rollout ID is required'
+    }),
+
+  status: Joi.string().valid('downloading', 'downloaded', 'installing', 'installed', 'failed').required()
+    .messages({
+      'any.only': 'Status must be one of: downloading, downloaded, installing, installed, failed',
+      'any.required': 'Status is required'
+    }),
+
+  progress: Joi.number().min(0).max(100).optional(),
+
+  error: Joi.string().max(500).optional()
+});
+
+module.exports = {
+  firmwareReleaseSchema,
+  firmwareReleaseQuerySchema,
+  firmwareRolloutSchema,
+  firmwareRolloutUpdateSchema,
+  firmwareRolloutQuerySchema,
+  firmwareRolloutDevicesQuerySchema,
+  firmwareCheckQuerySchema,
+  firmwareStatusSchema
+};
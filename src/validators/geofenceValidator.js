@@ -0,0 +1,134 @@
+const Joi = require('joi');
+
+const deviceIdSchema = Joi.string().alphanum().min(3).max(50)
+  .messages({
+    'string.alphanum': 'Device ID must contain only alphanumeric characters',
+    'string.min': 'Device ID must be at least 3 characters',
+    'string.max': 'Device ID must not exceed 50 characters'
+  });
+
+const centerSchema = Joi.object({
+  latitude: Joi.number().min(-90).max(90).required()
+    .messages({
+      'number.min': 'Latitude must be between -90 and 90',
+      'number.max': 'Latitude must be between -90 and 90',
+      'number.base': 'Latitude must be a valid number',
+      'any.required': 'Latitude is required'
+    }),
+  longitude: Joi.number().min(-180).max(180).required()
+    .messages({
+      'number.min': 'Longitude must be between -180 and 180',
+      'number.max': 'Longitude must be between -180 and 180',
+      'number.base': 'Longitude must be a valid number',
+      'any.required': 'Longitude is required'
+    })
+});
+
+// Polygon points as GeoJSON [longitude, latitude] pairs
+const polygonSchema = Joi.array()
+  .items(
+    Joi.array().ordered(
+      Joi.number().min(-180).max(180).required(),
+      Joi.number().min(-90).max(90).required()
+    ).length(2)
+  )
+  .min(3)
+  .max(500)
+  .messages({
+    'array.min': 'Polygon must have at least 3 points',
+    'array.max': 'Polygon cannot exceed 500 points',
+    'array.length': 'Each polygon point must be [longitude, latitude]'
+  });
+
+// Geofence creation schema
+const geofenceSchema = Joi.object({
+  name: Joi.string().min(1).max(100).required()
+    .messages({
+      'string.empty': 'Geofence name is required',
+      'string.max': 'Geofence name cannot exceed 100 characters',
+      'any.required': 'Geofence name is required'
+    }),
+
+  description: Joi.string().max(500).optional()
+    .messages({
+      'string.max': 'Description cannot exceed 500 characters'
+    }),
+
+  type: Joi.string().valid('circle', 'polygon').required()
+    .messages({
+      'any.only': 'Geofence type must be one of: circle, polygon',
+      'any.required': 'Geofence type is required'
+    }),
+
+  center: centerSchema.when('type', {
+    is: 'circle',
+    then: Joi.required(),
+    otherwise: Joi.forbidden()
+  }),
+
+  radius: Joi.number().min(1).max(100000).when('type', {
+    is: 'circle',
+    then: Joi.required(),
+    otherwise: Joi.forbidden()
+  }).messages({
+    'number.min': 'Radius must be at least 1 meter',
+    'number.max': 'Radius cannot exceed 100000 meters',
+    'any.required': 'Radius is required for circle geofences'
+  }),
+
+  coordinates: polygonSchema.when('type', {
+    is: 'polygon',
+    then: Joi.required(),
+    otherwise: Joi.forbidden()
+  }),
+
+  deviceIds: Joi.array().items(deviceIdSchema).unique().default([]),
+
+  alertOn: Joi.object({
+    enter: Joi.boolean().default(true),
+    exit: Joi.boolean().default(true)
+  }).optional(),
+
+  severity: Joi.string()
+    .valid('low', 'medium', 'high', 'critical')
+    .default('medium')
+    .messages({
+      'any.only': 'Severity must be one of: low, medium, high, critical'
+    }),
+
+  isActive: Joi.boolean().default(true)
+});
+
+// Geofence update schema (geometry must be replaced as a whole)
+const geofenceUpdateSchema = Joi.object({
+  name: Joi.string().min(1).max(100).optional(),
+  description: Joi.string().max(500).allow('').optional(),
+  type: Joi.string().valid('circle', 'polygon').optional(),
+  center: centerSchema.optional(),
+  radius: Joi.number().min(1).max(100000).optional(),
+  coordinates: polygonSchema.optional(),
+  deviceIds: Joi.array().items(deviceIdSchema).unique().optional(),
+  alertOn: Joi.object({
+    enter: Joi.boolean(),
+    exit: Joi.boolean()
+  }).optional(),
+  severity: Joi.string().valid('low', 'medium', 'high', 'critical').optional(),
+  isActive: Joi.boolean().optional()
+}).min(1)
+  .messages({
+    'object.min': 'At least one field must be provided'
+  });
+
+const geofenceQuerySchema = Joi.object({
+  deviceId: deviceIdSchema.optional(),
+  type: Joi.string().valid('circle', 'polygon').optional(),
+  isActive: Joi.boolean().optional(),
+  limit: Joi.number().integer().min(1).max(1000).default(50),
+  page: Joi.number().integer().min(1).default(1)
+});
+
+module.exports = {
+  geofenceSchema,
+  geofenceUpdateSchema,
+  geofenceQuerySchema
+};
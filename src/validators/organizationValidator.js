@@ -0,0 +1,76 @@
+const Joi = require('joi');
+
+const ORGANIZATION_ROLES = ['owner', 'admin', 'operator', 'viewer'];
+
+const roleSchema = Joi.string().valid(...ORGANIZATION_ROLES)
+  .messages({
+    'any.only': `Role must be one of: ${ORGANIZATION_ROLES.join(', ')}`
+  });
+
+// Organization creation schema
+const organizationSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required()
+    .messages({
+      'string.empty': 'Organization name is required',
+      'string.max': 'Organization name cannot exceed 100 characters',
+      'any.required': 'Organization name is required'
+    }),
+
+  description: Joi.string().trim().max(500).allow('').optional()
+    .messages({
+      'string.max': 'Description cannot exceed 500 characters'
+    })
+});
+
+// Organization update schema
+const organizationUpdateSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100)
+    .messages({
+      'string.empty': 'Organization name cannot be empty',
+      'string.max': 'Organization name cannot exceed 100 characters'
+    }),
+
+  description: Joi.string().trim().max(500).allow('')
+    .messages({
+      'string.max': 'Description cannot exceed 500 characters'
+    })
+}).min(1).messages({
+  'object.min': 'At least one field is required'
+});
+
+// Add member schema (the user must already have an account)
+const organizationMemberSchema = Joi.object({
+  phoneNumber: Joi.string().trim().pattern(/^[+]?[1-9]\d{1,14}$/).required()
+    .messages({
+      'string.pattern.base': 'Please enter a valid phone number',
+      'any.required': 'Phone number is required'
+    }),
+
+  role: roleSchema.default('viewer')
+});
+
+// Change member role schema
+const organizationMemberUpdateSchema = Joi.object({
+  role: roleSchema.required()
+    .messages({
+      'any.required': 'Role is required'
+    })
+});
+
+// Switch organization schema (null = personal devices)
+const switchOrganizationSchema = Joi.object({
+  organizationId: Joi.string().hex().length(24).allow(null).required()
+    .messages({
+      'string.hex': 'Organization ID must be a valid ID',
+      'string.length': 'Organization ID must be a valid ID',
+      'any.required': 'Organization ID is required (null for personal devices)'
+    })
+});
+
+module.exports = {
+  organizationSchema,
+  organizationUpdateSchema,
+  organizationMemberSchema,
+  organizationMemberUpdateSchema,
+  switchOrganizationSchema
+};
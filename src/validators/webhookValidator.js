@@ -0,0 +1,90 @@
+const Joi = require('joi');
+
+const WEBHOOK_EVENTS = ['alert.created', 'alert.acknowledged', 'alert.resolved'];
+const ALERT_TYPES = [
+  'vibration', 'tampering', 'low_battery', 'geofence', 'offline', 'temperature', 'custom',
+  'watchdog_triggered', 'gps_malfunction', 'obd2_malfunction', 'gyroscope_malfunction'
+];
+
+const urlSchema = Joi.string().uri({ scheme: ['http', 'https'] }).max(2048)
+  .messages({
+    'string.uri': 'Webhook URL must be a valid http(s) URL',
+    'string.uriCustomScheme': 'Webhook URL must be a valid http(s) URL',
+    'string.max': 'Webhook URL cannot exceed 2048 characters'
+  });
+
+const eventsSchema = Joi.array()
+  .items(Joi.string().valid(...WEBHOOK_EVENTS))
+  .min(1)
+  .unique()
+  .messages({
+    'array.min': 'At least one event is required',
+    'any.only': `Events must be one of: ${WEBHOOK_EVENTS.join(', ')}`
+  });
+
+const filtersSchema = Joi.object({
+  alertTypes: Joi.array().items(Joi.string().valid(...ALERT_TYPES)).unique().default([]),
+  severities: Joi.array().items(Joi.string().valid('low', 'medium', 'high', 'critical')).unique().default([]),
+  deviceIds: Joi.array().items(Joi.string().alphanum().min(3).max(50)).unique().default([])
+});
+
+// Webhook subscription creation schema
+const webhookSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required()
+    .messages({
+      'string.empty': 'Webhook name is required',
+      'string.max': 'Webhook name cannot exceed 100 characters',
+      'any.required': 'Webhook name is required'
+    }),
+
+  url: urlSchema.required()
+    .messages({
+      'any.required': 'Webhook URL is required'
+    }),
+
+  // Generated when omitted
+  secret: Joi.string().min(16).max(200).optional()
+    .messages({
+      'string.min': 'Secret must be at least 16 characters'
+    }),
+
+  events: eventsSchema.default(WEBHOOK_EVENTS),
+
+  filters: filtersSchema.default(),
+
+  isActive: Joi.boolean().default(true)
+});
+
+// Webhook subscription update schema
+const webhookUpdateSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).optional(),
+  url: urlSchema.optional(),
+  secret: Joi.string().min(16).max(200).optional(),
+  events: eventsSchema.optional(),
+  filters: filtersSchema.optional(),
+  isActive: Joi.boolean().optional()
+}).min(1)
+  .messages({
+    'object.min': 'At least one field must be provided'
+  });
+
+const webhookQuerySchema = Joi.object({
+  isActive: Joi.boolean().optional(),
+  limit: Joi.number().integer().min(1).max(100).default(50),
+  page: Joi.number().integer().min(1).default(1)
+});
+
+// Delivery log query schema
+const webhookDeliveryQuerySchema = Joi.object({
+  status: Joi.string().valid('pending', 'delivering', 'succeeded', 'failed').optional(),
+  event: Joi.string().valid(...WEBHOOK_EVENTS).optional(),
+  limit: Joi.number().integer().min(1).max(100).default(50),
+  page: Joi.number().integer().min(1).default(1)
+});
+
+module.exports = {
+  webhookSchema,
+  webhookUpdateSchema,
+  webhookQuerySchema,
+  webhookDeliveryQuerySchema
+};